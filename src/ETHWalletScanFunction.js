@@ -1,193 +1,677 @@
-import axios from "axios";
-import OpenAI from "openai";
 import dotenv from "dotenv";
-import Moralis from 'moralis';
-import { EvmChain } from '@moralisweb3/common-evm-utils';
-import fs from 'fs';
-import { json } from "express";
-
-
-export { summarizeTokenTransactions };
+import { DEFAULT_CHAIN, getChain, resolveChains } from "./chains.js";
+import { buildWalletReport, compareWithPreviousReport } from "./report.js";
+import { parseTimeWindow, resolveBlockRange, LATEST_BLOCK } from "./timeWindow.js";
+import { getDefaultProviders } from "./providers/index.js";
+import { getDefaultStore, emptyHistory, MAX_BALANCE_SNAPSHOTS, MAX_REPORTS } from "./store.js";
+import {
+  HISTORY_KINDS,
+  NATIVE_ADDRESS,
+  historyRowId,
+  normalizeTokenTransfer,
+  normalizeNativeTransfer,
+  gasSpent,
+  gasPayments,
+} from "./history.js";
+import { priceTransfers, priceHoldings, roundUsd } from "./valuation.js";
+import { findTradeLegs, buildTrades } from "./trades.js";
+import { getDefaultLabelRegistry, tagTransfers } from "./labels.js";
+import { assessTokenRisk, applySpamMode, SPAM_MODES, DEFAULT_SPAM_MODE } from "./risk.js";
+import { getPromptTemplate } from "./prompts.js";
+import { normalizeNftTransfer, buildNftHoldings, classifyNftActivity, buildNftSection } from "./nft.js";
+import { parseHexAddress, lookupPrimaryName } from "./addresses.js";
+import { ProviderError } from "./errors.js";
+import { buildBalanceTimeline } from "./timeline.js";
+import { findOpenApprovals, buildApprovalAudit } from "./approvals.js";
+import {
+  DEFAULT_TRACE_DEPTH,
+  MAX_TRACE_DEPTH,
+  DEFAULT_FAN_OUT,
+  MAX_FAN_OUT,
+  MAX_TRACE_ROWS,
+  findFundingTransfers,
+  rankCounterparties,
+  createGraph,
+  addNode,
+  addTransferEdges,
+} from "./graph.js";
+import { logger } from "./logger.js";
+import { buildSocialContext } from "./social.js";
+
+
+export { summarizeTokenTransactions, runApp, collectNewActivity, loadStoredActivity, auditApprovals, traceWallet };
 
 dotenv.config(); // Load environment variables
 
+const log = logger.child({ module: "scanner" });
 
-const apiKeys = [
-  process.env.ETHERSCAN_API_KEY1,
-  process.env.ETHERSCAN_API_KEY2,
-  process.env.ETHERSCAN_API_KEY3,
-  process.env.ETHERSCAN_API_KEY4,
-  process.env.ETHERSCAN_API_KEY5,
-].filter(Boolean);
+// What normalizeHistory reads: the trace needs no NFT history.
+const TRACE_HISTORY_KINDS = ["tokentx", "txlist", "txlistinternal"];
 
-if (apiKeys.length === 0) {
-  throw new Error("No Etherscan API keys found in environment variables!");
+
+// A failed balance lookup fails the network: an empty wallet would hide every transfer too.
+function balanceError(what, chainConfig, error) {
+  if (error instanceof ProviderError) {
+    return error;
+  }
+  return new ProviderError(`Could not fetch ${what} on ${chainConfig.name}: ${error.message}`, { provider: "balances", cause: error });
 }
 
-let apiIndex = 0;
+async function runApp(walletAddress, chain = DEFAULT_CHAIN, providers = getDefaultProviders()) {
+  const chainConfig = getChain(chain);
+  try {
+    const address = walletAddress.trim().toLowerCase();
 
-await Moralis.start({ apiKey: process.env.MORALIS_API_KEY });
-console.log("Moralis initialized.");
+    log.debug("Fetching token balances", { chain: chainConfig.id });
 
-async function delay(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
-}
+    const balances = await providers.balances.getWalletTokenBalances(address, chainConfig.id);
+    const nativeBalance = await providers.balances.getNativeBalance(address, chainConfig.id);
 
-async function getTokenBalance(walletAddress, contractAddress) {
-  const apiKey = apiKeys[apiIndex];
-  apiIndex = (apiIndex + 1) % apiKeys.length; 
+    const { name, symbol, decimals } = chainConfig.nativeToken;
+    const nativeHolding = {
+      chain: chainConfig.id,
+      name,
+      symbol,
+      contractAddress: NATIVE_ADDRESS,
+      balance: parseFloat(nativeBalance) / Math.pow(10, decimals),
+      native: true,
+    };
 
-  const url = `https://api.etherscan.io/api?module=account&action=tokenbalance&contractaddress=${contractAddress}&address=${walletAddress}&tag=latest&apikey=${apiKey}`;
-  
-  console.log(`Using API Key ${apiIndex + 1}: ${url}`);
+    const tokenData = balances.map((token) => ({
+      chain: chainConfig.id,
+      name: token.name || "Unknown Token",
+      symbol: token.symbol,
+      contractAddress: token.token_address,
+      balance: parseFloat(token.balance) / Math.pow(10, token.decimals),
+      percentage_of_total_supply: token.percentage_relative_to_total_supply || 0,
+      possible_spam: token.possible_spam === true,
+      security_score: token.security_score ?? null,
+    }));
 
+    return nativeHolding.balance > 0 ? [nativeHolding, ...tokenData] : tokenData;
+  } catch (error) {
+    throw balanceError("token balances", chainConfig, error);
+  }
+}
+
+// NFT holdings per collection. Like runApp, a failed lookup fails the network.
+async function runNftHoldings(walletAddress, chainConfig, providers) {
   try {
-    await delay(1000); 
-    const response = await axios.get(url);
+    const rows = await providers.balances.getWalletNFTs(walletAddress, chainConfig.id);
+    return buildNftHoldings(rows, chainConfig.id);
+  } catch (error) {
+    throw balanceError("NFT holdings", chainConfig, error);
+  }
+}
 
-    if (response.data.status !== "1") {
-      console.log("API Error:", response.data.message);
-      return '0';
+// Brings one kind of stored history up to date. Only what is missing is fetched: blocks
+// before the stored range when the window reaches further back, and everything from the
+// last synced block on. Returns true when a fetch reached `maxRows`, which leaves the record
+// incomplete: callers passing `maxRows` must not store it then.
+async function syncHistory(kind, record, walletAddress, chainConfig, providers, startBlock, method = HISTORY_KINDS[kind], maxRows = Infinity) {
+  const history = record.history[kind] || emptyHistory();
+  const ranges = [];
+  if (history.syncedFromBlock === null) {
+    ranges.push({ startBlock, endBlock: LATEST_BLOCK });
+  } else {
+    if (startBlock < history.syncedFromBlock) {
+      ranges.push({ startBlock, endBlock: history.syncedFromBlock - 1 });
     }
+    // The last synced block is fetched again in case it was still being indexed.
+    ranges.push({ startBlock: history.lastSyncedBlock, endBlock: LATEST_BLOCK });
+  }
 
-    return response.data.result || '0';
-  } catch (error) {
-    console.log("Token amount couldn't be determined", error);
-    return '0';
+  const known = new Set(history.rows.map(historyRowId));
+  let fetched = 0;
+  let truncated = false;
+  for (const range of ranges) {
+    const rows = await providers.transfers[method](walletAddress, chainConfig.id, Number.isFinite(maxRows) ? { ...range, maxRows } : range);
+    truncated = truncated || rows.length >= maxRows;
+    for (const tx of rows) {
+      if (!known.has(historyRowId(tx))) {
+        known.add(historyRowId(tx));
+        history.rows.push(tx);
+        fetched += 1;
+      }
+    }
   }
+  log.info("Synced history", { chain: chainConfig.id, kind, fetched, stored: history.rows.length });
+
+  history.rows.sort((a, b) => parseInt(b.blockNumber) - parseInt(a.blockNumber));
+  const newestBlock = history.rows.length > 0 ? parseInt(history.rows[0].blockNumber) : startBlock;
+  history.syncedFromBlock = Math.min(history.syncedFromBlock ?? startBlock, startBlock);
+  history.lastSyncedBlock = Math.max(history.lastSyncedBlock ?? newestBlock, newestBlock);
+  record.history[kind] = history;
+  return truncated;
 }
 
-async function runApp(walletAddress) {
-  try {
-    const address = walletAddress.trim().toLowerCase();
-    const chain = EvmChain.ETHEREUM;
+// Brings every stored history kind of a wallet up to date and returns the stored record.
+// `startBlocks` reaches further back for some kinds, by kind.
+async function syncTransfers(walletAddress, chainConfig, providers, store, startBlock, startBlocks = {}) {
+  return store.update(chainConfig.id, walletAddress, async record => {
+    for (const kind of Object.keys(HISTORY_KINDS)) {
+      await syncHistory(kind, record, walletAddress, chainConfig, providers, Math.min(startBlock, startBlocks[kind] ?? startBlock));
+    }
+    return record;
+  });
+}
 
-    console.log("Fetching token balances...");
+// The transfer history of an address along a trace: the kinds the trace reads, at most
+// `maxRows` rows of each. A busier address (an exchange, a router) is not crawled further and
+// nothing is stored for it; the result is null then.
+async function syncTraceHistory(address, chainConfig, providers, store, startBlock, maxRows) {
+  let truncated = false;
+  const record = await store.update(chainConfig.id, address, async stored => {
+    const record = structuredClone(stored);
+    for (const kind of TRACE_HISTORY_KINDS) {
+      if (await syncHistory(kind, record, address, chainConfig, providers, startBlock, HISTORY_KINDS[kind], maxRows)) {
+        truncated = true;
+        return stored;
+      }
+    }
+    return record;
+  });
+  return truncated ? null : record;
+}
 
-    const response = await Moralis.EvmApi.token.getWalletTokenBalances({
-      address,
-      chain,
-    });
+// Approval logs are only fetched for an audit, and always from the first block: an allowance
+// given years ago is still open today.
+async function syncApprovals(walletAddress, chainConfig, providers, store) {
+  if (!providers.transfers.getApprovalLogs) {
+    throw new Error(`The transfer provider cannot list approval logs on ${chainConfig.name}`);
+  }
+  return store.update(chainConfig.id, walletAddress, async record => {
+    await syncHistory("approvals", record, walletAddress, chainConfig, providers, 0, "getApprovalLogs");
+    return record;
+  });
+}
 
-    console.log("Processing token data...");
+function historyRows(record, kind) {
+  return record.history[kind]?.rows || [];
+}
 
-    const tokenData = response.toJSON().map((token) => ({
-      name: token.name || "Unknown Token",
-      balance: parseFloat(token.balance) / Math.pow(10, token.decimals),
-      percentage_of_total_supply: token.percentage_relative_to_total_supply || 0,
-      security_score: token.security_score || "Not Available", 
-    }));
+// Token, native and internal transfers of the stored history in the one transfer model, newest first.
+function normalizeHistory(record, walletAddress, chainConfig) {
+  return [
+    ...historyRows(record, "tokentx").map(tx => normalizeTokenTransfer(tx, walletAddress, chainConfig)),
+    ...historyRows(record, "txlist").map(tx => normalizeNativeTransfer(tx, walletAddress, chainConfig, "native")),
+    ...historyRows(record, "txlistinternal").map(tx => normalizeNativeTransfer(tx, walletAddress, chainConfig, "internal")),
+  ]
+    .filter(Boolean)
+    .sort((a, b) => Date.parse(b.timestamp) - Date.parse(a.timestamp));
+}
 
-    
+function normalizeNftHistory(record, walletAddress, chainConfig) {
+  return [
+    ...historyRows(record, "tokennfttx").map(tx => normalizeNftTransfer(tx, walletAddress, chainConfig, "ERC-721")),
+    ...historyRows(record, "token1155tx").map(tx => normalizeNftTransfer(tx, walletAddress, chainConfig, "ERC-1155")),
+  ];
+}
 
-    const outputPath = "./tokens.json"; 
-    fs.writeFileSync(outputPath, JSON.stringify(tokenData, null, 2));
-    console.log(`Token data saved to ${outputPath}!`);
+function inTimeWindow(timeWindow) {
+  const from = timeWindow.from ? timeWindow.from.getTime() : 0;
+  const to = timeWindow.to.getTime();
+  return item => {
+    const time = item.timeStamp ? parseInt(item.timeStamp) * 1000 : Date.parse(item.timestamp);
+    return time >= from && time <= to;
+  };
+}
 
-    return tokenData;
-  } catch (error) {
-    console.error("Error fetching or processing token balances:", error);
-    return [];
+// Sets `risk` on every held token (the native token excepted) from its stored transfers,
+// price and holder count.
+async function assessHoldings(walletAddress, chainConfig, providers, holdings, transfers, transactions) {
+  const sentHashes = new Set(transactions.filter(tx => tx.from.toLowerCase() === walletAddress).map(tx => tx.hash));
+  for (const holding of holdings) {
+    if (holding.native) {
+      continue;
+    }
+    const contract = holding.contractAddress.toLowerCase();
+    const holderCount = providers.balances.getTokenHolderCount
+      ? await providers.balances.getTokenHolderCount(contract, chainConfig.id)
+      : null;
+    holding.risk = assessTokenRisk(chainConfig.id, holding, {
+      transfers: transfers.filter(tx => tx.contractAddress.toLowerCase() === contract),
+      sentHashes,
+      holderCount,
+    });
   }
 }
 
-async function summarizeTokenTransactions(walletAddress) {
-  try {
-    // Normalize wallet address
-    walletAddress = walletAddress.trim().toLowerCase();
-    
-    if (!walletAddress || !/^0x[a-fA-F0-9]{40}$/.test(walletAddress)) {
-      throw new Error("Invalid Ethereum address format: " + walletAddress);
+// Symbol, name and decimals of the approved tokens: from the stored transfers where the wallet
+// moved the token, from the balance provider for the others.
+async function approvedTokenMetadata(record, contracts, chainConfig, providers) {
+  const tokens = new Map();
+  for (const tx of [...historyRows(record, "tokentx"), ...historyRows(record, "tokennfttx"), ...historyRows(record, "token1155tx")]) {
+    const contract = tx.contractAddress.toLowerCase();
+    if (contracts.has(contract) && !tokens.has(contract)) {
+      const decimals = parseInt(tx.tokenDecimal);
+      tokens.set(contract, { symbol: tx.tokenSymbol || null, name: tx.tokenName || null, decimals: Number.isNaN(decimals) ? null : decimals });
     }
+  }
+
+  const missing = [...contracts].filter(contract => !tokens.has(contract));
+  if (missing.length > 0 && providers.balances.getTokenMetadata) {
+    try {
+      for (const token of await providers.balances.getTokenMetadata(missing, chainConfig.id)) {
+        const decimals = parseInt(token.decimals);
+        tokens.set(token.address.toLowerCase(), { symbol: token.symbol || null, name: token.name || null, decimals: Number.isNaN(decimals) ? null : decimals });
+      }
+    } catch (error) {
+      log.error("Error fetching token metadata", { chain: chainConfig.id, error });
+    }
+  }
+  return tokens;
+}
 
-    const apiKey = apiKeys[apiIndex];
-    apiIndex = (apiIndex + 1) % apiKeys.length; 
+// Open approvals of the wallet on one network. `holdings` value what each spender can take.
+async function auditChainApprovals(walletAddress, chainConfig, { providers, store, labels, holdings }) {
+  const record = await syncApprovals(walletAddress, chainConfig, providers, store);
+  const open = findOpenApprovals(historyRows(record, "approvals"), walletAddress);
+  const tokens = await approvedTokenMetadata(record, new Set(open.map(a => a.contractAddress)), chainConfig, providers);
+
+  // A spender the explorer cannot tell about is left unflagged rather than failing the audit.
+  const contracts = new Map();
+  for (const spender of new Set(open.map(a => a.spender))) {
+    try {
+      contracts.set(spender, providers.transfers.getContractInfo ? await providers.transfers.getContractInfo(chainConfig.id, spender) : null);
+    } catch (error) {
+      log.error("Error checking spender", { chain: chainConfig.id, spender, error });
+      contracts.set(spender, null);
+    }
+  }
 
-    const etherscanUrl = `https://api.etherscan.io/api?module=account&action=tokentx&address=${walletAddress}&page=1&offset=50&sort=desc&apikey=${apiKey}`;
-    console.log(etherscanUrl);
-    const overviewURL = `https://platform.spotonchain.ai/en/profile?address=${walletAddress}`;
+  return buildApprovalAudit(open, { chain: chainConfig.id, labels, tokens, contracts, holdings });
+}
 
-    const response = await axios.get(etherscanUrl, {
-      timeout: 10000,
-      headers: { 'Accept': 'application/json' }
-    });
+async function collectChainActivity(walletAddress, chainConfig, { providers, store, labels, timeWindow, spamMode, now, approvals }) {
+  const blockRange = await resolveBlockRange(timeWindow, chainConfig.id, providers.transfers);
+  const record = await syncTransfers(walletAddress, chainConfig, providers, store, blockRange.startBlock);
+
+  // Block lookups are to the nearest block, so the timestamps decide what is inside the window.
+  const inWindow = inTimeWindow(timeWindow);
+  const storedTransfers = normalizeHistory(record, walletAddress, chainConfig);
+  const windowTransfers = tagTransfers(storedTransfers.filter(inWindow), labels);
+  const simplifiedTx = windowTransfers.filter(tx => tx.source === "token");
+  const nativeTransfers = windowTransfers.filter(tx => tx.source !== "token");
+  const windowTransactions = historyRows(record, "txlist").filter(inWindow);
+  const gas = gasSpent(windowTransactions, walletAddress, chainConfig);
+  // Trades include legs of tokens the wallet no longer holds.
+  const tradeLegs = findTradeLegs(windowTransfers);
+  // Payments are matched against every transfer in the window, held token or not.
+  const nftActivity = classifyNftActivity(normalizeNftHistory(record, walletAddress, chainConfig).filter(inWindow), windowTransfers);
+
+  const tokenData = await runApp(walletAddress, chainConfig.id, providers);
+  const nftHoldings = await runNftHoldings(walletAddress, chainConfig, providers);
+
+  // Only transfers of tokens still held are reported, matched on the contract address.
+  const heldContracts = new Set(tokenData.map(t => t.contractAddress.toLowerCase()));
+  const filteredTransactions = [...simplifiedTx.filter(tx => heldContracts.has(tx.contractAddress.toLowerCase())), ...nativeTransfers]
+    .sort((a, b) => Date.parse(b.timestamp) - Date.parse(a.timestamp));
+
+  // The exports list every transfer in the window, so all of them are priced.
+  if (providers.prices) {
+    await priceHoldings(tokenData, chainConfig.id, providers.prices);
+    await priceTransfers(windowTransfers, chainConfig.id, providers.prices);
+  }
+  const trades = buildTrades(tradeLegs, windowTransactions, walletAddress, labels);
+
+  await assessHoldings(walletAddress, chainConfig, providers, tokenData, storedTransfers, historyRows(record, "txlist"));
+  const screened = applySpamMode(tokenData, filteredTransactions, spamMode);
+  const exported = applySpamMode(tokenData, [...windowTransfers].sort((a, b) => Date.parse(b.timestamp) - Date.parse(a.timestamp)), spamMode);
+
+  // The replay runs back from today's balances, so it takes the transfers after the window too.
+  // The window's transfers are the same objects as the stored ones and keep their prices.
+  const replayed = storedTransfers.filter(tx => !timeWindow.from || Date.parse(tx.timestamp) >= timeWindow.from.getTime());
+  const timeline = buildBalanceTimeline(screened.holdings, replayed, {
+    from: timeWindow.from,
+    to: timeWindow.to,
+    balancesAt: now,
+    fees: gasPayments(historyRows(record, "txlist"), walletAddress, chainConfig),
+  });
+
+  log.debug("Scanned network", {
+    chain: chainConfig.id,
+    holdings: tokenData.length,
+    transfers: filteredTransactions.length,
+    trades: trades.length,
+  });
+
+  return {
+    chain: chainConfig.id,
+    network: chainConfig.name,
+    nativeToken: chainConfig.nativeToken.symbol,
+    blockRange,
+    holdings: screened.holdings,
+    transactions: screened.transfers,
+    windowTransfers: exported.transfers,
+    flaggedTokens: screened.flaggedTokens,
+    hiddenTokens: screened.hiddenTokens,
+    gas,
+    trades,
+    nfts: buildNftSection(nftHoldings, nftActivity),
+    timeline,
+    ...(approvals ? { approvals: await auditChainApprovals(walletAddress, chainConfig, { providers, store, labels, holdings: tokenData }) } : {}),
+  };
+}
 
-    if (response.data.status !== "1" || response.data.message === "NOTOK") {
-      throw new Error(`Etherscan API error: ${response.data.result || response.data.message}`);
+/**
+ * Open token approvals of a wallet, rebuilt from its approval logs: ERC-20 allowances with
+ * their amounts and NFT operator approvals, with labelled spenders and flags on spenders that
+ * are known malicious or not verified contracts.
+ *
+ * @param {string} walletAddress
+ * @param {string} [chain] - A network or "all"
+ * @param {{providers?: Object, store?: Object, labels?: Object, now?: Date}} [options]
+ * @returns {Promise<{walletAddress: string, generatedAt: string, networks: {chain: string, network: string, approvals?: import("./approvals.js").ApprovalAudit, error?: string}[]}>}
+ */
+async function auditApprovals(walletAddress, chain = DEFAULT_CHAIN, options = {}) {
+  const { now = new Date() } = options;
+  const address = parseHexAddress(walletAddress);
+  const chains = resolveChains(chain);
+  const providers = options.providers || getDefaultProviders();
+  const store = options.store || getDefaultStore();
+  const labels = options.labels || getDefaultLabelRegistry();
+
+  const networks = [];
+  for (const chainConfig of chains) {
+    try {
+      const holdings = await runApp(address, chainConfig.id, providers);
+      if (providers.prices) {
+        await priceHoldings(holdings, chainConfig.id, providers.prices);
+      }
+      const approvals = await auditChainApprovals(address, chainConfig, { providers, store, labels, holdings });
+      networks.push({ chain: chainConfig.id, network: chainConfig.name, approvals });
+    } catch (error) {
+      if (chains.length === 1) {
+        throw error;
+      }
+      log.error("Error auditing approvals", { chain: chainConfig.id, error });
+      networks.push({ chain: chainConfig.id, network: chainConfig.name, error: error.message });
     }
+  }
+  return { walletAddress: address, generatedAt: now.toISOString(), networks };
+}
 
-    const transactions = response.data.result;
-    if (!transactions || transactions.length === 0) {
-      return { chatGPTResponse: "No recent token transactions found.", overviewURL };
+/**
+ * Traces where a wallet's funds came from and who it deals with: breadth first from the wallet,
+ * each expanded address adds its first funders and its top counterparties by volume, up to
+ * `depth` hops and `fanOut` of each. Labelled addresses and verified contracts are added but
+ * not expanded, and so are addresses with more than `maxRows` transfers of one kind. The
+ * transfer history of every expanded wallet is synced into the store.
+ *
+ * @param {string} walletAddress
+ * @param {string} [chain] - One network
+ * @param {Object} [options]
+ * @param {number} [options.depth] - Hops to follow, 1 to MAX_TRACE_DEPTH
+ * @param {number} [options.fanOut] - Funders and counterparties followed per address, 1 to MAX_FAN_OUT
+ * @param {number} [options.maxRows] - Rows per history kind fetched for each address but the traced wallet, MAX_TRACE_ROWS by default
+ * @param {string} [options.window] - Period of the transfers considered, "all" by default; or `from`/`to`
+ * @returns {Promise<import("./graph.js").AddressGraph>}
+ */
+async function traceWallet(walletAddress, chain = DEFAULT_CHAIN, options = {}) {
+  const { depth = DEFAULT_TRACE_DEPTH, fanOut = DEFAULT_FAN_OUT, maxRows = MAX_TRACE_ROWS, window = "all", from, to, now = new Date() } = options;
+  const root = parseHexAddress(walletAddress);
+  if (!Number.isInteger(depth) || depth < 1 || depth > MAX_TRACE_DEPTH) {
+    throw new Error(`Invalid depth ${depth}. Expected 1 to ${MAX_TRACE_DEPTH}`);
+  }
+  if (!Number.isInteger(fanOut) || fanOut < 1 || fanOut > MAX_FAN_OUT) {
+    throw new Error(`Invalid fan-out ${fanOut}. Expected 1 to ${MAX_FAN_OUT}`);
+  }
+  const chainConfig = getChain(chain);
+  const timeWindow = parseTimeWindow({ window, from, to }, now);
+  const providers = options.providers || getDefaultProviders();
+  const store = options.store || getDefaultStore();
+  const labels = options.labels || getDefaultLabelRegistry();
+
+  const blockRange = await resolveBlockRange(timeWindow, chainConfig.id, providers.transfers);
+  const inWindow = inTimeWindow(timeWindow);
+  const graph = createGraph(root, chainConfig.id, {
+    depth,
+    fanOut,
+    window: { from: timeWindow.from ? timeWindow.from.toISOString() : null, to: timeWindow.to.toISOString(), label: timeWindow.label },
+  });
+  addNode(graph, root, { depth: 0, role: "root", label: labels.lookup(root, chainConfig.id) });
+
+  // One current price per token, shared by every wallet of the trace.
+  const prices = new Map();
+  async function value(transfers) {
+    for (const tx of transfers) {
+      const contract = tx.contractAddress.toLowerCase();
+      if (!prices.has(contract)) {
+        prices.set(contract, providers.prices ? await providers.prices.getPrice(chainConfig.id, contract) : null);
+      }
+      const price = prices.get(contract);
+      tx.usdValue = price === null ? null : roundUsd(tx.amount * price);
     }
+    return transfers;
+  }
 
-    const simplifiedTx = transactions.slice(0, 10).map(tx => ({
-      flow: tx.from.toLowerCase() === walletAddress ? 'outflow' : 'inflow',
-      tokenName: tx.tokenName,
-      amount: parseFloat(tx.value) / Math.pow(10, parseInt(tx.tokenDecimal)), // Convert token amount
-      timestamp: new Date(parseInt(tx.timeStamp) * 1000).toLocaleString(),
-      transactionHash: tx.hash,
-      contractAddress: tx.contractAddress
-    }));
-    
+  // Whether an address is a verified contract, which ends the path like a label does. The
+  // traced wallet itself is always expanded.
+  async function isKnownContract(node) {
+    if (node.address === root || !providers.transfers.getContractInfo) {
+      return false;
+    }
+    try {
+      const info = await providers.transfers.getContractInfo(chainConfig.id, node.address);
+      node.contract = info?.verified ? info.name || "verified contract" : null;
+    } catch (error) {
+      log.error("Error checking contract", { chain: chainConfig.id, address: node.address, error });
+    }
+    return node.contract !== null;
+  }
 
-    const updatedTransaction = [];
-    for (const tx of simplifiedTx) {
-      const balance = await getTokenBalance(walletAddress, tx.contractAddress);
-      if (balance !== '0') {
-        updatedTransaction.push(tx);
+  const expanded = [];
+  let frontier = [root];
+  for (let hop = 0; hop < depth && frontier.length > 0; hop++) {
+    const next = [];
+    for (const address of frontier) {
+      const node = graph.nodes.find(n => n.address === address);
+      if (node.expanded || node.label || await isKnownContract(node)) {
+        continue;
+      }
+      // The traced wallet is synced in full, like an analysed one.
+      const record = await syncTraceHistory(address, chainConfig, providers, store, blockRange.startBlock, address === root ? Infinity : maxRows);
+      if (!record) {
+        node.truncated = true;
+        continue;
       }
+      const transfers = await value(normalizeHistory(record, address, chainConfig).filter(inWindow));
+      const funding = findFundingTransfers(transfers, fanOut);
+      const top = rankCounterparties(transfers).slice(0, fanOut);
+
+      for (const [counterparty, role] of [...funding.map(tx => [tx.counterparty, "funder"]), ...top.map(c => [c.address, "counterparty"])]) {
+        const isNew = !graph.nodes.some(n => n.address === counterparty);
+        addNode(graph, counterparty, { depth: hop + 1, role, label: labels.lookup(counterparty, chainConfig.id) });
+        if (isNew) {
+          next.push(counterparty);
+        }
+      }
+      node.expanded = true;
+      node.fundedBy = funding.map(tx => ({ from: tx.counterparty, timestamp: tx.timestamp, amount: tx.amount, tokenSymbol: tx.tokenSymbol, transactionHash: tx.transactionHash }));
+      expanded.push({ address, transfers, funding });
     }
+    frontier = next;
+  }
 
-    const tokenData = await runApp(walletAddress);
+  // Edges are added once every address is known, so they also link addresses found later on.
+  const seen = new Set();
+  for (const { address, transfers, funding } of expanded) {
+    addTransferEdges(graph, address, transfers, { funding, seen });
+  }
+  return graph;
+}
 
-    // Ensure that only tokens in both transactions & holdings are included
-    const heldTokens = new Set(tokenData.map(t => t.name));
-    const filteredTransactions = updatedTransaction.filter(tx => heldTokens.has(tx.tokenName));
+/**
+ * Transfers and trades of a wallet after `sinceBlock`, for the watchlist monitor. Without a
+ * `sinceBlock` nothing is reported yet: the current block becomes the starting point.
+ *
+ * @param {string} walletAddress
+ * @param {string} chain
+ * @param {Object} options
+ * @param {number|null} options.sinceBlock - Last block already looked at
+ * @returns {Promise<{chain: string, network: string, lastBlock: number, transfers: Object[], trades: Object[], knownContracts: Set<string>}>}
+ *   `knownContracts` are the tokens the wallet moved up to `sinceBlock`, since its first token transfer
+ */
+async function collectNewActivity(walletAddress, chain, options = {}) {
+  const { sinceBlock = null, now = new Date() } = options;
+  const providers = options.providers || getDefaultProviders();
+  const store = options.store || getDefaultStore();
+  const labels = options.labels || getDefaultLabelRegistry();
+  const address = walletAddress.toLowerCase();
+  const chainConfig = getChain(chain);
+
+  const startBlock = sinceBlock ?? await providers.transfers.getBlockNumberByTime(chainConfig.id, Math.floor(now.getTime() / 1000), "before");
+  // A token is only new if the wallet never had it, so the token history is kept from the
+  // first block; it is fetched on the first check and only extended after that.
+  const record = await syncTransfers(address, chainConfig, providers, store, startBlock, { tokentx: 0 });
+  const stored = normalizeHistory(record, address, chainConfig);
+  const lastBlock = stored.reduce((max, tx) => Math.max(max, tx.blockNumber), startBlock);
+  const activity = { chain: chainConfig.id, network: chainConfig.name, lastBlock, transfers: [], trades: [], knownContracts: new Set() };
+  if (sinceBlock === null) {
+    return activity;
+  }
 
-    const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-    console.log("Token Holding ", JSON.stringify(tokenData, null, 2));
-    console.log("Updated token transactions: ", updatedTransaction)
+  activity.transfers = tagTransfers(stored.filter(tx => tx.blockNumber > sinceBlock), labels);
+  activity.knownContracts = new Set(stored.filter(tx => tx.blockNumber <= sinceBlock).map(tx => tx.contractAddress.toLowerCase()));
+  if (providers.prices) {
+    await priceTransfers(activity.transfers, chainConfig.id, providers.prices);
+  }
+  const transactions = historyRows(record, "txlist").filter(tx => parseInt(tx.blockNumber) > sinceBlock);
+  activity.trades = buildTrades(findTradeLegs(activity.transfers), transactions, address, labels);
+  return activity;
+}
 
-    const gptResponse = await openai.chat.completions.create({
-      model: "gpt-4o-mini",
-      messages: [
-        {
-          role: "system",
-          content: "Summarize token transactions: 1) Current token holdings all of them pls 2) Tokens bought/sold in last 1/3/7 days. Point out token outflow inflow including amount"
-        },
-        {
-          role: "user",
-          content: `Transactions: ${JSON.stringify(filteredTransactions, null, 2)}\nToken Data: ${JSON.stringify(tokenData, null, 2)}`
-        }
-      ],
-      max_tokens: 500,
-      temperature: 0.3
+/**
+ * What the store holds on a wallet, read without fetching anything: every stored transfer
+ * (tagged, newest first) and the holdings of the latest balance snapshot, per chain. Used to
+ * answer follow-up questions without a new scan.
+ *
+ * @param {string} walletAddress
+ * @param {string} [chain] - A network or "all"
+ * @param {{store?: Object, labels?: Object}} [options]
+ * @returns {Promise<{chain: string, network: string, lastSyncedBlock: number|null, transfers: Object[], holdings: Object[], holdingsAt: string|null}[]>}
+ *   Only chains with stored data
+ */
+async function loadStoredActivity(walletAddress, chain = DEFAULT_CHAIN, options = {}) {
+  const store = options.store || getDefaultStore();
+  const labels = options.labels || getDefaultLabelRegistry();
+  const address = walletAddress.toLowerCase();
+
+  const activity = [];
+  for (const chainConfig of resolveChains(chain)) {
+    const record = await store.load(chainConfig.id, address);
+    const snapshot = record.balanceSnapshots[record.balanceSnapshots.length - 1];
+    if (Object.keys(record.history).length === 0 && !snapshot) {
+      continue;
+    }
+    activity.push({
+      chain: chainConfig.id,
+      network: chainConfig.name,
+      lastSyncedBlock: record.history.tokentx?.lastSyncedBlock ?? null,
+      transfers: tagTransfers(normalizeHistory(record, address, chainConfig), labels),
+      holdings: snapshot ? snapshot.holdings : [],
+      holdingsAt: snapshot ? snapshot.takenAt : null,
     });
+  }
+  return activity;
+}
 
-    console.log("GPT response: ", gptResponse.choices[0].message.content)
+// Saves the balance snapshot and report of every scanned network, and notes on each network
+// what changed since the report stored before this one.
+async function recordAnalysis(store, report) {
+  for (const network of report.networks) {
+    if (network.error) {
+      continue;
+    }
+    await store.update(network.chain, report.walletAddress, record => {
+      const previous = record.reports[record.reports.length - 1];
+      if (previous) {
+        const transfers = normalizeHistory(record, report.walletAddress, getChain(network.chain));
+        network.sinceLastReport = compareWithPreviousReport(previous, network, transfers);
+      }
+
+      record.balanceSnapshots.push({ takenAt: report.generatedAt, holdings: network.holdings });
+      record.balanceSnapshots = record.balanceSnapshots.slice(-MAX_BALANCE_SNAPSHOTS);
+      // The window's transfers are in the stored history already.
+      const { windowTransfers, ...stored } = network;
+      record.reports.push({ generatedAt: report.generatedAt, window: report.window, network: stored });
+      record.reports = record.reports.slice(-MAX_REPORTS);
+      return record;
+    });
+  }
+}
+
+async function summarizeTokenTransactions(walletAddress, chain = DEFAULT_CHAIN, options = {}) {
+  const { narrate = true, now = new Date(), window, from, to, spam: spamMode = DEFAULT_SPAM_MODE, style, approvals = false, social = true, socialMinUsd } = options;
+  try {
+    // Checksummed input is verified before the address is lowercased for the store
+    walletAddress = parseHexAddress(walletAddress);
+
+    if (!SPAM_MODES.includes(spamMode)) {
+      throw new Error(`Invalid spam mode "${spamMode}". Expected one of: ${SPAM_MODES.join(", ")}`);
+    }
+
+    if (style) {
+      getPromptTemplate(style);
+    }
+
+    const chains = resolveChains(chain);
+    const timeWindow = parseTimeWindow({ window, from, to }, now);
+    const providers = options.providers || getDefaultProviders();
+    const store = options.store || getDefaultStore();
+    const labels = options.labels || getDefaultLabelRegistry();
+    const overviewURL = `https://platform.spotonchain.ai/en/profile?address=${walletAddress}`;
+
+    // Networks are scanned one after another so the explorer keys are not hit in parallel.
+    // In "all chains" mode a failing network is reported instead of aborting the whole scan.
+    const networks = [];
+    for (const chainConfig of chains) {
+      try {
+        networks.push(await collectChainActivity(walletAddress, chainConfig, { providers, store, labels, timeWindow, spamMode, now, approvals }));
+      } catch (error) {
+        if (chains.length === 1) {
+          throw error;
+        }
+        log.error("Error scanning network", { chain: chainConfig.id, error });
+        networks.push({ chain: chainConfig.id, network: chainConfig.name, error: error.message, holdings: [], transactions: [] });
+      }
+    }
+
+    const primaryName = await lookupPrimaryName(providers.names, walletAddress);
+    const report = buildWalletReport(walletAddress, networks, timeWindow, now, { primaryName });
+    await recordAnalysis(store, report);
+    // Chatter changes by the minute, so it goes into the answer but not the stored report.
+    if (social && providers.social) {
+      for (const network of report.networks.filter(n => !n.error)) {
+        const chatter = await buildSocialContext(network, providers.social, { minUsd: socialMinUsd });
+        if (chatter.length > 0) {
+          network.social = chatter;
+        }
+      }
+    }
+    const activeNetworks = networks.filter(n =>
+      n.transactions.length > 0 || n.holdings.length > 0 || n.nfts?.activity.length > 0 || n.nfts?.holdings.length > 0
+    );
+    if (activeNetworks.length === 0) {
+      return { chatGPTResponse: `No token transactions found in the ${timeWindow.label}.`, overviewURL, chains: report.chains, report };
+    }
+
+    if (!narrate) {
+      return { chatGPTResponse: null, overviewURL, chains: report.chains, report };
+    }
+
+    const chatGPTResponse = await providers.summarizer.summarize(report, { style });
 
     return {
-      chatGPTResponse: gptResponse.choices[0].message.content,
-      overviewURL
+      chatGPTResponse,
+      overviewURL,
+      chains: report.chains,
+      report
     };
 
   } catch (error) {
-    if (error.response?.status === 429) {
-      throw new Error('Etherscan API rate limit reached. Please try again later.');
-    }
-    console.error("Error in summarizeTokenTransactions:", error);
+    log.error("Analysis failed", { wallet: walletAddress, chain, error });
     throw error;
   }
 }
-
-(async () => {
-  console.time("Total Execution Time");
-  try {
-    const result = await summarizeTokenTransactions("0x8db4ab33b7091d458f068a23a0be88cf6fcd00f6");
-    console.log(JSON.stringify(result, null, 2));
-  } catch (error) {
-    console.error(error);
-  }
-  console.timeEnd("Total Execution Time");
-})();
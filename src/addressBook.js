@@ -0,0 +1,93 @@
+import path from 'path';
+import { createFileListStore, createMemoryListStore } from "./store.js";
+import { isEnsName, isHexAddress, parseHexAddress } from "./addresses.js";
+
+// Named wallets per workspace ("Fund A hot wallet"), usable wherever an address is accepted.
+// Kept in one JSON file next to the wallet data, like the watchlist.
+//
+// Entry: { workspaceId, name, address, createdAt }
+
+export const MAX_NAME_LENGTH = 64;
+
+export function createFileAddressBookStore({
+  file = process.env.ADDRESS_BOOK_FILE || path.join(process.env.WALLET_DATA_DIR || ".walletdata", "addressbook.json"),
+} = {}) {
+  return createFileListStore(file);
+}
+
+export function createMemoryAddressBookStore() {
+  return createMemoryListStore();
+}
+
+let defaultAddressBookStore = null;
+
+export function getDefaultAddressBookStore() {
+  if (!defaultAddressBookStore) {
+    defaultAddressBookStore = createFileAddressBookStore();
+  }
+  return defaultAddressBookStore;
+}
+
+function sameName(a, b) {
+  return a.trim().toLowerCase() === b.trim().toLowerCase();
+}
+
+// Names that read as an address or an ENS name would be ambiguous, so they are refused.
+function validateName(name) {
+  const trimmed = (name || "").trim().replace(/\s+/g, " ");
+  if (!trimmed) {
+    throw new Error("An address book entry needs a name");
+  }
+  if (trimmed.length > MAX_NAME_LENGTH) {
+    throw new Error(`Address book names are at most ${MAX_NAME_LENGTH} characters`);
+  }
+  if (isHexAddress(trimmed) || isEnsName(trimmed)) {
+    throw new Error(`"${trimmed}" looks like an address or ENS name; pick a plain name`);
+  }
+  return trimmed;
+}
+
+/**
+ * Address book operations over a ListStore.
+ *
+ * @param {{store?: import("./store.js").ListStore, now?: () => Date}} [options]
+ */
+export function createAddressBook({ store = getDefaultAddressBookStore(), now = () => new Date() } = {}) {
+  // Saving a name that exists in the workspace points it at the new address.
+  async function save({ workspaceId, name, address }) {
+    if (workspaceId === undefined || workspaceId === null) {
+      throw new Error("An address book entry belongs to a workspace");
+    }
+    const entry = { workspaceId, name: validateName(name), address: parseHexAddress(address), createdAt: now().toISOString() };
+    await store.update(entries => [
+      ...entries.filter(e => !(e.workspaceId === workspaceId && sameName(e.name, entry.name))),
+      entry,
+    ]);
+    return entry;
+  }
+
+  async function list({ workspaceId }) {
+    return (await store.load()).filter(e => e.workspaceId === workspaceId);
+  }
+
+  async function lookup(workspaceId, name) {
+    return (await list({ workspaceId })).find(e => sameName(e.name, name)) || null;
+  }
+
+  async function remove(workspaceId, name) {
+    let removed = null;
+    await store.update(entries => entries.filter(e => {
+      if (e.workspaceId === workspaceId && sameName(e.name, name)) {
+        removed = e;
+        return false;
+      }
+      return true;
+    }));
+    if (!removed) {
+      throw new Error(`No address book entry named "${name}"`);
+    }
+    return removed;
+  }
+
+  return { save, list, lookup, remove };
+}
@@ -0,0 +1,173 @@
+import { getAddress } from "@ethersproject/address";
+import { InvalidAddressError } from "./errors.js";
+import { logger } from "./logger.js";
+
+// Wallets as users give them: a hex address, an ENS name ("vitalik.eth") or a name from the
+// workspace's address book ("Fund A hot wallet"). All of them resolve to the lowercase hex
+// address the store, the watchlist and the reports key wallets by.
+
+const HEX_ADDRESS = /^0x[a-fA-F0-9]{40}$/;
+const ENS_NAME = /^(?:[a-z0-9-]+\.)+eth$/i;
+
+// Addresses in free text; the lookarounds keep 32-byte transaction hashes out.
+const HEX_IN_TEXT = /(?<![a-zA-Z0-9])0x[a-fA-F0-9]{40}(?![a-fA-F0-9])/g;
+const ENS_IN_TEXT = /(?<![\w.-])(?:[a-z0-9-]+\.)+eth(?![\w-])/gi;
+
+export function isHexAddress(text) {
+  return HEX_ADDRESS.test((text || "").trim());
+}
+
+export function isEnsName(text) {
+  return ENS_NAME.test((text || "").trim());
+}
+
+/**
+ * Checks a hex address, including its EIP-55 checksum when it is written in mixed case.
+ * All-lowercase and all-uppercase addresses carry no checksum and are taken as they are.
+ *
+ * @param {string} input
+ * @returns {string} The address in lowercase
+ * @throws {InvalidAddressError}
+ */
+export function parseHexAddress(input) {
+  const text = (input || "").trim();
+  if (!HEX_ADDRESS.test(text)) {
+    throw new InvalidAddressError(`Invalid Ethereum address format: ${input}`, { input });
+  }
+  const digits = text.slice(2);
+  const mixedCase = digits !== digits.toLowerCase() && digits !== digits.toUpperCase();
+  if (mixedCase && getAddress(text.toLowerCase()) !== text) {
+    throw new InvalidAddressError(`Invalid EIP-55 checksum in address ${input}`, { input });
+  }
+  return text.toLowerCase();
+}
+
+// The mixed-case EIP-55 form, for display.
+export function toChecksumAddress(address) {
+  return getAddress(address.toLowerCase());
+}
+
+/**
+ * @typedef {Object} ResolvedWallet
+ * @property {string} input - What the user gave
+ * @property {string} address - Lowercase hex address
+ * @property {"address"|"ens"|"addressBook"} source
+ * @property {string|null} name - The ENS or address book name the wallet was given by
+ */
+
+/**
+ * The primary ENS name of an address, only when it resolves back to the same address.
+ * Null without a name provider, when there is no name, or when the lookup fails: a report
+ * never fails over its display name.
+ *
+ * @param {import("./providers/index.js").NameProvider|undefined} names
+ * @param {string} address
+ * @returns {Promise<string|null>}
+ */
+export async function lookupPrimaryName(names, address) {
+  if (!names) {
+    return null;
+  }
+  try {
+    const name = await names.lookupAddress(address);
+    if (!name) {
+      return null;
+    }
+    const resolved = await names.resolveName(name);
+    return resolved && resolved.toLowerCase() === address.toLowerCase() ? name : null;
+  } catch (error) {
+    logger.warn("No primary name", { module: "addresses", address, error });
+    return null;
+  }
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Resolves user input to wallets. `names` returns the name provider (called on each lookup so
+ * the default providers are only created when an ENS name comes up); `addressBook` supplies the
+ * workspace names.
+ *
+ * @param {{names?: () => import("./providers/index.js").NameProvider|undefined, addressBook?: ReturnType<typeof import("./addressBook.js").createAddressBook>}} [options]
+ */
+export function createAddressResolver({ names = () => undefined, addressBook } = {}) {
+  async function resolveEns(input) {
+    const provider = names();
+    if (!provider) {
+      throw new InvalidAddressError(`Cannot resolve "${input}": no ENS resolver is configured`, { input });
+    }
+    const name = input.toLowerCase();
+    const address = await provider.resolveName(name);
+    if (!address) {
+      throw new InvalidAddressError(`The ENS name "${input}" does not resolve to an address`, { input });
+    }
+    return { input, address: parseHexAddress(address), source: "ens", name };
+  }
+
+  /**
+   * @param {string} input - Hex address, ENS name or address book name
+   * @param {{workspaceId?: string|number}} [options] - The workspace whose address book applies
+   * @returns {Promise<ResolvedWallet>}
+   * @throws {InvalidAddressError} Also a ProviderError when the ENS lookup itself fails
+   */
+  async function resolve(input, { workspaceId } = {}) {
+    const text = (input || "").trim();
+    if (HEX_ADDRESS.test(text)) {
+      return { input: text, address: parseHexAddress(text), source: "address", name: null };
+    }
+    if (addressBook && workspaceId !== undefined && workspaceId !== null) {
+      const entry = await addressBook.lookup(workspaceId, text);
+      if (entry) {
+        return { input: text, address: entry.address, source: "addressBook", name: entry.name };
+      }
+    }
+    if (ENS_NAME.test(text)) {
+      return resolveEns(text);
+    }
+    const expected = addressBook ? "Ethereum address, ENS name or address book name" : "Ethereum address or ENS name";
+    throw new InvalidAddressError(`"${input}" is not a valid ${expected}`, { input });
+  }
+
+  /**
+   * Every wallet mentioned in a message or task: hex addresses, ENS names and address book
+   * names, in the order they appear and without repeats.
+   *
+   * @param {string} text
+   * @param {{workspaceId?: string|number}} [options]
+   * @returns {Promise<{wallets: ResolvedWallet[], failed: {input: string, message: string}[]}>}
+   */
+  async function findInText(text, { workspaceId } = {}) {
+    const source = text || "";
+    const mentions = [
+      ...[...source.matchAll(HEX_IN_TEXT)].map(match => ({ index: match.index, input: match[0] })),
+      ...[...source.matchAll(ENS_IN_TEXT)].map(match => ({ index: match.index, input: match[0] })),
+    ];
+    if (addressBook && workspaceId !== undefined && workspaceId !== null) {
+      for (const entry of await addressBook.list({ workspaceId })) {
+        const match = new RegExp(`(?<![\\w])${escapeRegExp(entry.name)}(?![\\w])`, "i").exec(source);
+        if (match) {
+          mentions.push({ index: match.index, input: entry.name });
+        }
+      }
+    }
+    mentions.sort((a, b) => a.index - b.index);
+
+    const wallets = [];
+    const failed = [];
+    for (const { input } of mentions) {
+      try {
+        const wallet = await resolve(input, { workspaceId });
+        if (!wallets.some(w => w.address === wallet.address)) {
+          wallets.push(wallet);
+        }
+      } catch (error) {
+        failed.push({ input, message: error.message });
+      }
+    }
+    return { wallets, failed };
+  }
+
+  return { resolve, findInText };
+}
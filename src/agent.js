@@ -0,0 +1,683 @@
+import { Agent } from '@openserv-labs/sdk';
+import { z } from 'zod';
+import { summarizeTokenTransactions, loadStoredActivity, auditApprovals, traceWallet } from './ETHWalletScanFunction.js';
+import { CHAINS, CHAIN_OPTIONS, DEFAULT_CHAIN, findChainInText } from './chains.js';
+import { DEFAULT_WINDOW, findTimeWindowInText, parseTimeWindow } from './timeWindow.js';
+import { describeValuation, formatUsd, priceTransfers } from './valuation.js';
+import { getDefaultProviders } from './providers/index.js';
+import { SPAM_MODES, DEFAULT_SPAM_MODE, findSpamModeInText } from './risk.js';
+import { findSummaryStyleInText } from './prompts.js';
+import { analyzeWallets, describeComparison, MAX_BATCH_SIZE } from './batch.js';
+import { createWatchlist, describeWatch, NOTIFY_MODES } from './watchlist.js';
+import { createWatchlistMonitor } from './monitor.js';
+import { createWorkspaceContext } from './context.js';
+import { analyzeWalletSchema, queryTransfersSchema, queryHoldingsSchema, auditApprovalsSchema, traceWalletSchema, postWhaleMoveSchema } from './schemas.js';
+import { filterTransfers, filterHoldings, describeTransferQuery, parseFollowUp } from './query.js';
+import { createAddressResolver } from './addresses.js';
+import { createAddressBook } from './addressBook.js';
+import { InvalidAddressError } from './errors.js';
+import { describeApprovals } from './approvals.js';
+import { describeTrace, renderGraph, GRAPH_FORMATS } from './graph.js';
+import { renderReportFiles } from './render.js';
+import { describeSocialContext, publishWhaleMove } from './social.js';
+import { logger } from './logger.js';
+import { withRun, newCorrelationId, getDefaultMetricsRegistry } from './telemetry.js';
+
+const log = logger.child({ module: 'agent' });
+
+// Tasks and chat messages ask for the raw report with wording like "as json" or "structured report".
+function wantsRawReport(text) {
+    return /\b(json|raw|structured)\b/i.test(text || '');
+}
+
+// "approvals", "allowances" or "revoke" in a message ask for the approval audit.
+function wantsApprovals(text) {
+    return /\b(approvals?|allowances?|revoke)\b/i.test(text || '');
+}
+
+// "who funded", "funding source", "trace" or "graph" in a message ask for the funding trace.
+function wantsTrace(text) {
+    return /\b(who funded|funding sources?|funded by|trace|graph)\b/i.test(text || '');
+}
+
+// The export format named in a message: "graphml", "dot" or "json".
+function findGraphFormatInText(text) {
+    return GRAPH_FORMATS.find(format => new RegExp(`\\b${format}\\b`, 'i').test(text || '')) || 'summary';
+}
+
+const WALLET_FORMAT_HINT = 'a 0x address (40 hexadecimal characters), an ENS name such as vitalik.eth or a name saved in the address book';
+
+// Wallets mentioned in a message that could not be resolved, one line each.
+function describeUnresolved(failed) {
+    return failed.map(f => `- ${f.message}`).join('\n');
+}
+
+function formatBatchOutput({ comparison }, rawReport) {
+    if (rawReport) {
+        return `Wallet Comparison (JSON):\n\n\`\`\`json\n${JSON.stringify(comparison, null, 2)}\n\`\`\``;
+    }
+    return `Wallet Comparison:\n\n${describeComparison(comparison)}`;
+}
+
+// The narrated summary followed by the computed USD and PnL figures, and the open approvals
+// and social chatter when the report includes them.
+function withValuation(result) {
+    return [result.chatGPTResponse, describeValuation(result.report), describeApprovals(result.report), describeSocialContext(result.report)].filter(Boolean).join('\n\n');
+}
+
+function formatTaskOutput(result, rawReport) {
+    if (rawReport) {
+        return `Wallet Report (JSON):\n\n\`\`\`json\n${JSON.stringify(result.report, null, 2)}\n\`\`\``;
+    }
+    return `Analysis Results:\n\n${withValuation(result)}\n\n🔗 [View Detailed Transactions](${result.overviewURL})`;
+}
+
+// Builds the wallet analysis agent. `providers` replaces the live Etherscan/Moralis/OpenAI
+// providers, `store` the on-disk wallet store, `labels` the counterparty label registry and
+// `watchlist` the on-disk watchlist (tests pass the fixture and in-memory ones); the remaining
+// options go to the OpenServ Agent. `agent.watchMonitor` polls the watchlist once started.
+// `context` remembers the last wallet of each workspace for follow-up questions, and
+// `addressBook` holds the wallet names of each workspace. Wherever a wallet is accepted it may
+// be an address, an ENS name or an address book name. `metrics` keeps the metrics of each task,
+// chat message and tool call.
+export function createAgent({ providers, store, labels, watchlist = createWatchlist(), context = createWorkspaceContext(), addressBook = createAddressBook(), metrics = getDefaultMetricsRegistry(), ...agentOptions } = {}) {
+    const agent = new Agent({
+        ...agentOptions,
+        systemPrompt: `You are an EVM wallet analysis agent specializing in token transaction analysis.
+Supported networks: ${Object.values(CHAINS).map(c => c.name).join(', ')}. Use "all" to scan every network at once.
+When asked to analyze a wallet or create a plan, follow these steps:
+1. If no ETH address is provided, ask the user for one
+2. Once address is provided, validate it's a proper ETH address (0x followed by 40 hex chars), an ENS name or a name from the workspace address book
+3. If valid, analyze the transactions
+4. If invalid, explain the proper format and ask again
+
+Always maintain context between messages and remember previously provided addresses.`
+    });
+
+    const resolver = createAddressResolver({ names: () => (providers || getDefaultProviders()).names, addressBook });
+
+    function resolveWallet(input, action) {
+        return resolver.resolve(input, { workspaceId: action?.workspace?.id });
+    }
+
+    agent.addCapability({
+        name: 'analyzeWallet',
+        description: 'Analyze token and NFT activity of an EVM wallet address on one network or across all supported networks',
+        schema: analyzeWalletSchema,
+        async run({ args, action }, messages) {
+            try {
+                let address;
+                try {
+                    address = (await resolveWallet(args.address, action)).address;
+                } catch (error) {
+                    if (error instanceof InvalidAddressError) {
+                        return `${error.message}. Please provide ${WALLET_FORMAT_HINT}.`;
+                    }
+                    throw error;
+                }
+
+                const scanOptions = { window: args.window, from: args.from, to: args.to, spam: args.spam, style: args.style, approvals: args.approvals };
+
+                if (args.format === 'json') {
+                    const result = await summarizeTokenTransactions(address, args.chain, { ...scanOptions, narrate: false, providers, store, labels });
+                    context.set(action?.workspace?.id, { walletAddress: address, chain: args.chain });
+                    return JSON.stringify(result.report, null, 2);
+                }
+
+                const result = await summarizeTokenTransactions(address, args.chain, { ...scanOptions, providers, store, labels });
+                context.set(action?.workspace?.id, { walletAddress: address, chain: args.chain });
+            
+                if (result.chatGPTResponse) {
+                    return `Analysis complete!\n\n${withValuation(result)}\n\nFor a detailed view, check: ${result.overviewURL}`;
+                } else {
+                    return 'No recent token transactions found for this address.';
+                }
+            } catch (error) {
+                if (error.message.includes('ETHERSCAN_API_KEY')) {
+                    return 'Internal configuration error. Please contact support.';
+                }
+                return `Error analyzing wallet: ${error.message}`;
+            }
+        }
+    });
+
+    agent.addCapability({
+        name: 'compareWallets',
+        description: 'Analyze a group of EVM wallets together: combined portfolio, shared tokens, transfers between them and shared counterparties',
+        schema: z.object({
+            addresses: z.array(z.string()).min(1).max(MAX_BATCH_SIZE).describe('The wallets to analyze and compare: addresses, ENS names or address book names'),
+            chain: z.enum(CHAIN_OPTIONS).default(DEFAULT_CHAIN).describe('The network to analyze, or "all" for every supported network'),
+            format: z.enum(['summary', 'json']).default('summary').describe('"summary" for the written comparison, "json" for the raw comparison object'),
+            window: z.string().optional().describe(`Period to analyze, such as "last 30 days", "7d" or "all". Defaults to "${DEFAULT_WINDOW}"`),
+            from: z.string().optional().describe('Explicit start date (YYYY-MM-DD or ISO timestamp); takes precedence over window'),
+            to: z.string().optional().describe('Explicit end date (YYYY-MM-DD or ISO timestamp); defaults to now'),
+            spam: z.enum(SPAM_MODES).default(DEFAULT_SPAM_MODE).describe('How likely spam/scam tokens are treated, as in analyzeWallet')
+        }),
+        async run({ args, action }) {
+            try {
+                const addresses = [];
+                for (const input of args.addresses) {
+                    addresses.push((await resolveWallet(input, action)).address);
+                }
+                const { comparison } = await analyzeWallets(addresses, args.chain, {
+                    window: args.window,
+                    from: args.from,
+                    to: args.to,
+                    spam: args.spam,
+                    providers,
+                    store,
+                    labels
+                });
+                if (args.format === 'json') {
+                    return JSON.stringify(comparison, null, 2);
+                }
+                return describeComparison(comparison);
+            } catch (error) {
+                return `Error comparing wallets: ${error.message}`;
+            }
+        }
+    });
+
+    agent.addCapability({
+        name: 'auditApprovals',
+        description: 'List the open token approvals (allowances) of a wallet, rebuilt from its approval logs: amounts including unlimited ones, labelled spenders, and flags on spenders that are known malicious or unverified contracts',
+        schema: auditApprovalsSchema,
+        async run({ args, action }) {
+            try {
+                const { address } = await resolveWallet(args.address, action);
+                const audit = await auditApprovals(address, args.chain, { providers, store, labels });
+                if (args.format === 'json') {
+                    return JSON.stringify(audit, null, 2);
+                }
+                return `Open approvals of ${address}:\n\n${describeApprovals(audit, { requested: true })}`;
+            } catch (error) {
+                return `Error auditing approvals: ${error.message}`;
+            }
+        }
+    });
+
+    agent.addCapability({
+        name: 'traceWallet',
+        description: 'Trace where a wallet\'s funds came from and who it deals with: follows the first funders and the top counterparties by volume a few hops out, stopping at known entities, and returns the address graph as a summary or as JSON, GraphML or DOT',
+        schema: traceWalletSchema,
+        async run({ args, action }) {
+            try {
+                const { address } = await resolveWallet(args.address, action);
+                const graph = await traceWallet(address, args.chain, { depth: args.depth, fanOut: args.fanOut, window: args.window, providers, store, labels });
+                if (args.format === 'summary') {
+                    return describeTrace(graph);
+                }
+                return renderGraph(graph, args.format);
+            } catch (error) {
+                return `Error tracing wallet: ${error.message}`;
+            }
+        }
+    });
+
+    // Drafts by default: publishing needs dryRun set to false and a publisher (X_ACCESS_TOKEN).
+    agent.addCapability({
+        name: 'postWhaleMove',
+        description: 'Draft a short "whale move" post or thread about the largest token moves of a wallet, with the social chatter about those tokens, and publish it on X when dryRun is false and publishing is configured',
+        schema: postWhaleMoveSchema,
+        async run({ args, action }) {
+            try {
+                const { address } = await resolveWallet(args.address, action);
+                const result = await summarizeTokenTransactions(address, args.chain, { window: args.window, narrate: false, socialMinUsd: args.minUsd, providers, store, labels });
+                const publisher = (providers || getDefaultProviders()).publisher;
+                const outcome = await publishWhaleMove(result, { publisher, dryRun: args.dryRun, thread: args.thread, minUsd: args.minUsd });
+                if (outcome.posts.length === 0) {
+                    return `No token moved in or out of ${address} for the threshold in the ${result.report.window.label}, so there is nothing to post.`;
+                }
+                const posts = outcome.posts.map((post, index) => `${outcome.posts.length > 1 ? `(${index + 1}/${outcome.posts.length}) ` : ''}${post}`).join('\n\n');
+                if (!outcome.dryRun) {
+                    return `Published on X:\n\n${posts}\n\n${outcome.urls.join('\n')}`;
+                }
+                const note = !args.dryRun && !publisher ? '\n\nNot published: set X_ACCESS_TOKEN to publish on X.' : '';
+                return `Draft (not published):\n\n${posts}${note}`;
+            } catch (error) {
+                return `Error posting whale move: ${error.message}`;
+            }
+        }
+    });
+
+    // The wallet a query is about: the given address, or the workspace's last analyzed wallet.
+    async function queryTarget(args, action) {
+        if (args.address) {
+            const { address } = await resolveWallet(args.address, action);
+            return { walletAddress: address, chain: args.chain || DEFAULT_CHAIN };
+        }
+        const current = context.get(action?.workspace?.id);
+        if (!current) {
+            throw new Error('No wallet has been analyzed in this workspace yet. Please provide an address.');
+        }
+        return { walletAddress: current.walletAddress, chain: args.chain || current.chain };
+    }
+
+    agent.addCapability({
+        name: 'queryTransfers',
+        description: 'Answer questions about the transfers of an analyzed wallet from stored data, without a new scan: filter by token, direction, date or counterparty. Defaults to the last wallet analyzed in this workspace',
+        schema: queryTransfersSchema,
+        async run({ args, action }) {
+            try {
+                const { walletAddress, chain } = await queryTarget(args, action);
+                const stored = await loadStoredActivity(walletAddress, chain, { store, labels });
+                if (stored.length === 0) {
+                    return `Nothing is stored for ${walletAddress} on ${chain} yet. Analyze the wallet first.`;
+                }
+                const period = args.window || args.from || args.to ? parseTimeWindow({ window: args.window, from: args.from, to: args.to }) : null;
+                const transfers = filterTransfers(
+                    stored.flatMap(s => s.transfers).sort((a, b) => Date.parse(b.timestamp) - Date.parse(a.timestamp)),
+                    { token: args.token, direction: args.direction, counterparty: args.counterparty, from: period?.from, to: period?.to }
+                );
+
+                // Only the listed transfers are priced; the store keeps them unvalued.
+                const prices = (providers || getDefaultProviders()).prices;
+                if (prices) {
+                    for (const { chain: id } of stored) {
+                        await priceTransfers(transfers.slice(0, args.limit).filter(tx => tx.chain === id), id, prices);
+                    }
+                }
+
+                const filters = [args.token, args.direction, period?.label, args.counterparty].filter(Boolean);
+                const synced = stored.map(s => `${s.network} up to block ${s.lastSyncedBlock}`).join(', ');
+                return `Stored transfers of ${walletAddress}${filters.length > 0 ? ` (${filters.join(', ')})` : ''}, synced on ${synced}:\n${describeTransferQuery(transfers, args.limit)}`;
+            } catch (error) {
+                return `Error querying transfers: ${error.message}`;
+            }
+        }
+    });
+
+    agent.addCapability({
+        name: 'queryHoldings',
+        description: 'Answer questions about what an analyzed wallet holds from its latest stored balances, without a new scan. Defaults to the last wallet analyzed in this workspace',
+        schema: queryHoldingsSchema,
+        async run({ args, action }) {
+            try {
+                const { walletAddress, chain } = await queryTarget(args, action);
+                const stored = (await loadStoredActivity(walletAddress, chain, { store, labels })).filter(s => s.holdingsAt);
+                if (stored.length === 0) {
+                    return `No balances are stored for ${walletAddress} on ${chain} yet. Analyze the wallet first.`;
+                }
+                const lines = [];
+                for (const { network, holdings, holdingsAt } of stored) {
+                    const held = filterHoldings(holdings, args.token);
+                    lines.push(`${network}, as of ${holdingsAt}:`);
+                    lines.push(...(held.length > 0
+                        ? held.map(h => `- ${Math.round(h.balance * 1e8) / 1e8} ${h.symbol}${h.usdValue === null || h.usdValue === undefined ? '' : ` (${formatUsd(h.usdValue)})`}`)
+                        : [`- no ${args.token || 'tokens'}`]));
+                }
+                return `Holdings of ${walletAddress}:\n${lines.join('\n')}`;
+            } catch (error) {
+                return `Error querying holdings: ${error.message}`;
+            }
+        }
+    });
+
+    // A follow-up question about the workspace's last wallet, read against the tokens and
+    // counterparties stored for it. Null when there is no wallet in context or no question.
+    async function findFollowUp(workspaceId, text) {
+        const current = context.get(workspaceId);
+        if (!current) {
+            return null;
+        }
+        const stored = await loadStoredActivity(current.walletAddress, current.chain, { store, labels });
+        const transfers = stored.flatMap(s => s.transfers);
+        const symbols = [...new Set([...transfers.map(tx => tx.tokenSymbol), ...stored.flatMap(s => s.holdings.map(h => h.symbol))].filter(Boolean))];
+        const counterparties = [...new Set(transfers.map(tx => tx.counterpartyLabel?.name).filter(Boolean))];
+        return parseFollowUp(text, { symbols, counterparties, findWindow: findTimeWindowInText });
+    }
+
+    agent.addCapability({
+        name: 'watchWallet',
+        description: 'Add a wallet to the watchlist and post an alert to this workspace when it moves more than a USD amount or buys a new token',
+        schema: z.object({
+            address: z.string().describe('The wallet to watch: address, ENS name or address book name'),
+            chain: z.enum(CHAIN_OPTIONS).default(DEFAULT_CHAIN).describe('The network to watch, or "all" for every supported network'),
+            outflowAboveUsd: z.number().nonnegative().optional().describe('Alert on any outflow worth at least this many USD, e.g. 100000'),
+            inflowAboveUsd: z.number().nonnegative().optional().describe('Alert on any inflow worth at least this many USD'),
+            newTokenBought: z.boolean().default(false).describe('Alert when the wallet swaps into a token it had not held before'),
+            notify: z.enum(NOTIFY_MODES).default('chat').describe('"chat" posts alerts as chat messages, "task" opens a follow-up analysis task')
+        }),
+        async run({ args, action }) {
+            try {
+                const { address } = await resolveWallet(args.address, action);
+                const watch = await watchlist.add({
+                    walletAddress: address,
+                    chain: args.chain,
+                    thresholds: { outflowUsd: args.outflowAboveUsd ?? null, inflowUsd: args.inflowAboveUsd ?? null, newToken: args.newTokenBought },
+                    workspaceId: action?.workspace?.id,
+                    agentId: action?.me?.id,
+                    notify: args.notify
+                });
+                return `Now watching ${watch.walletAddress}:\n${describeWatch(watch)}`;
+            } catch (error) {
+                return `Error adding the watch: ${error.message}`;
+            }
+        }
+    });
+
+    agent.addCapability({
+        name: 'listWatches',
+        description: 'List the wallets on the watchlist of this workspace with their thresholds and status',
+        schema: z.object({}),
+        async run({ action }) {
+            const watches = await watchlist.list({ workspaceId: action?.workspace?.id });
+            return watches.length > 0 ? `Watchlist:\n${watches.map(describeWatch).join('\n')}` : 'The watchlist is empty.';
+        }
+    });
+
+    const watchIdSchema = z.object({
+        id: z.string().describe('The watch id, as shown by listWatches')
+    });
+
+    // Only the watches of the calling workspace can be changed.
+    for (const [name, description, change, done] of [
+        ['pauseWatch', 'Pause the alerts of a watched wallet of this workspace', (id, scope) => watchlist.setPaused(id, true, scope), 'Paused'],
+        ['resumeWatch', 'Resume the alerts of a paused watch of this workspace', (id, scope) => watchlist.setPaused(id, false, scope), 'Resumed'],
+        ['removeWatch', 'Remove a wallet from the watchlist of this workspace', (id, scope) => watchlist.remove(id, scope), 'Removed']
+    ]) {
+        agent.addCapability({
+            name,
+            description,
+            schema: watchIdSchema,
+            async run({ args, action }) {
+                try {
+                    const watch = await change(args.id, { workspaceId: action?.workspace?.id });
+                    return `${done} watch ${watch.id} on ${watch.walletAddress}.`;
+                } catch (error) {
+                    return `Error: ${error.message}`;
+                }
+            }
+        });
+    }
+
+    agent.addCapability({
+        name: 'saveAddress',
+        description: 'Save a wallet in the address book of this workspace under a name, such as "Fund A hot wallet", so the name can be used wherever an address is accepted',
+        schema: z.object({
+            name: z.string().describe('The name to save the wallet under'),
+            address: z.string().describe('The wallet: an address or an ENS name')
+        }),
+        async run({ args, action }) {
+            try {
+                const wallet = await resolveWallet(args.address, action);
+                const entry = await addressBook.save({ workspaceId: action?.workspace?.id, name: args.name, address: wallet.address });
+                return `Saved "${entry.name}" as ${entry.address}${wallet.source === 'ens' ? ` (${wallet.name})` : ''}.`;
+            } catch (error) {
+                return `Error saving the address: ${error.message}`;
+            }
+        }
+    });
+
+    agent.addCapability({
+        name: 'listAddresses',
+        description: 'List the named wallets in the address book of this workspace',
+        schema: z.object({}),
+        async run({ action }) {
+            const entries = await addressBook.list({ workspaceId: action?.workspace?.id });
+            return entries.length > 0
+                ? `Address book:\n${entries.map(e => `- ${e.name}: ${e.address}`).join('\n')}`
+                : 'The address book is empty.';
+        }
+    });
+
+    agent.addCapability({
+        name: 'removeAddress',
+        description: 'Remove a named wallet from the address book of this workspace',
+        schema: z.object({
+            name: z.string().describe('The name the wallet was saved under')
+        }),
+        async run({ args, action }) {
+            try {
+                const entry = await addressBook.remove(action?.workspace?.id, args.name);
+                return `Removed "${entry.name}" (${entry.address}) from the address book.`;
+            } catch (error) {
+                return `Error: ${error.message}`;
+            }
+        }
+    });
+
+    agent.watchMonitor = createWatchlistMonitor({ agent, watchlist, providers, store, labels });
+
+    // Uploads the Markdown report, the transfers CSV and the JSON report of each result to the
+    // workspace, attached to the task, and returns the links for the task output. A report that
+    // fails to render or upload is logged and left out, so the analysis is still delivered.
+    async function uploadReportFiles(workspaceId, taskId, results) {
+        const links = [];
+        for (const result of results) {
+            let files;
+            try {
+                files = renderReportFiles(result);
+            } catch (error) {
+                log.error('Error rendering report files', { walletAddress: result.report?.walletAddress, error });
+                continue;
+            }
+            for (const file of files) {
+                try {
+                    const { fullUrl } = await agent.uploadFile({ workspaceId, taskIds: [taskId], path: file.path, file: file.content, skipSummarizer: true });
+                    links.push(`- [${file.path.split('/').pop()}](${fullUrl})`);
+                } catch (error) {
+                    log.error('Error uploading report file', { path: file.path, error });
+                }
+            }
+        }
+        return links.length > 0 ? `\n\n📎 Report files:\n${links.join('\n')}` : '';
+    }
+
+    // Analyzes the addresses found in a task: one address gets the wallet report (with its open
+    // approvals when the task asks for them), several are analyzed as a batch and compared. The
+    // reports are uploaded as files of the task. `fallbackText` is the original task input when
+    // `text` is a human assistance response.
+    async function analyzeTaskAddresses(workspaceId, taskId, addresses, text, fallbackText = '') {
+        const rawReport = wantsRawReport(text) || wantsRawReport(fallbackText);
+        const scanOptions = {
+            window: findTimeWindowInText(text) || findTimeWindowInText(fallbackText),
+            spam: findSpamModeInText(text) || findSpamModeInText(fallbackText),
+            style: findSummaryStyleInText(text) || findSummaryStyleInText(fallbackText),
+            providers,
+            store,
+            labels
+        };
+        if (addresses.length > 1) {
+            const batch = await analyzeWallets(addresses, findChainInText(text), scanOptions);
+            return formatBatchOutput(batch, rawReport) + await uploadReportFiles(workspaceId, taskId, batch.reports.map(report => ({ report })));
+        }
+        const approvals = wantsApprovals(text) || wantsApprovals(fallbackText);
+        const result = await summarizeTokenTransactions(addresses[0], findChainInText(text), { ...scanOptions, approvals, narrate: !rawReport });
+        context.set(workspaceId, { walletAddress: addresses[0], chain: findChainInText(text) });
+        return formatTaskOutput(result, rawReport) + await uploadReportFiles(workspaceId, taskId, [result]);
+    }
+
+    agent.respondToChat = async function(action) {
+        const message = action.messages[action.messages.length - 1].message;
+        const lastMessage = message.toLowerCase();
+    
+        // Wallets are looked for in the message as written, so checksummed addresses keep their case.
+        const { wallets, failed } = await resolver.findInText(message, { workspaceId: action.workspace.id });
+        const addresses = wallets.map(w => w.address);
+        const followUp = addresses.length === 0 && failed.length === 0 ? await findFollowUp(action.workspace.id, lastMessage) : null;
+    
+        if (addresses.length === 1 && wantsTrace(lastMessage)) {
+            const { result } = await this.handleToolRoute({
+                params: { toolName: 'traceWallet' },
+                body: {
+                    // A trace runs on one network; "all chains" falls back to the default one.
+                    args: { address: addresses[0], chain: CHAINS[findChainInText(lastMessage)] ? findChainInText(lastMessage) : DEFAULT_CHAIN, window: findTimeWindowInText(lastMessage), format: findGraphFormatInText(lastMessage) },
+                    action,
+                    messages: action.messages
+                }
+            });
+            await this.sendChatMessage({
+                workspaceId: action.workspace.id,
+                agentId: action.me.id,
+                message: failed.length > 0 ? `Skipped:\n${describeUnresolved(failed)}\n\n${result}` : result
+            });
+        } else if (addresses.length === 1 && wantsApprovals(lastMessage)) {
+            const { result } = await this.handleToolRoute({
+                params: { toolName: 'auditApprovals' },
+                body: {
+                    args: { address: addresses[0], chain: findChainInText(lastMessage), format: wantsRawReport(lastMessage) ? 'json' : 'summary' },
+                    action,
+                    messages: action.messages
+                }
+            });
+            await this.sendChatMessage({
+                workspaceId: action.workspace.id,
+                agentId: action.me.id,
+                message: failed.length > 0 ? `Skipped:\n${describeUnresolved(failed)}\n\n${result}` : result
+            });
+        } else if (addresses.length > 0) {
+            const common = {
+                chain: findChainInText(lastMessage),
+                format: wantsRawReport(lastMessage) ? 'json' : 'summary',
+                window: findTimeWindowInText(lastMessage),
+                spam: findSpamModeInText(lastMessage),
+                style: findSummaryStyleInText(lastMessage)
+            };
+            const { result } = await this.handleToolRoute({
+                params: { toolName: addresses.length > 1 ? 'compareWallets' : 'analyzeWallet' },
+                body: { 
+                    args: addresses.length > 1 ? { ...common, addresses } : { ...common, address: addresses[0] },
+                    action,
+                    messages: action.messages
+                }
+            });
+            await this.sendChatMessage({
+                workspaceId: action.workspace.id,
+                agentId: action.me.id,
+                message: failed.length > 0 ? `Skipped:\n${describeUnresolved(failed)}\n\n${result}` : result
+            });
+        } else if (failed.length > 0) {
+            await this.sendChatMessage({
+                workspaceId: action.workspace.id,
+                agentId: action.me.id,
+                message: `I could not find the wallet:\n${describeUnresolved(failed)}\n\nPlease provide ${WALLET_FORMAT_HINT}.`
+            });
+        } else if (followUp) {
+            const { kind, from, to, ...filter } = followUp;
+            const { result } = await this.handleToolRoute({
+                params: { toolName: kind === 'holdings' ? 'queryHoldings' : 'queryTransfers' },
+                body: {
+                    args: { ...filter, ...(from ? { from: from.toISOString(), to: to.toISOString() } : {}) },
+                    action,
+                    messages: action.messages
+                }
+            });
+            await this.sendChatMessage({
+                workspaceId: action.workspace.id,
+                agentId: action.me.id,
+                message: result
+            });
+        } else if (lastMessage.includes('plan') || lastMessage.includes('analyze')) {
+            await this.sendChatMessage({
+                workspaceId: action.workspace.id,
+                agentId: action.me.id,
+                message: `I'll help you analyze Ethereum wallet transactions. Please provide the wallet you'd like to analyze: ${WALLET_FORMAT_HINT}.`
+            });
+        } else {
+            await this.sendChatMessage({
+                workspaceId: action.workspace.id,
+                agentId: action.me.id,
+                message: `I need a valid Ethereum wallet to analyze. Please provide ${WALLET_FORMAT_HINT}.`
+            });
+        }
+    };
+
+    agent.doTask = async function(action) {
+        const task = action.task;
+    
+        if (!task) {
+            log.warn('No task in the action', { type: action.type, workspaceId: action.workspace?.id });
+            return;
+        }
+    
+        log.info('Processing task');
+    
+        try {
+            await this.updateTaskStatus({
+                workspaceId: action.workspace.id,
+                taskId: task.id,
+                status: 'in-progress'
+            });
+
+            if (task.humanAssistanceRequests && task.humanAssistanceRequests.length > 0) {
+                const lastRequest = task.humanAssistanceRequests[task.humanAssistanceRequests.length - 1];
+                log.debug('Found human assistance response', {
+                    requestId: lastRequest?.id,
+                    status: lastRequest?.status,
+                    humanResponse: lastRequest?.humanResponse
+                });
+            
+                const responseText = lastRequest?.humanResponse;
+            
+                if (responseText) {
+                    const { wallets } = await resolver.findInText(responseText, { workspaceId: action.workspace.id });
+                    const addresses = wallets.map(w => w.address);
+                    log.debug('Addresses in the human assistance response', { addresses });
+                
+                    if (addresses.length > 0) {
+                        await this.completeTask({
+                            workspaceId: action.workspace.id,
+                            taskId: task.id,
+                            output: await analyzeTaskAddresses(action.workspace.id, task.id, addresses, responseText, task.input)
+                        });
+                        return;
+                    }
+                }
+            }
+
+            const { wallets, failed } = await resolver.findInText(task.input, { workspaceId: action.workspace.id });
+            const addresses = wallets.map(w => w.address);
+            log.debug('Addresses in the task input', { addresses, unresolved: failed.length });
+
+            if (addresses.length > 0) {
+                await this.completeTask({
+                    workspaceId: action.workspace.id,
+                    taskId: task.id,
+                    output: await analyzeTaskAddresses(action.workspace.id, task.id, addresses, task.input)
+                });
+            } else {
+                log.info('No wallet in the task, asking for one');
+                await this.requestHumanAssistance({
+                    workspaceId: action.workspace.id,
+                    taskId: task.id,
+                    type: 'text',
+                    question: `${failed.length > 0 ? `${describeUnresolved(failed)}\n\n` : ''}⚠️ I need a valid Ethereum wallet to proceed.\n\n💡 Please provide ${WALLET_FORMAT_HINT}.`,
+                    agentDump: {
+                        conversationHistory: action.messages,
+                        expectedFormat: "Ethereum address (0x followed by 40 hexadecimal characters), ENS name or address book name.",
+                        processResponse: true 
+                    }
+                });
+            }
+        } catch (error) {
+            log.error('Error processing task', { error });
+        
+            await this.markTaskAsErrored({
+                workspaceId: action.workspace.id,
+                taskId: task.id,
+                error: `Error: ${error.message}`
+            });
+        }
+    };
+
+    // Each task, chat message and tool call is one run: its log entries share a correlation ID
+    // made from the workspace and task, and its metrics are kept in `metrics`. Tool calls made
+    // while answering a chat message or task join that run.
+    const handlers = { doTask: agent.doTask, respondToChat: agent.respondToChat, handleToolRoute: agent.handleToolRoute };
+    agent.doTask = function(action) {
+        const workspaceId = action.workspace?.id;
+        const taskId = action.task?.id;
+        return withRun({ name: 'task', correlationId: newCorrelationId(`task-${workspaceId}-${taskId}`), workspaceId, taskId, registry: metrics }, () => handlers.doTask.call(this, action));
+    };
+    agent.respondToChat = function(action) {
+        const workspaceId = action.workspace?.id;
+        return withRun({ name: 'chat', correlationId: newCorrelationId(`chat-${workspaceId}`), workspaceId, registry: metrics }, () => handlers.respondToChat.call(this, action));
+    };
+    agent.handleToolRoute = function(req) {
+        const workspaceId = req.body?.action?.workspace?.id;
+        return withRun({ name: `tool ${req.params.toolName}`, correlationId: newCorrelationId(`tool-${workspaceId}`), workspaceId, registry: metrics }, () => handlers.handleToolRoute.call(this, req));
+    };
+
+    return agent;
+}
@@ -0,0 +1,424 @@
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import express from "express";
+import { z } from "zod";
+import { zodToJsonSchema } from "zod-to-json-schema";
+import { summarizeTokenTransactions, auditApprovals, traceWallet } from "./ETHWalletScanFunction.js";
+import { resolveChains } from "./chains.js";
+import { parseTimeWindow } from "./timeWindow.js";
+import { getDefaultProviders } from "./providers/index.js";
+import { getDefaultStore, MAX_REPORTS } from "./store.js";
+import { describeValuation } from "./valuation.js";
+import { filterTransfers, filterHoldings } from "./query.js";
+import { reportTransfers } from "./render.js";
+import { analyzeWalletSchema, queryTransfersSchema, queryHoldingsSchema, auditApprovalsSchema, traceWalletSchema } from "./schemas.js";
+import { GRAPH_FORMATS, renderGraph } from "./graph.js";
+import { ProviderError, InvalidAddressError } from "./errors.js";
+import { createAddressResolver } from "./addresses.js";
+import { logger } from "./logger.js";
+import { withRun, newCorrelationId, getDefaultMetricsRegistry } from "./telemetry.js";
+
+// REST API over the analysis engine, for dashboards and other services that do not go through
+// OpenServ. Every endpoint runs the same scan as the agent (incremental, from the wallet store)
+// and validates its parameters with the capability schemas. Errors always have the body
+// { error: { code, message, details? } }. Each wallet and tool request is one run: it takes
+// its correlation ID from the X-Correlation-Id header or gets a new one, answered in the same
+// header, and GET /metrics returns the metrics of the recent runs.
+
+export const API_VERSION = "1.0.0";
+
+const CORRELATION_HEADER = "X-Correlation-Id";
+const CORRELATION_ID = /^[\w.:-]{1,64}$/;
+
+// Query strings are text; numeric parameters are converted before the shared schema checks them.
+function numeric(schema) {
+  return z.preprocess(value => (value === undefined || value === "" ? undefined : Number(value)), schema);
+}
+
+// Booleans come as "true"/"false" in a query string and as JSON booleans in a body.
+function flag(schema) {
+  return z.preprocess(value => (value === "true" ? true : value === "false" ? false : value === "" ? undefined : value), schema);
+}
+
+const chainParam = analyzeWalletSchema.shape.chain;
+const spamParam = analyzeWalletSchema.shape.spam;
+
+const summaryQuery = analyzeWalletSchema.omit({ address: true, format: true }).extend({
+  approvals: flag(analyzeWalletSchema.shape.approvals),
+});
+
+const holdingsQuery = queryHoldingsSchema.omit({ address: true }).extend({ chain: chainParam, spam: spamParam });
+
+const transfersQuery = queryTransfersSchema.omit({ address: true }).extend({
+  chain: chainParam,
+  spam: spamParam,
+  limit: numeric(queryTransfersSchema.shape.limit),
+});
+
+const timelineQuery = summaryQuery.omit({ style: true, approvals: true }).extend({
+  token: queryHoldingsSchema.shape.token,
+});
+
+const approvalsQuery = auditApprovalsSchema.omit({ address: true, format: true });
+
+const graphQuery = traceWalletSchema.omit({ address: true }).extend({
+  depth: numeric(traceWalletSchema.shape.depth),
+  fanOut: numeric(traceWalletSchema.shape.fanOut),
+  format: z.enum(GRAPH_FORMATS).default("json").describe('"json" for the graph object, "graphml" or "dot" for graph tools'),
+});
+
+// Content types of the graph exports.
+const GRAPH_CONTENT_TYPES = {
+  json: "application/json",
+  graphml: "application/graphml+xml",
+  dot: "text/vnd.graphviz",
+};
+
+const reportsQuery = z.object({
+  chain: chainParam,
+  limit: numeric(z.number().int().min(1).max(MAX_REPORTS).default(MAX_REPORTS).describe("How many stored reports to return, newest first")),
+});
+
+class ApiError extends Error {
+  constructor(status, code, message, details) {
+    super(message);
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+// The time window is checked against the app's clock, the one the analysis runs with.
+function parseParams(schema, values, now) {
+  const parsed = schema.safeParse(values);
+  if (!parsed.success) {
+    const details = parsed.error.issues.map(issue => ({ path: issue.path.join("."), message: issue.message }));
+    throw new ApiError(400, "invalid_request", "Invalid request parameters", details);
+  }
+  // Periods the time window parser rejects are the caller's mistake too.
+  if (parsed.data.window || parsed.data.from || parsed.data.to) {
+    try {
+      parseTimeWindow({ window: parsed.data.window, from: parsed.data.from, to: parsed.data.to }, now);
+    } catch (error) {
+      throw new ApiError(400, "invalid_request", error.message);
+    }
+  }
+  return parsed.data;
+}
+
+// Unexpected errors are logged in full; the client only gets the correlation ID to report.
+function errorBody(error, correlationId) {
+  if (error instanceof ApiError) {
+    return { status: error.status, code: error.code, message: error.message, details: error.details };
+  }
+  if (error instanceof ProviderError) {
+    return {
+      status: error.retryable ? 503 : 502,
+      code: "provider_error",
+      message: error.message,
+      details: { provider: error.provider, code: error.code, retryable: error.retryable },
+    };
+  }
+  if (error.type === "entity.parse.failed") {
+    return { status: 400, code: "invalid_request", message: "Request body is not valid JSON" };
+  }
+  logger.error("API request failed", { module: "api", error });
+  return { status: 500, code: "internal_error", message: "Internal error", details: correlationId ? { correlationId } : undefined };
+}
+
+const errorSchema = {
+  type: "object",
+  required: ["error"],
+  properties: {
+    error: {
+      type: "object",
+      required: ["code", "message"],
+      properties: {
+        code: { type: "string", enum: ["invalid_request", "invalid_address", "not_found", "provider_error", "internal_error"] },
+        message: { type: "string" },
+        details: { description: "Validation issues, the provider, its error code and whether retrying can help, or the correlation ID of an internal error" },
+      },
+    },
+  },
+};
+
+function queryParameters(schema) {
+  return Object.entries(schema.shape).map(([name, field]) => {
+    // Optionality is the parameter's `required`, not part of its schema.
+    const inner = field instanceof z.ZodOptional ? field.unwrap() : field;
+    const { description, ...fieldSchema } = zodToJsonSchema(inner, { target: "openApi3", $refStrategy: "none" });
+    return { name, in: "query", required: !field.isOptional(), description: field.description ?? description, schema: fieldSchema };
+  });
+}
+
+const addressParameter = {
+  name: "address",
+  in: "path",
+  required: true,
+  description: "Wallet address (0x followed by 40 hexadecimal characters, EIP-55 checksum checked when mixed case) or ENS name",
+  schema: { type: "string" },
+};
+
+function errorResponse(description) {
+  return { description, content: { "application/json": { schema: { $ref: "#/components/schemas/Error" } } } };
+}
+
+const errorResponses = {
+  400: errorResponse("Invalid address or parameters"),
+  404: errorResponse("No endpoint for this method and path"),
+  500: errorResponse("Unexpected error"),
+  502: errorResponse("A data provider failed"),
+  503: errorResponse("A data provider is rate limited or unavailable; retry later"),
+};
+
+function walletOperation(operationId, summary, schema, description) {
+  return {
+    get: {
+      operationId,
+      summary,
+      parameters: [addressParameter, ...queryParameters(schema)],
+      responses: { 200: { description, content: { "application/json": { schema: { type: "object" } } } }, ...errorResponses },
+    },
+  };
+}
+
+function graphOperation() {
+  const operation = walletOperation("getWalletGraph", "Funding sources and counterparties as an address graph", graphQuery, "The address graph in the requested format");
+  operation.get.responses[200].content = Object.fromEntries(Object.values(GRAPH_CONTENT_TYPES).map(type => [type, { schema: type === "application/json" ? { type: "object" } : { type: "string" } }]));
+  return operation;
+}
+
+/**
+ * The OpenAPI 3 description of the API, built from the same schemas that validate requests.
+ *
+ * @returns {Object}
+ */
+export function buildOpenApiDocument() {
+  return {
+    openapi: "3.0.3",
+    info: { title: "EVM Wallet Analysis API", version: API_VERSION },
+    paths: {
+      "/wallets/{address}/summary": walletOperation("getWalletSummary", "Analyze a wallet and narrate the report", summaryQuery,
+        "The written summary, the USD valuation lines and the structured report"),
+      "/wallets/{address}/holdings": walletOperation("getWalletHoldings", "Current token holdings, valued and screened for spam", holdingsQuery,
+        "The holdings of every scanned network"),
+      "/wallets/{address}/transfers": walletOperation("getWalletTransfers", "Transfers in a period, newest first", transfersQuery,
+        "The number of matching transfers and the newest `limit` of them"),
+      "/wallets/{address}/timeline": walletOperation("getWalletTimeline", "Daily balance of every holding over a period", timelineQuery,
+        "Per network and token the daily balance and USD value, with the accumulation and distribution phases"),
+      "/wallets/{address}/approvals": walletOperation("getWalletApprovals", "Open token approvals, with labelled and flagged spenders", approvalsQuery,
+        "Per network the open ERC-20 allowances and NFT operator approvals, flagged first"),
+      "/wallets/{address}/graph": graphOperation(),
+      "/wallets/{address}/reports": walletOperation("getWalletReports", "Reports stored by earlier analyses, newest first", reportsQuery,
+        "The stored reports, one per network and analysis"),
+      "/metrics": {
+        get: {
+          operationId: "getMetrics",
+          summary: "Metrics of the runs since the API started: totals, running and recent runs",
+          responses: {
+            200: { description: "Provider calls, latencies, retries, LLM tokens and duration per run", content: { "application/json": { schema: { type: "object" } } } },
+            500: errorResponses[500],
+          },
+        },
+      },
+      "/tools/summarizeTokenTransactions": {
+        post: {
+          operationId: "summarizeTokenTransactions",
+          summary: "Same as the summary endpoint, with the analyzeWallet capability arguments as the body",
+          requestBody: {
+            required: true,
+            content: { "application/json": { schema: zodToJsonSchema(analyzeWalletSchema.omit({ format: true }), { target: "openApi3", $refStrategy: "none" }) } },
+          },
+          responses: { 200: { description: "As for the summary endpoint", content: { "application/json": { schema: { type: "object" } } } }, ...errorResponses },
+        },
+      },
+    },
+    components: { schemas: { Error: errorSchema } },
+  };
+}
+
+/**
+ * Builds the Express app. `providers`, `store` and `labels` replace the live providers, the
+ * on-disk wallet store and the label registry, as for the scanner; `now` fixes the clock and
+ * `metrics` the registry the runs are kept in.
+ *
+ * @param {{providers?: Object, store?: Object, labels?: Object, now?: () => Date, metrics?: Object}} [options]
+ * @returns {import("express").Express}
+ */
+export function createApiApp({ providers, store, labels, now = () => new Date(), metrics = getDefaultMetricsRegistry() } = {}) {
+  const app = express();
+  app.use(express.json());
+  const openApiDocument = buildOpenApiDocument();
+
+  // The run lasts until the answer is sent, so the error handler's log entry still carries
+  // the correlation ID.
+  app.use(["/wallets", "/tools"], (req, res, next) => {
+    const given = req.get(CORRELATION_HEADER);
+    const correlationId = given && CORRELATION_ID.test(given) ? given : newCorrelationId("api");
+    res.set(CORRELATION_HEADER, correlationId);
+    withRun({ name: `api ${req.method} ${req.baseUrl}${req.path}`, correlationId, registry: metrics }, run => new Promise(resolve => {
+      res.on("close", () => {
+        run.httpStatus = res.statusCode;
+        if (res.statusCode >= 500) {
+          run.status = "error";
+          run.error = `HTTP ${res.statusCode}`;
+        }
+        resolve();
+      });
+      next();
+    })).catch(next);
+  });
+
+  // Express 4 does not pass rejected promises on to the error handler by itself.
+  function route(handler) {
+    return (req, res, next) => handler(req, res).catch(next);
+  }
+
+  const resolver = createAddressResolver({ names: () => (providers || getDefaultProviders()).names });
+
+  async function parseAddress(input) {
+    try {
+      return (await resolver.resolve(input)).address;
+    } catch (error) {
+      if (error instanceof InvalidAddressError) {
+        throw new ApiError(400, "invalid_address", error.message);
+      }
+      throw error;
+    }
+  }
+
+  function scan(address, params, narrate) {
+    return summarizeTokenTransactions(address, params.chain, {
+      window: params.window,
+      from: params.from,
+      to: params.to,
+      spam: params.spam,
+      style: params.style,
+      approvals: params.approvals,
+      narrate,
+      now: now(),
+      providers: providers || getDefaultProviders(),
+      store,
+      labels,
+    });
+  }
+
+  async function summary(address, params) {
+    const result = await scan(address, params, true);
+    return {
+      walletAddress: address,
+      chains: result.chains,
+      summary: result.chatGPTResponse,
+      valuation: describeValuation(result.report) || null,
+      overviewURL: result.overviewURL,
+      report: result.report,
+    };
+  }
+
+  app.get("/openapi.json", (req, res) => {
+    res.json(openApiDocument);
+  });
+
+  app.get("/metrics", (req, res) => {
+    res.json(metrics.summary());
+  });
+
+  app.get("/wallets/:address/summary", route(async (req, res) => {
+    const address = await parseAddress(req.params.address);
+    res.json(await summary(address, parseParams(summaryQuery, req.query, now())));
+  }));
+
+  app.get("/wallets/:address/holdings", route(async (req, res) => {
+    const address = await parseAddress(req.params.address);
+    const params = parseParams(holdingsQuery, req.query, now());
+    const { report } = await scan(address, params, false);
+    res.json({
+      walletAddress: address,
+      generatedAt: report.generatedAt,
+      holdings: filterHoldings(report.networks.flatMap(n => n.holdings), params.token),
+      flaggedTokens: report.networks.flatMap(n => n.flaggedTokens || []),
+    });
+  }));
+
+  app.get("/wallets/:address/transfers", route(async (req, res) => {
+    const address = await parseAddress(req.params.address);
+    const params = parseParams(transfersQuery, req.query, now());
+    const { report } = await scan(address, params, false);
+    // Every transfer in the window, tokens no longer held included, as the CLI lists them.
+    const transfers = filterTransfers(reportTransfers(report), { token: params.token, direction: params.direction, counterparty: params.counterparty });
+    res.json({ walletAddress: address, window: report.window, total: transfers.length, transfers: transfers.slice(0, params.limit) });
+  }));
+
+  app.get("/wallets/:address/timeline", route(async (req, res) => {
+    const address = await parseAddress(req.params.address);
+    const params = parseParams(timelineQuery, req.query, now());
+    const { report } = await scan(address, params, false);
+    res.json({
+      walletAddress: address,
+      window: report.window,
+      networks: report.networks.filter(n => n.timeline).map(n => ({
+        chain: n.chain,
+        network: n.network,
+        tokens: filterHoldings(n.timeline, params.token),
+      })),
+    });
+  }));
+
+  app.get("/wallets/:address/approvals", route(async (req, res) => {
+    const address = await parseAddress(req.params.address);
+    const params = parseParams(approvalsQuery, req.query, now());
+    res.json(await auditApprovals(address, params.chain, { providers: providers || getDefaultProviders(), store, labels, now: now() }));
+  }));
+
+  app.get("/wallets/:address/graph", route(async (req, res) => {
+    const address = await parseAddress(req.params.address);
+    const params = parseParams(graphQuery, req.query, now());
+    const graph = await traceWallet(address, params.chain, {
+      depth: params.depth,
+      fanOut: params.fanOut,
+      window: params.window,
+      now: now(),
+      providers: providers || getDefaultProviders(),
+      store,
+      labels,
+    });
+    res.type(GRAPH_CONTENT_TYPES[params.format]).send(renderGraph(graph, params.format));
+  }));
+
+  app.get("/wallets/:address/reports", route(async (req, res) => {
+    const address = await parseAddress(req.params.address);
+    const params = parseParams(reportsQuery, req.query, now());
+    const walletStore = store || getDefaultStore();
+    const reports = [];
+    for (const chainConfig of resolveChains(params.chain)) {
+      const record = await walletStore.load(chainConfig.id, address);
+      reports.push(...record.reports.map(stored => ({ chain: chainConfig.id, ...stored })));
+    }
+    reports.sort((a, b) => Date.parse(b.generatedAt) - Date.parse(a.generatedAt));
+    res.json({ walletAddress: address, reports: reports.slice(0, params.limit) });
+  }));
+
+  // The route the OpenServ tool call would take, for clients written against it.
+  app.post("/tools/summarizeTokenTransactions", route(async (req, res) => {
+    const args = req.body?.args || req.body || {};
+    const address = await parseAddress(args.address || args.walletAddress);
+    res.json(await summary(address, parseParams(summaryQuery, args, now())));
+  }));
+
+  app.use((req, res, next) => {
+    next(new ApiError(404, "not_found", `No endpoint ${req.method} ${req.path}`));
+  });
+
+  app.use((error, req, res, next) => {
+    const { status, code, message, details } = errorBody(error, res.get(CORRELATION_HEADER));
+    res.status(status).json({ error: { code, message, ...(details ? { details } : {}) } });
+  });
+
+  return app;
+}
+
+// Run directly to serve the API on API_PORT (default 3000).
+if (process.argv[1] && fs.realpathSync(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  const port = Number(process.env.API_PORT) || 3000;
+  createApiApp().listen(port, () => logger.info("Wallet analysis API listening", { module: "api", port }));
+}
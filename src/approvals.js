@@ -0,0 +1,220 @@
+// Token approvals: which contracts can spend a wallet's tokens. Open allowances are rebuilt
+// from the wallet's ERC-20 Approval and ERC-721/1155 ApprovalForAll logs, the latest log per
+// token and spender deciding. Allowances used up through transferFrom without a new Approval
+// log still show the amount last approved.
+
+import { formatUsd } from "./valuation.js";
+
+// keccak256("Approval(address,address,uint256)"); ERC-721 per-token approvals share it but
+// index the token id as a fourth topic, and are cleared on transfer, so they are skipped.
+export const APPROVAL_TOPIC = "0x8c5be1e5ebec7d5bd14f71427d1e84f3dd0314c0f7b2291e5b200ac8c7c3b925";
+
+// keccak256("ApprovalForAll(address,address,bool)")
+export const APPROVAL_FOR_ALL_TOPIC = "0x17307eab39ab6107e8899845ad3d59bd9653f200f220920489ca2b5937696c31";
+
+// Allowances at or above 2^128 are far beyond any token supply: "infinite" approvals use the
+// uint256 or uint160 maximum.
+export const UNLIMITED_ALLOWANCE = 2n ** 128n;
+
+/**
+ * @typedef {Object} ApprovalLog
+ * @property {string} hash - Transaction hash
+ * @property {string} logIndex
+ * @property {string} blockNumber
+ * @property {string} timeStamp - Unix seconds
+ * @property {string} contractAddress - Token contract that emitted the log
+ * @property {string[]} topics
+ * @property {string} data
+ */
+
+/**
+ * @typedef {Object} ApprovalRisk
+ * @property {"malicious_spender"|"unverified_spender"} code
+ * @property {string} message
+ */
+
+/**
+ * @typedef {Object} Approval
+ * @property {"ERC-20"|"NFT"} standard - NFT covers ERC-721 and ERC-1155 operator approvals
+ * @property {string} contractAddress
+ * @property {string|null} tokenSymbol
+ * @property {string|null} tokenName
+ * @property {string} spender
+ * @property {import("./labels.js").CounterpartyLabel|null} spenderLabel
+ * @property {{verified: boolean, name: string|null}|null} spenderContract - Null when the explorer could not tell
+ * @property {string|null} rawAmount - ERC-20 allowance in base units, null for NFT operators (they can move every item)
+ * @property {number|null} amount - Allowance in tokens, null when unlimited, for NFTs or when the decimals are unknown
+ * @property {boolean} unlimited
+ * @property {number|null} usdValue - Value of the tokens the spender can take now: the held balance up to the allowance
+ * @property {string} approvedAt - ISO timestamp of the log that set the allowance
+ * @property {string} transactionHash
+ * @property {ApprovalRisk[]} risks
+ * @property {boolean} flagged - The spender is known malicious or not a verified contract
+ */
+
+/**
+ * @typedef {Object} ApprovalAudit
+ * @property {number} open
+ * @property {number} unlimited
+ * @property {number} flagged
+ * @property {Approval[]} approvals - Flagged first, then unlimited, then newest first
+ */
+
+function topicAddress(topic) {
+  return `0x${topic.slice(-40)}`.toLowerCase();
+}
+
+/**
+ * Reads an Approval or ApprovalForAll log; null for other logs and per-token NFT approvals.
+ *
+ * @param {ApprovalLog} log
+ */
+export function decodeApprovalLog(log) {
+  const [topic0, owner, spender, tokenId] = log.topics.map(t => t.toLowerCase());
+  if (!owner || !spender || tokenId !== undefined) {
+    return null;
+  }
+  const value = BigInt(log.data && log.data !== "0x" ? log.data : 0);
+  const common = {
+    contractAddress: log.contractAddress.toLowerCase(),
+    owner: topicAddress(owner),
+    spender: topicAddress(spender),
+    blockNumber: parseInt(log.blockNumber),
+    logIndex: parseInt(log.logIndex) || 0,
+    timestamp: new Date(parseInt(log.timeStamp) * 1000).toISOString(),
+    transactionHash: log.hash,
+  };
+  if (topic0 === APPROVAL_TOPIC) {
+    return { ...common, standard: "ERC-20", value };
+  }
+  if (topic0 === APPROVAL_FOR_ALL_TOPIC) {
+    return { ...common, standard: "NFT", value: value === 0n ? 0n : 1n };
+  }
+  return null;
+}
+
+/**
+ * The allowances still open after replaying the logs oldest first: the latest approval per
+ * token, spender and standard, unless it set the allowance to zero or revoked the operator.
+ *
+ * @param {ApprovalLog[]} logs
+ * @param {string} walletAddress
+ */
+export function findOpenApprovals(logs, walletAddress) {
+  const owner = walletAddress.toLowerCase();
+  const latest = new Map();
+  const decoded = logs
+    .map(decodeApprovalLog)
+    .filter(approval => approval && approval.owner === owner)
+    .sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+  for (const approval of decoded) {
+    latest.set(`${approval.standard}:${approval.contractAddress}:${approval.spender}`, approval);
+  }
+  return [...latest.values()].filter(approval => approval.value > 0n);
+}
+
+function spenderRisks(spenderLabel, spenderContract) {
+  const risks = [];
+  if (spenderLabel?.category === "malicious") {
+    risks.push({ code: "malicious_spender", message: `spender is known as malicious (${spenderLabel.name})` });
+  }
+  if (spenderContract && !spenderContract.verified) {
+    risks.push({ code: "unverified_spender", message: "spender is not a verified contract" });
+  }
+  return risks;
+}
+
+function order(a, b) {
+  return Number(b.flagged) - Number(a.flagged) || Number(b.unlimited) - Number(a.unlimited) || Date.parse(b.approvedAt) - Date.parse(a.approvedAt);
+}
+
+/**
+ * Describes the open approvals: amounts, spender labels and the verification of the spender.
+ *
+ * @param {ReturnType<typeof findOpenApprovals>} open
+ * @param {Object} context
+ * @param {string} context.chain
+ * @param {import("./labels.js").LabelRegistry} context.labels
+ * @param {Map<string, {symbol: string|null, name: string|null, decimals: number|null}>} context.tokens - Token metadata by contract
+ * @param {Map<string, {verified: boolean, name: string|null}|null>} context.contracts - Explorer answers by spender
+ * @param {Object[]} [context.holdings] - Priced holdings, to value what each spender can take
+ * @returns {ApprovalAudit}
+ */
+export function buildApprovalAudit(open, { chain, labels, tokens, contracts, holdings = [] }) {
+  const approvals = open.map(approval => {
+    const token = tokens.get(approval.contractAddress) || {};
+    const spenderLabel = labels.lookup(approval.spender, chain);
+    const spenderContract = contracts.get(approval.spender) ?? null;
+    const risks = spenderRisks(spenderLabel, spenderContract);
+    const erc20 = approval.standard === "ERC-20";
+    const unlimited = erc20 ? approval.value >= UNLIMITED_ALLOWANCE : true;
+    const amount = erc20 && !unlimited && token.decimals !== null && token.decimals !== undefined
+      ? Number(approval.value) / Math.pow(10, token.decimals)
+      : null;
+    const held = holdings.find(h => h.contractAddress?.toLowerCase() === approval.contractAddress);
+    const exposed = held && erc20 ? (unlimited || amount === null ? held.balance : Math.min(held.balance, amount)) : null;
+    return {
+      standard: approval.standard,
+      contractAddress: approval.contractAddress,
+      tokenSymbol: token.symbol ?? null,
+      tokenName: token.name ?? null,
+      spender: approval.spender,
+      spenderLabel,
+      spenderContract,
+      rawAmount: erc20 ? approval.value.toString() : null,
+      amount,
+      unlimited,
+      usdValue: exposed === null || held.usdPrice === null || held.usdPrice === undefined ? null : Math.round(exposed * held.usdPrice * 100) / 100,
+      approvedAt: approval.timestamp,
+      transactionHash: approval.transactionHash,
+      risks,
+      flagged: risks.length > 0,
+    };
+  }).sort(order);
+
+  return {
+    open: approvals.length,
+    unlimited: approvals.filter(a => a.unlimited).length,
+    flagged: approvals.filter(a => a.flagged).length,
+    approvals,
+  };
+}
+
+// One approval in a sentence: what, to whom, since when, the value at risk and the flags.
+export function describeApproval(approval) {
+  const token = approval.tokenSymbol || approval.contractAddress;
+  const amount = approval.standard === "NFT"
+    ? `every ${token} NFT`
+    : approval.unlimited ? `unlimited ${token}` : `${approval.amount ?? `${approval.rawAmount} base units of`} ${token}`;
+  const spender = approval.spenderLabel ? `${approval.spenderLabel.name} (${approval.spender})` : approval.spenderContract?.name ? `${approval.spenderContract.name} (${approval.spender})` : approval.spender;
+  const exposed = approval.usdValue === null ? "" : `, ${formatUsd(approval.usdValue)} at risk`;
+  const risks = approval.flagged ? ` ⚠️ ${approval.risks.map(r => r.message).join("; ")}` : "";
+  return `${amount} to ${spender}, since ${approval.approvedAt.slice(0, 10)}${exposed}${risks}`;
+}
+
+// The audit of one network as text, for the agent.
+export function describeApprovalAudit(network, audit) {
+  if (audit.open === 0) {
+    return `${network}: no open approvals.`;
+  }
+  return [
+    `${network}: ${audit.open} open approval(s), ${audit.unlimited} unlimited, ${audit.flagged} flagged:`,
+    ...audit.approvals.map(approval => `- ${describeApproval(approval)}`),
+  ].join("\n");
+}
+
+/**
+ * The approvals of every network as text: of an audit, or of a wallet report that includes
+ * them. Networks that failed are listed only when approvals were asked for, which a report
+ * tells by an audit on any of its networks. Empty when no network has an audit.
+ *
+ * @param {{networks: {network: string, approvals?: ApprovalAudit, error?: string}[]}} result
+ * @param {{requested?: boolean}} [options] - `requested` is set for an audit
+ * @returns {string}
+ */
+export function describeApprovals({ networks }, { requested = networks.some(n => n.approvals) } = {}) {
+  return networks
+    .filter(n => n.approvals || (requested && n.error))
+    .map(n => (n.approvals ? describeApprovalAudit(n.network, n.approvals) : `${n.network}: could not be audited: ${n.error}`))
+    .join("\n\n");
+}
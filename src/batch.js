@@ -0,0 +1,226 @@
+import { DEFAULT_CHAIN } from "./chains.js";
+import { summarizeTokenTransactions } from "./ETHWalletScanFunction.js";
+import { roundUsd } from "./valuation.js";
+import { parseHexAddress } from "./addresses.js";
+import { InvalidAddressError } from "./errors.js";
+import { logger } from "./logger.js";
+
+// Analysis of a group of wallets (a fund's addresses, a suspected sybil set): each wallet is
+// scanned like a single one, a few at a time, and the reports are combined into one
+// portfolio and compared with each other.
+
+export const MAX_BATCH_SIZE = 50;
+export const DEFAULT_BATCH_CONCURRENCY = 2;
+
+/**
+ * @typedef {Object} WalletComparison
+ * @property {string[]} wallets - Wallets that could be analyzed
+ * @property {{address: string, error: string}[]} failed - Wallets that could not
+ * @property {{chain: string, contractAddress: string, name: string, symbol: string, balance: number, usdValue: number|null, wallets: string[]}[]} portfolio -
+ *   Holdings added up over the wallets, per chain and token
+ * @property {{holdingsValue: number}} totals
+ * @property {{chain: string, contractAddress: string, symbol: string, wallets: string[]}[]} sharedTokens - Tokens held or moved by more than one wallet
+ * @property {{chain: string, from: string, to: string, tokenSymbol: string, amount: number, timestamp: string, transactionHash: string}[]} internalTransfers -
+ *   Transfers between wallets of the group
+ * @property {{address: string, label: import("./labels.js").CounterpartyLabel|null, wallets: string[], transfers: number}[]} sharedCounterparties -
+ *   Outside addresses more than one wallet dealt with
+ */
+
+// Runs `fn` over the items with at most `limit` of them in flight, keeping the input order.
+export async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  }
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+export function normalizeAddresses(addresses) {
+  const problems = [];
+  const parsed = [];
+  for (const address of addresses) {
+    try {
+      parsed.push(parseHexAddress(address));
+    } catch (error) {
+      problems.push(error.message);
+    }
+  }
+  if (problems.length > 0) {
+    throw new InvalidAddressError(problems.join("; "));
+  }
+  const unique = [...new Set(parsed)];
+  if (unique.length === 0) {
+    throw new Error("No wallet addresses given");
+  }
+  if (unique.length > MAX_BATCH_SIZE) {
+    throw new Error(`Too many wallets: ${unique.length} (at most ${MAX_BATCH_SIZE} per batch)`);
+  }
+  return unique;
+}
+
+function addToGroup(map, key, create, wallet) {
+  if (!map.has(key)) {
+    map.set(key, { ...create(), wallets: new Set() });
+  }
+  const entry = map.get(key);
+  entry.wallets.add(wallet);
+  return entry;
+}
+
+function withWalletList(entry) {
+  return { ...entry, wallets: [...entry.wallets] };
+}
+
+/**
+ * Combines the reports of several wallets into a portfolio and a comparison. Shared tokens,
+ * transfers between the wallets and shared counterparties come from every transfer in the
+ * window, of tokens still held or not.
+ *
+ * @param {import("./report.js").WalletReport[]} reports
+ * @returns {Omit<WalletComparison, "failed">}
+ */
+export function compareWalletReports(reports) {
+  const wallets = reports.map(r => r.walletAddress);
+  const group = new Set(wallets);
+  const portfolio = new Map();
+  const tokens = new Map();
+  const counterparties = new Map();
+  const internal = new Map();
+
+  for (const report of reports) {
+    const wallet = report.walletAddress;
+    for (const network of report.networks) {
+      for (const holding of network.holdings) {
+        const key = `${network.chain}:${holding.contractAddress.toLowerCase()}`;
+        const entry = addToGroup(portfolio, key, () => ({
+          chain: network.chain,
+          contractAddress: holding.contractAddress.toLowerCase(),
+          name: holding.name,
+          symbol: holding.symbol,
+          balance: 0,
+          usdValue: 0,
+        }), wallet);
+        entry.balance = Math.round((entry.balance + holding.balance) * 1e8) / 1e8;
+        entry.usdValue = entry.usdValue === null || holding.usdValue === null || holding.usdValue === undefined
+          ? null
+          : roundUsd(entry.usdValue + holding.usdValue);
+        addToGroup(tokens, key, () => ({ chain: network.chain, contractAddress: holding.contractAddress.toLowerCase(), symbol: holding.symbol }), wallet);
+      }
+
+      for (const tx of network.windowTransfers || network.transfers) {
+        const key = `${network.chain}:${tx.contractAddress.toLowerCase()}`;
+        addToGroup(tokens, key, () => ({ chain: network.chain, contractAddress: tx.contractAddress.toLowerCase(), symbol: tx.tokenSymbol }), wallet);
+
+        if (group.has(tx.counterparty)) {
+          // Both wallets of the pair usually report the transfer; it is listed once.
+          const [from, to] = tx.flow === "outflow" ? [wallet, tx.counterparty] : [tx.counterparty, wallet];
+          const id = `${tx.transactionHash}:${tx.contractAddress.toLowerCase()}:${from}:${to}:${tx.amount}`;
+          internal.set(id, {
+            chain: network.chain,
+            from,
+            to,
+            tokenSymbol: tx.tokenSymbol,
+            amount: tx.amount,
+            timestamp: tx.timestamp,
+            transactionHash: tx.transactionHash,
+          });
+        } else {
+          const entry = addToGroup(counterparties, tx.counterparty, () => ({
+            address: tx.counterparty,
+            label: tx.counterpartyLabel || null,
+            transfers: 0,
+          }), wallet);
+          entry.transfers += 1;
+        }
+      }
+    }
+  }
+
+  const shared = entry => entry.wallets.size > 1;
+  const portfolioList = [...portfolio.values()].map(withWalletList);
+  return {
+    wallets,
+    portfolio: portfolioList,
+    totals: {
+      holdingsValue: roundUsd(portfolioList.reduce((sum, entry) => sum + (entry.usdValue || 0), 0)),
+    },
+    sharedTokens: [...tokens.values()].filter(shared).map(withWalletList),
+    internalTransfers: [...internal.values()].sort((a, b) => Date.parse(b.timestamp) - Date.parse(a.timestamp)),
+    sharedCounterparties: [...counterparties.values()].filter(shared).map(withWalletList)
+      .sort((a, b) => b.wallets.length - a.wallets.length || b.transfers - a.transfers),
+  };
+}
+
+/**
+ * Analyzes every wallet with at most `concurrency` scans running at once, then compares them.
+ * A wallet that fails is listed under `failed` instead of failing the batch.
+ *
+ * @param {string[]} addresses
+ * @param {string} [chain]
+ * @param {Object} [options] - summarizeTokenTransactions options, plus `concurrency`
+ * @returns {Promise<{comparison: WalletComparison, reports: import("./report.js").WalletReport[]}>}
+ */
+export async function analyzeWallets(addresses, chain = DEFAULT_CHAIN, options = {}) {
+  const {
+    concurrency = parseInt(process.env.BATCH_CONCURRENCY || DEFAULT_BATCH_CONCURRENCY),
+    ...scanOptions
+  } = options;
+  const wallets = normalizeAddresses(addresses);
+
+  const results = await mapWithConcurrency(wallets, Math.max(1, concurrency), async address => {
+    try {
+      const { report } = await summarizeTokenTransactions(address, chain, { ...scanOptions, narrate: false });
+      return { address, report };
+    } catch (error) {
+      logger.error("Error analyzing wallet in batch", { module: "batch", wallet: address, error });
+      return { address, error: error.message };
+    }
+  });
+
+  const reports = results.filter(r => r.report).map(r => r.report);
+  const comparison = {
+    ...compareWalletReports(reports),
+    failed: results.filter(r => r.error).map(({ address, error }) => ({ address, error })),
+  };
+  return { comparison, reports };
+}
+
+function shortAddress(address) {
+  return `${address.slice(0, 6)}…${address.slice(-4)}`;
+}
+
+// Fixed-layout text of a comparison for chat and task output.
+export function describeComparison(comparison) {
+  const lines = [`Compared ${comparison.wallets.length} wallet(s): ${comparison.wallets.map(shortAddress).join(", ")}`];
+  for (const { address, error } of comparison.failed) {
+    lines.push(`⚠️ ${shortAddress(address)} could not be analyzed: ${error}`);
+  }
+
+  lines.push("", `Portfolio (total $${comparison.totals.holdingsValue.toLocaleString("en-US")}):`);
+  for (const entry of comparison.portfolio) {
+    const value = entry.usdValue === null ? "" : ` ($${entry.usdValue.toLocaleString("en-US")})`;
+    lines.push(`- ${entry.chain} ${entry.symbol}: ${entry.balance}${value} across ${entry.wallets.length} wallet(s)`);
+  }
+
+  lines.push("", "Shared tokens:");
+  lines.push(...(comparison.sharedTokens.length
+    ? comparison.sharedTokens.map(t => `- ${t.chain} ${t.symbol}: ${t.wallets.map(shortAddress).join(", ")}`)
+    : ["- none"]));
+
+  lines.push("", "Transfers between the wallets:");
+  lines.push(...(comparison.internalTransfers.length
+    ? comparison.internalTransfers.map(t => `- ${t.timestamp.slice(0, 10)} ${shortAddress(t.from)} → ${shortAddress(t.to)}: ${t.amount} ${t.tokenSymbol} (${t.chain})`)
+    : ["- none"]));
+
+  lines.push("", "Shared counterparties:");
+  lines.push(...(comparison.sharedCounterparties.length
+    ? comparison.sharedCounterparties.map(c => `- ${c.label ? `${c.label.name} (${c.label.category})` : c.address}: ${c.wallets.length} wallets, ${c.transfers} transfers`)
+    : ["- none"]));
+
+  return lines.join("\n");
+}
@@ -0,0 +1,110 @@
+import { EvmChain } from '@moralisweb3/common-evm-utils';
+
+// Every supported EVM network: its Etherscan-family explorer endpoint, the
+// Moralis chain it maps to and the native token used to pay for gas (with its wrapped
+// ERC-20, which stands in for the native token wherever a contract address is needed).
+export const CHAINS = {
+  ethereum: {
+    id: "ethereum",
+    name: "Ethereum",
+    explorerApi: "https://api.etherscan.io/api",
+    explorerUrl: "https://etherscan.io",
+    apiKeyEnv: "ETHERSCAN_API_KEY",
+    moralisChain: EvmChain.ETHEREUM,
+    nativeToken: { symbol: "ETH", name: "Ether", decimals: 18, wrapped: "0xc02aaa39b223fe8d0a0e5c4f27ead9083c756cc2" },
+  },
+  arbitrum: {
+    id: "arbitrum",
+    name: "Arbitrum One",
+    explorerApi: "https://api.arbiscan.io/api",
+    explorerUrl: "https://arbiscan.io",
+    apiKeyEnv: "ARBISCAN_API_KEY",
+    moralisChain: EvmChain.ARBITRUM,
+    nativeToken: { symbol: "ETH", name: "Ether", decimals: 18, wrapped: "0x82af49447d8a07e3bd95bd0d56f35241523fbab1" },
+  },
+  base: {
+    id: "base",
+    name: "Base",
+    explorerApi: "https://api.basescan.org/api",
+    explorerUrl: "https://basescan.org",
+    apiKeyEnv: "BASESCAN_API_KEY",
+    moralisChain: EvmChain.BASE,
+    nativeToken: { symbol: "ETH", name: "Ether", decimals: 18, wrapped: "0x4200000000000000000000000000000000000006" },
+  },
+  polygon: {
+    id: "polygon",
+    name: "Polygon",
+    explorerApi: "https://api.polygonscan.com/api",
+    explorerUrl: "https://polygonscan.com",
+    apiKeyEnv: "POLYGONSCAN_API_KEY",
+    moralisChain: EvmChain.POLYGON,
+    nativeToken: { symbol: "POL", name: "Polygon Ecosystem Token", decimals: 18, wrapped: "0x0d500b1d8e8ef31e21c99d1db9a6444d3adf1270" },
+  },
+  bsc: {
+    id: "bsc",
+    name: "BNB Smart Chain",
+    explorerApi: "https://api.bscscan.com/api",
+    explorerUrl: "https://bscscan.com",
+    apiKeyEnv: "BSCSCAN_API_KEY",
+    moralisChain: EvmChain.BSC,
+    nativeToken: { symbol: "BNB", name: "BNB", decimals: 18, wrapped: "0xbb4cdb9cbd36b01bd1cbaebf2de08d9173bc095c" },
+  },
+  optimism: {
+    id: "optimism",
+    name: "Optimism",
+    explorerApi: "https://api-optimistic.etherscan.io/api",
+    explorerUrl: "https://optimistic.etherscan.io",
+    apiKeyEnv: "OPTIMISM_ETHERSCAN_API_KEY",
+    moralisChain: EvmChain.OPTIMISM,
+    nativeToken: { symbol: "ETH", name: "Ether", decimals: 18, wrapped: "0x4200000000000000000000000000000000000006" },
+  },
+};
+
+export const DEFAULT_CHAIN = "ethereum";
+export const ALL_CHAINS = "all";
+export const CHAIN_OPTIONS = [...Object.keys(CHAINS), ALL_CHAINS];
+
+const aliases = {
+  eth: "ethereum",
+  mainnet: "ethereum",
+  arb: "arbitrum",
+  "arbitrum one": "arbitrum",
+  matic: "polygon",
+  pol: "polygon",
+  bnb: "bsc",
+  "bnb chain": "bsc",
+  binance: "bsc",
+  op: "optimism",
+};
+
+export function getChain(chain = DEFAULT_CHAIN) {
+  const key = String(chain).trim().toLowerCase();
+  const config = CHAINS[key] || CHAINS[aliases[key]];
+  if (!config) {
+    throw new Error(`Unsupported chain "${chain}". Supported chains: ${CHAIN_OPTIONS.join(", ")}`);
+  }
+  return config;
+}
+
+// Resolves a chain argument to the list of networks to scan; "all" expands to every chain.
+export function resolveChains(chain = DEFAULT_CHAIN) {
+  if (String(chain).trim().toLowerCase() === ALL_CHAINS) {
+    return Object.values(CHAINS);
+  }
+  return [getChain(chain)];
+}
+
+// Picks a network mentioned in free text such as "check 0x... on base", falling back to mainnet.
+export function findChainInText(text) {
+  const lower = (text || "").toLowerCase();
+  if (/\ball (chains|networks)\b/.test(lower)) {
+    return ALL_CHAINS;
+  }
+  const names = [...Object.keys(CHAINS), ...Object.keys(aliases)].sort((a, b) => b.length - a.length);
+  for (const name of names) {
+    if (new RegExp(`\\bon ${name}\\b`).test(lower)) {
+      return getChain(name).id;
+    }
+  }
+  return DEFAULT_CHAIN;
+}
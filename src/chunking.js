@@ -0,0 +1,71 @@
+// Splitting of wallet reports too large for one LLM request. Reports are cut along their
+// networks first and along the lists inside a network (transfers, tokens, trades, ...) only
+// when a single network is over the budget, so every part stays a readable report.
+
+// Rough token count of a text or JSON value: about four characters per token for the
+// mostly ASCII report JSON.
+export function estimateTokens(value) {
+  const text = typeof value === "string" ? value : JSON.stringify(value);
+  return Math.ceil(text.length / 4);
+}
+
+// The network's scalar fields in one piece, then each non-empty list in slices that fit the
+// budget. Every slice keeps the chain and network name so the parts can be told apart.
+function splitNetwork(network, budget) {
+  const identity = { chain: network.chain, network: network.network };
+  const isList = value => Array.isArray(value) && value.length > 0;
+  const pieces = [Object.fromEntries(Object.entries(network).filter(([, value]) => !isList(value)))];
+
+  for (const [key, items] of Object.entries(network).filter(([, value]) => isList(value))) {
+    const base = estimateTokens({ ...identity, [key]: [] });
+    let slice = [];
+    let size = base;
+    for (const item of items) {
+      const itemSize = estimateTokens(item);
+      if (slice.length > 0 && size + itemSize > budget) {
+        pieces.push({ ...identity, [key]: slice });
+        slice = [];
+        size = base;
+      }
+      slice.push(item);
+      size += itemSize;
+    }
+    pieces.push({ ...identity, [key]: slice });
+  }
+  return pieces;
+}
+
+/**
+ * Splits a report into parts of at most `budget` tokens each (a single transfer or token
+ * larger than the budget still gets a part of its own). A report that fits is returned as is.
+ *
+ * @param {import("./report.js").WalletReport} report
+ * @param {number} budget - Input tokens per part
+ * @returns {Object[]} Reports with the same header and a `part` ("1/3") each
+ */
+export function chunkReport(report, budget) {
+  if (estimateTokens(report) <= budget) {
+    return [report];
+  }
+
+  const { networks, ...header } = report;
+  const pieces = networks.flatMap(network => estimateTokens(network) <= budget ? [network] : splitNetwork(network, budget));
+
+  const headerSize = estimateTokens({ ...header, part: "00/00", networks: [] });
+  const parts = [];
+  let current = [];
+  let size = headerSize;
+  for (const piece of pieces) {
+    const pieceSize = estimateTokens(piece);
+    if (current.length > 0 && size + pieceSize > budget) {
+      parts.push(current);
+      current = [];
+      size = headerSize;
+    }
+    current.push(piece);
+    size += pieceSize;
+  }
+  parts.push(current);
+
+  return parts.map((part, i) => ({ ...header, part: `${i + 1}/${parts.length}`, networks: part }));
+}
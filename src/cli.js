@@ -0,0 +1,349 @@
+#!/usr/bin/env node
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import { parseArgs } from 'util';
+import { summarizeTokenTransactions, traceWallet } from "./ETHWalletScanFunction.js";
+import { DEFAULT_CHAIN, ALL_CHAINS, resolveChains } from "./chains.js";
+import { DEFAULT_WINDOW, parseTimeWindow } from "./timeWindow.js";
+import { getDefaultProviders, createTemplateSummarizer } from "./providers/index.js";
+import { SPAM_MODES, DEFAULT_SPAM_MODE } from "./risk.js";
+import { getPromptTemplate } from "./prompts.js";
+import { TRANSFER_DIRECTIONS, filterTransfers } from "./query.js";
+import { ProviderError, InvalidAddressError } from "./errors.js";
+import { createAddressResolver, isEnsName, isHexAddress } from "./addresses.js";
+import { withRun, newCorrelationId, createMetricsRegistry } from "./telemetry.js";
+import { publishWhaleMove } from "./social.js";
+import { DEFAULT_TRACE_DEPTH, MAX_TRACE_DEPTH, DEFAULT_FAN_OUT, MAX_FAN_OUT, GRAPH_FORMATS, renderGraph, describeTrace } from "./graph.js";
+import {
+  OUTPUT_FORMATS,
+  renderMarkdownReport,
+  renderReportJson,
+  renderTransfersCsv,
+  renderHoldingsCsv,
+  renderHoldingsTable,
+  renderTransfersTable,
+  reportTransfers,
+} from "./render.js";
+
+// Command line front end to the same analysis the agent runs, for scripts and cron jobs:
+//
+//   ethwallet analyze <address|ens> [--chain all] [--window 30d | --from ... --to ...] [--format json|md|csv] [--no-llm] [--approvals]
+//   ethwallet holdings <address|ens> [--chain ...] [--format ...]
+//   ethwallet transfers <address|ens> [--token LINK] [--direction outflow] [--counterparty binance] [--format ...]
+//   ethwallet trace <address|ens> [--depth 2] [--fan-out 3] [--format md|json|graphml|dot]
+//   ethwallet post <address|ens> [--window 24h] [--min-usd 50000] [--thread] [--publish] [--format md|json]
+//
+// The result goes to stdout and nothing else does: the scanner's progress logs are dropped
+// unless --verbose sends them to stderr, and --metrics writes the run's metrics there.
+
+export const EXIT_CODES = {
+  ok: 0,
+  error: 1,
+  usage: 2,
+  invalidAddress: 3,
+  provider: 4,
+};
+
+export const COMMANDS = ["analyze", "holdings", "transfers", "trace", "post"];
+
+const TRACE_FORMATS = ["md", ...GRAPH_FORMATS];
+const POST_FORMATS = ["md", "json"];
+
+const USAGE = `Usage: ethwallet <command> <address|ens> [options]
+
+Commands:
+  analyze <wallet>      Full wallet report
+  holdings <wallet>     Current token holdings
+  transfers <wallet>    Token transfers in the period, optionally filtered
+  trace <wallet>        Funding sources and top counterparties as an address graph
+  post <wallet>         Draft a whale-move post about the largest token moves, or publish it on X
+
+The wallet is a 0x address (mixed-case addresses must carry a valid EIP-55 checksum) or an ENS name.
+
+Options:
+  --chain <name>        Network, or "all" (default ${DEFAULT_CHAIN})
+  --window <period>     Period such as "7d", "last 30 days" or "all" (default "${DEFAULT_WINDOW}")
+  --from <date>         Start date (YYYY-MM-DD or ISO timestamp), overrides --window
+  --to <date>           End date, defaults to now
+  --format <format>     ${OUTPUT_FORMATS.join(", ")} (default md); trace: ${TRACE_FORMATS.join(", ")}; post: ${POST_FORMATS.join(", ")}
+  --no-llm              Write the summary from the fixed template instead of an LLM
+  --style <style>       Summary style: brief, detailed or trader
+  --spam <mode>         ${SPAM_MODES.join(", ")} (default ${DEFAULT_SPAM_MODE})
+  --approvals           analyze: also audit the open token approvals
+  --token <token>       transfers: symbol or contract address
+  --direction <dir>     transfers: ${TRANSFER_DIRECTIONS.join(" or ")}
+  --counterparty <cp>   transfers: address or label such as "binance"
+  --depth <n>           trace: hops to follow, 1 to ${MAX_TRACE_DEPTH} (default ${DEFAULT_TRACE_DEPTH}); the window defaults to "all"
+  --fan-out <n>         trace: funders and counterparties followed per address, 1 to ${MAX_FAN_OUT} (default ${DEFAULT_FAN_OUT})
+  --min-usd <usd>       post: smallest move worth posting (default SOCIAL_MIN_USD or 50000)
+  --thread              post: a thread, with the social chatter and the wallet link in posts of their own
+  --publish             post: publish on X (needs X_ACCESS_TOKEN) instead of only printing the draft
+  --verbose             Print progress logs to stderr
+  --metrics             Print the run's metrics to stderr as JSON: provider calls, latencies, retries, LLM tokens, duration
+  -h, --help            Show this help
+
+Exit codes: 0 success, 1 unexpected error, 2 invalid arguments, 3 invalid address, 4 data provider error.
+`;
+
+const OPTIONS = {
+  chain: { type: "string", default: DEFAULT_CHAIN },
+  window: { type: "string" },
+  from: { type: "string" },
+  to: { type: "string" },
+  format: { type: "string", default: "md" },
+  "no-llm": { type: "boolean", default: false },
+  style: { type: "string" },
+  spam: { type: "string", default: DEFAULT_SPAM_MODE },
+  approvals: { type: "boolean", default: false },
+  token: { type: "string" },
+  direction: { type: "string" },
+  counterparty: { type: "string" },
+  depth: { type: "string" },
+  "fan-out": { type: "string" },
+  "min-usd": { type: "string" },
+  thread: { type: "boolean", default: false },
+  publish: { type: "boolean", default: false },
+  verbose: { type: "boolean", default: false },
+  metrics: { type: "boolean", default: false },
+  help: { type: "boolean", short: "h", default: false },
+};
+
+class UsageError extends Error {}
+
+function parseCommandLine(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+  const { values, positionals } = parsed;
+  if (values.help) {
+    return { help: true };
+  }
+
+  const [command, address, ...extra] = positionals;
+  if (!COMMANDS.includes(command)) {
+    throw new UsageError(command ? `Unknown command "${command}"` : "No command given");
+  }
+  if (!address) {
+    throw new UsageError(`${command} needs a wallet address`);
+  }
+  if (extra.length > 0) {
+    throw new UsageError(`Unexpected argument "${extra[0]}"`);
+  }
+  if (!isHexAddress(address) && !isEnsName(address)) {
+    throw new InvalidAddressError(`"${address}" is not a valid Ethereum address or ENS name`, { input: address });
+  }
+
+  // Everything the scan would reject is checked before any provider is called.
+  try {
+    const formats = command === "trace" ? TRACE_FORMATS : command === "post" ? POST_FORMATS : OUTPUT_FORMATS;
+    if (!formats.includes(values.format)) {
+      throw new Error(`Invalid format "${values.format}". Expected one of: ${formats.join(", ")}`);
+    }
+    for (const [name, max] of [["depth", MAX_TRACE_DEPTH], ["fan-out", MAX_FAN_OUT]]) {
+      if (values[name] !== undefined && !(/^\d+$/.test(values[name]) && values[name] >= 1 && values[name] <= max)) {
+        throw new Error(`Invalid --${name} "${values[name]}". Expected 1 to ${max}`);
+      }
+    }
+    if (values["min-usd"] !== undefined && !/^\d+(\.\d+)?$/.test(values["min-usd"])) {
+      throw new Error(`Invalid --min-usd "${values["min-usd"]}". Expected a USD amount such as 50000`);
+    }
+    if (!SPAM_MODES.includes(values.spam)) {
+      throw new Error(`Invalid spam mode "${values.spam}". Expected one of: ${SPAM_MODES.join(", ")}`);
+    }
+    if (values.direction && !TRANSFER_DIRECTIONS.includes(values.direction)) {
+      throw new Error(`Invalid direction "${values.direction}". Expected one of: ${TRANSFER_DIRECTIONS.join(", ")}`);
+    }
+    if (values.style) {
+      getPromptTemplate(values.style);
+    }
+    resolveChains(values.chain);
+    if (command === "trace" && values.chain === ALL_CHAINS) {
+      throw new Error("trace runs on one network; pick it with --chain");
+    }
+    parseTimeWindow({ window: values.window, from: values.from, to: values.to });
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+
+  return { command, address, options: values };
+}
+
+function holdingsOf(report) {
+  return report.networks.flatMap(network => network.holdings);
+}
+
+function transfersOf(report, { token, direction, counterparty }) {
+  return filterTransfers(reportTransfers(report), { token, direction, counterparty });
+}
+
+function render(command, result, options) {
+  const { report } = result;
+  if (command === "analyze") {
+    switch (options.format) {
+      case "json":
+        return renderReportJson(report);
+      case "csv":
+        return renderTransfersCsv(transfersOf(report, {}));
+      default:
+        return renderMarkdownReport(result);
+    }
+  }
+
+  if (command === "holdings") {
+    const holdings = holdingsOf(report);
+    switch (options.format) {
+      case "json":
+        return JSON.stringify(holdings, null, 2) + "\n";
+      case "csv":
+        return renderHoldingsCsv(holdings);
+      default:
+        return `# Holdings of ${report.walletAddress}\n\n${renderHoldingsTable(holdings)}\n`;
+    }
+  }
+
+  const transfers = transfersOf(report, options);
+  switch (options.format) {
+    case "json":
+      return JSON.stringify(transfers, null, 2) + "\n";
+    case "csv":
+      return renderTransfersCsv(transfers);
+    default:
+      return `# Transfers of ${report.walletAddress}, ${report.window.label}\n\n${renderTransfersTable(transfers)}\n`;
+  }
+}
+
+// The logger writes through console; stdout must carry only the result.
+function redirectConsole(verbose, stderr) {
+  const saved = { log: console.log, info: console.info, warn: console.warn, error: console.error };
+  const write = verbose ? (...args) => stderr.write(args.map(a => (typeof a === "string" ? a : JSON.stringify(a))).join(" ") + "\n") : () => {};
+  console.log = console.info = console.warn = console.error = write;
+  return () => Object.assign(console, saved);
+}
+
+// Drafts by default; --publish posts through the configured publisher and prints the links.
+async function runPost(address, options, { providers, store, labels, now, stdout }) {
+  if (options.publish && !providers.publisher) {
+    throw new Error("Publishing needs X_ACCESS_TOKEN; leave out --publish to print the draft");
+  }
+  const minUsd = options["min-usd"] === undefined ? undefined : Number(options["min-usd"]);
+  const result = await summarizeTokenTransactions(address, options.chain, {
+    window: options.window,
+    from: options.from,
+    to: options.to,
+    spam: options.spam,
+    socialMinUsd: minUsd,
+    narrate: false,
+    providers,
+    store,
+    labels,
+    now,
+  });
+  const outcome = await publishWhaleMove(result, { publisher: providers.publisher, dryRun: !options.publish, thread: options.thread, minUsd });
+  if (options.format === "json") {
+    stdout.write(JSON.stringify(outcome, null, 2) + "\n");
+  } else if (outcome.posts.length === 0) {
+    stdout.write(`No token moved for the threshold in the ${result.report.window.label}; nothing to post.\n`);
+  } else {
+    stdout.write(`${outcome.posts.join("\n\n---\n\n")}\n${outcome.dryRun ? "" : `\n${outcome.urls.join("\n")}\n`}`);
+  }
+  return EXIT_CODES.ok;
+}
+
+async function runCommand(command, address, options, { providers, store, labels, now, stdout, stderr }) {
+  const scanProviders = providers || getDefaultProviders();
+  const wallet = await createAddressResolver({ names: () => scanProviders.names }).resolve(address);
+  if (command === "trace") {
+    const graph = await traceWallet(wallet.address, options.chain, {
+      depth: options.depth === undefined ? undefined : Number(options.depth),
+      fanOut: options["fan-out"] === undefined ? undefined : Number(options["fan-out"]),
+      window: options.window,
+      from: options.from,
+      to: options.to,
+      providers: scanProviders,
+      store,
+      labels,
+      now,
+    });
+    stdout.write(options.format === "md" ? `${describeTrace(graph)}\n` : renderGraph(graph, options.format));
+    return EXIT_CODES.ok;
+  }
+  if (command === "post") {
+    return runPost(wallet.address, options, { providers: scanProviders, store, labels, now, stdout });
+  }
+  const narrate = command === "analyze" && options.format === "md";
+  const result = await summarizeTokenTransactions(wallet.address, options.chain, {
+    window: options.window,
+    from: options.from,
+    to: options.to,
+    spam: options.spam,
+    style: options.style,
+    approvals: command === "analyze" && options.approvals,
+    narrate,
+    providers: options["no-llm"] ? { ...scanProviders, summarizer: createTemplateSummarizer({ style: options.style }) } : scanProviders,
+    store,
+    labels,
+    now,
+  });
+  for (const network of result.report.networks.filter(n => n.error)) {
+    stderr.write(`ethwallet: ${network.network} could not be scanned: ${network.error}\n`);
+  }
+  stdout.write(render(command, result, options));
+  return EXIT_CODES.ok;
+}
+
+/**
+ * Runs one command line and returns its exit code; see EXIT_CODES.
+ *
+ * @param {string[]} argv - Arguments after the program name
+ * @param {Object} [options] - `providers`, `store`, `labels` and `now` as for the scanner, and the `stdout`/`stderr` streams
+ * @returns {Promise<number>}
+ */
+export async function runCli(argv, { providers, store, labels, now, stdout = process.stdout, stderr = process.stderr } = {}) {
+  let parsed;
+  try {
+    parsed = parseCommandLine(argv);
+  } catch (error) {
+    stderr.write(`ethwallet: ${error.message}\n`);
+    if (error instanceof UsageError) {
+      stderr.write(`\n${USAGE}`);
+      return EXIT_CODES.usage;
+    }
+    return EXIT_CODES.invalidAddress;
+  }
+  if (parsed.help) {
+    stdout.write(USAGE);
+    return EXIT_CODES.ok;
+  }
+
+  const { command, address, options } = parsed;
+  const restoreConsole = redirectConsole(options.verbose, stderr);
+  const metrics = createMetricsRegistry({ limit: 1 });
+  try {
+    return await withRun({ name: `cli ${command}`, correlationId: newCorrelationId("cli"), registry: metrics }, () =>
+      runCommand(command, address, options, { providers, store, labels, now, stdout, stderr }));
+  } catch (error) {
+    if (error instanceof InvalidAddressError) {
+      stderr.write(`ethwallet: ${error.message}\n`);
+      return EXIT_CODES.invalidAddress;
+    }
+    if (error instanceof ProviderError) {
+      stderr.write(`ethwallet: ${error.provider || "provider"} error (${error.code}): ${error.message}\n`);
+      return EXIT_CODES.provider;
+    }
+    stderr.write(`ethwallet: ${error.message}\n`);
+    return EXIT_CODES.error;
+  } finally {
+    restoreConsole();
+    if (options.metrics) {
+      stderr.write(`${JSON.stringify(metrics.summary().recent[0], null, 2)}\n`);
+    }
+  }
+}
+
+// Run directly or through the `ethwallet` bin link, not when imported.
+if (process.argv[1] && fs.realpathSync(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  process.exitCode = await runCli(process.argv.slice(2));
+}
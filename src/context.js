@@ -0,0 +1,45 @@
+// What each workspace's conversation is about: the wallet analyzed last, so follow-up
+// questions ("what did they sell yesterday?") need no address. The wallet's fetched data
+// itself stays in the wallet store; this only points at it.
+
+export const MAX_WORKSPACES = 1000;
+
+/**
+ * @typedef {Object} WalletContext
+ * @property {string} walletAddress
+ * @property {string} chain - The network analyzed, or "all"
+ * @property {string} analyzedAt - ISO timestamp
+ */
+
+// Kept in memory; the least recently used workspaces are forgotten past `maxWorkspaces`.
+export function createWorkspaceContext({ maxWorkspaces = MAX_WORKSPACES, now = () => new Date() } = {}) {
+  const contexts = new Map();
+
+  /** @returns {WalletContext|null} */
+  function get(workspaceId) {
+    const context = contexts.get(workspaceId);
+    if (!context) {
+      return null;
+    }
+    contexts.delete(workspaceId);
+    contexts.set(workspaceId, context);
+    return context;
+  }
+
+  function set(workspaceId, { walletAddress, chain }) {
+    if (workspaceId === undefined || workspaceId === null) {
+      return;
+    }
+    contexts.delete(workspaceId);
+    contexts.set(workspaceId, { walletAddress: walletAddress.toLowerCase(), chain, analyzedAt: now().toISOString() });
+    if (contexts.size > maxWorkspaces) {
+      contexts.delete(contexts.keys().next().value);
+    }
+  }
+
+  function clear(workspaceId) {
+    contexts.delete(workspaceId);
+  }
+
+  return { get, set, clear };
+}
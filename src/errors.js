@@ -0,0 +1,21 @@
+// Raised when a data provider (explorer, Moralis, LLM) cannot deliver a result.
+// `code` tells callers why, `retryable` whether trying again later can help.
+export class ProviderError extends Error {
+  constructor(message, { provider, code = "API_ERROR", retryable = false, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = "ProviderError";
+    this.provider = provider;
+    this.code = code;
+    this.retryable = retryable;
+  }
+}
+
+// Raised when a wallet given by a user is neither a valid address (EIP-55 checksum included)
+// nor a name that resolves to one. `input` is what the user gave.
+export class InvalidAddressError extends Error {
+  constructor(message, { input } = {}) {
+    super(message);
+    this.name = "InvalidAddressError";
+    this.input = input;
+  }
+}
@@ -0,0 +1,310 @@
+import { formatUsd, roundUsd } from "./valuation.js";
+
+// Funding-source tracing: from one wallet, follow who first funded it and who it moved the most
+// value with, a few hops out, and keep the result as an address graph. Edges follow the value
+// (sender to recipient) and are weighted by the USD volume moved at current prices.
+//
+// Known entities (any labelled address, such as an exchange, and verified contracts such as
+// routers and WETH) end a path: their counterparties are everyone, so tracing through them links
+// nothing.
+
+export const DEFAULT_TRACE_DEPTH = 2;
+export const MAX_TRACE_DEPTH = 4;
+export const DEFAULT_FAN_OUT = 3;
+export const MAX_FAN_OUT = 10;
+// Rows per history kind fetched for an address met along a trace; busier ones are not followed.
+export const MAX_TRACE_ROWS = 2000;
+export const GRAPH_FORMATS = ["json", "graphml", "dot"];
+
+/**
+ * @typedef {Object} GraphNode
+ * @property {string} address
+ * @property {string|null} label - Name from the label registry
+ * @property {string|null} category - Label category, such as "cex"
+ * @property {string|null} contract - Name of the verified contract at the address
+ * @property {number} depth - Hops from the traced wallet
+ * @property {("root"|"funder"|"counterparty")[]} roles - Why the address is in the graph
+ * @property {boolean} expanded - Whether its own transfers were followed
+ * @property {boolean} [truncated] - Set when it was not followed because its history is over MAX_TRACE_ROWS rows of one kind
+ * @property {{from: string, timestamp: string, amount: number, tokenSymbol: string, transactionHash: string}[]} [fundedBy] -
+ *   First inbound transfers of an expanded wallet
+ */
+
+/**
+ * @typedef {Object} GraphEdge
+ * @property {string} from - Sender
+ * @property {string} to - Recipient
+ * @property {number} transfers
+ * @property {number} usdVolume - USD value of the priced transfers, at current prices; the edge weight
+ * @property {boolean} funding - One of the first inbound transfers of the recipient
+ * @property {{contractAddress: string, tokenSymbol: string, amount: number}[]} tokens
+ * @property {string} firstAt - ISO timestamp of the first transfer
+ * @property {string} lastAt
+ */
+
+/**
+ * @typedef {Object} AddressGraph
+ * @property {string} root
+ * @property {string} chain
+ * @property {{depth: number, fanOut: number, window: {from: string|null, to: string, label: string}}} trace
+ * @property {GraphNode[]} nodes
+ * @property {GraphEdge[]} edges - Heaviest first
+ */
+
+/**
+ * The wallet's first inbound transfers from distinct senders, oldest first: where its money
+ * came from. Unpriced tokens are skipped while any inflow is priced, as airdropped spam would
+ * otherwise pass for funding.
+ *
+ * @param {import("./history.js").Transfer[]} transfers - The wallet's transfers, in any order
+ * @param {number} fanOut - How many senders to return
+ * @returns {import("./history.js").Transfer[]} The first transfer from each sender
+ */
+export function findFundingTransfers(transfers, fanOut) {
+  const funding = [];
+  const received = transfers.filter(tx => tx.flow === "inflow" && tx.amount > 0);
+  const priced = received.filter(tx => tx.usdValue > 0);
+  const inflows = (priced.length > 0 ? priced : received).sort((a, b) => Date.parse(a.timestamp) - Date.parse(b.timestamp));
+  for (const tx of inflows) {
+    if (funding.length >= fanOut) {
+      break;
+    }
+    if (!funding.some(f => f.counterparty === tx.counterparty)) {
+      funding.push(tx);
+    }
+  }
+  return funding;
+}
+
+/**
+ * Volume per counterparty in both directions, largest USD volume first and then most transfers.
+ *
+ * @param {import("./history.js").Transfer[]} transfers - Valued transfers of one wallet
+ * @returns {{address: string, usdVolume: number, transfers: number}[]}
+ */
+export function rankCounterparties(transfers) {
+  const byAddress = new Map();
+  for (const tx of transfers.filter(tx => tx.amount > 0)) {
+    const entry = byAddress.get(tx.counterparty) || { address: tx.counterparty, usdVolume: 0, transfers: 0 };
+    entry.usdVolume = roundUsd(entry.usdVolume + (tx.usdValue ?? 0));
+    entry.transfers += 1;
+    byAddress.set(tx.counterparty, entry);
+  }
+  return [...byAddress.values()].sort((a, b) => b.usdVolume - a.usdVolume || b.transfers - a.transfers);
+}
+
+export function createGraph(root, chain, trace) {
+  return { root, chain, trace, nodes: [], edges: [] };
+}
+
+/**
+ * Adds the address, or the role to it when it is already in the graph.
+ *
+ * @param {AddressGraph} graph
+ * @param {string} address
+ * @param {{depth: number, role: GraphNode["roles"][number], label: import("./labels.js").CounterpartyLabel|null}} node
+ * @returns {GraphNode}
+ */
+export function addNode(graph, address, { depth, role, label }) {
+  let node = graph.nodes.find(n => n.address === address);
+  if (!node) {
+    node = { address, label: label?.name ?? null, category: label?.category ?? null, contract: null, depth, roles: [], expanded: false };
+    graph.nodes.push(node);
+  }
+  if (!node.roles.includes(role)) {
+    node.roles.push(role);
+  }
+  return node;
+}
+
+function roundAmount(value) {
+  return Math.round(value * 1e8) / 1e8;
+}
+
+// The same transfer is seen from both ends when both wallets are expanded.
+function transferKey(tx, from, to) {
+  return `${tx.transactionHash}:${tx.contractAddress}:${from}:${to}:${tx.amount}`;
+}
+
+/**
+ * Adds the wallet's transfers with addresses already in the graph as edges. `funding` are
+ * the transfers that mark their edge as funding.
+ *
+ * @param {AddressGraph} graph
+ * @param {string} walletAddress
+ * @param {import("./history.js").Transfer[]} transfers - Valued transfers of the wallet
+ * @param {{funding?: import("./history.js").Transfer[], seen: Set<string>}} options - `seen` dedupes transfers across wallets
+ */
+export function addTransferEdges(graph, walletAddress, transfers, { funding = [], seen }) {
+  const inGraph = new Set(graph.nodes.map(n => n.address));
+  for (const tx of transfers) {
+    if (tx.amount <= 0 || !inGraph.has(tx.counterparty)) {
+      continue;
+    }
+    const [from, to] = tx.flow === "outflow" ? [walletAddress, tx.counterparty] : [tx.counterparty, walletAddress];
+    const key = transferKey(tx, from, to);
+    if (seen.has(key)) {
+      continue;
+    }
+    seen.add(key);
+
+    let edge = graph.edges.find(e => e.from === from && e.to === to);
+    if (!edge) {
+      edge = { from, to, transfers: 0, usdVolume: 0, funding: false, tokens: [], firstAt: tx.timestamp, lastAt: tx.timestamp };
+      graph.edges.push(edge);
+    }
+    edge.transfers += 1;
+    edge.usdVolume = roundUsd(edge.usdVolume + (tx.usdValue ?? 0));
+    edge.funding = edge.funding || funding.includes(tx);
+    const token = edge.tokens.find(t => t.contractAddress === tx.contractAddress);
+    if (token) {
+      token.amount = roundAmount(token.amount + tx.amount);
+    } else {
+      edge.tokens.push({ contractAddress: tx.contractAddress, tokenSymbol: tx.tokenSymbol, amount: roundAmount(tx.amount) });
+    }
+    edge.firstAt = tx.timestamp < edge.firstAt ? tx.timestamp : edge.firstAt;
+    edge.lastAt = tx.timestamp > edge.lastAt ? tx.timestamp : edge.lastAt;
+  }
+  graph.edges.sort((a, b) => b.usdVolume - a.usdVolume || b.transfers - a.transfers);
+}
+
+function shortAddress(address) {
+  return `${address.slice(0, 6)}…${address.slice(-4)}`;
+}
+
+function nodeName(node) {
+  const name = node.label || node.contract;
+  return name ? `${name} (${shortAddress(node.address)})` : shortAddress(node.address);
+}
+
+function escapeXml(text) {
+  return String(text).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+}
+
+function escapeDot(text) {
+  return String(text).replace(/\\/g, "\\\\").replace(/"/g, '\\"');
+}
+
+const GRAPHML_KEYS = [
+  ["label", "node", "string"],
+  ["category", "node", "string"],
+  ["contract", "node", "string"],
+  ["depth", "node", "int"],
+  ["roles", "node", "string"],
+  ["expanded", "node", "boolean"],
+  ["weight", "edge", "double"],
+  ["transfers", "edge", "int"],
+  ["funding", "edge", "boolean"],
+  ["tokens", "edge", "string"],
+];
+
+/**
+ * @param {AddressGraph} graph
+ * @returns {string} GraphML, with the node and edge fields as data keys; `weight` is the USD volume
+ */
+export function renderGraphMl(graph) {
+  const data = (key, value) => (value === null || value === undefined ? [] : [`      <data key="${key}">${escapeXml(value)}</data>`]);
+  return [
+    `<?xml version="1.0" encoding="UTF-8"?>`,
+    `<graphml xmlns="http://graphml.graphdrawing.org/xmlns">`,
+    ...GRAPHML_KEYS.map(([name, target, type]) => `  <key id="${name}" for="${target}" attr.name="${name}" attr.type="${type}"/>`),
+    `  <graph id="${escapeXml(graph.root)}" edgedefault="directed">`,
+    ...graph.nodes.flatMap(node => [
+      `    <node id="${node.address}">`,
+      ...data("label", node.label),
+      ...data("category", node.category),
+      ...data("contract", node.contract),
+      ...data("depth", node.depth),
+      ...data("roles", node.roles.join(",")),
+      ...data("expanded", node.expanded),
+      `    </node>`,
+    ]),
+    ...graph.edges.flatMap((edge, i) => [
+      `    <edge id="e${i}" source="${edge.from}" target="${edge.to}">`,
+      ...data("weight", edge.usdVolume),
+      ...data("transfers", edge.transfers),
+      ...data("funding", edge.funding),
+      ...data("tokens", edge.tokens.map(t => t.tokenSymbol).join(",")),
+      `    </edge>`,
+    ]),
+    `  </graph>`,
+    `</graphml>`,
+    "",
+  ].join("\n");
+}
+
+/**
+ * @param {AddressGraph} graph
+ * @returns {string} Graphviz DOT; edge width grows with the USD volume and funding edges are dashed
+ */
+export function renderDot(graph) {
+  const heaviest = Math.max(1, ...graph.edges.map(e => e.usdVolume));
+  return [
+    `digraph "${escapeDot(graph.root)}" {`,
+    `  rankdir=LR;`,
+    `  node [shape=box, fontname="Helvetica"];`,
+    ...graph.nodes.map(node => {
+      const style = node.roles.includes("root") ? ", style=bold" : node.label || node.contract ? ", style=filled, fillcolor=lightgrey" : "";
+      return `  "${node.address}" [label="${escapeDot(nodeName(node))}"${style}];`;
+    }),
+    ...graph.edges.map(edge => {
+      const width = 1 + Math.round((edge.usdVolume / heaviest) * 4 * 10) / 10;
+      return `  "${edge.from}" -> "${edge.to}" [label="${escapeDot(`${formatUsd(edge.usdVolume)} (${edge.transfers})`)}", weight=${edge.usdVolume}, penwidth=${width}${edge.funding ? ", style=dashed" : ""}];`;
+    }),
+    `}`,
+    "",
+  ].join("\n");
+}
+
+/**
+ * @param {AddressGraph} graph
+ * @param {"json"|"graphml"|"dot"} format
+ * @returns {string}
+ */
+export function renderGraph(graph, format) {
+  switch (format) {
+    case "graphml":
+      return renderGraphMl(graph);
+    case "dot":
+      return renderDot(graph);
+    case "json":
+      return JSON.stringify(graph, null, 2) + "\n";
+    default:
+      throw new Error(`Invalid graph format "${format}". Expected one of: ${GRAPH_FORMATS.join(", ")}`);
+  }
+}
+
+// The trace as text: who funded each expanded wallet, the known entities reached and the heaviest edges.
+export function describeTrace(graph, { edges = 10 } = {}) {
+  const byAddress = new Map(graph.nodes.map(n => [n.address, n]));
+  const lines = [`Trace of ${graph.root} on ${graph.chain}, ${graph.trace.window.label}, depth ${graph.trace.depth}, fan-out ${graph.trace.fanOut}: ${graph.nodes.length} address(es), ${graph.edges.length} edge(s).`];
+
+  const funded = graph.nodes.filter(n => n.fundedBy?.length > 0);
+  if (funded.length > 0) {
+    lines.push("", "Funding:");
+    for (const node of funded) {
+      const sources = node.fundedBy.map(f => `${nodeName(byAddress.get(f.from))} (${f.amount} ${f.tokenSymbol} on ${f.timestamp.slice(0, 10)})`);
+      lines.push(`- ${nodeName(node)} was first funded by ${sources.join(", ")}`);
+    }
+  }
+
+  const busy = graph.nodes.filter(n => n.truncated);
+  if (busy.length > 0) {
+    lines.push("", "Not followed, too many transfers:");
+    lines.push(...busy.map(n => `- ${nodeName(n)}, ${n.depth} hop(s) away`));
+  }
+
+  const entities = graph.nodes.filter(n => n.label || n.contract);
+  if (entities.length > 0) {
+    lines.push("", "Known entities reached:");
+    lines.push(...entities.map(n => `- ${n.label ? `${n.label} (${n.category})` : `${n.contract} (contract)`} ${n.address}, ${n.depth} hop(s) away`));
+  }
+
+  if (graph.edges.length > 0) {
+    lines.push("", "Heaviest edges:");
+    lines.push(...graph.edges.slice(0, edges).map(e =>
+      `- ${nodeName(byAddress.get(e.from))} → ${nodeName(byAddress.get(e.to))}: ${formatUsd(e.usdVolume)} over ${e.transfers} transfer(s)${e.funding ? " (funding)" : ""}`
+    ));
+  }
+  return lines.join("\n");
+}
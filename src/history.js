@@ -0,0 +1,108 @@
+// The account history kinds fetched from the explorers and how their raw rows map onto
+// the single inflow/outflow transfer model the report is built from.
+
+// Placeholder contract address for the chain's native token (ETH, POL, BNB).
+export const NATIVE_ADDRESS = "0xeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeee";
+
+// Explorer action => transfer provider method returning that history.
+export const HISTORY_KINDS = {
+  tokentx: "getTokenTransfers",
+  txlist: "getNormalTransactions",
+  txlistinternal: "getInternalTransactions",
+  tokennfttx: "getNftTransfers",
+  token1155tx: "getErc1155Transfers",
+};
+
+// Identifies a row across overlapping pages and syncs: token transfers by log index (and
+// token id, as an ERC-1155 batch moves several ids in one log), internal transfers by
+// trace, normal transactions by hash alone.
+export function historyRowId(tx) {
+  const id = `${tx.hash}:${tx.logIndex ?? tx.traceId ?? ""}`;
+  return tx.tokenID === undefined ? id : `${id}:${tx.tokenID}`;
+}
+
+function flowOf(tx, walletAddress) {
+  return tx.from.toLowerCase() === walletAddress ? 'outflow' : 'inflow';
+}
+
+// The other side of the transfer: the sender of an inflow, the recipient of an outflow.
+function counterpartyOf(tx, walletAddress) {
+  return (flowOf(tx, walletAddress) === 'outflow' ? tx.to : tx.from).toLowerCase();
+}
+
+function isoTime(tx) {
+  return new Date(parseInt(tx.timeStamp) * 1000).toISOString();
+}
+
+/**
+ * @typedef {Object} Transfer
+ * @property {string} chain
+ * @property {"token"|"native"|"internal"} source - ERC-20 transfer, normal transaction value or internal (contract) transfer
+ * @property {"inflow"|"outflow"} flow
+ * @property {string} tokenName
+ * @property {string} tokenSymbol
+ * @property {number} amount
+ * @property {string} timestamp - ISO timestamp
+ * @property {number} blockNumber
+ * @property {string} transactionHash
+ * @property {string} contractAddress - Token contract, NATIVE_ADDRESS for native value
+ * @property {string} counterparty - Sender of an inflow, recipient of an outflow
+ * @property {import("./labels.js").CounterpartyLabel|null} [counterpartyLabel] - Set once the transfers are tagged
+ */
+
+export function normalizeTokenTransfer(tx, walletAddress, chainConfig) {
+  return {
+    chain: chainConfig.id,
+    source: "token",
+    flow: flowOf(tx, walletAddress),
+    counterparty: counterpartyOf(tx, walletAddress),
+    tokenName: tx.tokenName,
+    tokenSymbol: tx.tokenSymbol,
+    amount: parseFloat(tx.value) / Math.pow(10, parseInt(tx.tokenDecimal)), // Convert token amount
+    timestamp: isoTime(tx),
+    blockNumber: parseInt(tx.blockNumber),
+    transactionHash: tx.hash,
+    contractAddress: tx.contractAddress,
+  };
+}
+
+// Normal and internal transactions that moved native value. Failed and zero-value calls carry none.
+export function normalizeNativeTransfer(tx, walletAddress, chainConfig, source) {
+  if (tx.isError === "1" || tx.value === "0") {
+    return null;
+  }
+  const { name, symbol, decimals } = chainConfig.nativeToken;
+  return {
+    chain: chainConfig.id,
+    source,
+    flow: flowOf(tx, walletAddress),
+    counterparty: counterpartyOf(tx, walletAddress),
+    tokenName: name,
+    tokenSymbol: symbol,
+    amount: parseFloat(tx.value) / Math.pow(10, decimals),
+    timestamp: isoTime(tx),
+    blockNumber: parseInt(tx.blockNumber),
+    transactionHash: tx.hash,
+    contractAddress: NATIVE_ADDRESS,
+  };
+}
+
+// Gas is paid by the sender of a normal transaction, whether or not it succeeded.
+export function gasPayments(transactions, walletAddress, chainConfig) {
+  return transactions
+    .filter(tx => tx.from.toLowerCase() === walletAddress)
+    .map(tx => ({
+      timestamp: isoTime(tx),
+      amount: Number(BigInt(tx.gasUsed || 0) * BigInt(tx.gasPrice || 0)) / Math.pow(10, chainConfig.nativeToken.decimals),
+    }));
+}
+
+export function gasSpent(transactions, walletAddress, chainConfig) {
+  const sent = transactions.filter(tx => tx.from.toLowerCase() === walletAddress);
+  const wei = sent.reduce((sum, tx) => sum + BigInt(tx.gasUsed || 0) * BigInt(tx.gasPrice || 0), 0n);
+  return {
+    symbol: chainConfig.nativeToken.symbol,
+    amount: Number(wei) / Math.pow(10, chainConfig.nativeToken.decimals),
+    transactions: sent.length,
+  };
+}
@@ -0,0 +1,192 @@
+import fs from 'fs';
+import path from 'path';
+import { sumUsd } from "./valuation.js";
+
+// Counterparty labels: who is on the other side of a transfer. The bundled registry in
+// data/labels.json covers the main exchanges, DEX routers, bridges, mixers and funds;
+// WALLET_LABELS_FILE adds comma-separated JSON or CSV files of the same entries on top,
+// including "malicious" ones (drainers, phishing contracts) that flag approvals to them.
+//
+// Entry: { address, name, category, chain? }. Without a chain the label applies on every
+// network, which suits exchange wallets (plain accounts); contracts are given their chain.
+
+export const LABEL_CATEGORIES = ["cex", "dex", "bridge", "mixer", "fund", "malicious"];
+
+const BUNDLED_LABELS = new URL("./data/labels.json", import.meta.url);
+
+// What a labelled flow is called in the report, per category and direction.
+export const FLOW_LABELS = {
+  cex: { outflow: "CEX deposits", inflow: "received from exchange" },
+  dex: { outflow: "sent to DEX", inflow: "received from DEX" },
+  bridge: { outflow: "bridged out", inflow: "bridged in" },
+  mixer: { outflow: "sent to mixer", inflow: "received from mixer" },
+  fund: { outflow: "sent to fund", inflow: "received from fund" },
+  malicious: { outflow: "sent to known malicious address", inflow: "received from known malicious address" },
+};
+
+/**
+ * @typedef {Object} CounterpartyLabel
+ * @property {string} name
+ * @property {"cex"|"dex"|"bridge"|"mixer"|"fund"|"malicious"} category
+ */
+
+/**
+ * @typedef {Object} LabelRegistry
+ * @property {(address: string, chain: string) => CounterpartyLabel|null} lookup
+ * @property {() => Object[]} entries
+ */
+
+/**
+ * @typedef {Object} CounterpartyFlow
+ * @property {string} category
+ * @property {"inflow"|"outflow"} flow
+ * @property {string} label - e.g. "CEX deposits", "bridged out"
+ * @property {number} transfers
+ * @property {number|null} usdValue
+ * @property {{tokenSymbol: string, amount: number}[]} tokens
+ * @property {string[]} counterparties - Names of the labelled entities involved
+ */
+
+// address,name,category[,chain] with a header row. Fields may be double-quoted.
+export function parseLabelsCsv(text) {
+  const rows = text.split(/\r?\n/).filter(line => line.trim() !== "").map(splitCsvLine);
+  const [header, ...records] = rows;
+  const columns = header.map(column => column.trim().toLowerCase());
+  return records.map(values => Object.fromEntries(columns.map((column, i) => [column, (values[i] || "").trim()])));
+}
+
+function splitCsvLine(line) {
+  const values = [];
+  let current = "";
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        current += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        current += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      values.push(current);
+      current = "";
+    } else {
+      current += char;
+    }
+  }
+  values.push(current);
+  return values;
+}
+
+export function readLabelsFile(file) {
+  const text = fs.readFileSync(file, "utf8");
+  return path.extname(file).toLowerCase() === ".csv" ? parseLabelsCsv(text) : JSON.parse(text);
+}
+
+function validateEntry(entry, source) {
+  if (!/^0x[a-fA-F0-9]{40}$/.test(entry.address || "")) {
+    throw new Error(`Invalid label address "${entry.address}" in ${source}`);
+  }
+  if (!LABEL_CATEGORIES.includes(entry.category)) {
+    throw new Error(`Invalid label category "${entry.category}" for ${entry.address} in ${source}. Expected one of: ${LABEL_CATEGORIES.join(", ")}`);
+  }
+  return {
+    address: entry.address.toLowerCase(),
+    name: entry.name || entry.address,
+    category: entry.category,
+    ...(entry.chain ? { chain: entry.chain } : {}),
+  };
+}
+
+/**
+ * Label registry from the bundled labels plus extra files and entries. Later entries win,
+ * so user files can rename or recategorize bundled addresses.
+ *
+ * @param {{files?: string[], entries?: Object[], bundled?: boolean}} [options]
+ * @returns {LabelRegistry}
+ */
+export function createLabelRegistry({ files = [], entries = [], bundled = true } = {}) {
+  const all = [];
+  if (bundled) {
+    all.push(...JSON.parse(fs.readFileSync(BUNDLED_LABELS, "utf8")).map(e => validateEntry(e, "bundled labels")));
+  }
+  for (const file of files) {
+    all.push(...readLabelsFile(file).map(e => validateEntry(e, file)));
+  }
+  all.push(...entries.map(e => validateEntry(e, "label entries")));
+
+  // Chain-specific labels take precedence over chain-agnostic ones for the same address.
+  const byAddress = new Map();
+  for (const entry of all) {
+    const key = entry.chain ? `${entry.chain}:${entry.address}` : entry.address;
+    byAddress.set(key, entry);
+  }
+
+  function lookup(address, chain) {
+    if (!address) {
+      return null;
+    }
+    const key = address.toLowerCase();
+    const entry = byAddress.get(`${chain}:${key}`) || byAddress.get(key);
+    return entry ? { name: entry.name, category: entry.category } : null;
+  }
+
+  return { lookup, entries: () => [...byAddress.values()] };
+}
+
+let defaultRegistry = null;
+
+export function getDefaultLabelRegistry() {
+  if (!defaultRegistry) {
+    const files = (process.env.WALLET_LABELS_FILE || "").split(",").map(f => f.trim()).filter(Boolean);
+    defaultRegistry = createLabelRegistry({ files });
+  }
+  return defaultRegistry;
+}
+
+// Sets counterpartyLabel (null when unknown) on every transfer.
+export function tagTransfers(transfers, registry) {
+  for (const tx of transfers) {
+    tx.counterpartyLabel = registry.lookup(tx.counterparty, tx.chain);
+  }
+  return transfers;
+}
+
+/**
+ * Totals of the labelled transfers per category and direction, such as "CEX deposits".
+ *
+ * @param {import("./history.js").Transfer[]} transfers - Tagged transfers
+ * @returns {CounterpartyFlow[]}
+ */
+export function buildCounterpartyFlows(transfers) {
+  const flows = new Map();
+  for (const tx of transfers) {
+    if (!tx.counterpartyLabel) {
+      continue;
+    }
+    const { category, name } = tx.counterpartyLabel;
+    const key = `${category}:${tx.flow}`;
+    if (!flows.has(key)) {
+      flows.set(key, { category, flow: tx.flow, label: FLOW_LABELS[category][tx.flow], transfers: [], tokens: new Map(), counterparties: new Set() });
+    }
+    const flow = flows.get(key);
+    flow.transfers.push(tx);
+    flow.tokens.set(tx.tokenSymbol, Math.round(((flow.tokens.get(tx.tokenSymbol) || 0) + tx.amount) * 1e8) / 1e8);
+    flow.counterparties.add(name);
+  }
+
+  return [...flows.values()].map(flow => ({
+    category: flow.category,
+    flow: flow.flow,
+    label: flow.label,
+    transfers: flow.transfers.length,
+    usdValue: sumUsd(flow.transfers.map(tx => tx.usdValue)),
+    tokens: [...flow.tokens].map(([tokenSymbol, amount]) => ({ tokenSymbol, amount })),
+    counterparties: [...flow.counterparties],
+  }));
+}
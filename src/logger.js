@@ -0,0 +1,170 @@
+import { AsyncLocalStorage } from 'node:async_hooks';
+
+// Structured, levelled logging. Every entry is one JSON line (or one readable line with
+// LOG_FORMAT=pretty) with the time, level, message, the fields of the surrounding log context
+// (correlation ID, workspace, task) and its own fields. Secrets are redacted from every entry:
+// API keys in URLs and headers, fields named like keys or passwords, and the values of secret
+// environment variables wherever they appear.
+
+export const LOG_LEVELS = ["debug", "info", "warn", "error"];
+export const LOG_FORMATS = ["json", "pretty"];
+
+const REDACTED = "[redacted]";
+const SECRET_FIELD = /^(api[-_]?key|x-api-key|authorization|password|secret|client[-_]?secret|private[-_]?key|access[-_]?token)$/i;
+const SECRET_ENV = /(API_KEY|SECRET|TOKEN|PASSWORD|PRIVATE_KEY)/i;
+const SECRET_PATTERNS = [
+  [/([?&](?:apikey|api_key|api-key|key|token|access_token)=)[^&\s"']+/gi, `$1${REDACTED}`],
+  [/(Bearer\s+)[\w.~+/=-]+/gi, `$1${REDACTED}`],
+  [/\bsk-[A-Za-z0-9_-]{16,}/g, REDACTED],
+];
+const MAX_DEPTH = 8;
+
+const context = new AsyncLocalStorage();
+
+// Values of the secret environment variables, looked up on every call so keys loaded by
+// dotenv after this module are covered too. Short values would match ordinary text.
+function secretValues(env) {
+  return Object.entries(env)
+    .filter(([name, value]) => SECRET_ENV.test(name) && typeof value === "string" && value.length >= 8)
+    .map(([, value]) => value);
+}
+
+function redactString(text, secrets) {
+  let result = text;
+  for (const [pattern, replacement] of SECRET_PATTERNS) {
+    result = result.replace(pattern, replacement);
+  }
+  for (const secret of secrets) {
+    result = result.split(secret).join(REDACTED);
+  }
+  return result;
+}
+
+// Errors keep what helps to diagnose them. HTTP client errors also carry the request
+// config, headers included, which is left out.
+function serializeError(error) {
+  return {
+    name: error.name,
+    message: error.message,
+    ...(error.code !== undefined ? { code: error.code } : {}),
+    ...(error.provider ? { provider: error.provider } : {}),
+    ...(error.response?.status ? { status: error.response.status } : {}),
+    ...(error.cause ? { cause: error.cause.message ?? String(error.cause) } : {}),
+  };
+}
+
+/**
+ * A copy of `value` with every secret replaced by "[redacted]".
+ *
+ * @param {*} value
+ * @param {{env?: Object}} [options] - The environment whose secret variables are redacted
+ * @returns {*}
+ */
+export function redact(value, { env = process.env } = {}) {
+  const secrets = secretValues(env);
+  const seen = new WeakSet();
+
+  function walk(item, depth) {
+    if (typeof item === "string") {
+      return redactString(item, secrets);
+    }
+    if (typeof item === "bigint") {
+      return item.toString();
+    }
+    if (item === null || typeof item !== "object") {
+      return item;
+    }
+    if (item instanceof Date) {
+      return item.toISOString();
+    }
+    if (seen.has(item) || depth >= MAX_DEPTH) {
+      return "[…]";
+    }
+    seen.add(item);
+    if (item instanceof Error) {
+      return walk(serializeError(item), depth + 1);
+    }
+    if (Array.isArray(item)) {
+      return item.map(entry => walk(entry, depth + 1));
+    }
+    return Object.fromEntries(Object.entries(item).map(([key, entry]) => [key, SECRET_FIELD.test(key) ? REDACTED : walk(entry, depth + 1)]));
+  }
+
+  return walk(value, 0);
+}
+
+/**
+ * Runs `fn` with `fields` (correlation ID, workspace, task) added to every entry logged
+ * while it runs, including from the calls it awaits.
+ *
+ * @template T
+ * @param {Object} fields
+ * @param {() => T} fn
+ * @returns {T}
+ */
+export function withLogContext(fields, fn) {
+  return context.run({ ...context.getStore(), ...fields }, fn);
+}
+
+export function logContext() {
+  return context.getStore() || {};
+}
+
+function formatPretty(entry) {
+  const { time, level, msg, ...fields } = entry;
+  const details = Object.entries(fields).map(([key, value]) => `${key}=${typeof value === "string" ? value : JSON.stringify(value)}`);
+  return [time, level.toUpperCase().padEnd(5), msg, ...details].join(" ");
+}
+
+// Warnings and errors go to stderr and the rest to stdout. Console is looked up on every
+// write, so the command line can still redirect it.
+function writeToConsole(level, line) {
+  if (level === "warn" || level === "error") {
+    console.error(line);
+  } else {
+    console.log(line);
+  }
+}
+
+/**
+ * @typedef {Object} Logger
+ * @property {(message: string, fields?: Object) => void} debug
+ * @property {(message: string, fields?: Object) => void} info
+ * @property {(message: string, fields?: Object) => void} warn
+ * @property {(message: string, fields?: Object) => void} error - An `error` field may be an Error
+ * @property {(fields: Object) => Logger} child - A logger adding `fields` to every entry
+ */
+
+/**
+ * @param {Object} [options]
+ * @param {string} [options.level] - Lowest level written; LOG_LEVEL or "info" by default
+ * @param {string} [options.format] - "json" or "pretty"; LOG_FORMAT or "json" by default
+ * @param {(level: string, line: string) => void} [options.write] - Where the lines go; the console by default
+ * @param {Object} [options.fields] - Added to every entry
+ * @param {Object} [options.env] - Environment the secrets and the defaults are read from
+ * @returns {Logger}
+ */
+export function createLogger({ level, format, write = writeToConsole, fields = {}, env = process.env } = {}) {
+  function threshold() {
+    const index = LOG_LEVELS.indexOf((level || env.LOG_LEVEL || "info").toLowerCase());
+    return index === -1 ? LOG_LEVELS.indexOf("info") : index;
+  }
+
+  function log(entryLevel, message, entryFields = {}) {
+    if (LOG_LEVELS.indexOf(entryLevel) < threshold()) {
+      return;
+    }
+    const entry = redact({ time: new Date().toISOString(), level: entryLevel, msg: message, ...logContext(), ...fields, ...entryFields }, { env });
+    write(entryLevel, (format || env.LOG_FORMAT) === "pretty" ? formatPretty(entry) : JSON.stringify(entry));
+  }
+
+  return {
+    debug: (message, entryFields) => log("debug", message, entryFields),
+    info: (message, entryFields) => log("info", message, entryFields),
+    warn: (message, entryFields) => log("warn", message, entryFields),
+    error: (message, entryFields) => log("error", message, entryFields),
+    child: childFields => createLogger({ level, format, write, fields: { ...fields, ...childFields }, env }),
+  };
+}
+
+export const logger = createLogger();
@@ -0,0 +1,130 @@
+import { collectNewActivity } from "./ETHWalletScanFunction.js";
+import { createWatchlist, evaluateWatch } from "./watchlist.js";
+import { logger } from "./logger.js";
+import { withRun, newCorrelationId } from "./telemetry.js";
+
+const log = logger.child({ module: "watchlist" });
+
+// Background poller for the watchlist: every interval each active watch is synced through
+// the same incremental explorer fetch as an analysis, and whatever crosses its thresholds
+// is posted to the watch's workspace as a chat message or a new task. Each check of a watch is
+// one run with its own correlation ID and metrics.
+
+export const DEFAULT_WATCH_INTERVAL_SECONDS = 300;
+
+/**
+ * @param {Object} options
+ * @param {Object} options.agent - The OpenServ agent that posts the alerts
+ * @param {ReturnType<typeof createWatchlist>} [options.watchlist]
+ * @param {Object} [options.providers]
+ * @param {Object} [options.store]
+ * @param {Object} [options.labels]
+ * @param {number} [options.intervalMs]
+ * @param {() => Date} [options.now]
+ */
+export function createWatchlistMonitor({
+  agent,
+  watchlist = createWatchlist(),
+  providers,
+  store,
+  labels,
+  intervalMs = parseInt(process.env.WATCH_INTERVAL_SECONDS || DEFAULT_WATCH_INTERVAL_SECONDS) * 1000,
+  now = () => new Date(),
+}) {
+  let timer = null;
+  let running = null;
+
+  async function deliver(watch, alert) {
+    if (watch.notify === "task") {
+      await agent.createTask({
+        workspaceId: watch.workspaceId,
+        assignee: watch.agentId,
+        description: `Wallet alert: ${alert.kind.replace("_", " ")} on ${watch.walletAddress}`,
+        body: alert.message,
+        input: `${alert.message}\nAnalyze ${watch.walletAddress} on ${alert.chain} over the last 7 days.`,
+        expectedOutput: "An analysis of the wallet's recent moves",
+        dependencies: [],
+      });
+    } else {
+      await agent.sendChatMessage({
+        workspaceId: watch.workspaceId,
+        agentId: watch.agentId,
+        message: `🚨 ${alert.message}`,
+      });
+    }
+  }
+
+  // Checks one watch on all its chains and returns the alerts it delivered. A chain that fails
+  // keeps its cursor, so its activity is picked up on the next round. Once a chain is checked
+  // its cursor moves on: an alert that could not be delivered is logged, not sent again.
+  async function checkWatch(watch) {
+    const alerts = [];
+    const cursors = {};
+    for (const chain of watch.chains) {
+      let activity;
+      try {
+        activity = await collectNewActivity(watch.walletAddress, chain, {
+          sinceBlock: watch.cursors[chain] ?? null,
+          now: now(),
+          providers,
+          store,
+          labels,
+        });
+      } catch (error) {
+        log.error("Error checking watch", { watchId: watch.id, chain, error });
+        continue;
+      }
+      cursors[chain] = activity.lastBlock;
+      for (const alert of evaluateWatch(watch, activity)) {
+        try {
+          await deliver(watch, alert);
+          alerts.push(alert);
+        } catch (error) {
+          log.error("Error delivering alert", { watchId: watch.id, chain, kind: alert.kind, transactionHash: alert.transactionHash, error });
+        }
+      }
+    }
+    await watchlist.recordCheck(watch.id, cursors);
+    return alerts;
+  }
+
+  // One round over every active watch. Rounds never overlap: a round still running is
+  // returned instead of starting another.
+  function checkAll() {
+    if (!running) {
+      running = (async () => {
+        const alerts = [];
+        for (const watch of await watchlist.list()) {
+          if (watch.paused) {
+            continue;
+          }
+          try {
+            alerts.push(...await withRun({ name: "watch", correlationId: newCorrelationId(`watch-${watch.id}`), workspaceId: watch.workspaceId }, () => checkWatch(watch)));
+          } catch (error) {
+            log.error("Error checking watch", { watchId: watch.id, error });
+          }
+        }
+        return alerts;
+      })().finally(() => {
+        running = null;
+      });
+    }
+    return running;
+  }
+
+  function start() {
+    if (!timer) {
+      timer = setInterval(() => {
+        checkAll().catch(error => log.error("Error checking watches", { error }));
+      }, intervalMs);
+      timer.unref();
+    }
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  return { start, stop, checkAll, checkWatch };
+}
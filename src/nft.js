@@ -0,0 +1,184 @@
+// NFT (ERC-721 / ERC-1155) holdings and activity. Each transaction that moved NFTs in or
+// out of the wallet is classified as a mint, purchase, sale or plain transfer, using the
+// fungible transfers of the same transaction as its price.
+
+export const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
+
+/**
+ * @typedef {Object} NftTransfer
+ * @property {string} chain
+ * @property {"ERC-721"|"ERC-1155"} standard
+ * @property {"inflow"|"outflow"} flow
+ * @property {string} collection
+ * @property {string} symbol
+ * @property {string} contractAddress
+ * @property {string} tokenId
+ * @property {number} quantity - Always 1 for ERC-721
+ * @property {string} from
+ * @property {string} to
+ * @property {string} timestamp - ISO timestamp
+ * @property {string} transactionHash
+ */
+
+/**
+ * @typedef {Object} NftHolding
+ * @property {string} chain
+ * @property {string} contractAddress
+ * @property {string} collection
+ * @property {string} symbol
+ * @property {string} standard
+ * @property {number} items - Distinct token ids held
+ * @property {number} quantity - Total units held, ERC-1155 ids can hold several
+ * @property {string[]} tokenIds
+ */
+
+/**
+ * @typedef {Object} NftActivity
+ * @property {"mint"|"purchase"|"sale"|"transfer_in"|"transfer_out"} kind
+ * @property {string} chain
+ * @property {string} transactionHash
+ * @property {string} timestamp
+ * @property {string} counterparty - Sender of received NFTs, recipient of sent ones
+ * @property {{collection: string, contractAddress: string, tokenId: string, quantity: number}[]} items
+ * @property {{tokenSymbol: string, contractAddress: string, amount: number}[]} payment - What the wallet paid (mint, purchase) or received (sale) in the same transaction
+ */
+
+/**
+ * @typedef {Object} NftSection
+ * @property {NftHolding[]} holdings
+ * @property {NftActivity[]} activity - Newest first
+ * @property {{mints: number, purchases: number, sales: number, transfersIn: number, transfersOut: number}} totals
+ */
+
+export function normalizeNftTransfer(tx, walletAddress, chainConfig, standard) {
+  return {
+    chain: chainConfig.id,
+    standard,
+    flow: tx.from.toLowerCase() === walletAddress ? "outflow" : "inflow",
+    collection: tx.tokenName || "Unknown Collection",
+    symbol: tx.tokenSymbol,
+    contractAddress: tx.contractAddress.toLowerCase(),
+    tokenId: tx.tokenID,
+    quantity: standard === "ERC-1155" ? parseInt(tx.tokenValue) : 1,
+    from: tx.from.toLowerCase(),
+    to: tx.to.toLowerCase(),
+    timestamp: new Date(parseInt(tx.timeStamp) * 1000).toISOString(),
+    transactionHash: tx.hash,
+  };
+}
+
+// Moralis getWalletNFTs rows grouped per collection.
+export function buildNftHoldings(rows, chain) {
+  const collections = new Map();
+  for (const row of rows) {
+    const key = row.token_address.toLowerCase();
+    if (!collections.has(key)) {
+      collections.set(key, {
+        chain,
+        contractAddress: key,
+        collection: row.name || "Unknown Collection",
+        symbol: row.symbol,
+        standard: row.contract_type === "ERC1155" ? "ERC-1155" : "ERC-721",
+        items: 0,
+        quantity: 0,
+        tokenIds: [],
+      });
+    }
+    const holding = collections.get(key);
+    holding.items += 1;
+    holding.quantity += parseInt(row.amount || "1");
+    holding.tokenIds.push(row.token_id);
+  }
+  return [...collections.values()];
+}
+
+function paymentOf(transfers, flow) {
+  const payment = new Map();
+  for (const tx of transfers.filter(t => t.flow === flow)) {
+    const key = tx.contractAddress.toLowerCase();
+    const entry = payment.get(key) || { tokenSymbol: tx.tokenSymbol, contractAddress: key, amount: 0 };
+    entry.amount = Math.round((entry.amount + tx.amount) * 1e8) / 1e8;
+    payment.set(key, entry);
+  }
+  return [...payment.values()];
+}
+
+function classify(flow, nftTransfers, payment) {
+  if (flow === "inflow") {
+    if (nftTransfers.every(tx => tx.from === ZERO_ADDRESS)) {
+      return "mint";
+    }
+    return payment.length > 0 ? "purchase" : "transfer_in";
+  }
+  return payment.length > 0 ? "sale" : "transfer_out";
+}
+
+/**
+ * Classifies NFT transfers per transaction and direction. A purchase is NFTs in with a
+ * payment out in the same transaction, a sale is NFTs out with a payment in, and a mint
+ * is NFTs in from the zero address, paid or not.
+ *
+ * @param {NftTransfer[]} nftTransfers
+ * @param {import("./history.js").Transfer[]} transfers - Fungible and native transfers the payments are looked up in
+ * @returns {NftActivity[]}
+ */
+export function classifyNftActivity(nftTransfers, transfers) {
+  const byTransaction = new Map();
+  for (const tx of transfers) {
+    const list = byTransaction.get(tx.transactionHash) || [];
+    list.push(tx);
+    byTransaction.set(tx.transactionHash, list);
+  }
+
+  const groups = new Map();
+  for (const tx of nftTransfers) {
+    const key = `${tx.transactionHash}:${tx.flow}`;
+    if (!groups.has(key)) {
+      groups.set(key, []);
+    }
+    groups.get(key).push(tx);
+  }
+
+  const activity = [];
+  for (const group of groups.values()) {
+    const [first] = group;
+    // Paid for NFTs coming in, paid by the buyer for NFTs going out.
+    const payment = paymentOf(byTransaction.get(first.transactionHash) || [], first.flow === "inflow" ? "outflow" : "inflow");
+    activity.push({
+      kind: classify(first.flow, group, payment),
+      chain: first.chain,
+      transactionHash: first.transactionHash,
+      timestamp: first.timestamp,
+      counterparty: first.flow === "inflow" ? first.from : first.to,
+      items: group.map(tx => ({
+        collection: tx.collection,
+        contractAddress: tx.contractAddress,
+        tokenId: tx.tokenId,
+        quantity: tx.quantity,
+      })),
+      payment,
+    });
+  }
+
+  return activity.sort((a, b) => Date.parse(b.timestamp) - Date.parse(a.timestamp));
+}
+
+/**
+ * @param {NftHolding[]} holdings
+ * @param {NftActivity[]} activity
+ * @returns {NftSection}
+ */
+export function buildNftSection(holdings, activity) {
+  const count = kind => activity.filter(a => a.kind === kind).length;
+  return {
+    holdings,
+    activity,
+    totals: {
+      mints: count("mint"),
+      purchases: count("purchase"),
+      sales: count("sale"),
+      transfersIn: count("transfer_in"),
+      transfersOut: count("transfer_out"),
+    },
+  };
+}
@@ -0,0 +1,104 @@
+// Prompt templates for the LLM summarizer, one list of versions per style. A style picks
+// its newest version unless a version is pinned with "style@version" (SUMMARY_STYLE=trader@1),
+// so a prompt change never silently alters the output of a pinned deployment.
+
+const NARRATION_RULES = "You narrate a precomputed wallet report. Use only the figures in the report and never recalculate or estimate amounts. Finish every sentence within the length you are given.";
+
+const DETAILED_V1 = `${NARRATION_RULES} When a network has trades, talk about those trades (what was sold for what, through which router and at which execution price) instead of describing their transfer legs as separate inflows and outflows. Cover: 1) Current token holdings, all of them 2) Tokens bought/sold in the last 1/3/7 days, taken from each token's windows, pointing out inflow, outflow and net change with amounts. Native token flows (source native or internal) are part of the holdings and flows like any token; report gas spent separately. Quote USD values, cost basis and realized/unrealized PnL from each token's usd and pnl fields when they are set, and the totals.usd figures for the whole wallet. Say where tokens went and came from using each network's counterpartyFlows (CEX deposits, received from exchange, bridged out and so on) and the counterpartyLabel of individual transfers. Tokens in flaggedTokens are likely spam or scams: list them separately with their risk reasons and never present them as real holdings; when hiddenTokens is set, only say how many were hidden. When a network has nfts, list the NFT holdings per collection and its mints, purchases and sales with their payment. Group everything by network and name the network for each section. When a network has sinceLastReport, also say what changed since that earlier report.`;
+
+const TRADER_V1 = `${NARRATION_RULES} Write for a trader following this wallet. Lead with the trades: what was sold for what, the execution price, the USD size and the router. Then the position changes of the last 1/3/7 days from each token's windows, cost basis and realized/unrealized PnL per token, and the totals.usd figures. Call out exchange deposits and withdrawals from counterpartyFlows as likely sell or buy signals. Skip NFTs unless they were bought or sold, and leave out flagged spam tokens.`;
+
+// Version 2 reads the balance timeline.
+const TIMELINE_RULE = "When a network has a timeline, describe each token's accumulation and distribution phases with their dates and balance change, and say so when a token's timeline is incomplete.";
+
+/**
+ * @typedef {Object} PromptTemplate
+ * @property {string} style
+ * @property {number} version
+ * @property {string} system - System prompt
+ * @property {number} maxTokens - Completion budget the prompt is written for
+ */
+
+/** @type {Record<string, PromptTemplate[]>} */
+export const PROMPT_TEMPLATES = {
+  brief: [
+    {
+      style: "brief",
+      version: 1,
+      maxTokens: 300,
+      system: `${NARRATION_RULES} Write at most five sentences: the largest holdings with their USD value, the biggest net changes of the last 7 days, notable trades and where funds went (CEX deposits, bridges). Mention flagged spam tokens only by count.`,
+    },
+  ],
+  detailed: [
+    {
+      style: "detailed",
+      version: 1,
+      maxTokens: 1200,
+      system: DETAILED_V1,
+    },
+    {
+      style: "detailed",
+      version: 2,
+      maxTokens: 1200,
+      system: `${DETAILED_V1} ${TIMELINE_RULE}`,
+    },
+  ],
+  trader: [
+    {
+      style: "trader",
+      version: 1,
+      maxTokens: 800,
+      system: TRADER_V1,
+    },
+    {
+      style: "trader",
+      version: 2,
+      maxTokens: 800,
+      system: `${TRADER_V1} ${TIMELINE_RULE}`,
+    },
+  ],
+};
+
+export const SUMMARY_STYLES = Object.keys(PROMPT_TEMPLATES);
+export const DEFAULT_SUMMARY_STYLE = "detailed";
+
+/**
+ * @param {string} [spec] - "detailed", or "detailed@1" for a pinned version
+ * @returns {PromptTemplate}
+ */
+export function getPromptTemplate(spec = DEFAULT_SUMMARY_STYLE) {
+  const [style, version] = String(spec).trim().toLowerCase().split("@");
+  const versions = PROMPT_TEMPLATES[style];
+  if (!versions) {
+    throw new Error(`Unknown summary style "${style}". Expected one of: ${SUMMARY_STYLES.join(", ")}`);
+  }
+  if (version === undefined) {
+    return versions[versions.length - 1];
+  }
+  const template = versions.find(t => t.version === Number(version));
+  if (!template) {
+    throw new Error(`Unknown version ${version} of summary style "${style}". Available: ${versions.map(t => t.version).join(", ")}`);
+  }
+  return template;
+}
+
+// Picks a style from free text: "brief summary", "trader view", "in detail".
+export function findSummaryStyleInText(text) {
+  const lower = (text || "").toLowerCase();
+  if (/\b(brief|short summary|tl;?dr)\b/.test(lower)) {
+    return "brief";
+  }
+  if (/\b(trader|trading view)\b/.test(lower)) {
+    return "trader";
+  }
+  if (/\b(detailed|in detail|full summary)\b/.test(lower)) {
+    return "detailed";
+  }
+  return undefined;
+}
+
+// Map-reduce prompts for reports over the input budget: each part is condensed to notes,
+// then the notes are written up with the style's own prompt.
+export const MAP_PROMPT = "You are given one part of a precomputed wallet report. Extract its facts as short notes: holdings, amounts, USD values, PnL, trades, counterparties, flagged tokens and NFTs, always naming the network. Copy figures exactly and do not interpret them.";
+
+export const REDUCE_INSTRUCTION = "The report was too large to read at once, so you are given notes on each of its parts instead. Treat the notes together as the report.";
@@ -0,0 +1,265 @@
+import axios from "axios";
+import { CHAINS, getChain } from "../chains.js";
+import { ProviderError } from "../errors.js";
+import { LATEST_BLOCK } from "../timeWindow.js";
+import { historyRowId } from "../history.js";
+import { APPROVAL_TOPIC, APPROVAL_FOR_ALL_TOPIC } from "../approvals.js";
+import { createKeyPool } from "./keyPool.js";
+import { logger } from "../logger.js";
+import { timed } from "../telemetry.js";
+
+const log = logger.child({ module: "etherscan" });
+
+function loadApiKeys(env, envPrefix) {
+  return [1, 2, 3, 4, 5].map(n => env[`${envPrefix}${n}`]).filter(Boolean);
+}
+
+// Explorers answer HTTP 200 for everything, so the failure kind has to be read from the body.
+function explorerError(chainConfig, data) {
+  const detail = typeof data.result === "string" ? data.result : data.message;
+  const message = `${chainConfig.name} explorer API error: ${detail}`;
+  if (/rate limit/i.test(detail)) {
+    return new ProviderError(message, { provider: "etherscan", code: "RATE_LIMITED", retryable: true });
+  }
+  if (/invalid api key/i.test(detail)) {
+    return new ProviderError(message, { provider: "etherscan", code: "INVALID_KEY", retryable: true });
+  }
+  return new ProviderError(message, { provider: "etherscan", code: "API_ERROR" });
+}
+
+// Transfer provider backed by the Etherscan-family explorers. Also answers
+// single-token balance lookups, which go through the same explorer API.
+export function createEtherscanProvider({ env = process.env, http = axios, poolOptions = {}, pageSize = 1000 } = {}) {
+  const apiKeys = loadApiKeys(env, CHAINS.ethereum.apiKeyEnv);
+
+  if (apiKeys.length === 0) {
+    throw new Error("No Etherscan API keys found in environment variables!");
+  }
+
+  const callsPerSecond = Number(env.ETHERSCAN_CALLS_PER_SECOND) || 5;
+  const etherscanPool = createKeyPool(apiKeys, { callsPerSecond, ...poolOptions });
+
+  // Each explorer has its own key set; chains without dedicated keys share the Etherscan pool.
+  const pools = Object.fromEntries(
+    Object.values(CHAINS).map(chain => {
+      const keys = loadApiKeys(env, chain.apiKeyEnv);
+      const pool = keys.length > 0 && chain.id !== "ethereum"
+        ? createKeyPool(keys, { provider: chain.id, callsPerSecond, ...poolOptions })
+        : etherscanPool;
+      return [chain.id, pool];
+    })
+  );
+
+  // Runs one explorer call through the chain's key pool. Resolves with `result`;
+  // "No transactions found" style answers resolve with an empty list. Each attempt is
+  // measured as an `etherscan.<action>` call of the current run.
+  function explorerRequest(chainConfig, params) {
+    return pools[chainConfig.id].schedule(apiKey => timed("etherscan", params.action, async () => {
+      const response = await http.get(chainConfig.explorerApi, {
+        params: { ...params, apikey: apiKey },
+        timeout: 10000,
+        headers: { 'Accept': 'application/json' }
+      });
+
+      const data = response.data;
+      if (data.status === "1") {
+        return data.result;
+      }
+      if (Array.isArray(data.result) && data.result.length === 0) {
+        return [];
+      }
+      throw explorerError(chainConfig, data);
+    }));
+  }
+
+  // Walks the whole block range oldest-first, one page at a time. Each next page starts at
+  // the last block seen, so rows sharing that block are de-duplicated by historyRowId. With
+  // `maxRows` it stops after the page that reaches it.
+  async function getAccountHistory(action, walletAddress, chain, { startBlock = 0, endBlock = LATEST_BLOCK, maxRows = Infinity } = {}) {
+    const chainConfig = getChain(chain);
+    log.debug("Fetching history", { chain: chainConfig.id, action, startBlock, endBlock });
+
+    const rows = [];
+    const seen = new Set();
+    let cursor = startBlock;
+
+    while (true) {
+      const page = await explorerRequest(chainConfig, {
+        module: "account",
+        action,
+        address: walletAddress,
+        startblock: cursor,
+        endblock: endBlock,
+        page: 1,
+        offset: pageSize,
+        sort: "asc",
+      });
+
+      for (const tx of page) {
+        const id = historyRowId(tx);
+        if (!seen.has(id)) {
+          seen.add(id);
+          rows.push(tx);
+        }
+      }
+
+      if (page.length < pageSize || rows.length >= maxRows) {
+        break;
+      }
+
+      const lastBlock = parseInt(page[page.length - 1].blockNumber);
+      // A single block with more than a page of rows cannot be split any further.
+      cursor = lastBlock > cursor ? lastBlock : lastBlock + 1;
+    }
+
+    return rows.reverse();
+  }
+
+  function getTokenTransfers(walletAddress, chain, range) {
+    return getAccountHistory("tokentx", walletAddress, chain, range);
+  }
+
+  function getNormalTransactions(walletAddress, chain, range) {
+    return getAccountHistory("txlist", walletAddress, chain, range);
+  }
+
+  function getInternalTransactions(walletAddress, chain, range) {
+    return getAccountHistory("txlistinternal", walletAddress, chain, range);
+  }
+
+  function getNftTransfers(walletAddress, chain, range) {
+    return getAccountHistory("tokennfttx", walletAddress, chain, range);
+  }
+
+  function getErc1155Transfers(walletAddress, chain, range) {
+    return getAccountHistory("token1155tx", walletAddress, chain, range);
+  }
+
+  // Log rows in the shape of the account history rows: decimal block, time and log index.
+  function normalizeLog(log) {
+    return {
+      hash: log.transactionHash,
+      logIndex: String(parseInt(log.logIndex, 16) || 0),
+      blockNumber: String(parseInt(log.blockNumber, 16)),
+      timeStamp: String(parseInt(log.timeStamp, 16)),
+      contractAddress: log.address,
+      topics: log.topics.filter(Boolean),
+      data: log.data,
+    };
+  }
+
+  // Logs with `topic0` emitted for the wallet as first indexed argument, paged like the account
+  // history by moving the start block forward.
+  async function getOwnerLogs(chainConfig, topic0, walletAddress, { startBlock = 0, endBlock = LATEST_BLOCK } = {}) {
+    const owner = `0x${walletAddress.toLowerCase().slice(2).padStart(64, "0")}`;
+    const rows = [];
+    const seen = new Set();
+    let cursor = startBlock;
+
+    while (true) {
+      const page = await explorerRequest(chainConfig, {
+        module: "logs",
+        action: "getLogs",
+        fromBlock: cursor,
+        toBlock: endBlock,
+        topic0,
+        topic1: owner,
+        topic0_1_opr: "and",
+        page: 1,
+        offset: pageSize,
+      });
+
+      const logs = page.map(normalizeLog);
+      for (const log of logs) {
+        const id = historyRowId(log);
+        if (!seen.has(id)) {
+          seen.add(id);
+          rows.push(log);
+        }
+      }
+
+      if (page.length < pageSize) {
+        break;
+      }
+
+      const lastBlock = parseInt(logs[logs.length - 1].blockNumber);
+      cursor = lastBlock > cursor ? lastBlock : lastBlock + 1;
+    }
+
+    return rows;
+  }
+
+  // ERC-20 Approval and ERC-721/1155 ApprovalForAll logs of the wallet as owner, newest first.
+  async function getApprovalLogs(walletAddress, chain, range) {
+    const chainConfig = getChain(chain);
+    log.debug("Fetching approval logs", { chain: chainConfig.id });
+    const logs = [
+      ...await getOwnerLogs(chainConfig, APPROVAL_TOPIC, walletAddress, range),
+      ...await getOwnerLogs(chainConfig, APPROVAL_FOR_ALL_TOPIC, walletAddress, range),
+    ];
+    return logs.sort((a, b) => parseInt(b.blockNumber) - parseInt(a.blockNumber) || parseInt(b.logIndex) - parseInt(a.logIndex));
+  }
+
+  // Whether a contract's source is verified on the explorer. Accounts without code are not
+  // verified either. Answers are cached for the life of the provider.
+  const contractInfo = new Map();
+
+  function getContractInfo(chain, address) {
+    const chainConfig = getChain(chain);
+    const key = `${chainConfig.id}:${address.toLowerCase()}`;
+    if (!contractInfo.has(key)) {
+      const pending = explorerRequest(chainConfig, { module: "contract", action: "getsourcecode", address })
+        .then(([source]) => ({ verified: Boolean(source?.SourceCode), name: source?.ContractName || null }))
+        .catch(error => {
+          contractInfo.delete(key);
+          throw error;
+        });
+      contractInfo.set(key, pending);
+    }
+    return contractInfo.get(key);
+  }
+
+  async function getBlockNumberByTime(chain, timestamp, closest = "before") {
+    const chainConfig = getChain(chain);
+
+    const result = await explorerRequest(chainConfig, {
+      module: "block",
+      action: "getblocknobytime",
+      timestamp,
+      closest,
+    });
+
+    return parseInt(result);
+  }
+
+  async function getTokenBalance(walletAddress, contractAddress, chain) {
+    const chainConfig = getChain(chain);
+
+    const result = await explorerRequest(chainConfig, {
+      module: "account",
+      action: "tokenbalance",
+      contractaddress: contractAddress,
+      address: walletAddress,
+      tag: "latest",
+    });
+
+    return result || '0';
+  }
+
+  function keyStats() {
+    return Object.fromEntries(Object.entries(pools).map(([chain, pool]) => [chain, pool.stats()]));
+  }
+
+  return {
+    getTokenTransfers,
+    getNormalTransactions,
+    getInternalTransactions,
+    getNftTransfers,
+    getErc1155Transfers,
+    getTokenBalance,
+    getApprovalLogs,
+    getContractInfo,
+    getBlockNumberByTime,
+    keyStats,
+  };
+}
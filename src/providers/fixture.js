@@ -0,0 +1,260 @@
+import { getChain } from "../chains.js";
+import { LATEST_BLOCK } from "../timeWindow.js";
+
+// In-memory providers that answer from a fixture instead of the network.
+//
+// Fixture shape, with raw rows in the same format the real APIs return:
+// {
+//   wallets: {
+//     "0x...": {
+//       ethereum: {
+//         tokenTransfers: [ /* Etherscan tokentx rows */ ],
+//         normalTransactions: [ /* Etherscan txlist rows */ ],
+//         internalTransactions: [ /* Etherscan txlistinternal rows */ ],
+//         nftTransfers: [ /* Etherscan tokennfttx rows */ ],
+//         erc1155Transfers: [ /* Etherscan token1155tx rows */ ],
+//         approvalLogs: [ /* Approval and ApprovalForAll logs, see approvals.js ApprovalLog */ ],
+//         nativeBalance: "<raw balance in wei>",
+//         tokenBalances: { "<contract address>": "<raw balance>" },
+//         walletTokenBalances: [ /* Moralis getWalletTokenBalances rows */ ],
+//         walletNFTs: [ /* Moralis getWalletNFTs rows */ ],
+//         holderCounts: { "<contract address>": <number of holders> }
+//       }
+//     }
+//   },
+//   prices: {
+//     ethereum: { "<contract address>": [ [<unix time>, <USD price>], ... ] }
+//   },
+//   ens: { "<name>.eth": "<address>" },
+//   contracts: {
+//     ethereum: { "<contract address>": { verified: <boolean>, name: "<contract name>" } }
+//   },
+//   socialPosts: { "<search query, such as $LINK>": [ /* posts, see social.js SocialPost */ ] }
+// }
+
+function walletChain(fixture, walletAddress, chain) {
+  const wallet = fixture.wallets?.[walletAddress.toLowerCase()] || {};
+  return wallet[getChain(chain).id] || {};
+}
+
+const HISTORY_KEYS = ["tokenTransfers", "normalTransactions", "internalTransactions", "nftTransfers", "erc1155Transfers"];
+
+// Every fixture row on a chain, used as the chain's block/time index.
+function chainBlocks(fixture, chain) {
+  const chainId = getChain(chain).id;
+  return Object.values(fixture.wallets || {})
+    .flatMap(wallet => HISTORY_KEYS.flatMap(key => wallet[chainId]?.[key] || []))
+    .map(tx => ({ number: parseInt(tx.blockNumber), timeStamp: parseInt(tx.timeStamp) }))
+    .sort((a, b) => a.number - b.number);
+}
+
+// Like the explorer, `maxRows` keeps the oldest rows of the range.
+function historyInRange(rows = [], { startBlock = 0, endBlock = LATEST_BLOCK, maxRows = Infinity } = {}) {
+  return rows
+    .filter(tx => parseInt(tx.blockNumber) >= startBlock && parseInt(tx.blockNumber) <= endBlock)
+    .sort((a, b) => parseInt(b.timeStamp) - parseInt(a.timeStamp))
+    .slice(-maxRows);
+}
+
+export function createFixtureTransferProvider(fixture) {
+  async function getTokenTransfers(walletAddress, chain, range) {
+    return historyInRange(walletChain(fixture, walletAddress, chain).tokenTransfers, range);
+  }
+
+  async function getNormalTransactions(walletAddress, chain, range) {
+    return historyInRange(walletChain(fixture, walletAddress, chain).normalTransactions, range);
+  }
+
+  async function getInternalTransactions(walletAddress, chain, range) {
+    return historyInRange(walletChain(fixture, walletAddress, chain).internalTransactions, range);
+  }
+
+  async function getNftTransfers(walletAddress, chain, range) {
+    return historyInRange(walletChain(fixture, walletAddress, chain).nftTransfers, range);
+  }
+
+  async function getErc1155Transfers(walletAddress, chain, range) {
+    return historyInRange(walletChain(fixture, walletAddress, chain).erc1155Transfers, range);
+  }
+
+  async function getApprovalLogs(walletAddress, chain, range) {
+    return historyInRange(walletChain(fixture, walletAddress, chain).approvalLogs, range);
+  }
+
+  // Contracts missing from the fixture are accounts without code: not verified, no name.
+  async function getContractInfo(chain, address) {
+    return fixture.contracts?.[getChain(chain).id]?.[address.toLowerCase()] || { verified: false, name: null };
+  }
+
+  // Answers from the blocks the fixture knows about: the last one at or before the
+  // timestamp, or the first one at or after it.
+  async function getBlockNumberByTime(chain, timestamp, closest = "before") {
+    const blocks = chainBlocks(fixture, chain);
+    if (closest === "before") {
+      const block = blocks.filter(b => b.timeStamp <= timestamp).pop();
+      return block ? block.number : 0;
+    }
+    const block = blocks.find(b => b.timeStamp >= timestamp);
+    return block ? block.number : LATEST_BLOCK;
+  }
+
+  async function getTokenBalance(walletAddress, contractAddress, chain) {
+    const balances = walletChain(fixture, walletAddress, chain).tokenBalances || {};
+    return balances[contractAddress.toLowerCase()] || '0';
+  }
+
+  return {
+    getTokenTransfers,
+    getNormalTransactions,
+    getInternalTransactions,
+    getNftTransfers,
+    getErc1155Transfers,
+    getTokenBalance,
+    getApprovalLogs,
+    getContractInfo,
+    getBlockNumberByTime,
+  };
+}
+
+export function createFixtureBalanceProvider(fixture) {
+  async function getWalletTokenBalances(walletAddress, chain) {
+    return walletChain(fixture, walletAddress, chain).walletTokenBalances || [];
+  }
+
+  async function getNativeBalance(walletAddress, chain) {
+    return walletChain(fixture, walletAddress, chain).nativeBalance || '0';
+  }
+
+  async function getWalletNFTs(walletAddress, chain) {
+    return walletChain(fixture, walletAddress, chain).walletNFTs || [];
+  }
+
+  // Holder counts are listed under any wallet of the fixture.
+  async function getTokenHolderCount(contractAddress, chain) {
+    const chainId = getChain(chain).id;
+    for (const wallet of Object.values(fixture.wallets || {})) {
+      const count = wallet[chainId]?.holderCounts?.[contractAddress.toLowerCase()];
+      if (count !== undefined) {
+        return count;
+      }
+    }
+    return null;
+  }
+
+  // Metadata of the tokens any wallet of the fixture holds or transferred on the chain.
+  async function getTokenMetadata(contractAddresses, chain) {
+    const chainId = getChain(chain).id;
+    const wallets = Object.values(fixture.wallets || {}).map(wallet => wallet[chainId] || {});
+    const known = [
+      ...wallets.flatMap(w => w.walletTokenBalances || []).map(row => ({ address: row.token_address, name: row.name, symbol: row.symbol, decimals: String(row.decimals) })),
+      ...wallets.flatMap(w => [...(w.tokenTransfers || []), ...(w.nftTransfers || [])]).map(tx => ({ address: tx.contractAddress, name: tx.tokenName, symbol: tx.tokenSymbol, decimals: tx.tokenDecimal })),
+    ];
+    return contractAddresses
+      .map(address => known.find(token => token.address === address.toLowerCase()))
+      .filter(Boolean);
+  }
+
+  return { getWalletTokenBalances, getNativeBalance, getWalletNFTs, getTokenHolderCount, getTokenMetadata };
+}
+
+// Prices from the fixture's price series: the last point at or before the requested time,
+// or the newest one for the current price. Tokens without a series have no price.
+export function createFixturePriceProvider(fixture) {
+  async function getPrice(chain, contractAddress, { timestamp } = {}) {
+    const series = fixture.prices?.[getChain(chain).id]?.[contractAddress.toLowerCase()];
+    if (!series) {
+      return null;
+    }
+    const points = timestamp === undefined ? series : series.filter(([time]) => time <= timestamp);
+    return points.length > 0 ? points[points.length - 1][1] : null;
+  }
+
+  return { getPrice };
+}
+
+// ENS names from the fixture; an address's primary name is the first name pointing at it.
+export function createFixtureNameProvider(fixture) {
+  async function resolveName(name) {
+    return fixture.ens?.[name.toLowerCase()] || null;
+  }
+
+  async function lookupAddress(address) {
+    const entry = Object.entries(fixture.ens || {}).find(([, target]) => target === address.toLowerCase());
+    return entry ? entry[0] : null;
+  }
+
+  return { resolveName, lookupAddress };
+}
+
+// Posts from the fixture, by search query, newest first. Queries missing from the fixture
+// find nothing.
+export function createFixtureSocialProvider(fixture) {
+  async function searchPosts(query, { limit = 20 } = {}) {
+    return [...(fixture.socialPosts?.[query] || [])]
+      .sort((a, b) => Date.parse(b.postedAt) - Date.parse(a.postedAt))
+      .slice(0, limit);
+  }
+
+  return { searchPosts };
+}
+
+// Stand-in for X that publishes nothing: every thread it was given is kept in `calls`, and
+// its posts get sequential ids.
+export function createFixturePublisher() {
+  const calls = [];
+
+  async function publish(posts) {
+    calls.push(posts);
+    const ids = posts.map((post, index) => String(calls.length * 100 + index));
+    return { ids, urls: ids.map(id => `https://x.example/status/${id}`) };
+  }
+
+  return { publish, calls };
+}
+
+// Deterministic stand-in for the LLM: one line per token, built from the report figures.
+// Every report it was asked to narrate is kept in `calls` so tests can inspect it.
+export function createFixtureSummarizer() {
+  const calls = [];
+
+  async function summarize(report) {
+    calls.push(report);
+    const lines = [];
+    for (const network of report.networks) {
+      for (const token of network.tokens) {
+        const pnl = token.pnl ? `, realized PnL $${token.pnl.realizedPnl}, unrealized PnL $${token.pnl.unrealizedPnl}` : "";
+        lines.push(`${network.network}: ${token.tokenName} in ${token.total.inflow}, out ${token.total.outflow}, net ${token.total.net}${pnl}`);
+      }
+      for (const token of network.flaggedTokens || []) {
+        lines.push(`${network.network}: flagged ${token.symbol} (${token.risk.reasons.map(r => r.code).join(", ")})`);
+      }
+      for (const flow of network.counterpartyFlows || []) {
+        const tokens = flow.tokens.map(token => `${token.amount} ${token.tokenSymbol}`).join(", ");
+        lines.push(`${network.network}: ${flow.label} ${tokens} (${flow.counterparties.join(", ")})`);
+      }
+      for (const trade of network.trades || []) {
+        const price = trade.executionPrice ? ` at ${trade.executionPrice.price} ${trade.executionPrice.unit}` : "";
+        lines.push(`${network.network}: ${trade.description}${price}`);
+      }
+      for (const activity of network.nfts?.activity || []) {
+        const items = activity.items.map(item => `${item.collection} #${item.tokenId}`).join(", ");
+        lines.push(`${network.network}: NFT ${activity.kind} ${items}`);
+      }
+    }
+    return lines.join("\n") || "No token activity.";
+  }
+
+  return { summarize, calls };
+}
+
+export function createFixtureProviders(fixture) {
+  return {
+    transfers: createFixtureTransferProvider(fixture),
+    balances: createFixtureBalanceProvider(fixture),
+    prices: createFixturePriceProvider(fixture),
+    names: createFixtureNameProvider(fixture),
+    social: createFixtureSocialProvider(fixture),
+    publisher: createFixturePublisher(),
+    summarizer: createFixtureSummarizer(),
+  };
+}
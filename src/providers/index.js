@@ -0,0 +1,119 @@
+import { createEtherscanProvider } from "./etherscan.js";
+import { createMoralisProvider, createMoralisPriceProvider, createMoralisNameProvider } from "./moralis.js";
+import { createOpenAISummarizer } from "./openai.js";
+import { createTemplateSummarizer } from "./template.js";
+import { createXSocialProvider, createXPublisher } from "./x.js";
+
+/**
+ * @typedef {Object} TransferProvider
+ * @property {(walletAddress: string, chain: string, range?: {startBlock?: number, endBlock?: number, maxRows?: number}) => Promise<Object[]>} getTokenTransfers - Every raw tokentx row in the block range, newest first.
+ *   With `maxRows`, the history may stop after the oldest `maxRows` rows, here and in the two below
+ * @property {(walletAddress: string, chain: string, range?: {startBlock?: number, endBlock?: number, maxRows?: number}) => Promise<Object[]>} getNormalTransactions - Raw txlist rows, newest first
+ * @property {(walletAddress: string, chain: string, range?: {startBlock?: number, endBlock?: number, maxRows?: number}) => Promise<Object[]>} getInternalTransactions - Raw txlistinternal rows, newest first
+ * @property {(walletAddress: string, chain: string, range?: {startBlock?: number, endBlock?: number}) => Promise<Object[]>} getNftTransfers - Raw tokennfttx (ERC-721) rows, newest first
+ * @property {(walletAddress: string, chain: string, range?: {startBlock?: number, endBlock?: number}) => Promise<Object[]>} getErc1155Transfers - Raw token1155tx rows, newest first
+ * @property {(chain: string, timestamp: number, closest?: "before"|"after") => Promise<number>} getBlockNumberByTime - Block closest to a unix timestamp
+ * @property {(walletAddress: string, contractAddress: string, chain: string) => Promise<string>} getTokenBalance - Raw token balance
+ * @property {(walletAddress: string, chain: string, range?: {startBlock?: number, endBlock?: number}) => Promise<import("../approvals.js").ApprovalLog[]>} [getApprovalLogs] -
+ *   Approval and ApprovalForAll logs with the wallet as owner, newest first
+ * @property {(chain: string, address: string) => Promise<{verified: boolean, name: string|null}>} [getContractInfo] - Whether the source of a contract is verified
+ */
+
+/**
+ * @typedef {Object} BalanceProvider
+ * @property {(walletAddress: string, chain: string) => Promise<Object[]>} getWalletTokenBalances - Raw Moralis token balance rows
+ * @property {(walletAddress: string, chain: string) => Promise<string>} getNativeBalance - Native balance in wei
+ * @property {(contractAddress: string, chain: string) => Promise<number|null>} [getTokenHolderCount] - Number of holders of a token, null when unknown
+ * @property {(walletAddress: string, chain: string) => Promise<Object[]>} getWalletNFTs - Raw Moralis getWalletNFTs rows, one per token id held
+ * @property {(contractAddresses: string[], chain: string) => Promise<{address: string, name: string, symbol: string, decimals: string}[]>} [getTokenMetadata] - Raw Moralis token metadata rows
+ */
+
+/**
+ * @typedef {Object} NameProvider
+ * @property {(name: string) => Promise<string|null>} resolveName - Address an ENS name points at, null when it has none
+ * @property {(address: string) => Promise<string|null>} lookupAddress - Reverse record (claimed primary name) of an address
+ */
+
+/**
+ * @typedef {Object} Summarizer
+ * @property {(report: import("../report.js").WalletReport, options?: {style?: string}) => Promise<string>} summarize -
+ *   `style` is one of the prompt template styles ("brief", "detailed", "trader"), optionally pinned to a version ("trader@1")
+ */
+
+/**
+ * @typedef {Object} SocialProvider
+ * @property {(query: string, options?: {limit?: number}) => Promise<import("../social.js").SocialPost[]>} searchPosts - Most recent posts matching the query
+ */
+
+/**
+ * @typedef {Object} Publisher
+ * @property {(posts: string[]) => Promise<{ids: string[], urls: string[]}>} publish - Posts the texts as a thread, each replying to the one before
+ */
+
+/**
+ * @typedef {Object} Providers
+ * @property {TransferProvider} transfers
+ * @property {BalanceProvider} balances
+ * @property {import("../valuation.js").PriceProvider} [prices] - Without one, nothing is valued in USD
+ * @property {NameProvider} [names] - Without one, ENS names are neither resolved nor shown
+ * @property {SocialProvider} [social] - Without one, reports have no social chatter
+ * @property {Publisher} [publisher] - Without one, whale moves can only be drafted (dry run)
+ * @property {Summarizer} summarizer
+ */
+
+export const SUMMARIZER_PROVIDERS = ["openai", "compatible", "template"];
+
+/**
+ * The summarizer SUMMARIZER_PROVIDER asks for: "openai", "compatible" (any OpenAI-compatible
+ * endpoint at SUMMARIZER_BASE_URL) or "template" (no LLM). When it is not set, an endpoint
+ * or an API key picks the LLM, and without either the template summarizer is used.
+ *
+ * @param {Object} [options] - `provider`, plus the options of the summarizer it picks
+ * @returns {Summarizer}
+ */
+export function createSummarizer({ provider = process.env.SUMMARIZER_PROVIDER, ...options } = {}) {
+  const baseURL = options.baseURL || process.env.SUMMARIZER_BASE_URL;
+  const apiKey = options.apiKey || process.env.SUMMARIZER_API_KEY || process.env.OPENAI_API_KEY;
+  const chosen = provider || (baseURL ? "compatible" : apiKey ? "openai" : "template");
+
+  switch (chosen) {
+    case "openai":
+      return createOpenAISummarizer({ ...options, baseURL: null });
+    case "compatible":
+      if (!baseURL) {
+        throw new Error("SUMMARIZER_BASE_URL is required for the compatible summarizer");
+      }
+      return createOpenAISummarizer({ ...options, baseURL });
+    case "template":
+      return createTemplateSummarizer(options);
+    default:
+      throw new Error(`Unknown summarizer provider "${chosen}". Expected one of: ${SUMMARIZER_PROVIDERS.join(", ")}`);
+  }
+}
+
+let defaultProviders = null;
+
+/**
+ * The live Etherscan/Moralis providers and the configured summarizer, created on first use so that
+ * importing the scanner never needs API keys. X is opt-in: posts are searched only with an X
+ * account (X_USERNAME, X_PASSWORD) and published only with an X_ACCESS_TOKEN.
+ *
+ * @returns {Providers}
+ */
+export function getDefaultProviders() {
+  if (!defaultProviders) {
+    defaultProviders = {
+      transfers: createEtherscanProvider(),
+      balances: createMoralisProvider(),
+      prices: createMoralisPriceProvider(),
+      names: createMoralisNameProvider(),
+      summarizer: createSummarizer(),
+      ...(process.env.X_USERNAME && process.env.X_PASSWORD ? { social: createXSocialProvider() } : {}),
+      ...(process.env.X_ACCESS_TOKEN ? { publisher: createXPublisher() } : {}),
+    };
+  }
+  return defaultProviders;
+}
+
+export { createEtherscanProvider, createMoralisProvider, createMoralisPriceProvider, createMoralisNameProvider, createOpenAISummarizer, createTemplateSummarizer, createXSocialProvider, createXPublisher };
+export { createFixtureProviders } from "./fixture.js";
@@ -0,0 +1,145 @@
+import { ProviderError } from "../errors.js";
+import { logger } from "../logger.js";
+import { recordRetry } from "../telemetry.js";
+
+const log = logger.child({ module: "keyPool" });
+
+const RETRYABLE_NETWORK_CODES = new Set(["ECONNABORTED", "ECONNRESET", "ETIMEDOUT", "EAI_AGAIN"]);
+
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function isRetryable(error) {
+  if (error.retryable) {
+    return true;
+  }
+  const status = error.response?.status;
+  return status === 429 || status >= 500 || RETRYABLE_NETWORK_CODES.has(error.code);
+}
+
+// Request scheduler for a set of API keys. Every call goes through `schedule`, which
+// - spreads calls over the healthy keys and keeps each key under `callsPerSecond`,
+// - retries rate-limited and transient failures with exponential backoff on the next key,
+// - benches a key for `benchMs` after `benchAfter` consecutive failures (or at once when
+//   the API rejects the key itself),
+// - throws a ProviderError once retries run out or no key is healthy, never a fake result.
+export function createKeyPool(keys, options = {}) {
+  const {
+    provider = "etherscan",
+    callsPerSecond = 5,
+    maxRetries = 4,
+    backoffMs = 1000,
+    benchAfter = 3,
+    benchMs = 60000,
+    sleep = delay,
+    now = Date.now,
+  } = options;
+
+  if (keys.length === 0) {
+    throw new ProviderError(`No API keys configured for ${provider}`, { provider, code: "NO_KEYS" });
+  }
+
+  const interval = 1000 / callsPerSecond;
+  const state = keys.map((key, index) => ({
+    key,
+    number: index + 1,
+    nextSlot: 0,
+    failures: 0,
+    benchedUntil: 0,
+    calls: 0,
+    errors: 0,
+  }));
+  let cursor = 0;
+
+  // Round-robin over the healthy keys, preferring whichever key frees up first.
+  function pickKey() {
+    const time = now();
+    let best = null;
+    for (let i = 0; i < state.length; i++) {
+      const candidate = state[(cursor + i) % state.length];
+      if (candidate.benchedUntil > time) {
+        continue;
+      }
+      if (!best || candidate.nextSlot < best.nextSlot) {
+        best = candidate;
+      }
+    }
+    if (best) {
+      cursor = best.number % state.length;
+    }
+    return best;
+  }
+
+  async function acquire() {
+    const entry = pickKey();
+    if (!entry) {
+      throw new ProviderError(`All ${provider} API keys are benched after repeated failures`, {
+        provider,
+        code: "NO_HEALTHY_KEYS",
+        retryable: true,
+      });
+    }
+
+    // The slot is reserved before waiting so concurrent callers queue up behind each other.
+    const time = now();
+    const start = Math.max(time, entry.nextSlot);
+    entry.nextSlot = start + interval;
+    if (start > time) {
+      await sleep(start - time);
+    }
+    return entry;
+  }
+
+  function recordFailure(entry, error) {
+    entry.errors += 1;
+    entry.failures += 1;
+    if (entry.failures >= benchAfter || error.code === "INVALID_KEY") {
+      entry.benchedUntil = now() + benchMs;
+      entry.failures = 0;
+      log.warn("API key benched", { provider, key: entry.number, benchMs, error });
+    }
+  }
+
+  async function schedule(request) {
+    let lastError;
+    for (let attempt = 0; attempt <= maxRetries; attempt++) {
+      const entry = await acquire();
+      entry.calls += 1;
+      try {
+        const result = await request(entry.key);
+        entry.failures = 0;
+        return result;
+      } catch (error) {
+        lastError = error;
+        recordFailure(entry, error);
+        if (!isRetryable(error)) {
+          throw error;
+        }
+        if (attempt < maxRetries) {
+          recordRetry(provider);
+          await sleep(backoffMs * 2 ** attempt);
+        }
+      }
+    }
+
+    throw new ProviderError(`${provider} request failed after ${maxRetries + 1} attempts: ${lastError.message}`, {
+      provider,
+      code: lastError.code === "RATE_LIMITED" || lastError.response?.status === 429 ? "RATE_LIMITED" : "UNAVAILABLE",
+      retryable: true,
+      cause: lastError,
+    });
+  }
+
+  function stats() {
+    const time = now();
+    return state.map(entry => ({
+      key: entry.number,
+      calls: entry.calls,
+      errors: entry.errors,
+      benched: entry.benchedUntil > time,
+    }));
+  }
+
+  return { schedule, stats };
+}
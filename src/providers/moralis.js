@@ -0,0 +1,181 @@
+import Moralis from 'moralis';
+import axios from 'axios';
+import { getChain } from "../chains.js";
+import { NATIVE_ADDRESS } from "../history.js";
+import { ProviderError } from "../errors.js";
+import { logger } from "../logger.js";
+import { timed } from "../telemetry.js";
+
+const log = logger.child({ module: "moralis" });
+
+let started = null;
+
+// Moralis can only be started once per process, so every provider instance shares the same start.
+function startMoralis(apiKey) {
+  if (!started) {
+    started = Moralis.start({ apiKey }).then(() => log.debug("Moralis initialized"), error => {
+      started = null;
+      throw error;
+    });
+  }
+  return started;
+}
+
+// SDK errors carry the HTTP status in `details`, REST errors in `response`.
+function moralisError(method, error) {
+  if (error instanceof ProviderError) {
+    return error;
+  }
+  const status = error.details?.status ?? error.response?.status;
+  const message = `Moralis ${method} failed: ${error.message}`;
+  if (status === 429) {
+    return new ProviderError(message, { provider: "moralis", code: "RATE_LIMITED", retryable: true, cause: error });
+  }
+  if (status === 401 || status === 403) {
+    return new ProviderError(message, { provider: "moralis", code: "INVALID_KEY", cause: error });
+  }
+  return new ProviderError(message, { provider: "moralis", code: "API_ERROR", retryable: status >= 500, cause: error });
+}
+
+// Balance provider backed by the Moralis EVM API. Every API call is measured as a
+// `moralis.<method>` call of the current run, and fails with a ProviderError.
+export function createMoralisProvider({ apiKey = process.env.MORALIS_API_KEY } = {}) {
+  async function call(method, fn) {
+    try {
+      await startMoralis(apiKey);
+      return await timed("moralis", method, fn);
+    } catch (error) {
+      throw moralisError(method, error);
+    }
+  }
+
+  async function getWalletTokenBalances(walletAddress, chain) {
+    const response = await call("getWalletTokenBalances", () => Moralis.EvmApi.token.getWalletTokenBalances({
+      address: walletAddress,
+      chain: getChain(chain).moralisChain,
+    }));
+
+    return response.toJSON();
+  }
+
+  // Native balance in wei, as a string.
+  async function getNativeBalance(walletAddress, chain) {
+    const response = await call("getNativeBalance", () => Moralis.EvmApi.balance.getNativeBalance({
+      address: walletAddress,
+      chain: getChain(chain).moralisChain,
+    }));
+
+    return response.toJSON().balance;
+  }
+
+  // Every NFT the wallet holds, one row per token id, following the cursor through all pages.
+  async function getWalletNFTs(walletAddress, chain) {
+    let response = await call("getWalletNFTs", () => Moralis.EvmApi.nft.getWalletNFTs({
+      address: walletAddress,
+      chain: getChain(chain).moralisChain,
+    }));
+    const rows = [...response.toJSON().result];
+    while (response.hasNext()) {
+      response = await call("getWalletNFTs", () => response.next());
+      rows.push(...response.toJSON().result);
+    }
+
+    return rows;
+  }
+
+  // The SDK has no holder statistics yet, so this goes to the REST endpoint directly.
+  async function getTokenHolderCount(contractAddress, chain) {
+    try {
+      const response = await call("getTokenHolders", () => axios.get(`https://deep-index.moralis.io/api/v2.2/erc20/${contractAddress}/holders`, {
+        params: { chain: getChain(chain).moralisChain.hex },
+        headers: { "X-API-Key": apiKey },
+      }));
+      return response.data.totalHolders ?? null;
+    } catch (error) {
+      log.warn("No holder count", { chain, contractAddress, error });
+      return null;
+    }
+  }
+
+  async function getTokenMetadata(contractAddresses, chain) {
+    const response = await call("getTokenMetadata", () => Moralis.EvmApi.token.getTokenMetadata({
+      addresses: contractAddresses,
+      chain: getChain(chain).moralisChain,
+    }));
+
+    return response.toJSON();
+  }
+
+  return { getWalletTokenBalances, getNativeBalance, getWalletNFTs, getTokenHolderCount, getTokenMetadata };
+}
+
+// Price source backed by Moralis token prices, historical ones read at the transfer's block.
+// The native token is priced through its wrapped ERC-20. Prices are cached per block, and a
+// token Moralis cannot price (no liquidity pool, spam) comes back as null.
+export function createMoralisPriceProvider({ apiKey = process.env.MORALIS_API_KEY } = {}) {
+  const cache = new Map();
+
+  async function fetchPrice(chainConfig, address, blockNumber) {
+    try {
+      const response = await timed("moralis", "getTokenPrice", () => Moralis.EvmApi.token.getTokenPrice({
+        address,
+        chain: chainConfig.moralisChain,
+        ...(blockNumber ? { toBlock: blockNumber } : {}),
+      }));
+      return response.toJSON().usdPrice ?? null;
+    } catch (error) {
+      log.warn("No USD price", { chain: chainConfig.id, address, error });
+      return null;
+    }
+  }
+
+  async function getPrice(chain, contractAddress, { blockNumber } = {}) {
+    await startMoralis(apiKey);
+
+    const chainConfig = getChain(chain);
+    const contract = contractAddress.toLowerCase();
+    const address = contract === NATIVE_ADDRESS ? chainConfig.nativeToken.wrapped : contract;
+    const key = `${chainConfig.id}:${address}:${blockNumber ?? "latest"}`;
+    if (!cache.has(key)) {
+      cache.set(key, fetchPrice(chainConfig, address, blockNumber));
+    }
+    return cache.get(key);
+  }
+
+  return { getPrice };
+}
+
+// ENS names through the Moralis resolve API. Answers are cached for the life of the process;
+// a name that does not exist comes back as null, a failed lookup as a ProviderError.
+export function createMoralisNameProvider({ apiKey = process.env.MORALIS_API_KEY } = {}) {
+  const cache = new Map();
+
+  function cached(key, lookup) {
+    if (!cache.has(key)) {
+      const pending = lookup().catch(error => {
+        cache.delete(key);
+        throw new ProviderError(`ENS lookup failed: ${error.message}`, { provider: "moralis", cause: error });
+      });
+      cache.set(key, pending);
+    }
+    return cache.get(key);
+  }
+
+  async function resolveName(name) {
+    await startMoralis(apiKey);
+    return cached(`name:${name.toLowerCase()}`, async () => {
+      const response = await timed("moralis", "resolveENSDomain", () => Moralis.EvmApi.resolve.resolveENSDomain({ domain: name.toLowerCase() }));
+      return response ? response.toJSON().address.toLowerCase() : null;
+    });
+  }
+
+  async function lookupAddress(address) {
+    await startMoralis(apiKey);
+    return cached(`address:${address.toLowerCase()}`, async () => {
+      const response = await timed("moralis", "resolveAddress", () => Moralis.EvmApi.resolve.resolveAddress({ address }));
+      return response ? response.toJSON().name : null;
+    });
+  }
+
+  return { resolveName, lookupAddress };
+}
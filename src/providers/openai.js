@@ -0,0 +1,96 @@
+import OpenAI from "openai";
+import { getPromptTemplate, MAP_PROMPT, REDUCE_INSTRUCTION } from "../prompts.js";
+import { chunkReport, estimateTokens } from "../chunking.js";
+import { withoutDailySeries } from "../timeline.js";
+import { withoutWindowTransfers } from "../report.js";
+import { logger } from "../logger.js";
+import { timed, recordLlmUsage } from "../telemetry.js";
+import { ProviderError } from "../errors.js";
+
+const log = logger.child({ module: "summarizer" });
+
+export const DEFAULT_MODEL = "gpt-4o-mini";
+export const DEFAULT_TOKEN_BUDGET = 12000;
+
+// OpenAI client errors carry the HTTP status; connection errors have none and are worth retrying.
+function llmError(error) {
+  const message = `LLM request failed: ${error.message}`;
+  if (error.status === 429) {
+    return new ProviderError(message, { provider: "llm", code: "RATE_LIMITED", retryable: true, cause: error });
+  }
+  if (error.status === 401 || error.status === 403) {
+    return new ProviderError(message, { provider: "llm", code: "INVALID_KEY", cause: error });
+  }
+  return new ProviderError(message, { provider: "llm", code: "API_ERROR", retryable: !error.status || error.status >= 500, cause: error });
+}
+
+// Summarizer that has an LLM narrate the structured wallet report. Any OpenAI-compatible
+// endpoint works through `baseURL` (Ollama, LM Studio, vLLM, OpenRouter, ...). Reports over
+// `tokenBudget` input tokens are condensed part by part and the notes narrated together.
+// Each completion is measured as an `llm.chat` call of the current run, with its token usage,
+// and fails with a ProviderError.
+export function createOpenAISummarizer({
+  apiKey = process.env.SUMMARIZER_API_KEY || process.env.OPENAI_API_KEY,
+  baseURL = process.env.SUMMARIZER_BASE_URL,
+  model = process.env.SUMMARIZER_MODEL || DEFAULT_MODEL,
+  temperature = parseFloat(process.env.SUMMARIZER_TEMPERATURE || "0.3"),
+  maxTokens = process.env.SUMMARIZER_MAX_TOKENS ? parseInt(process.env.SUMMARIZER_MAX_TOKENS) : undefined,
+  tokenBudget = parseInt(process.env.SUMMARIZER_TOKEN_BUDGET || DEFAULT_TOKEN_BUDGET),
+  style = process.env.SUMMARY_STYLE,
+  client,
+} = {}) {
+  // Local servers usually take any key, but the client refuses to start without one.
+  const openai = client || new OpenAI({ apiKey: apiKey || (baseURL ? "not-needed" : undefined), baseURL: baseURL || undefined });
+  const defaultTemplate = getPromptTemplate(style);
+
+  async function complete(system, content, completionTokens) {
+    let gptResponse;
+    try {
+      gptResponse = await timed("llm", "chat", () => openai.chat.completions.create({
+        model,
+        messages: [
+          { role: "system", content: system },
+          { role: "user", content }
+        ],
+        max_tokens: completionTokens,
+        temperature
+      }));
+    } catch (error) {
+      throw llmError(error);
+    }
+    recordLlmUsage(gptResponse.usage);
+    const choice = gptResponse.choices[0];
+    if (choice.finish_reason === "length") {
+      log.warn("Summary was cut off", { model, completionTokens });
+    }
+    return choice.message.content;
+  }
+
+  async function summarize(fullReport, options = {}) {
+    const report = withoutDailySeries(withoutWindowTransfers(fullReport));
+    const template = options.style ? getPromptTemplate(options.style) : defaultTemplate;
+    const completionTokens = maxTokens || template.maxTokens;
+    const parts = chunkReport(report, tokenBudget);
+    log.info("Summarizing", { model, prompt: `${template.style}@${template.version}`, parts: parts.length });
+
+    if (parts.length === 1) {
+      const summary = await complete(template.system, `Report: ${JSON.stringify(report)}`, completionTokens);
+      log.debug("Summary written", { summary });
+      return summary;
+    }
+
+    const notes = [];
+    for (const part of parts) {
+      notes.push(`Part ${part.part}:\n${await complete(MAP_PROMPT, `Report part: ${JSON.stringify(part)}`, completionTokens)}`);
+    }
+    const combined = notes.join("\n\n");
+    if (estimateTokens(combined) > tokenBudget) {
+      log.warn("Notes are over the token budget", { parts: parts.length, tokenBudget });
+    }
+    const summary = await complete(`${template.system} ${REDUCE_INSTRUCTION}`, combined, completionTokens);
+    log.debug("Summary written", { summary });
+    return summary;
+  }
+
+  return { summarize };
+}
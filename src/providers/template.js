@@ -0,0 +1,193 @@
+import { formatUsd } from "../valuation.js";
+import { getPromptTemplate } from "../prompts.js";
+import { describePhase } from "../timeline.js";
+
+// Summarizer without an LLM: fixed sentences filled in from the report, so the same report
+// always reads the same. Used when no LLM is configured, and wherever output must be
+// reproducible. It follows the same styles as the prompt templates.
+
+function formatAmount(value) {
+  return value.toLocaleString("en-US", { maximumFractionDigits: 6 });
+}
+
+function signed(value) {
+  return `${value > 0 ? "+" : ""}${formatAmount(value)}`;
+}
+
+function holdingLine(holding) {
+  const value = holding.usdValue === null || holding.usdValue === undefined ? "" : ` (${formatUsd(holding.usdValue)})`;
+  return `${formatAmount(holding.balance)} ${holding.symbol}${value}`;
+}
+
+function byValue(a, b) {
+  return (b.usdValue ?? -1) - (a.usdValue ?? -1);
+}
+
+function tokenChanges(network, window) {
+  return network.tokens
+    .filter(token => token.windows[window].transfers > 0)
+    .map(token => `${token.tokenSymbol} ${signed(token.windows[window].net)} (in ${formatAmount(token.windows[window].inflow)}, out ${formatAmount(token.windows[window].outflow)})`);
+}
+
+function tradeLine(trade) {
+  const price = trade.executionPrice ? ` at ${trade.executionPrice.price} ${trade.executionPrice.unit}` : "";
+  const value = trade.usdValue === null ? "" : ` (${formatUsd(trade.usdValue)})`;
+  return `${trade.timestamp.slice(0, 10)}: ${trade.description}${price}${value}`;
+}
+
+function flowLine(flow) {
+  const tokens = flow.tokens.map(token => `${formatAmount(token.amount)} ${token.tokenSymbol}`).join(", ");
+  const value = flow.usdValue === null ? "" : ` (${formatUsd(flow.usdValue)})`;
+  return `${flow.label}: ${tokens}${value} via ${flow.counterparties.join(", ")}`;
+}
+
+function pnlLine(token) {
+  return `${token.tokenSymbol}: cost basis ${formatUsd(token.pnl.costBasis)}, realized ${formatUsd(token.pnl.realizedPnl)}, unrealized ${formatUsd(token.pnl.unrealizedPnl)}`;
+}
+
+function phaseLines(network) {
+  return (network.timeline || [])
+    .filter(token => token.phases.length > 0)
+    .map(token => `${token.symbol}: ${token.phases.map(describePhase).join(", ")}${token.incomplete ? " (history incomplete)" : ""}`);
+}
+
+// The count only: the approvals themselves are listed next to the summary, like the valuation.
+function approvalsLine(network) {
+  const audit = network.approvals;
+  return audit ? `Open approvals: ${audit.open}, ${audit.unlimited} unlimited, ${audit.flagged} flagged.` : null;
+}
+
+// Counts only, like the approvals: the posts themselves are listed next to the summary.
+function socialLine(network) {
+  const searched = (network.social || []).filter(chatter => !chatter.error);
+  return searched.length > 0 ? `Social chatter: ${searched.map(chatter => `${chatter.query} ${chatter.posts} recent post(s)`).join(", ")}.` : null;
+}
+
+function flaggedLine(network) {
+  if (network.hiddenTokens) {
+    return `${network.hiddenTokens} likely spam token(s) hidden.`;
+  }
+  const flagged = network.flaggedTokens || [];
+  if (flagged.length === 0) {
+    return null;
+  }
+  return `Likely spam, not counted as holdings: ${flagged.map(token => `${token.symbol} (${token.risk.reasons.map(r => r.code).join(", ")})`).join("; ")}.`;
+}
+
+function section(title, lines) {
+  return lines.length > 0 ? [`${title}:`, ...lines.map(line => `- ${line}`)] : [];
+}
+
+function describeNetworkBrief(network) {
+  const lines = [];
+  const top = [...network.holdings].sort(byValue).slice(0, 3).map(holdingLine);
+  lines.push(top.length > 0 ? `Largest holdings: ${top.join(", ")}.` : "No holdings.");
+  const changes = tokenChanges(network, "7d");
+  if (changes.length > 0) {
+    lines.push(`Last 7 days: ${changes.join(", ")}.`);
+  }
+  if (network.trades?.length > 0) {
+    lines.push(`${network.trades.length} trade(s), latest: ${network.trades[0].description}.`);
+  }
+  const flows = network.counterpartyFlows || [];
+  if (flows.length > 0) {
+    const text = flows.map(flow => `${flow.label} ${flow.usdValue === null ? `${flow.transfers} transfer(s)` : formatUsd(flow.usdValue)}`).join(", ");
+    lines.push(`${text[0].toUpperCase()}${text.slice(1)}.`);
+  }
+  const spam = (network.flaggedTokens || []).length + (network.hiddenTokens || 0);
+  if (spam > 0) {
+    lines.push(`${spam} likely spam token(s) left out.`);
+  }
+  const approvals = approvalsLine(network);
+  if (approvals) {
+    lines.push(approvals);
+  }
+  const social = socialLine(network);
+  if (social) {
+    lines.push(social);
+  }
+  return lines;
+}
+
+function describeNetworkDetailed(network) {
+  const lines = [];
+  lines.push(...section("Holdings", [...network.holdings].sort(byValue).map(holdingLine)));
+  for (const [window, label] of [["1d", "Last day"], ["3d", "Last 3 days"], ["7d", "Last 7 days"]]) {
+    const changes = tokenChanges(network, window);
+    lines.push(`${label}: ${changes.length > 0 ? changes.join(", ") : "no transfers"}.`);
+  }
+  lines.push(...section("Trades", (network.trades || []).map(tradeLine)));
+  lines.push(...section("Balance phases", phaseLines(network)));
+  lines.push(...section("PnL", network.tokens.filter(token => token.pnl).map(pnlLine)));
+  lines.push(...section("Counterparties", (network.counterpartyFlows || []).map(flowLine)));
+  if (network.gas?.transactions > 0) {
+    lines.push(`Gas: ${formatAmount(network.gas.amount)} ${network.gas.symbol} over ${network.gas.transactions} transaction(s).`);
+  }
+  const nfts = network.nfts;
+  if (nfts && (nfts.holdings.length > 0 || nfts.activity.length > 0)) {
+    lines.push(...section("NFTs", [
+      ...nfts.holdings.map(h => `holds ${h.quantity} ${h.collection || h.contractAddress} (${h.standard})`),
+      ...nfts.activity.map(a => `${a.kind.replace("_", " ")} ${a.items.map(item => `${item.collection} #${item.tokenId}`).join(", ")}`),
+    ]));
+  }
+  const flagged = flaggedLine(network);
+  if (flagged) {
+    lines.push(flagged);
+  }
+  const approvals = approvalsLine(network);
+  if (approvals) {
+    lines.push(approvals);
+  }
+  const social = socialLine(network);
+  if (social) {
+    lines.push(social);
+  }
+  const changes = network.sinceLastReport;
+  if (changes) {
+    const holdings = changes.holdingChanges.map(c => `${c.name} ${c.status} (${signed(c.change)})`);
+    lines.push(`Since the report of ${changes.previousReportAt}: ${changes.newTransfers.inflow} transfer(s) in, ${changes.newTransfers.outflow} out${holdings.length > 0 ? `; ${holdings.join(", ")}` : ""}.`);
+  }
+  return lines;
+}
+
+function describeNetworkTrader(network) {
+  const lines = [];
+  lines.push(...section("Trades", (network.trades || []).map(tradeLine)));
+  for (const [window, label] of [["1d", "Last day"], ["7d", "Last 7 days"]]) {
+    const changes = tokenChanges(network, window);
+    if (changes.length > 0) {
+      lines.push(`${label}: ${changes.join(", ")}.`);
+    }
+  }
+  lines.push(...section("Balance phases", phaseLines(network)));
+  lines.push(...section("PnL", network.tokens.filter(token => token.pnl).map(pnlLine)));
+  const exchange = (network.counterpartyFlows || []).filter(flow => flow.category === "cex");
+  lines.push(...section("Exchange flows", exchange.map(flowLine)));
+  return lines.length > 0 ? lines : ["No trades or position changes."];
+}
+
+const DESCRIBE_NETWORK = {
+  brief: describeNetworkBrief,
+  detailed: describeNetworkDetailed,
+  trader: describeNetworkTrader,
+};
+
+export function createTemplateSummarizer({ style = process.env.SUMMARY_STYLE } = {}) {
+  const defaultStyle = getPromptTemplate(style).style;
+
+  async function summarize(report, options = {}) {
+    const describeNetwork = DESCRIBE_NETWORK[options.style ? getPromptTemplate(options.style).style : defaultStyle];
+    const { holdingsValue, realizedPnl, unrealizedPnl } = report.totals.usd;
+    const lines = [
+      `Wallet ${report.walletAddress}${report.primaryName ? ` (${report.primaryName})` : ""}, ${report.window.label}: ${report.totals.transfers} transfer(s) of ${report.totals.tokens} token(s), ` +
+        `holdings worth ${formatUsd(holdingsValue)}, realized PnL ${formatUsd(realizedPnl)}, unrealized PnL ${formatUsd(unrealizedPnl)}.`,
+    ];
+    for (const network of report.networks) {
+      lines.push("", `${network.network}:`);
+      lines.push(...(network.error ? [`Could not be scanned: ${network.error}`] : describeNetwork(network)));
+    }
+    return lines.join("\n");
+  }
+
+  return { summarize };
+}
@@ -0,0 +1,127 @@
+import axios from "axios";
+import { Scraper, SearchMode } from "@the-convocation/twitter-scraper";
+import { ProviderError } from "../errors.js";
+import { logger } from "../logger.js";
+import { timed } from "../telemetry.js";
+
+const log = logger.child({ module: "x" });
+
+const POSTS_API = "https://api.x.com/2/tweets";
+
+function statusUrl(id) {
+  return `https://x.com/i/web/status/${id}`;
+}
+
+function xError(message, status, cause) {
+  if (status === 429) {
+    return new ProviderError(message, { provider: "x", code: "RATE_LIMITED", retryable: true, cause });
+  }
+  if (status === 401 || status === 403) {
+    return new ProviderError(message, { provider: "x", code: "INVALID_KEY", cause });
+  }
+  return new ProviderError(message, { provider: "x", code: "API_ERROR", cause });
+}
+
+function normalizeTweet(tweet) {
+  return {
+    id: tweet.id,
+    author: tweet.username || null,
+    text: tweet.text || "",
+    url: tweet.permanentUrl || (tweet.id ? statusUrl(tweet.id) : null),
+    likes: tweet.likes || 0,
+    reposts: tweet.retweets || 0,
+    replies: tweet.replies || 0,
+    postedAt: tweet.timeParsed ? tweet.timeParsed.toISOString() : null,
+  };
+}
+
+/**
+ * Social provider reading recent posts from X through the scraper. X only answers searches
+ * of a logged in account, so it logs in with X_USERNAME and X_PASSWORD (and X_EMAIL when the
+ * account asks for it) before the first search. Every search is measured as an
+ * `x.searchTweets` call of the current run.
+ *
+ * @param {Object} [options]
+ * @param {Object} [options.scraper] - A twitter-scraper Scraper; a new one by default
+ * @param {Object} [options.env]
+ * @returns {import("./index.js").SocialProvider}
+ */
+export function createXSocialProvider({ scraper, env = process.env } = {}) {
+  let session = null;
+
+  // One login per provider, retried on the next search when it failed.
+  function ensureSession() {
+    if (!session) {
+      scraper = scraper || new Scraper();
+      session = (async () => {
+        if (await scraper.isLoggedIn()) {
+          return;
+        }
+        if (!env.X_USERNAME || !env.X_PASSWORD) {
+          throw new ProviderError("X_USERNAME and X_PASSWORD are required to search posts on X", { provider: "x", code: "INVALID_KEY" });
+        }
+        await scraper.login(env.X_USERNAME, env.X_PASSWORD, env.X_EMAIL);
+        log.debug("Logged in to X", { username: env.X_USERNAME });
+      })().catch(error => {
+        session = null;
+        throw error;
+      });
+    }
+    return session;
+  }
+
+  async function searchPosts(query, { limit = 20 } = {}) {
+    await ensureSession();
+    return timed("x", "searchTweets", async () => {
+      const posts = [];
+      try {
+        for await (const tweet of scraper.searchTweets(query, limit, SearchMode.Latest)) {
+          posts.push(normalizeTweet(tweet));
+        }
+      } catch (error) {
+        if (error instanceof ProviderError) {
+          throw error;
+        }
+        throw xError(`X search for "${query}" failed: ${error.message}`, error.response?.status, error);
+      }
+      return posts;
+    });
+  }
+
+  return { searchPosts };
+}
+
+/**
+ * Publisher posting to X through the API v2, as the user whose OAuth 2.0 access token is
+ * X_ACCESS_TOKEN (with the tweet.write scope). A thread is posted one reply after another.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.accessToken]
+ * @param {Object} [options.http] - axios or a stand-in
+ * @returns {import("./index.js").Publisher}
+ */
+export function createXPublisher({ accessToken = process.env.X_ACCESS_TOKEN, http = axios } = {}) {
+  if (!accessToken) {
+    throw new Error("X_ACCESS_TOKEN is required to publish on X");
+  }
+
+  async function publish(posts) {
+    const ids = [];
+    for (const text of posts) {
+      const body = ids.length > 0 ? { text, reply: { in_reply_to_tweet_id: ids[ids.length - 1] } } : { text };
+      try {
+        const response = await timed("x", "createTweet", () => http.post(POSTS_API, body, {
+          timeout: 10000,
+          headers: { Authorization: `Bearer ${accessToken}`, "Content-Type": "application/json" },
+        }));
+        ids.push(response.data.data.id);
+      } catch (error) {
+        const detail = error.response?.data?.detail || error.message;
+        throw xError(`Publishing on X failed after ${ids.length} of ${posts.length} post(s): ${detail}`, error.response?.status, error);
+      }
+    }
+    return { ids, urls: ids.map(statusUrl) };
+  }
+
+  return { publish };
+}
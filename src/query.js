@@ -0,0 +1,145 @@
+import { formatUsd } from "./valuation.js";
+
+// Follow-up questions about a wallet that was already analyzed, answered from the stored
+// transfers and balance snapshots instead of a new scan: "what did they sell yesterday?",
+// "how much ENS do they still hold?".
+
+export const TRANSFER_DIRECTIONS = ["inflow", "outflow"];
+export const DEFAULT_QUERY_LIMIT = 20;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * @typedef {Object} TransferFilter
+ * @property {string} [token] - Symbol, name or contract address
+ * @property {"inflow"|"outflow"} [direction]
+ * @property {Date|null} [from]
+ * @property {Date|null} [to]
+ * @property {string} [counterparty] - Address, or part of a counterparty label such as "binance"
+ */
+
+function matchesToken(token) {
+  const wanted = token.trim().toLowerCase();
+  return item => [item.tokenSymbol, item.symbol, item.tokenName, item.name, item.contractAddress]
+    .some(value => value && value.toLowerCase() === wanted);
+}
+
+function matchesCounterparty(counterparty) {
+  const wanted = counterparty.trim().toLowerCase();
+  return tx => tx.counterparty === wanted || Boolean(tx.counterpartyLabel?.name.toLowerCase().includes(wanted));
+}
+
+/**
+ * @param {import("./history.js").Transfer[]} transfers
+ * @param {TransferFilter} filter
+ * @returns {import("./history.js").Transfer[]} The matching transfers, in the order given
+ */
+export function filterTransfers(transfers, { token, direction, from, to, counterparty } = {}) {
+  if (direction && !TRANSFER_DIRECTIONS.includes(direction)) {
+    throw new Error(`Invalid direction "${direction}". Expected one of: ${TRANSFER_DIRECTIONS.join(", ")}`);
+  }
+  const byToken = token ? matchesToken(token) : null;
+  const byCounterparty = counterparty ? matchesCounterparty(counterparty) : null;
+  return transfers.filter(tx => {
+    const time = Date.parse(tx.timestamp);
+    return (!byToken || byToken(tx))
+      && (!direction || tx.flow === direction)
+      && (!from || time >= from.getTime())
+      && (!to || time <= to.getTime())
+      && (!byCounterparty || byCounterparty(tx));
+  });
+}
+
+export function filterHoldings(holdings, token) {
+  return token ? holdings.filter(matchesToken(token)) : holdings;
+}
+
+// Totals per token and direction of a list of transfers: "out 500 LINK ($12,500.00)".
+export function totalTransfers(transfers) {
+  const totals = new Map();
+  for (const tx of transfers) {
+    const key = `${tx.flow}:${tx.chain}:${tx.contractAddress.toLowerCase()}`;
+    const total = totals.get(key) || { flow: tx.flow, tokenSymbol: tx.tokenSymbol, amount: 0, usdValue: 0, transfers: 0 };
+    total.amount = Math.round((total.amount + tx.amount) * 1e8) / 1e8;
+    total.usdValue = total.usdValue === null || tx.usdValue === null || tx.usdValue === undefined ? null : total.usdValue + tx.usdValue;
+    total.transfers += 1;
+    totals.set(key, total);
+  }
+  return [...totals.values()];
+}
+
+function describeTransfer(tx) {
+  const value = tx.usdValue === null || tx.usdValue === undefined ? "" : ` (${formatUsd(tx.usdValue)})`;
+  const counterparty = tx.counterpartyLabel ? `${tx.counterpartyLabel.name} (${tx.counterpartyLabel.category})` : tx.counterparty;
+  const move = tx.flow === "outflow" ? `sent ${tx.amount} ${tx.tokenSymbol}${value} to` : `received ${tx.amount} ${tx.tokenSymbol}${value} from`;
+  return `- ${tx.timestamp.slice(0, 16).replace("T", " ")} UTC ${move} ${counterparty} [${tx.chain}, ${tx.transactionHash}]`;
+}
+
+// Fixed-layout answer to a transfer query: the totals, then the newest `limit` transfers.
+export function describeTransferQuery(transfers, limit = DEFAULT_QUERY_LIMIT) {
+  if (transfers.length === 0) {
+    return "No stored transfers match.";
+  }
+  const totals = totalTransfers(transfers).map(total => {
+    const value = total.usdValue === null ? "" : ` (${formatUsd(total.usdValue)})`;
+    return `${total.flow === "outflow" ? "out" : "in"} ${total.amount} ${total.tokenSymbol}${value} in ${total.transfers} transfer(s)`;
+  });
+  const lines = [`${transfers.length} matching transfer(s): ${totals.join(", ")}.`, ...transfers.slice(0, limit).map(describeTransfer)];
+  if (transfers.length > limit) {
+    lines.push(`… and ${transfers.length - limit} more.`);
+  }
+  return lines.join("\n");
+}
+
+// "today" and "yesterday" as UTC calendar days, other periods through the time window words.
+function findDaysInText(lower, now) {
+  const today = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate());
+  if (/\byesterday\b/.test(lower)) {
+    return { from: new Date(today - DAY_MS), to: new Date(today - 1) };
+  }
+  if (/\btoday\b/.test(lower)) {
+    return { from: new Date(today), to: now };
+  }
+  return null;
+}
+
+/**
+ * Reads a follow-up question about the wallet in context. Tokens and counterparties are only
+ * recognised among those the wallet dealt with, so ordinary words are never taken for them.
+ *
+ * @param {string} text
+ * @param {{symbols: string[], counterparties: string[], now?: Date, findWindow: (text: string) => string|undefined}} known -
+ *   Token symbols and counterparty label names of the stored data; `findWindow` picks a period like "last 3 days"
+ * @returns {{kind: "holdings"|"transfers", token?: string, direction?: string, window?: string, from?: Date, to?: Date, counterparty?: string}|null}
+ *   null when the text is not a question about holdings or transfers
+ */
+export function parseFollowUp(text, { symbols, counterparties, now = new Date(), findWindow }) {
+  const lower = (text || "").toLowerCase();
+  const words = new Set(lower.split(/[^a-z0-9.$]+/).filter(Boolean));
+  const token = symbols.find(symbol => words.has(symbol.toLowerCase()) || words.has(`$${symbol.toLowerCase()}`));
+  const counterparty = counterparties
+    .map(name => name.toLowerCase().split(" ")[0])
+    .find(word => word.length >= 4 && words.has(word));
+
+  if (/\b(hold|holds|holding|holdings|balance|own|owns|still have|still has)\b/.test(lower)) {
+    return { kind: "holdings", ...(token ? { token } : {}) };
+  }
+
+  const outflow = /\b(sell|sells|sold|send|sends|sent|deposit|deposits|deposited|outflows?|dump|dumped)\b/.test(lower);
+  const inflow = /\b(buy|buys|bought|receive|receives|received|got|withdrew|withdrawn|withdrawals?|inflows?)\b/.test(lower);
+  const mentionsTransfers = /\b(transfers?|transactions?|moves?|moved|trades?|traded|activity)\b/.test(lower);
+  if (!outflow && !inflow && !mentionsTransfers && !token && !counterparty) {
+    return null;
+  }
+
+  const days = findDaysInText(lower, now);
+  const window = days ? undefined : findWindow(lower);
+  return {
+    kind: "transfers",
+    ...(token ? { token } : {}),
+    ...(outflow !== inflow ? { direction: outflow ? "outflow" : "inflow" } : {}),
+    ...(days || {}),
+    ...(window ? { window } : {}),
+    ...(counterparty ? { counterparty } : {}),
+  };
+}
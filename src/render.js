@@ -0,0 +1,252 @@
+import { formatUsd } from "./valuation.js";
+import { toChecksumAddress } from "./addresses.js";
+import { describePhase } from "./timeline.js";
+import { byline } from "./social.js";
+
+// Renders wallet reports and their parts as Markdown, CSV and JSON, for output that is saved
+// or read outside a chat: the command line, files attached to tasks.
+
+export const OUTPUT_FORMATS = ["json", "md", "csv"];
+
+export const TRANSFER_CSV_COLUMNS = [
+  "chain",
+  "timestamp",
+  "hash",
+  "block",
+  "token_contract",
+  "token_symbol",
+  "direction",
+  "amount",
+  "usd_value",
+  "counterparty",
+  "counterparty_label",
+];
+
+export const HOLDING_CSV_COLUMNS = ["chain", "token_contract", "token_symbol", "token_name", "balance", "usd_price", "usd_value"];
+
+function csvField(value) {
+  if (value === null || value === undefined) {
+    return "";
+  }
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function csv(columns, rows) {
+  return [columns, ...rows].map(row => row.map(csvField).join(",")).join("\n") + "\n";
+}
+
+/**
+ * @param {import("./history.js").Transfer[]} transfers
+ * @returns {string} One line per transfer under a header line of TRANSFER_CSV_COLUMNS
+ */
+export function renderTransfersCsv(transfers) {
+  return csv(TRANSFER_CSV_COLUMNS, transfers.map(tx => [
+    tx.chain,
+    tx.timestamp,
+    tx.transactionHash,
+    tx.blockNumber,
+    tx.contractAddress,
+    tx.tokenSymbol,
+    tx.flow,
+    tx.amount,
+    tx.usdValue,
+    tx.counterparty,
+    tx.counterpartyLabel?.name,
+  ]));
+}
+
+/**
+ * Every transfer of the report over all its networks, newest first: the whole window, not only
+ * the held tokens the report text is about.
+ *
+ * @param {import("./report.js").WalletReport} report
+ * @returns {import("./history.js").Transfer[]}
+ */
+export function reportTransfers(report) {
+  return report.networks
+    .flatMap(network => network.windowTransfers || network.transfers || [])
+    .sort((a, b) => Date.parse(b.timestamp) - Date.parse(a.timestamp));
+}
+
+export function renderReportJson(report) {
+  return JSON.stringify(report, null, 2) + "\n";
+}
+
+export function renderHoldingsCsv(holdings) {
+  return csv(HOLDING_CSV_COLUMNS, holdings.map(h => [h.chain, h.contractAddress, h.symbol, h.name, h.balance, h.usdPrice, h.usdValue]));
+}
+
+function cell(value) {
+  return value === null || value === undefined || value === "" ? "–" : String(value).replace(/\|/g, "\\|").replace(/\n/g, " ");
+}
+
+function table(headers, rows) {
+  if (rows.length === 0) {
+    return "_None._";
+  }
+  return [
+    `| ${headers.join(" | ")} |`,
+    `|${headers.map(() => " --- ").join("|")}|`,
+    ...rows.map(row => `| ${row.map(cell).join(" | ")} |`),
+  ].join("\n");
+}
+
+function usd(value) {
+  return value === null || value === undefined ? null : formatUsd(value);
+}
+
+function amount(value) {
+  return Math.round(value * 1e8) / 1e8;
+}
+
+function counterpartyName(tx) {
+  return tx.counterpartyLabel ? `${tx.counterpartyLabel.name} (${tx.counterpartyLabel.category})` : tx.counterparty;
+}
+
+export function renderHoldingsTable(holdings) {
+  return table(["Network", "Token", "Balance", "Price", "Value"], holdings.map(h => [h.chain, h.symbol, amount(h.balance), usd(h.usdPrice), usd(h.usdValue)]));
+}
+
+export function renderTransfersTable(transfers) {
+  return table(
+    ["Time (UTC)", "Network", "Direction", "Amount", "Token", "Value", "Counterparty", "Transaction"],
+    transfers.map(tx => [
+      tx.timestamp.slice(0, 16).replace("T", " "),
+      tx.chain,
+      tx.flow,
+      amount(tx.amount),
+      tx.tokenSymbol,
+      usd(tx.usdValue),
+      counterpartyName(tx),
+      tx.transactionHash,
+    ])
+  );
+}
+
+function renderNetwork(network) {
+  const lines = [`## ${network.network}`, ""];
+  if (network.error) {
+    return [...lines, `Could not be scanned: ${network.error}`, ""];
+  }
+  lines.push("### Holdings", "", renderHoldingsTable(network.holdings), "");
+  lines.push("### Token activity", "", table(
+    ["Token", "In", "Out", "Net", "Transfers", "Realized PnL", "Unrealized PnL"],
+    network.tokens.map(t => [t.tokenSymbol, amount(t.total.inflow), amount(t.total.outflow), amount(t.total.net), t.total.transfers, usd(t.pnl?.realizedPnl), usd(t.pnl?.unrealizedPnl)])
+  ), "");
+  lines.push("### Balance timeline", "", table(
+    ["Token", "Start", "End", "End value", "Phases"],
+    (network.timeline || []).map(t => [
+      t.symbol,
+      amount(t.startBalance),
+      amount(t.daily[t.daily.length - 1]?.balance ?? t.startBalance),
+      usd(t.daily[t.daily.length - 1]?.usdValue),
+      `${t.phases.map(describePhase).join("; ") || "flat"}${t.incomplete ? " (history incomplete)" : ""}`,
+    ])
+  ), "");
+  lines.push("### Trades", "", table(
+    ["Time (UTC)", "Trade", "Value", "Transaction"],
+    (network.trades || []).map(trade => [trade.timestamp.slice(0, 16).replace("T", " "), trade.description, usd(trade.usdValue), trade.transactionHash])
+  ), "");
+  lines.push("### Counterparties", "", table(
+    ["Flow", "Tokens", "Value", "Via"],
+    (network.counterpartyFlows || []).map(flow => [
+      flow.label,
+      flow.tokens.map(token => `${amount(token.amount)} ${token.tokenSymbol}`).join(", "),
+      usd(flow.usdValue),
+      flow.counterparties.join(", "),
+    ])
+  ), "");
+
+  const flagged = network.flaggedTokens || [];
+  if (flagged.length > 0 || network.hiddenTokens) {
+    lines.push("### Likely spam", "");
+    lines.push(network.hiddenTokens
+      ? `${network.hiddenTokens} flagged token(s) hidden.`
+      : table(["Token", "Contract", "Reasons"], flagged.map(t => [t.symbol, t.contractAddress, t.risk.reasons.map(r => r.code).join(", ")])));
+    lines.push("");
+  }
+  if (network.approvals) {
+    lines.push("### Approvals", "", table(
+      ["Token", "Spender", "Allowance", "At risk", "Since", "Flags"],
+      network.approvals.approvals.map(a => [
+        a.tokenSymbol || a.contractAddress,
+        a.spenderLabel?.name || a.spenderContract?.name || a.spender,
+        a.standard === "NFT" ? "all NFTs" : a.unlimited ? "unlimited" : a.amount === null ? `${a.rawAmount} (raw)` : amount(a.amount),
+        usd(a.usdValue),
+        a.approvedAt.slice(0, 10),
+        a.risks.map(r => r.code).join(", "),
+      ])
+    ), "");
+  }
+  if (network.social) {
+    lines.push("### Social chatter", "", table(
+      ["Search", "Received", "Posts", "Likes", "Reposts", "Top post"],
+      network.social.map(chatter => [
+        chatter.query,
+        usd(chatter.usdInflow),
+        chatter.error ? `not searched: ${chatter.error}` : chatter.posts,
+        chatter.likes,
+        chatter.reposts,
+        chatter.top[0] ? `${byline(chatter.top[0])}${chatter.top[0].text}` : "",
+      ])
+    ), "");
+  }
+  if (network.gas?.transactions > 0) {
+    lines.push(`Gas: ${amount(network.gas.amount)} ${network.gas.symbol} over ${network.gas.transactions} transaction(s).`, "");
+  }
+  return lines;
+}
+
+/**
+ * The whole analysis as one Markdown document, always in the same layout: the header and
+ * totals, the summary when one was written, then per network its holdings, token activity,
+ * balance timeline, trades, counterparties, flagged tokens, when audited, open approvals and,
+ * when searched, the social chatter about its largest inflows.
+ *
+ * @param {{report: import("./report.js").WalletReport, chatGPTResponse?: string|null, overviewURL?: string}} result
+ * @returns {string}
+ */
+export function renderMarkdownReport({ report, chatGPTResponse, overviewURL }) {
+  const { holdingsValue, realizedPnl, unrealizedPnl } = report.totals.usd;
+  const address = toChecksumAddress(report.walletAddress);
+  const lines = [
+    `# Wallet report: ${report.primaryName ? `${report.primaryName} (${address})` : address}`,
+    "",
+    `- Period: ${report.window.label}`,
+    `- Generated: ${report.generatedAt}`,
+    `- Networks: ${report.networks.map(n => n.network).join(", ")}`,
+    `- Transfers: ${report.totals.transfers} of ${report.totals.tokens} token(s)`,
+    `- Holdings value: ${formatUsd(holdingsValue)}, realized PnL ${formatUsd(realizedPnl)}, unrealized PnL ${formatUsd(unrealizedPnl)}`,
+    "",
+  ];
+  if (chatGPTResponse) {
+    lines.push("## Summary", "", chatGPTResponse, "");
+  }
+  for (const network of report.networks) {
+    lines.push(...renderNetwork(network));
+  }
+  if (overviewURL) {
+    lines.push(`[View detailed transactions](${overviewURL})`, "");
+  }
+  return lines.join("\n");
+}
+
+/**
+ * The report as the files attached to a task: the Markdown report, the CSV of every transfer
+ * and the JSON report. They are named after the wallet and the time the report was generated,
+ * so later reports of the same wallet sit next to each other.
+ *
+ * @param {{report: import("./report.js").WalletReport, chatGPTResponse?: string|null, overviewURL?: string}} result
+ * @returns {{path: string, content: string}[]}
+ */
+export function renderReportFiles(result) {
+  const { report } = result;
+  const stamp = report.generatedAt.slice(0, 16).replace(/[-:]/g, "").replace("T", "-");
+  const base = `wallet-reports/${report.walletAddress}-${stamp}`;
+  return [
+    { path: `${base}.md`, content: renderMarkdownReport(result) },
+    { path: `${base}-transfers.csv`, content: renderTransfersCsv(reportTransfers(report)) },
+    { path: `${base}.json`, content: renderReportJson(report) },
+  ];
+}
@@ -0,0 +1,249 @@
+// Deterministic wallet report. Every figure the summary talks about is computed
+// here so the LLM only has to narrate it.
+
+import { fifoPnl, sumUsd, roundUsd } from "./valuation.js";
+import { buildCounterpartyFlows } from "./labels.js";
+
+/**
+ * @typedef {Object} FlowTotals
+ * @property {number} inflow - Tokens received
+ * @property {number} outflow - Tokens sent
+ * @property {number} net - inflow - outflow
+ * @property {number} transfers - Number of transfers counted
+ */
+
+/**
+ * @typedef {Object} TokenActivity
+ * @property {string} chain
+ * @property {string} contractAddress
+ * @property {string} tokenName
+ * @property {string} tokenSymbol
+ * @property {number|null} currentBalance - Balance from the holdings snapshot, null when not held
+ * @property {FlowTotals} total
+ * @property {{inflow: number, outflow: number}} transferCount
+ * @property {{'1d': FlowTotals, '3d': FlowTotals, '7d': FlowTotals}} windows
+ * @property {{price: number|null, currentValue: number|null, inflow: number|null, outflow: number|null}} usd -
+ *   Current price and value of the holding, and the USD value of the transfers at the time they were made (null when unpriced)
+ * @property {import("./valuation.js").TokenPnl|null} pnl - FIFO cost basis and PnL, null when a transfer could not be priced
+ * @property {import("./risk.js").TokenRisk|null} risk - Spam/scam risk of the held token, null for the native token
+ */
+
+/**
+ * @typedef {Object} NetworkReport
+ * @property {string} chain
+ * @property {string} network
+ * @property {string} [error] - Set when the network could not be scanned
+ * @property {{startBlock: number, endBlock: number}} [blockRange] - Blocks the transfers were fetched from
+ * @property {Object[]} holdings - Held tokens, with their `risk`
+ * @property {Object[]} [flaggedTokens] - Held tokens flagged as likely spam, kept out of holdings and transfers ("separate" spam mode)
+ * @property {number} [hiddenTokens] - Number of flagged tokens dropped from the report ("hide" spam mode)
+ * @property {import("./history.js").Transfer[]} transfers - The transfers the token figures were computed from: native ones and those of held tokens
+ * @property {import("./history.js").Transfer[]} [windowTransfers] - Every transfer in the window, held token or not, newest first; what the transfer exports list
+ * @property {TokenActivity[]} tokens
+ * @property {{symbol: string, amount: number, transactions: number}} [gas] - Gas paid by the wallet in the window, in native units
+ * @property {import("./labels.js").CounterpartyFlow[]} counterpartyFlows - Transfers to and from known entities, such as "CEX deposits" or "bridged out"
+ * @property {import("./trades.js").Trade[]} [trades] - Swaps in the window, each built from the transfers of one transaction
+ * @property {import("./nft.js").NftSection} [nfts] - NFT holdings per collection and mints, purchases, sales and transfers in the window
+ * @property {import("./timeline.js").TokenTimeline[]} [timeline] - Daily balance of every holding over the window, with its accumulation and distribution phases
+ * @property {import("./approvals.js").ApprovalAudit} [approvals] - Open token approvals of the wallet, when the report was asked to include them
+ * @property {import("./social.js").TokenChatter[]} [social] - Recent posts about the tokens the wallet received the most of, when a social provider is set
+ * @property {ReportChanges} [sinceLastReport] - Set when an earlier report of this wallet is stored
+ */
+
+/**
+ * @typedef {Object} ReportChanges
+ * @property {string} previousReportAt
+ * @property {{inflow: number, outflow: number}} newTransfers - Transfers made after the previous report
+ * @property {{contractAddress: string, name: string, previousBalance: number, currentBalance: number, change: number, status: "new"|"exited"|"changed"}[]} holdingChanges
+ */
+
+/**
+ * @typedef {Object} WalletReport
+ * @property {string} walletAddress
+ * @property {string|null} primaryName - The wallet's primary ENS name, when its reverse record resolves back to it
+ * @property {string} generatedAt - ISO timestamp the report was built at
+ * @property {{from: string|null, to: string, label: string}} window - Period the transfers cover; the 1/3/7 day windows end at `to`
+ * @property {string[]} chains
+ * @property {NetworkReport[]} networks
+ * @property {{transfers: number, tokens: number, holdings: number, usd: {holdingsValue: number, realizedPnl: number, unrealizedPnl: number}}} totals -
+ *   USD figures add up the holdings and tokens that could be priced
+ */
+
+export const REPORT_WINDOWS = { "1d": 1, "3d": 3, "7d": 7 };
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function round(value) {
+  return Math.round(value * 1e8) / 1e8;
+}
+
+function emptyTotals() {
+  return { inflow: 0, outflow: 0, net: 0, transfers: 0 };
+}
+
+function addTransfer(totals, tx) {
+  if (tx.flow === "inflow") {
+    totals.inflow = round(totals.inflow + tx.amount);
+  } else {
+    totals.outflow = round(totals.outflow + tx.amount);
+  }
+  totals.net = round(totals.inflow - totals.outflow);
+  totals.transfers += 1;
+}
+
+function buildTokenActivity(transactions, holdings, windowEnd) {
+  const tokens = new Map();
+  const tokenTransfers = new Map();
+
+  for (const tx of transactions) {
+    const key = tx.contractAddress.toLowerCase();
+    if (!tokens.has(key)) {
+      const held = holdings.find(h => h.contractAddress?.toLowerCase() === key);
+      tokens.set(key, {
+        chain: tx.chain,
+        contractAddress: key,
+        tokenName: tx.tokenName,
+        tokenSymbol: tx.tokenSymbol,
+        currentBalance: held ? held.balance : null,
+        total: emptyTotals(),
+        transferCount: { inflow: 0, outflow: 0 },
+        windows: Object.fromEntries(Object.keys(REPORT_WINDOWS).map(w => [w, emptyTotals()])),
+      });
+      tokenTransfers.set(key, []);
+    }
+    tokenTransfers.get(key).push(tx);
+
+    const token = tokens.get(key);
+    addTransfer(token.total, tx);
+    token.transferCount[tx.flow] += 1;
+
+    const age = windowEnd - Date.parse(tx.timestamp);
+    for (const [window, days] of Object.entries(REPORT_WINDOWS)) {
+      if (age <= days * DAY_MS) {
+        addTransfer(token.windows[window], tx);
+      }
+    }
+  }
+
+  for (const [key, token] of tokens) {
+    const held = holdings.find(h => h.contractAddress?.toLowerCase() === key);
+    const transfers = tokenTransfers.get(key);
+    const price = held?.usdPrice ?? null;
+    token.usd = {
+      price,
+      currentValue: held?.usdValue ?? null,
+      inflow: sumUsd(transfers.filter(tx => tx.flow === "inflow").map(tx => tx.usdValue)),
+      outflow: sumUsd(transfers.filter(tx => tx.flow === "outflow").map(tx => tx.usdValue)),
+    };
+    token.pnl = fifoPnl(transfers, token.currentBalance ?? 0, price);
+    token.risk = held?.risk ?? null;
+  }
+
+  return [...tokens.values()];
+}
+
+function addKnown(values) {
+  return roundUsd(values.filter(value => value !== null && value !== undefined).reduce((sum, value) => sum + value, 0));
+}
+
+/**
+ * Builds the structured report from the per-network activity collected by the scanner.
+ *
+ * @param {string} walletAddress
+ * @param {Object[]} networks - Output of collectChainActivity for each scanned chain
+ * @param {import("./timeWindow.js").TimeWindow} timeWindow - Period the transfers were fetched for
+ * @param {Date} [generatedAt]
+ * @param {{primaryName?: string|null}} [options]
+ * @returns {WalletReport}
+ */
+export function buildWalletReport(walletAddress, networks, timeWindow, generatedAt = new Date(), { primaryName = null } = {}) {
+  const windowEnd = timeWindow.to.getTime();
+  const networkReports = networks.map(n => ({
+    chain: n.chain,
+    network: n.network,
+    ...(n.error ? { error: n.error } : {}),
+    ...(n.blockRange ? { blockRange: n.blockRange } : {}),
+    ...(n.flaggedTokens ? { flaggedTokens: n.flaggedTokens } : {}),
+    ...(n.hiddenTokens ? { hiddenTokens: n.hiddenTokens } : {}),
+    ...(n.gas ? { gas: n.gas } : {}),
+    ...(n.trades ? { trades: n.trades } : {}),
+    ...(n.nfts ? { nfts: n.nfts } : {}),
+    ...(n.timeline ? { timeline: n.timeline } : {}),
+    ...(n.approvals ? { approvals: n.approvals } : {}),
+    holdings: n.holdings,
+    transfers: n.transactions,
+    ...(n.windowTransfers ? { windowTransfers: n.windowTransfers } : {}),
+    tokens: buildTokenActivity(n.transactions, n.holdings, windowEnd),
+    counterpartyFlows: buildCounterpartyFlows(n.transactions),
+  }));
+  const tokens = networkReports.flatMap(n => n.tokens);
+
+  return {
+    walletAddress,
+    primaryName,
+    generatedAt: generatedAt.toISOString(),
+    window: {
+      from: timeWindow.from ? timeWindow.from.toISOString() : null,
+      to: timeWindow.to.toISOString(),
+      label: timeWindow.label,
+    },
+    chains: networks.map(n => n.chain),
+    networks: networkReports,
+    totals: {
+      transfers: networks.reduce((sum, n) => sum + n.transactions.length, 0),
+      tokens: tokens.length,
+      holdings: networks.reduce((sum, n) => sum + n.holdings.length, 0),
+      usd: {
+        holdingsValue: addKnown(networks.flatMap(n => n.holdings.map(h => h.usdValue))),
+        realizedPnl: addKnown(tokens.map(t => t.pnl?.realizedPnl)),
+        unrealizedPnl: addKnown(tokens.map(t => t.pnl?.unrealizedPnl)),
+      },
+    },
+  };
+}
+
+// The report as the narration reads it: about the held tokens, without the full list of the
+// window's transfers kept for the exports.
+export function withoutWindowTransfers(report) {
+  return { ...report, networks: report.networks.map(({ windowTransfers, ...network }) => network) };
+}
+
+/**
+ * Compares a network's fresh holdings and the stored transfers with the previous stored report.
+ *
+ * @param {{generatedAt: string, network: NetworkReport}} previous
+ * @param {NetworkReport} network
+ * @param {Object[]} transfers - Every stored transfer of the network, in the normalized transfer model
+ * @returns {ReportChanges}
+ */
+export function compareWithPreviousReport(previous, network, transfers) {
+  const since = Date.parse(previous.generatedAt);
+  const newTransfers = { inflow: 0, outflow: 0 };
+  for (const tx of transfers) {
+    if (Date.parse(tx.timestamp) > since) {
+      newTransfers[tx.flow] += 1;
+    }
+  }
+
+  const before = new Map(previous.network.holdings.map(h => [h.contractAddress?.toLowerCase(), h]));
+  const after = new Map(network.holdings.map(h => [h.contractAddress?.toLowerCase(), h]));
+  const holdingChanges = [];
+  for (const contractAddress of new Set([...before.keys(), ...after.keys()])) {
+    const previousBalance = before.get(contractAddress)?.balance ?? 0;
+    const currentBalance = after.get(contractAddress)?.balance ?? 0;
+    const change = round(currentBalance - previousBalance);
+    if (change === 0) {
+      continue;
+    }
+    holdingChanges.push({
+      contractAddress,
+      name: (after.get(contractAddress) || before.get(contractAddress)).name,
+      previousBalance,
+      currentBalance,
+      change,
+      status: !before.has(contractAddress) ? "new" : !after.has(contractAddress) ? "exited" : "changed",
+    });
+  }
+
+  return { previousReportAt: previous.generatedAt, newTransfers, holdingChanges };
+}
@@ -0,0 +1,148 @@
+import fs from 'fs';
+import { CHAINS } from "./chains.js";
+
+// Spam / scam token detection. Each heuristic that fires adds a reason and its weight to
+// the token's risk score; tokens at or above FLAG_SCORE are flagged, and the spam mode
+// decides whether flagged tokens stay in the analysis, are listed separately or dropped.
+
+export const SPAM_MODES = ["separate", "hide", "include"];
+export const DEFAULT_SPAM_MODE = "separate";
+
+export const FLAG_SCORE = 50;
+export const MIN_HOLDERS = 50;
+
+const WEIGHTS = {
+  possible_spam: 40,
+  impersonation: 50,
+  suspicious_name: 40,
+  zero_value_transfers: 40,
+  unsolicited: 20,
+  no_price: 25,
+  few_holders: 25,
+  low_security_score: 30,
+};
+
+// Major tokens per chain, { chain: { SYMBOL: [contractAddress, ...] } } (bridged versions
+// share the symbol). A token using one of these symbols at another address is copying it.
+const KNOWN_TOKENS = JSON.parse(fs.readFileSync(new URL("./data/tokens.json", import.meta.url), "utf8"));
+
+// Links and calls to action in token names are how airdropped scam tokens advertise.
+const SUSPICIOUS_NAME = /(https?:|www\.|\.(com|io|org|net|xyz|app|site|vip)\b|t\.me|claim|reward|visit|airdrop|voucher)/i;
+
+/**
+ * @typedef {Object} TokenRisk
+ * @property {number} score - 0 to 100
+ * @property {"low"|"medium"|"high"} level
+ * @property {boolean} flagged - score >= FLAG_SCORE
+ * @property {{code: string, message: string}[]} reasons
+ */
+
+function knownAddressesOf(chain, symbol) {
+  const known = KNOWN_TOKENS[chain] || {};
+  return known[symbol] || null;
+}
+
+// A symbol (or a name that is just a symbol) of a known token or of the chain's native token,
+// used by a different contract.
+function impersonatedSymbol(chain, holding) {
+  const contract = holding.contractAddress.toLowerCase();
+  for (const candidate of [holding.symbol, holding.name]) {
+    const symbol = (candidate || "").trim().toUpperCase();
+    const known = knownAddressesOf(chain, symbol);
+    if ((known && !known.includes(contract)) || (symbol && symbol === CHAINS[chain]?.nativeToken.symbol)) {
+      return symbol;
+    }
+  }
+  return null;
+}
+
+/**
+ * Scores one held token.
+ *
+ * @param {string} chain
+ * @param {Object} holding - A runApp holding, priced when a price source is configured
+ * @param {Object} evidence
+ * @param {import("./history.js").Transfer[]} evidence.transfers - The token's transfers
+ * @param {Set<string>} evidence.sentHashes - Hashes of the transactions the wallet sent itself
+ * @param {number|null} [evidence.holderCount]
+ * @returns {TokenRisk}
+ */
+export function assessTokenRisk(chain, holding, { transfers, sentHashes, holderCount = null }) {
+  const reasons = [];
+  const add = (code, message) => reasons.push({ code, message });
+
+  if (holding.possible_spam) {
+    add("possible_spam", "Marked as possible spam by the balance provider");
+  }
+  const copied = impersonatedSymbol(chain, holding);
+  if (copied) {
+    add("impersonation", `Uses the ${copied} name or symbol but is not the ${copied} contract`);
+  }
+  if (SUSPICIOUS_NAME.test(`${holding.name} ${holding.symbol}`)) {
+    add("suspicious_name", "Name or symbol advertises a website or a claim");
+  }
+  const zeroValue = transfers.filter(tx => tx.amount === 0);
+  if (zeroValue.length > 0) {
+    add("zero_value_transfers", `${zeroValue.length} zero-value transfer(s), typical of address poisoning`);
+  }
+  const inflows = transfers.filter(tx => tx.flow === "inflow");
+  if (inflows.length > 0 && inflows.length === transfers.length && inflows.every(tx => !sentHashes.has(tx.transactionHash))) {
+    add("unsolicited", "Only ever received, in transactions the wallet did not send");
+  }
+  if (holding.usdPrice === null) {
+    add("no_price", "No market price, so no liquidity to sell into");
+  }
+  if (holderCount !== null && holderCount < MIN_HOLDERS) {
+    add("few_holders", `Only ${holderCount} holder(s)`);
+  }
+  if (typeof holding.security_score === "number" && holding.security_score < 30) {
+    add("low_security_score", `Security score of ${holding.security_score}/100`);
+  }
+
+  const score = Math.min(100, reasons.reduce((sum, reason) => sum + WEIGHTS[reason.code], 0));
+  return {
+    score,
+    level: score >= 60 ? "high" : score >= 30 ? "medium" : "low",
+    flagged: score >= FLAG_SCORE,
+    reasons,
+  };
+}
+
+/**
+ * Applies the spam mode to a network's holdings and transfers, whose holdings already carry
+ * their `risk`. "include" keeps everything, "separate" moves flagged tokens out of the
+ * holdings and transfers into `flaggedTokens`, and "hide" drops them and only counts them.
+ *
+ * @param {Object[]} holdings
+ * @param {import("./history.js").Transfer[]} transfers
+ * @param {"separate"|"hide"|"include"} mode
+ */
+export function applySpamMode(holdings, transfers, mode = DEFAULT_SPAM_MODE) {
+  if (!SPAM_MODES.includes(mode)) {
+    throw new Error(`Invalid spam mode "${mode}". Expected one of: ${SPAM_MODES.join(", ")}`);
+  }
+  const flagged = holdings.filter(h => h.risk?.flagged);
+  if (mode === "include" || flagged.length === 0) {
+    return { holdings, transfers, flaggedTokens: [], hiddenTokens: 0 };
+  }
+
+  const flaggedContracts = new Set(flagged.map(h => h.contractAddress.toLowerCase()));
+  return {
+    holdings: holdings.filter(h => !h.risk?.flagged),
+    transfers: transfers.filter(tx => !flaggedContracts.has(tx.contractAddress.toLowerCase())),
+    flaggedTokens: mode === "separate" ? flagged : [],
+    hiddenTokens: mode === "hide" ? flagged.length : 0,
+  };
+}
+
+// Picks a spam mode from free text: "hide spam", "include spam tokens" or "show all tokens".
+export function findSpamModeInText(text) {
+  const lower = (text || "").toLowerCase();
+  if (/\b(hide|without|exclude|no) (the )?(spam|scam)/.test(lower)) {
+    return "hide";
+  }
+  if (/\b(include|including|with|show) (the )?(spam|scam)|\ball tokens\b/.test(lower)) {
+    return "include";
+  }
+  return undefined;
+}
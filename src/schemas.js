@@ -0,0 +1,65 @@
+import { z } from "zod";
+import { CHAINS, CHAIN_OPTIONS, DEFAULT_CHAIN } from "./chains.js";
+import { DEFAULT_WINDOW } from "./timeWindow.js";
+import { SPAM_MODES, DEFAULT_SPAM_MODE } from "./risk.js";
+import { SUMMARY_STYLES } from "./prompts.js";
+import { TRANSFER_DIRECTIONS, DEFAULT_QUERY_LIMIT } from "./query.js";
+import { DEFAULT_TRACE_DEPTH, MAX_TRACE_DEPTH, DEFAULT_FAN_OUT, MAX_FAN_OUT, GRAPH_FORMATS } from "./graph.js";
+import { DEFAULT_SOCIAL_MIN_USD } from "./social.js";
+
+// Argument schemas shared by the agent capabilities and the REST API, so both accept and
+// describe the same parameters.
+
+export const analyzeWalletSchema = z.object({
+  address: z.string().describe("The wallet to analyze: an Ethereum address, an ENS name such as vitalik.eth or a name from the workspace address book"),
+  chain: z.enum(CHAIN_OPTIONS).default(DEFAULT_CHAIN).describe('The network to analyze, or "all" for a report grouped by network'),
+  format: z.enum(["summary", "json"]).default("summary").describe('"summary" for the written analysis, "json" for the raw structured report'),
+  window: z.string().optional().describe(`Period to analyze, such as "last 30 days", "7d", "2 weeks" or "all" for the full history. Defaults to "${DEFAULT_WINDOW}"`),
+  from: z.string().optional().describe("Explicit start date (YYYY-MM-DD or ISO timestamp); takes precedence over window"),
+  to: z.string().optional().describe("Explicit end date (YYYY-MM-DD or ISO timestamp); defaults to now"),
+  spam: z.enum(SPAM_MODES).default(DEFAULT_SPAM_MODE).describe('Likely spam/scam tokens: "separate" lists them apart with their risk reasons, "hide" leaves them out, "include" treats them like any token'),
+  style: z.enum(SUMMARY_STYLES).optional().describe('Summary style: "brief", "detailed" or "trader". Defaults to the configured SUMMARY_STYLE'),
+  approvals: z.boolean().default(false).describe("Also audit the wallet's open token approvals (allowances) and add them to the report"),
+});
+
+export const auditApprovalsSchema = z.object({
+  address: z.string().describe("The wallet to audit: an Ethereum address, an ENS name or a name from the workspace address book"),
+  chain: z.enum(CHAIN_OPTIONS).default(DEFAULT_CHAIN).describe('The network to audit, or "all"'),
+  format: z.enum(["summary", "json"]).default("summary").describe('"summary" for the list of approvals, "json" for the structured audit'),
+});
+
+export const queryTransfersSchema = z.object({
+  address: z.string().optional().describe("The wallet (address, ENS name or address book name); defaults to the last wallet analyzed in this workspace"),
+  chain: z.enum(CHAIN_OPTIONS).optional().describe("The network; defaults to the one analyzed"),
+  token: z.string().optional().describe('Token symbol, name or contract address, e.g. "ENS"'),
+  direction: z.enum(TRANSFER_DIRECTIONS).optional().describe('"outflow" for tokens sent or sold, "inflow" for tokens received or bought'),
+  window: z.string().optional().describe('Period such as "last 3 days" or "24h"'),
+  from: z.string().optional().describe("Start date (YYYY-MM-DD or ISO timestamp)"),
+  to: z.string().optional().describe("End date (YYYY-MM-DD or ISO timestamp)"),
+  counterparty: z.string().optional().describe('Counterparty address or label, e.g. "Binance"'),
+  limit: z.number().int().min(1).max(200).default(DEFAULT_QUERY_LIMIT).describe("How many transfers to list"),
+});
+
+export const queryHoldingsSchema = z.object({
+  address: z.string().optional().describe("The wallet (address, ENS name or address book name); defaults to the last wallet analyzed in this workspace"),
+  chain: z.enum(CHAIN_OPTIONS).optional().describe("The network; defaults to the one analyzed"),
+  token: z.string().optional().describe('Token symbol, name or contract address, e.g. "ENS"'),
+});
+
+export const traceWalletSchema = z.object({
+  address: z.string().describe("The wallet to trace: an Ethereum address, an ENS name or a name from the workspace address book"),
+  chain: z.enum(Object.keys(CHAINS)).default(DEFAULT_CHAIN).describe("The network to trace on"),
+  depth: z.number().int().min(1).max(MAX_TRACE_DEPTH).default(DEFAULT_TRACE_DEPTH).describe("How many hops to follow from the wallet"),
+  fanOut: z.number().int().min(1).max(MAX_FAN_OUT).default(DEFAULT_FAN_OUT).describe("How many first funders and top counterparties to follow from each address"),
+  window: z.string().optional().describe('Period of the transfers to consider, such as "90d". Defaults to the full history'),
+  format: z.enum(["summary", ...GRAPH_FORMATS]).default("summary").describe('"summary" for the funding sources and heaviest edges as text, or the graph as "json", "graphml" or "dot"'),
+});
+
+export const postWhaleMoveSchema = z.object({
+  address: z.string().describe("The wallet whose moves to post: an Ethereum address, an ENS name or a name from the workspace address book"),
+  chain: z.enum(CHAIN_OPTIONS).default(DEFAULT_CHAIN).describe('The network to analyze, or "all"'),
+  window: z.string().optional().describe(`Period to analyze, such as "24h" or "7d". Defaults to "${DEFAULT_WINDOW}"`),
+  minUsd: z.number().min(0).optional().describe(`Smallest move in USD worth posting. Defaults to SOCIAL_MIN_USD or ${DEFAULT_SOCIAL_MIN_USD}`),
+  thread: z.boolean().default(false).describe("Post a thread, with the social chatter about the tokens and the wallet link in posts of their own, instead of a single post"),
+  dryRun: z.boolean().default(true).describe("Only draft the posts; set to false to publish them on X"),
+});
@@ -0,0 +1,277 @@
+import { toChecksumAddress } from "./addresses.js";
+import { CHAINS } from "./chains.js";
+import { logger } from "./logger.js";
+
+// Social context for a wallet report and whale-move posts made from it. A big move is a token
+// the wallet received at least `minUsd` (SOCIAL_MIN_USD, $50,000 by default) of in the period. For each one the report gets the
+// recent posts mentioning the token's cashtag, from the social provider (X, or a stand-in in
+// tests), and a finished report can be turned into a short post or thread for the publisher.
+
+export const DEFAULT_SOCIAL_MIN_USD = 50000;
+export const DEFAULT_SOCIAL_POSTS = 20;
+export const MAX_SOCIAL_TOKENS = 3;
+export const POST_MAX_LENGTH = 280;
+
+const TOP_POSTS = 3;
+const POST_EXCERPT_LENGTH = 160;
+const NAME_LENGTH = 40;
+// Symbols of spam tokens carry URLs and claims; only plain tickers make a cashtag.
+const TICKER = /^[A-Za-z][A-Za-z0-9]{0,9}$/;
+
+const log = logger.child({ module: "social" });
+
+// SOCIAL_MIN_USD, read on every call like the other settings taken from the environment.
+export function defaultMinUsd(env = process.env) {
+  return Number(env.SOCIAL_MIN_USD) || DEFAULT_SOCIAL_MIN_USD;
+}
+
+/**
+ * @typedef {Object} SocialPost
+ * @property {string} id
+ * @property {string|null} author - Handle, without the @
+ * @property {string} text
+ * @property {string|null} url
+ * @property {number} likes
+ * @property {number} reposts
+ * @property {number} replies
+ * @property {string|null} postedAt - ISO timestamp
+ *
+ * @typedef {Object} TokenChatter
+ * @property {string} contractAddress
+ * @property {string} tokenSymbol
+ * @property {string} query - The search that found the posts
+ * @property {number} usdInflow - Value received in the period, what made it a big move
+ * @property {number} posts - Number of recent posts found
+ * @property {number} likes - Summed over the posts
+ * @property {number} reposts
+ * @property {SocialPost[]} top - The most engaged posts, with their text cut short
+ * @property {string} [error] - Set when the search failed
+ */
+
+export function cashtag(symbol) {
+  return symbol && TICKER.test(symbol) ? `$${symbol.toUpperCase()}` : null;
+}
+
+/**
+ * Tokens of a network the wallet received at least `minUsd` of, largest first, at most
+ * MAX_SOCIAL_TOKENS. The native coin and tokens without a plain ticker are left out.
+ *
+ * @param {import("./report.js").NetworkReport} network
+ * @param {{minUsd?: number}} [options]
+ * @returns {import("./report.js").TokenActivity[]}
+ */
+export function findBigMoves(network, { minUsd = defaultMinUsd() } = {}) {
+  return (network.tokens || [])
+    .filter(token => token.usd?.inflow >= minUsd && cashtag(token.tokenSymbol) && token.tokenSymbol !== CHAINS[network.chain]?.nativeToken.symbol)
+    .sort((a, b) => b.usd.inflow - a.usd.inflow)
+    .slice(0, MAX_SOCIAL_TOKENS);
+}
+
+function excerpt(text, length) {
+  const flat = text.replace(/\s+/g, " ").trim();
+  return flat.length > length ? `${flat.slice(0, length - 1)}…` : flat;
+}
+
+// "@handle: " before a quoted post, nothing when the author is unknown.
+export function byline(post) {
+  return post.author ? `@${post.author}: ` : "";
+}
+
+function engagement(post) {
+  return post.likes + post.reposts;
+}
+
+/**
+ * Counts and the most engaged of the posts found for one token.
+ *
+ * @param {import("./report.js").TokenActivity} token
+ * @param {string} query
+ * @param {SocialPost[]} posts
+ * @returns {TokenChatter}
+ */
+export function summarizeChatter(token, query, posts) {
+  return {
+    contractAddress: token.contractAddress,
+    tokenSymbol: token.tokenSymbol,
+    query,
+    usdInflow: token.usd.inflow,
+    posts: posts.length,
+    likes: posts.reduce((sum, post) => sum + post.likes, 0),
+    reposts: posts.reduce((sum, post) => sum + post.reposts, 0),
+    top: [...posts]
+      .sort((a, b) => engagement(b) - engagement(a))
+      .slice(0, TOP_POSTS)
+      .map(post => ({ ...post, text: excerpt(post.text, POST_EXCERPT_LENGTH) })),
+  };
+}
+
+/**
+ * Recent posts about every big move of a network. A failed search is logged and noted on
+ * its token instead of failing the analysis.
+ *
+ * @param {import("./report.js").NetworkReport} network
+ * @param {{searchPosts: (query: string, options?: {limit?: number}) => Promise<SocialPost[]>}} social
+ * @param {{minUsd?: number, limit?: number}} [options]
+ * @returns {Promise<TokenChatter[]>}
+ */
+export async function buildSocialContext(network, social, { minUsd = defaultMinUsd(), limit = DEFAULT_SOCIAL_POSTS } = {}) {
+  const chatter = [];
+  for (const token of findBigMoves(network, { minUsd })) {
+    const query = cashtag(token.tokenSymbol);
+    try {
+      chatter.push(summarizeChatter(token, query, await social.searchPosts(query, { limit })));
+    } catch (error) {
+      log.warn("Error searching posts", { chain: network.chain, query, error });
+      chatter.push({ ...summarizeChatter(token, query, []), error: error.message });
+    }
+  }
+  return chatter;
+}
+
+/**
+ * The social context of a report as text, one block per network that has any.
+ *
+ * @param {{networks: {network: string, social?: TokenChatter[]}[]}} report
+ * @returns {string} Empty when no network has social context
+ */
+export function describeSocialContext({ networks }) {
+  const sections = networks.filter(n => n.social?.length > 0).map(network => [
+    `Social chatter on ${network.network}:`,
+    ...network.social.map(chatter => {
+      if (chatter.error) {
+        return `- ${chatter.query}: posts could not be searched (${chatter.error})`;
+      }
+      const top = chatter.top[0] ? `; top: ${byline(chatter.top[0])}"${chatter.top[0].text}"` : "";
+      return `- ${chatter.query}: ${chatter.posts} recent post(s), ${chatter.likes} like(s), ${chatter.reposts} repost(s)${top}`;
+    }),
+  ].join("\n"));
+  return sections.join("\n\n");
+}
+
+// Dollar amounts as posts write them: $950, $22.7k, $1.2M.
+export function compactUsd(value) {
+  const abs = Math.abs(value);
+  if (abs >= 1e9) {
+    return `$${(value / 1e9).toFixed(1).replace(/\.0$/, "")}B`;
+  }
+  if (abs >= 1e6) {
+    return `$${(value / 1e6).toFixed(1).replace(/\.0$/, "")}M`;
+  }
+  if (abs >= 1e3) {
+    return `$${(value / 1e3).toFixed(1).replace(/\.0$/, "")}k`;
+  }
+  return `$${Math.round(value)}`;
+}
+
+function amountText(value) {
+  return (Math.round(value * 100) / 100).toLocaleString("en-US");
+}
+
+function shortAddress(address) {
+  const checksummed = toChecksumAddress(address);
+  return `${checksummed.slice(0, 6)}…${checksummed.slice(-4)}`;
+}
+
+/**
+ * Every token of the report moved in or out for at least `minUsd`, largest first. Tokens
+ * without a plain ticker go by their short contract address.
+ *
+ * @param {import("./report.js").WalletReport} report
+ * @param {{minUsd?: number}} [options]
+ * @returns {{network: string, symbol: string, direction: "inflow"|"outflow", amount: number, usdValue: number}[]}
+ */
+export function findWhaleMoves(report, { minUsd = defaultMinUsd() } = {}) {
+  return report.networks
+    .flatMap(network => (network.tokens || []).flatMap(token => ["inflow", "outflow"]
+      .filter(direction => token.usd?.[direction] >= minUsd)
+      .map(direction => ({
+        network: network.network,
+        symbol: cashtag(token.tokenSymbol) || shortAddress(token.contractAddress),
+        direction,
+        amount: token.total[direction],
+        usdValue: token.usd[direction],
+      }))))
+    .sort((a, b) => b.usdValue - a.usdValue);
+}
+
+function moveLine(move) {
+  return `${move.direction === "inflow" ? "📥 in" : "📤 out"}: ${amountText(move.amount)} ${move.symbol} (${compactUsd(move.usdValue)}) on ${move.network}`;
+}
+
+// The head, then as many lines as fit before the tail, saying how many were left out. A head
+// too long to leave room for the rest is cut short.
+function fitLines(head, lines, tail = []) {
+  const kept = [];
+  for (const [index, line] of lines.entries()) {
+    const rest = lines.length - index - 1;
+    const more = rest > 0 ? [`+${rest} more`] : [];
+    if ([head, ...kept, line, ...more, ...tail].join("\n").length > POST_MAX_LENGTH) {
+      break;
+    }
+    kept.push(line);
+  }
+  const more = kept.length < lines.length ? [`+${lines.length - kept.length} more`] : [];
+  const rest = [...kept, ...more, ...tail].join("\n");
+  return `${excerpt(head, POST_MAX_LENGTH - rest.length - 1)}\n${rest}`;
+}
+
+/**
+ * A whale-move post about the report: the headline with the largest moves and the link to the
+ * wallet, which gets a reply of its own when it leaves too little room. As a thread (`thread`),
+ * the link always gets a post of its own and the social chatter about the tokens one post each.
+ * Every post stays within POST_MAX_LENGTH characters, a link longer than that aside. Empty when
+ * nothing moved for `minUsd`.
+ *
+ * @param {{report: import("./report.js").WalletReport, overviewURL?: string}} result
+ * @param {{minUsd?: number, thread?: boolean}} [options]
+ * @returns {string[]}
+ */
+export function buildWhalePosts({ report, overviewURL }, { minUsd = defaultMinUsd(), thread = false } = {}) {
+  const moves = findWhaleMoves(report, { minUsd });
+  if (moves.length === 0) {
+    return [];
+  }
+  const wallet = report.primaryName ? `${excerpt(report.primaryName, NAME_LENGTH)} (${shortAddress(report.walletAddress)})` : shortAddress(report.walletAddress);
+  const head = `🐋 Whale move: ${wallet}, ${report.window.label}`;
+  const lines = moves.map(moveLine);
+  if (!thread) {
+    // A link too long to share the post with the headline is posted as a reply.
+    if (overviewURL && [head, `+${lines.length} more`, overviewURL].join("\n").length > POST_MAX_LENGTH) {
+      return [fitLines(head, lines), overviewURL];
+    }
+    return [fitLines(head, lines, overviewURL ? [overviewURL] : [])];
+  }
+
+  const posts = [fitLines(head, lines)];
+  for (const network of report.networks) {
+    for (const chatter of (network.social || []).filter(c => c.posts > 0)) {
+      posts.push(excerpt(`💬 ${chatter.query} on X: ${chatter.posts} recent post(s), ${chatter.likes} like(s). Top: ${byline(chatter.top[0])}"${chatter.top[0].text}"`, POST_MAX_LENGTH));
+    }
+  }
+  if (overviewURL) {
+    posts.push(`🔎 Full wallet activity: ${overviewURL}`);
+  }
+  return posts;
+}
+
+/**
+ * Drafts the whale-move posts of an analysis and publishes them, unless `dryRun` is set or
+ * there is no publisher, in which case they are only returned.
+ *
+ * @param {{report: import("./report.js").WalletReport, overviewURL?: string}} result
+ * @param {Object} [options]
+ * @param {import("./providers/index.js").Publisher} [options.publisher]
+ * @param {boolean} [options.dryRun]
+ * @param {boolean} [options.thread]
+ * @param {number} [options.minUsd]
+ * @returns {Promise<{posts: string[], dryRun: boolean, ids?: string[], urls?: string[]}>} `ids` and `urls` of the published posts
+ */
+export async function publishWhaleMove(result, { publisher, dryRun = true, thread = false, minUsd = defaultMinUsd() } = {}) {
+  const posts = buildWhalePosts(result, { minUsd, thread });
+  if (dryRun || !publisher || posts.length === 0) {
+    return { posts, dryRun: dryRun || !publisher };
+  }
+  const published = await publisher.publish(posts);
+  log.info("Published whale move", { wallet: result.report.walletAddress, posts: posts.length, urls: published.urls });
+  return { posts, dryRun: false, ...published };
+}
@@ -0,0 +1,190 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+// Local store of everything fetched for a wallet, one record per chain and wallet:
+// {
+//   chain, walletAddress,
+//   history: {
+//     // One entry per explorer history kind (tokentx, txlist, ...). The block range is
+//     // contiguous and both ends are null before the first sync.
+//     tokentx: { syncedFromBlock, lastSyncedBlock, rows: [ /* raw explorer rows */ ] },
+//     // Approval logs, synced from block 0 when approvals are audited.
+//     approvals: { syncedFromBlock, lastSyncedBlock, rows: [ /* ApprovalLog rows */ ] },
+//   },
+//   balanceSnapshots: [ { takenAt, holdings } ],
+//   reports: [ /* past WalletReport objects, oldest first */ ]
+// }
+
+export const MAX_BALANCE_SNAPSHOTS = 50;
+export const MAX_REPORTS = 10;
+
+export function emptyRecord(chain, walletAddress) {
+  return {
+    chain,
+    walletAddress,
+    history: {},
+    balanceSnapshots: [],
+    reports: [],
+  };
+}
+
+export function emptyHistory() {
+  return { syncedFromBlock: null, lastSyncedBlock: null, rows: [] };
+}
+
+// Updates for the same wallet run one at a time, so parallel analyses never overwrite each other.
+export function createKeyedQueue() {
+  const tails = new Map();
+
+  return function enqueue(key, task) {
+    const previous = tails.get(key) || Promise.resolve();
+    const run = previous.then(task, task);
+    const tail = run.catch(() => {});
+    tails.set(key, tail);
+    tail.then(() => {
+      if (tails.get(key) === tail) {
+        tails.delete(key);
+      }
+    });
+    return run;
+  };
+}
+
+function recordKey(chain, walletAddress) {
+  return `${chain}:${walletAddress.toLowerCase()}`;
+}
+
+/**
+ * @typedef {Object} WalletStore
+ * @property {(chain: string, walletAddress: string) => Promise<Object>} load
+ * @property {(chain: string, walletAddress: string, updater: (record: Object) => Promise<Object|void>|Object|void) => Promise<Object>} update -
+ *   Runs `updater` on the current record under the wallet's lock and saves what it returns (or the mutated record)
+ */
+
+// Written to a temp file and renamed into place so a crash never leaves half a file.
+export async function writeJsonFile(file, data) {
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.${Date.now()}.tmp`;
+  await fs.writeFile(tmp, JSON.stringify(data));
+  await fs.rename(tmp, file);
+}
+
+// JSON files under `dir`, one per chain and wallet.
+export function createFileStore({ dir = process.env.WALLET_DATA_DIR || ".walletdata" } = {}) {
+  const enqueue = createKeyedQueue();
+
+  function filePath(chain, walletAddress) {
+    return path.join(dir, chain, `${walletAddress.toLowerCase()}.json`);
+  }
+
+  async function load(chain, walletAddress) {
+    try {
+      return JSON.parse(await fs.readFile(filePath(chain, walletAddress), "utf8"));
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return emptyRecord(chain, walletAddress.toLowerCase());
+      }
+      throw error;
+    }
+  }
+
+  async function save(record) {
+    await writeJsonFile(filePath(record.chain, record.walletAddress), record);
+  }
+
+  function update(chain, walletAddress, updater) {
+    return enqueue(recordKey(chain, walletAddress), async () => {
+      const record = await load(chain, walletAddress);
+      const updated = (await updater(record)) || record;
+      await save(updated);
+      return updated;
+    });
+  }
+
+  return { load, update };
+}
+
+// Same interface kept in memory, for tests and one-off runs that should leave nothing on disk.
+export function createMemoryStore() {
+  const enqueue = createKeyedQueue();
+  const records = new Map();
+
+  async function load(chain, walletAddress) {
+    const record = records.get(recordKey(chain, walletAddress));
+    return record ? structuredClone(record) : emptyRecord(chain, walletAddress.toLowerCase());
+  }
+
+  function update(chain, walletAddress, updater) {
+    return enqueue(recordKey(chain, walletAddress), async () => {
+      const record = await load(chain, walletAddress);
+      const updated = (await updater(record)) || record;
+      records.set(recordKey(chain, walletAddress), structuredClone(updated));
+      return updated;
+    });
+  }
+
+  return { load, update };
+}
+
+let defaultStore = null;
+
+export function getDefaultStore() {
+  if (!defaultStore) {
+    defaultStore = createFileStore();
+  }
+  return defaultStore;
+}
+
+/**
+ * @typedef {Object} ListStore
+ * @property {() => Promise<Object[]>} load
+ * @property {(updater: (items: Object[]) => Promise<Object[]|void>|Object[]|void) => Promise<Object[]>} update -
+ *   Runs `updater` on the current list, one update at a time, and saves what it returns (or the mutated list)
+ */
+
+// A whole list in one JSON file, such as the watchlist or the address book.
+export function createFileListStore(file) {
+  const enqueue = createKeyedQueue();
+
+  async function load() {
+    try {
+      return JSON.parse(await fs.readFile(file, "utf8"));
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return [];
+      }
+      throw error;
+    }
+  }
+
+  function update(updater) {
+    return enqueue("list", async () => {
+      const items = await load();
+      const updated = (await updater(items)) || items;
+      await writeJsonFile(file, updated);
+      return updated;
+    });
+  }
+
+  return { load, update };
+}
+
+export function createMemoryListStore() {
+  const enqueue = createKeyedQueue();
+  let saved = [];
+
+  async function load() {
+    return structuredClone(saved);
+  }
+
+  function update(updater) {
+    return enqueue("list", async () => {
+      const items = await load();
+      const updated = (await updater(items)) || items;
+      saved = structuredClone(updated);
+      return updated;
+    });
+  }
+
+  return { load, update };
+}
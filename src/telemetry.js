@@ -0,0 +1,229 @@
+import http from 'node:http';
+import { AsyncLocalStorage } from 'node:async_hooks';
+import { randomUUID } from 'node:crypto';
+import { logger, withLogContext } from "./logger.js";
+
+// Per-run metrics. A run is one task, chat message, tool call, API request or command line
+// invocation; it gets a correlation ID that is added to every log entry it writes. While it
+// runs, the explorer, Moralis and LLM calls record their count, latency and errors, the key
+// pool its retries and the LLM its token usage. A finished run logs its metrics as one JSON
+// summary and is kept in a registry, which the API and the agent's metrics server expose.
+
+const runs = new AsyncLocalStorage();
+
+export const DEFAULT_RUN_HISTORY = 50;
+
+/**
+ * @typedef {Object} ProviderCallMetrics
+ * @property {number} calls
+ * @property {number} errors
+ * @property {number} totalMs
+ * @property {number} maxMs
+ *
+ * @typedef {Object} RunMetrics
+ * @property {string} correlationId
+ * @property {string} name - What ran, such as "task" or "api GET /wallets/:address/summary"
+ * @property {number|string} [workspaceId]
+ * @property {number|string} [taskId]
+ * @property {string} startedAt
+ * @property {string} [finishedAt]
+ * @property {number} [durationMs]
+ * @property {"running"|"ok"|"error"} status
+ * @property {string} [error]
+ * @property {Object<string, ProviderCallMetrics>} providers - By "provider.operation"
+ * @property {Object<string, number>} retries - By provider
+ * @property {{calls: number, promptTokens: number, completionTokens: number, totalTokens: number}} llm
+ */
+
+export function newCorrelationId(prefix = "run") {
+  return `${prefix}-${randomUUID().slice(0, 8)}`;
+}
+
+export function currentRun() {
+  return runs.getStore() || null;
+}
+
+function roundMs(value) {
+  return Math.round(value * 10) / 10;
+}
+
+// The run as plain JSON, with the average latency of each provider operation.
+function summarizeRun(run) {
+  return {
+    ...run,
+    providers: Object.fromEntries(Object.entries(run.providers).map(([key, call]) => [key, { ...call, avgMs: roundMs(call.totalMs / call.calls) }])),
+    retries: { ...run.retries },
+    llm: { ...run.llm },
+  };
+}
+
+/**
+ * Recent runs and totals since the process started.
+ *
+ * @param {{limit?: number}} [options] - How many finished runs are kept
+ */
+export function createMetricsRegistry({ limit = DEFAULT_RUN_HISTORY } = {}) {
+  const recent = [];
+  const totals = { runs: 0, failed: 0, durationMs: 0, providerCalls: 0, providerErrors: 0, retries: 0, llmTokens: 0 };
+  const active = new Set();
+
+  function start(run) {
+    active.add(run);
+  }
+
+  function record(run) {
+    active.delete(run);
+    const summary = summarizeRun(run);
+    recent.unshift(summary);
+    recent.splice(limit);
+    totals.runs += 1;
+    totals.failed += run.status === "error" ? 1 : 0;
+    totals.durationMs = roundMs(totals.durationMs + run.durationMs);
+    for (const call of Object.values(run.providers)) {
+      totals.providerCalls += call.calls;
+      totals.providerErrors += call.errors;
+    }
+    totals.retries += Object.values(run.retries).reduce((sum, n) => sum + n, 0);
+    totals.llmTokens += run.llm.totalTokens;
+    return summary;
+  }
+
+  function summary() {
+    return { totals: { ...totals }, running: [...active].map(summarizeRun), recent: [...recent] };
+  }
+
+  return { start, record, summary };
+}
+
+let defaultRegistry = null;
+
+export function getDefaultMetricsRegistry() {
+  if (!defaultRegistry) {
+    defaultRegistry = createMetricsRegistry({ limit: Number(process.env.METRICS_RUN_HISTORY) || DEFAULT_RUN_HISTORY });
+  }
+  return defaultRegistry;
+}
+
+/**
+ * Runs `fn` as one run: the correlation ID goes into every log entry written meanwhile, and
+ * the metrics recorded meanwhile are logged and kept in `registry` when it ends. Inside a run
+ * already, `fn` just joins it, so an analysis started by a task is measured with the task.
+ *
+ * @template T
+ * @param {Object} fields
+ * @param {string} fields.name
+ * @param {string} [fields.correlationId] - A new one by default
+ * @param {number|string} [fields.workspaceId]
+ * @param {number|string} [fields.taskId]
+ * @param {ReturnType<typeof createMetricsRegistry>} [fields.registry]
+ * @param {(run: RunMetrics) => Promise<T>} fn
+ * @returns {Promise<T>}
+ */
+export async function withRun({ name, correlationId, workspaceId, taskId, registry = getDefaultMetricsRegistry() }, fn) {
+  const outer = currentRun();
+  if (outer) {
+    return fn(outer);
+  }
+
+  const run = {
+    correlationId: correlationId || newCorrelationId(),
+    name,
+    ...(workspaceId !== undefined ? { workspaceId } : {}),
+    ...(taskId !== undefined ? { taskId } : {}),
+    startedAt: new Date().toISOString(),
+    status: "running",
+    providers: {},
+    retries: {},
+    llm: { calls: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0 },
+  };
+  const contextFields = { correlationId: run.correlationId, ...(workspaceId !== undefined ? { workspaceId } : {}), ...(taskId !== undefined ? { taskId } : {}) };
+  const started = performance.now();
+  registry.start(run);
+
+  return withLogContext(contextFields, () => runs.run(run, async () => {
+    try {
+      const result = await fn(run);
+      // `fn` may have marked the run failed without throwing, as the API does for 5xx answers.
+      if (run.status === "running") {
+        run.status = "ok";
+      }
+      return result;
+    } catch (error) {
+      run.status = "error";
+      run.error = error.message;
+      throw error;
+    } finally {
+      run.finishedAt = new Date().toISOString();
+      run.durationMs = roundMs(performance.now() - started);
+      logger.info("Run finished", { run: registry.record(run) });
+    }
+  }));
+}
+
+/**
+ * Calls `fn` and records its latency, and whether it failed, under `provider.operation` in
+ * the current run. Outside a run it only calls `fn`.
+ *
+ * @template T
+ * @param {string} provider
+ * @param {string} operation
+ * @param {() => Promise<T>} fn
+ * @returns {Promise<T>}
+ */
+export async function timed(provider, operation, fn) {
+  const run = currentRun();
+  if (!run) {
+    return fn();
+  }
+  const key = `${provider}.${operation}`;
+  const call = run.providers[key] || (run.providers[key] = { calls: 0, errors: 0, totalMs: 0, maxMs: 0 });
+  const started = performance.now();
+  try {
+    return await fn();
+  } catch (error) {
+    call.errors += 1;
+    throw error;
+  } finally {
+    const ms = performance.now() - started;
+    call.calls += 1;
+    call.totalMs = roundMs(call.totalMs + ms);
+    call.maxMs = Math.max(call.maxMs, roundMs(ms));
+  }
+}
+
+export function recordRetry(provider) {
+  const run = currentRun();
+  if (run) {
+    run.retries[provider] = (run.retries[provider] || 0) + 1;
+  }
+}
+
+/**
+ * @param {{prompt_tokens?: number, completion_tokens?: number, total_tokens?: number}} [usage] - As the OpenAI API reports it
+ */
+export function recordLlmUsage(usage) {
+  const run = currentRun();
+  if (run) {
+    // Some OpenAI-compatible servers report no usage; the call still counts.
+    const { prompt_tokens: prompt = 0, completion_tokens: completion = 0, total_tokens: total = prompt + completion } = usage || {};
+    run.llm.calls += 1;
+    run.llm.promptTokens += prompt;
+    run.llm.completionTokens += completion;
+    run.llm.totalTokens += total;
+  }
+}
+
+/**
+ * A local HTTP server answering GET /metrics with the registry summary as JSON, for the
+ * agent process, which has no API of its own to add the endpoint to.
+ *
+ * @param {ReturnType<typeof createMetricsRegistry>} [registry]
+ * @returns {http.Server} Not listening yet
+ */
+export function createMetricsServer(registry = getDefaultMetricsRegistry()) {
+  return http.createServer((req, res) => {
+    const found = req.method === "GET" && req.url.split("?")[0] === "/metrics";
+    res.writeHead(found ? 200 : 404, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(found ? registry.summary() : { error: { code: "not_found", message: `No endpoint ${req.method} ${req.url}` } }));
+  });
+}
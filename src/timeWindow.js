@@ -0,0 +1,90 @@
+// Parses the analysis time window ("last 30 days", "7d", "all" or explicit from/to dates)
+// and resolves it to the block range each explorer query is limited to.
+
+export const DEFAULT_WINDOW = "last 30 days";
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const UNITS = [
+  [/^(h|hr|hrs|hours?)$/, HOUR_MS],
+  [/^(d|days?)$/, DAY_MS],
+  [/^(w|weeks?)$/, 7 * DAY_MS],
+  [/^(m|mo|months?)$/, 30 * DAY_MS],
+  [/^(y|years?)$/, 365 * DAY_MS],
+];
+
+const RELATIVE_PATTERN = /^(?:last|past)?\s*(\d+)?\s*([a-z]+)$/;
+
+function unitMs(unit) {
+  const match = UNITS.find(([pattern]) => pattern.test(unit));
+  return match ? match[1] : null;
+}
+
+function parseDate(value, name) {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`Invalid ${name} date "${value}". Use a date such as 2025-01-31 or an ISO timestamp.`);
+  }
+  return date;
+}
+
+/**
+ * @typedef {Object} TimeWindow
+ * @property {Date|null} from - Start of the window, null for the full history
+ * @property {Date} to - End of the window
+ * @property {boolean} openEnded - True when the window runs up to now
+ * @property {string} label - Human readable description used in reports
+ */
+
+/**
+ * @param {{window?: string, from?: string, to?: string}} input
+ * @param {Date} [now]
+ * @returns {TimeWindow}
+ */
+export function parseTimeWindow({ window, from, to } = {}, now = new Date()) {
+  const end = to ? parseDate(to, "to") : now;
+  const openEnded = !to;
+
+  if (from) {
+    const start = parseDate(from, "from");
+    if (start > end) {
+      throw new Error(`The from date ${from} is after the to date.`);
+    }
+    return { from: start, to: end, openEnded, label: `${start.toISOString()} to ${end.toISOString()}` };
+  }
+
+  const text = (window || DEFAULT_WINDOW).trim().toLowerCase();
+  if (text === "all" || text === "all time") {
+    return { from: null, to: end, openEnded, label: "full history" };
+  }
+
+  const match = text.match(RELATIVE_PATTERN);
+  const size = match ? unitMs(match[2]) : null;
+  if (!size) {
+    throw new Error(`Invalid time window "${window}". Use something like "last 30 days", "7d", "2 weeks" or "all".`);
+  }
+
+  const count = match[1] ? parseInt(match[1]) : 1;
+  return { from: new Date(end.getTime() - count * size), to: end, openEnded, label: text.startsWith("last") ? text : `last ${text}` };
+}
+
+// Picks a time window mentioned in free text such as "what did 0x... do in the last 2 weeks".
+export function findTimeWindowInText(text) {
+  const match = (text || "").toLowerCase().match(/\b(?:last|past)\s+(\d+\s*)?(hours?|days?|weeks?|months?|years?)\b/);
+  return match ? `last ${match[1] ? match[1].trim() + " " : ""}${match[2]}` : undefined;
+}
+
+// Explorers treat this as "up to the latest block".
+export const LATEST_BLOCK = 9999999999;
+
+// Resolves a window to the explorer block range covering it on one chain.
+export async function resolveBlockRange(timeWindow, chain, transfersProvider) {
+  const startBlock = timeWindow.from
+    ? await transfersProvider.getBlockNumberByTime(chain, Math.floor(timeWindow.from.getTime() / 1000), "after")
+    : 0;
+  const endBlock = timeWindow.openEnded
+    ? LATEST_BLOCK
+    : await transfersProvider.getBlockNumberByTime(chain, Math.floor(timeWindow.to.getTime() / 1000), "before");
+  return { startBlock, endBlock };
+}
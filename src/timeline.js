@@ -0,0 +1,169 @@
+// Balance history of the held tokens, rebuilt by replaying the stored transfers backward
+// from the current balances: the balance at the end of a day is the current balance less
+// what came in after that day, plus what went out. Tokens are keyed by contract address,
+// the native coin by NATIVE_ADDRESS (its replay includes the gas the wallet paid).
+
+import { NATIVE_ADDRESS } from "./history.js";
+import { roundUsd } from "./valuation.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Reports over "all" of an old wallet keep the most recent year of days.
+export const MAX_TIMELINE_DAYS = 366;
+
+// Day-to-day changes under this share of the balance (gas, dust) neither start nor break a phase.
+const PHASE_THRESHOLD = 0.01;
+
+/**
+ * @typedef {Object} TimelinePoint
+ * @property {string} date - UTC day, YYYY-MM-DD
+ * @property {number} balance - Balance at the end of the day
+ * @property {number|null} usdPrice - Price of the token's latest priced transfer up to that day, and the current price from the day the balances were read
+ * @property {number|null} usdValue
+ */
+
+/**
+ * @typedef {Object} BalancePhase
+ * @property {"accumulation"|"distribution"} kind
+ * @property {string} from - First day of the phase
+ * @property {string} to - Last day of the phase
+ * @property {number} change - Net balance change over the phase
+ */
+
+/**
+ * @typedef {Object} TokenTimeline
+ * @property {string} contractAddress - Lowercase; NATIVE_ADDRESS for the native coin
+ * @property {string} symbol
+ * @property {string} name
+ * @property {number} startBalance - Balance when the first day began
+ * @property {TimelinePoint[]} daily - One point per day, oldest first
+ * @property {BalancePhase[]} phases - Runs of days the balance grew or shrank, oldest first
+ * @property {boolean} incomplete - The replay went below zero, so transfers are missing from the
+ *   history (a rebasing token, an untracked mint) and the earlier balances are off
+ */
+
+function round(value) {
+  return Math.round(value * 1e8) / 1e8;
+}
+
+function dayStart(time) {
+  return Math.floor(time / DAY_MS) * DAY_MS;
+}
+
+function isoDay(time) {
+  return new Date(time).toISOString().slice(0, 10);
+}
+
+// Signed balance changes of one token, newest first.
+function balanceEvents(contract, transfers, fees) {
+  const events = transfers
+    .filter(tx => tx.contractAddress.toLowerCase() === contract)
+    .map(tx => ({ time: Date.parse(tx.timestamp), change: tx.flow === "inflow" ? tx.amount : -tx.amount, usdPrice: tx.usdPrice ?? null }));
+  if (contract === NATIVE_ADDRESS) {
+    events.push(...fees.map(fee => ({ time: Date.parse(fee.timestamp), change: -fee.amount, usdPrice: null })));
+  }
+  return events.sort((a, b) => b.time - a.time);
+}
+
+function findPhases(startBalance, daily) {
+  const phases = [];
+  let previous = startBalance;
+  for (const point of daily) {
+    const change = round(point.balance - previous);
+    const scale = Math.max(Math.abs(point.balance), Math.abs(previous));
+    previous = point.balance;
+    if (change === 0 || Math.abs(change) < scale * PHASE_THRESHOLD) {
+      continue;
+    }
+    const kind = change > 0 ? "accumulation" : "distribution";
+    const current = phases[phases.length - 1];
+    if (current?.kind === kind) {
+      current.to = point.date;
+      current.change = round(current.change + change);
+    } else {
+      phases.push({ kind, from: point.date, to: point.date, change });
+    }
+  }
+  return phases;
+}
+
+/**
+ * Daily balance series of every holding over a period.
+ *
+ * @param {Object[]} holdings - Current holdings (runApp), priced when a price source is configured
+ * @param {import("./history.js").Transfer[]} transfers - Every stored transfer of the network, from
+ *   the start of the period on; the ones carrying a usdPrice price the days they fall on
+ * @param {Object} options
+ * @param {Date|null} options.from - First day of the series; the day of the earliest transfer when null
+ * @param {Date} options.to - Last day of the series
+ * @param {Date} options.balancesAt - When the holdings were read
+ * @param {{timestamp: string, amount: number}[]} [options.fees] - Gas paid by the wallet, in the native coin
+ * @returns {TokenTimeline[]}
+ */
+export function buildBalanceTimeline(holdings, transfers, { from, to, balancesAt, fees = [] }) {
+  const held = new Set(holdings.map(h => h.contractAddress.toLowerCase()));
+  const lastDay = dayStart(to.getTime());
+  const earliest = from
+    ? from.getTime()
+    : transfers.filter(tx => held.has(tx.contractAddress.toLowerCase())).reduce((min, tx) => Math.min(min, Date.parse(tx.timestamp)), lastDay);
+  const firstDay = Math.max(dayStart(earliest), lastDay - (MAX_TIMELINE_DAYS - 1) * DAY_MS);
+  const balancesDay = dayStart(balancesAt.getTime());
+
+  return holdings.map(holding => {
+    const contract = holding.contractAddress.toLowerCase();
+    const events = balanceEvents(contract, transfers, fees);
+
+    // Walk back from the current balance, undoing every change made after the end of each day.
+    const ends = [];
+    let balance = holding.balance;
+    let next = 0;
+    for (let day = lastDay; day >= firstDay - DAY_MS; day -= DAY_MS) {
+      while (next < events.length && events[next].time >= day + DAY_MS) {
+        balance -= events[next].change;
+        next += 1;
+      }
+      ends.push({ day, balance: round(balance) });
+    }
+    const start = ends.pop();
+    ends.reverse();
+
+    const priced = events.filter(e => e.usdPrice !== null).reverse();
+    let pricedNext = 0;
+    let price = null;
+    const daily = ends.map(({ day, balance: amount }) => {
+      while (pricedNext < priced.length && priced[pricedNext].time < day + DAY_MS) {
+        price = priced[pricedNext].usdPrice;
+        pricedNext += 1;
+      }
+      const usdPrice = day >= balancesDay ? holding.usdPrice ?? price : price;
+      return { date: isoDay(day), balance: amount, usdPrice, usdValue: usdPrice === null ? null : roundUsd(amount * usdPrice) };
+    });
+
+    return {
+      contractAddress: contract,
+      symbol: holding.symbol,
+      name: holding.name,
+      startBalance: start.balance,
+      daily,
+      phases: findPhases(start.balance, daily),
+      incomplete: start.balance < 0 || daily.some(point => point.balance < 0),
+    };
+  });
+}
+
+// The report as an LLM reads it: the phases carry what the daily series would tell, at a
+// fraction of the tokens.
+export function withoutDailySeries(report) {
+  return {
+    ...report,
+    networks: report.networks.map(network => network.timeline
+      ? { ...network, timeline: network.timeline.map(({ daily, ...token }) => token) }
+      : network),
+  };
+}
+
+export function describePhase(phase) {
+  const change = `${phase.change > 0 ? "+" : ""}${phase.change.toLocaleString("en-US", { maximumFractionDigits: 6 })}`;
+  const days = phase.from === phase.to ? phase.from : `${phase.from} to ${phase.to}`;
+  return `${phase.kind} ${days} (${change})`;
+}
@@ -0,0 +1,126 @@
+// Swaps reconstructed from the transfers of one transaction: what left the wallet, what came
+// back, through which contract, and at what effective price.
+
+import { sumUsd } from "./valuation.js";
+
+/**
+ * @typedef {Object} TradeLeg
+ * @property {string} tokenName
+ * @property {string} tokenSymbol
+ * @property {string} contractAddress
+ * @property {number} amount
+ * @property {number|null} usdValue
+ */
+
+/**
+ * @typedef {Object} Trade
+ * @property {string} chain
+ * @property {string} transactionHash
+ * @property {string} timestamp - ISO timestamp
+ * @property {string|null} router - Contract the wallet's transaction called, null when someone else sent it
+ * @property {import("./labels.js").CounterpartyLabel|null} routerLabel
+ * @property {TradeLeg[]} sold
+ * @property {TradeLeg[]} bought
+ * @property {{price: number, unit: string}|null} executionPrice - Units bought per unit sold, for one-for-one trades
+ * @property {number|null} usdValue - USD value of what was sold (of what was bought when that is unpriced)
+ * @property {string} description - "sold X A for Y B via router Z"
+ */
+
+function round(value) {
+  return Math.round(value * 1e8) / 1e8;
+}
+
+/**
+ * Groups transfers by transaction and keeps the transactions that both sent and received
+ * tokens. Tokens moving both ways in one transaction (a refund, say) are netted first.
+ *
+ * @param {import("./history.js").Transfer[]} transfers - Token, native and internal transfers
+ * @returns {Map<string, import("./history.js").Transfer[]>} The legs of each trade, by transaction hash
+ */
+export function findTradeLegs(transfers) {
+  const byTransaction = new Map();
+  for (const tx of transfers) {
+    const legs = byTransaction.get(tx.transactionHash) || [];
+    legs.push(tx);
+    byTransaction.set(tx.transactionHash, legs);
+  }
+
+  const trades = new Map();
+  for (const [hash, legs] of byTransaction) {
+    const { sold, bought } = netLegs(legs);
+    if (sold.length > 0 && bought.length > 0) {
+      trades.set(hash, legs);
+    }
+  }
+  return trades;
+}
+
+function netLegs(legs) {
+  const tokens = new Map();
+  for (const tx of legs) {
+    const key = tx.contractAddress.toLowerCase();
+    const token = tokens.get(key) || {
+      tokenName: tx.tokenName,
+      tokenSymbol: tx.tokenSymbol,
+      contractAddress: key,
+      amount: 0,
+      usdValues: [],
+    };
+    token.amount += tx.flow === "inflow" ? tx.amount : -tx.amount;
+    token.usdValues.push(tx.usdValue === null || tx.usdValue === undefined ? null : tx.flow === "inflow" ? tx.usdValue : -tx.usdValue);
+    tokens.set(key, token);
+  }
+
+  const sold = [];
+  const bought = [];
+  for (const { usdValues, ...token } of tokens.values()) {
+    const usdValue = sumUsd(usdValues);
+    const leg = { ...token, amount: round(Math.abs(token.amount)), usdValue: usdValue === null ? null : Math.abs(usdValue) };
+    if (token.amount < -1e-12) {
+      sold.push(leg);
+    } else if (token.amount > 1e-12) {
+      bought.push(leg);
+    }
+  }
+  return { sold, bought };
+}
+
+function describeLegs(legs) {
+  return legs.map(leg => `${leg.amount} ${leg.tokenSymbol}`).join(" + ");
+}
+
+/**
+ * @param {Map<string, import("./history.js").Transfer[]>} tradeLegs - Output of findTradeLegs, priced or not
+ * @param {Object[]} normalTransactions - Raw txlist rows, to find the contract each trade went through
+ * @param {string} walletAddress
+ * @param {import("./labels.js").LabelRegistry} [labels] - Names the router in the description when it is known
+ * @returns {Trade[]} Newest first
+ */
+export function buildTrades(tradeLegs, normalTransactions, walletAddress, labels) {
+  const routers = new Map(normalTransactions
+    .filter(tx => tx.from.toLowerCase() === walletAddress && tx.to)
+    .map(tx => [tx.hash, tx.to.toLowerCase()]));
+
+  const trades = [];
+  for (const [hash, legs] of tradeLegs) {
+    const { sold, bought } = netLegs(legs);
+    const router = routers.get(hash) || null;
+    const routerLabel = router && labels ? labels.lookup(router, legs[0].chain) : null;
+    const executionPrice = sold.length === 1 && bought.length === 1
+      ? { price: round(bought[0].amount / sold[0].amount), unit: `${bought[0].tokenSymbol} per ${sold[0].tokenSymbol}` }
+      : null;
+    trades.push({
+      chain: legs[0].chain,
+      transactionHash: hash,
+      timestamp: legs[0].timestamp,
+      router,
+      routerLabel,
+      sold,
+      bought,
+      executionPrice,
+      usdValue: sumUsd(sold.map(leg => leg.usdValue)) ?? sumUsd(bought.map(leg => leg.usdValue)),
+      description: `sold ${describeLegs(sold)} for ${describeLegs(bought)}${router ? ` via router ${routerLabel?.name || router}` : ""}`,
+    });
+  }
+  return trades.sort((a, b) => Date.parse(b.timestamp) - Date.parse(a.timestamp));
+}
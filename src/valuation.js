@@ -0,0 +1,142 @@
+// USD valuation of transfers and holdings, and FIFO cost basis / PnL per token.
+//
+// Every inflow is treated as an acquisition at the market price of its block and every
+// outflow as a disposal, so moving tokens between one's own wallets realizes PnL too.
+
+/**
+ * @typedef {Object} PriceProvider
+ * @property {(chain: string, contractAddress: string, at?: {blockNumber?: number, timestamp?: number}) => Promise<number|null>} getPrice -
+ *   USD price of one token at a block / unix timestamp, or the current price when `at` is left out; null when the token has no price
+ */
+
+/**
+ * @typedef {Object} TokenPnl
+ * @property {number} costBasis - What the open lots cost when they came in
+ * @property {number} openAmount - Tokens still held out of the lots the window shows
+ * @property {number} realizedPnl - Disposal value minus the cost of the lots disposed of
+ * @property {number|null} unrealizedPnl - Current value of the open lots minus their cost, null without a current price
+ * @property {number} unmatchedOutflow - Tokens sent that were acquired before the window, which have no cost basis
+ */
+
+export function roundUsd(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// Sets usdPrice and usdValue (null when unknown) on every transfer, priced at its own block.
+export async function priceTransfers(transfers, chain, prices) {
+  for (const tx of transfers) {
+    const timestamp = Math.floor(Date.parse(tx.timestamp) / 1000);
+    tx.usdPrice = await prices.getPrice(chain, tx.contractAddress, { blockNumber: tx.blockNumber, timestamp });
+    tx.usdValue = tx.usdPrice === null ? null : roundUsd(tx.amount * tx.usdPrice);
+  }
+  return transfers;
+}
+
+// Sets usdPrice and usdValue (null when unknown) on every holding, at the current price.
+export async function priceHoldings(holdings, chain, prices) {
+  for (const holding of holdings) {
+    holding.usdPrice = await prices.getPrice(chain, holding.contractAddress);
+    holding.usdValue = holding.usdPrice === null ? null : roundUsd(holding.balance * holding.usdPrice);
+  }
+  return holdings;
+}
+
+// Sum of the USD values, or null as soon as one of them is unknown.
+export function sumUsd(values) {
+  let total = 0;
+  for (const value of values) {
+    if (value === null || value === undefined) {
+      return null;
+    }
+    total += value;
+  }
+  return roundUsd(total);
+}
+
+/**
+ * FIFO cost basis and PnL of one token from its transfers. Returns null when a transfer
+ * has no price, as the lots could not be costed.
+ *
+ * @param {import("./history.js").Transfer[]} transfers - The token's priced transfers, in any order
+ * @param {number} currentBalance - Held balance; lots beyond it left the wallet in ways the window does not show
+ * @param {number|null} currentPrice
+ * @returns {TokenPnl|null}
+ */
+export function fifoPnl(transfers, currentBalance, currentPrice) {
+  if (transfers.some(tx => tx.usdPrice === null || tx.usdPrice === undefined)) {
+    return null;
+  }
+
+  const lots = [];
+  let realizedPnl = 0;
+  let unmatchedOutflow = 0;
+  const oldestFirst = [...transfers].sort((a, b) => Date.parse(a.timestamp) - Date.parse(b.timestamp));
+  for (const tx of oldestFirst) {
+    if (tx.flow === "inflow") {
+      lots.push({ amount: tx.amount, unitCost: tx.usdPrice });
+      continue;
+    }
+    let remaining = tx.amount;
+    while (remaining > 1e-12 && lots.length > 0) {
+      const lot = lots[0];
+      const used = Math.min(lot.amount, remaining);
+      realizedPnl += used * (tx.usdPrice - lot.unitCost);
+      lot.amount -= used;
+      remaining -= used;
+      if (lot.amount <= 1e-12) {
+        lots.shift();
+      }
+    }
+    unmatchedOutflow += Math.max(remaining, 0);
+  }
+
+  // Drop the oldest lots down to what is actually held.
+  let openAmount = lots.reduce((sum, lot) => sum + lot.amount, 0);
+  while (openAmount - currentBalance > 1e-12 && lots.length > 0) {
+    const drop = Math.min(lots[0].amount, openAmount - currentBalance);
+    lots[0].amount -= drop;
+    openAmount -= drop;
+    if (lots[0].amount <= 1e-12) {
+      lots.shift();
+    }
+  }
+
+  const costBasis = lots.reduce((sum, lot) => sum + lot.amount * lot.unitCost, 0);
+  return {
+    costBasis: roundUsd(costBasis),
+    openAmount: Math.round(openAmount * 1e8) / 1e8,
+    realizedPnl: roundUsd(realizedPnl),
+    unrealizedPnl: lots.length === 0 ? 0 : currentPrice === null ? null : roundUsd(openAmount * currentPrice - costBasis),
+    unmatchedOutflow: Math.round(unmatchedOutflow * 1e8) / 1e8,
+  };
+}
+
+export function formatUsd(value) {
+  if (value === null || value === undefined) {
+    return "n/a";
+  }
+  const amount = Math.abs(value).toLocaleString("en-US", { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+  return `${value < 0 ? "-" : ""}$${amount}`;
+}
+
+// Fixed USD/PnL lines appended to the agent output, so the figures reach the user as computed.
+export function describeValuation(report) {
+  const lines = [];
+  for (const network of report.networks) {
+    for (const token of network.tokens || []) {
+      if (!token.pnl && token.usd?.currentValue === null) {
+        continue;
+      }
+      lines.push(`- ${network.network} ${token.tokenSymbol}: value ${formatUsd(token.usd?.currentValue)}, ` +
+        `realized PnL ${formatUsd(token.pnl?.realizedPnl)}, unrealized PnL ${formatUsd(token.pnl?.unrealizedPnl)}`);
+    }
+  }
+  if (lines.length === 0) {
+    return "";
+  }
+  const { holdingsValue, realizedPnl, unrealizedPnl } = report.totals.usd;
+  return [
+    `💵 USD valuation (holdings ${formatUsd(holdingsValue)}, realized PnL ${formatUsd(realizedPnl)}, unrealized PnL ${formatUsd(unrealizedPnl)}):`,
+    ...lines,
+  ].join("\n");
+}
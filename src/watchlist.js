@@ -0,0 +1,208 @@
+import path from 'path';
+import { randomUUID } from 'crypto';
+import { resolveChains } from "./chains.js";
+import { createFileListStore, createMemoryListStore } from "./store.js";
+import { formatUsd } from "./valuation.js";
+import { parseHexAddress } from "./addresses.js";
+
+// Wallets watched for large moves, with the thresholds that trigger an alert and where the
+// alert goes. The list is one JSON file next to the wallet data, so watches survive restarts.
+//
+// Watch: {
+//   id, walletAddress, chains: ["ethereum", ...],
+//   thresholds: { outflowUsd, inflowUsd, newToken },
+//   workspaceId, agentId, notify: "chat" | "task",
+//   paused, createdAt, lastCheckedAt,
+//   cursors: { <chain>: <last block looked at> }
+// }
+
+export const NOTIFY_MODES = ["chat", "task"];
+
+/**
+ * @typedef {Object} WatchThresholds
+ * @property {number|null} outflowUsd - Alert on any single outflow worth at least this much
+ * @property {number|null} inflowUsd - Alert on any single inflow worth at least this much
+ * @property {boolean} newToken - Alert when the wallet buys a token it had not held before
+ */
+
+/** @typedef {import("./store.js").ListStore} WatchlistStore */
+
+export function createFileWatchlistStore({
+  file = process.env.WATCHLIST_FILE || path.join(process.env.WALLET_DATA_DIR || ".walletdata", "watchlist.json"),
+} = {}) {
+  return createFileListStore(file);
+}
+
+export function createMemoryWatchlistStore() {
+  return createMemoryListStore();
+}
+
+let defaultWatchlistStore = null;
+
+export function getDefaultWatchlistStore() {
+  if (!defaultWatchlistStore) {
+    defaultWatchlistStore = createFileWatchlistStore();
+  }
+  return defaultWatchlistStore;
+}
+
+function validateThresholds({ outflowUsd = null, inflowUsd = null, newToken = false } = {}) {
+  for (const [name, value] of Object.entries({ outflowUsd, inflowUsd })) {
+    if (value !== null && !(typeof value === "number" && value >= 0)) {
+      throw new Error(`Invalid ${name} threshold: ${value}`);
+    }
+  }
+  if (outflowUsd === null && inflowUsd === null && !newToken) {
+    throw new Error("A watch needs at least one threshold: an outflow or inflow amount in USD, or new tokens bought");
+  }
+  return { outflowUsd, inflowUsd, newToken: Boolean(newToken) };
+}
+
+/**
+ * Watchlist operations over a WatchlistStore.
+ *
+ * @param {{store?: WatchlistStore, now?: () => Date}} [options]
+ */
+export function createWatchlist({ store = getDefaultWatchlistStore(), now = () => new Date() } = {}) {
+  async function add({ walletAddress, chain, thresholds, workspaceId, agentId, notify = "chat" }) {
+    const address = parseHexAddress(walletAddress);
+    if (!NOTIFY_MODES.includes(notify)) {
+      throw new Error(`Invalid notify mode "${notify}". Expected one of: ${NOTIFY_MODES.join(", ")}`);
+    }
+    if (workspaceId === undefined || workspaceId === null) {
+      throw new Error("A watch needs the workspace its alerts are posted to");
+    }
+    const watch = {
+      id: randomUUID(),
+      walletAddress: address,
+      chains: resolveChains(chain).map(c => c.id),
+      thresholds: validateThresholds(thresholds),
+      workspaceId,
+      agentId: agentId ?? null,
+      notify,
+      paused: false,
+      createdAt: now().toISOString(),
+      lastCheckedAt: null,
+      cursors: {},
+    };
+    await store.update(watches => [...watches, watch]);
+    return watch;
+  }
+
+  // Every watch, or those of one workspace.
+  async function list({ workspaceId } = {}) {
+    const watches = await store.load();
+    return workspaceId === undefined ? watches : watches.filter(w => w.workspaceId === workspaceId);
+  }
+
+  // A watch of another workspace is not found when `workspaceId` is given.
+  function matches(watch, id, workspaceId) {
+    return watch.id === id && (workspaceId === undefined || watch.workspaceId === workspaceId);
+  }
+
+  async function change(id, updater, { workspaceId } = {}) {
+    let changed = null;
+    await store.update(watches => watches.map(watch => {
+      if (!matches(watch, id, workspaceId)) {
+        return watch;
+      }
+      changed = updater(watch);
+      return changed;
+    }));
+    if (!changed) {
+      throw new Error(`No watch with id "${id}"`);
+    }
+    return changed;
+  }
+
+  function setPaused(id, paused, { workspaceId } = {}) {
+    return change(id, watch => ({ ...watch, paused }), { workspaceId });
+  }
+
+  // Stores how far the monitor has looked on each chain.
+  function recordCheck(id, cursors) {
+    return change(id, watch => ({ ...watch, cursors: { ...watch.cursors, ...cursors }, lastCheckedAt: now().toISOString() }));
+  }
+
+  async function remove(id, { workspaceId } = {}) {
+    let removed = null;
+    await store.update(watches => watches.filter(watch => {
+      if (matches(watch, id, workspaceId)) {
+        removed = watch;
+        return false;
+      }
+      return true;
+    }));
+    if (!removed) {
+      throw new Error(`No watch with id "${id}"`);
+    }
+    return removed;
+  }
+
+  return { add, list, setPaused, recordCheck, remove };
+}
+
+function shortAddress(address) {
+  return `${address.slice(0, 6)}…${address.slice(-4)}`;
+}
+
+function counterpartyName(tx) {
+  return tx.counterpartyLabel ? `${tx.counterpartyLabel.name} (${tx.counterpartyLabel.category})` : tx.counterparty;
+}
+
+/**
+ * Alerts for the new activity of a watched wallet on one chain.
+ *
+ * @param {Object} watch
+ * @param {Awaited<ReturnType<typeof import("./ETHWalletScanFunction.js").collectNewActivity>>} activity
+ * @returns {{kind: "outflow"|"inflow"|"new_token", chain: string, transactionHash: string, message: string}[]}
+ */
+export function evaluateWatch(watch, activity) {
+  const { outflowUsd, inflowUsd, newToken } = watch.thresholds;
+  const wallet = shortAddress(watch.walletAddress);
+  const alerts = [];
+
+  for (const tx of activity.transfers) {
+    const threshold = tx.flow === "outflow" ? outflowUsd : inflowUsd;
+    if (threshold === null || tx.usdValue === null || tx.usdValue === undefined || tx.usdValue < threshold) {
+      continue;
+    }
+    const move = tx.flow === "outflow" ? `sent ${tx.amount} ${tx.tokenSymbol} (${formatUsd(tx.usdValue)}) to` : `received ${tx.amount} ${tx.tokenSymbol} (${formatUsd(tx.usdValue)}) from`;
+    alerts.push({
+      kind: tx.flow,
+      chain: activity.chain,
+      transactionHash: tx.transactionHash,
+      message: `${wallet} ${move} ${counterpartyName(tx)} on ${activity.network} (tx ${tx.transactionHash})`,
+    });
+  }
+
+  if (newToken) {
+    for (const trade of activity.trades) {
+      const fresh = trade.bought.filter(leg => !activity.knownContracts.has(leg.contractAddress));
+      if (fresh.length === 0) {
+        continue;
+      }
+      alerts.push({
+        kind: "new_token",
+        chain: activity.chain,
+        transactionHash: trade.transactionHash,
+        message: `${wallet} bought a new token, ${fresh.map(leg => leg.tokenSymbol).join(" + ")}: ${trade.description} on ${activity.network} (tx ${trade.transactionHash})`,
+      });
+    }
+  }
+
+  return alerts;
+}
+
+// One line per watch for the list capability.
+export function describeWatch(watch) {
+  const { outflowUsd, inflowUsd, newToken } = watch.thresholds;
+  const rules = [
+    outflowUsd !== null ? `outflow ≥ ${formatUsd(outflowUsd)}` : null,
+    inflowUsd !== null ? `inflow ≥ ${formatUsd(inflowUsd)}` : null,
+    newToken ? "new token bought" : null,
+  ].filter(Boolean);
+  const status = watch.paused ? "paused" : "active";
+  const checked = watch.lastCheckedAt ? `last checked ${watch.lastCheckedAt}` : "not checked yet";
+  return `- ${watch.id}: ${watch.walletAddress} on ${watch.chains.join(", ")} (${rules.join(", ")}; alerts via ${watch.notify}; ${status}, ${checked})`;
+}
@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createAddressResolver, parseHexAddress, toChecksumAddress, lookupPrimaryName } from '../src/addresses.js';
+import { createAddressBook, createMemoryAddressBookStore } from '../src/addressBook.js';
+import { createFixtureProviders } from '../src/providers/index.js';
+import { InvalidAddressError } from '../src/errors.js';
+import { WALLET, OTHER_WALLET, loadWalletFixture } from './fixtures/index.js';
+
+const CHECKSUMMED = "0xF214798A8aF12Ad98e173171ee2D8d7ea11CE75C";
+
+function setup() {
+  const { names } = createFixtureProviders(loadWalletFixture());
+  const addressBook = createAddressBook({ store: createMemoryAddressBookStore() });
+  return { names, addressBook, resolver: createAddressResolver({ names: () => names, addressBook }) };
+}
+
+test("validates EIP-55 checksums of mixed-case addresses", () => {
+  assert.equal(toChecksumAddress(WALLET), CHECKSUMMED);
+  assert.equal(parseHexAddress(CHECKSUMMED), WALLET);
+  assert.equal(parseHexAddress(WALLET.toUpperCase().replace("0X", "0x")), WALLET);
+  assert.throws(() => parseHexAddress(CHECKSUMMED.replace("F214", "f214")), InvalidAddressError);
+  assert.throws(() => parseHexAddress("0x1234"), /Invalid Ethereum address format: 0x1234/);
+});
+
+test("resolves addresses, ENS names and address book names", async () => {
+  const { resolver, addressBook } = setup();
+  await addressBook.save({ workspaceId: 1, name: "Fund A hot wallet", address: OTHER_WALLET });
+
+  assert.deepEqual(await resolver.resolve(CHECKSUMMED), { input: CHECKSUMMED, address: WALLET, source: "address", name: null });
+  assert.deepEqual(await resolver.resolve("Whale.ETH"), { input: "Whale.ETH", address: WALLET, source: "ens", name: "whale.eth" });
+  assert.equal((await resolver.resolve("fund a hot wallet", { workspaceId: 1 })).address, OTHER_WALLET);
+  await assert.rejects(resolver.resolve("Fund A hot wallet", { workspaceId: 2 }), /not a valid Ethereum address, ENS name or address book name/);
+  await assert.rejects(resolver.resolve("nobody.eth"), /does not resolve to an address/);
+});
+
+test("finds every wallet mentioned in a text", async () => {
+  const { resolver, addressBook } = setup();
+  await addressBook.save({ workspaceId: 1, name: "treasury", address: OTHER_WALLET });
+  const hash = `0x${"ab".repeat(32)}`;
+
+  const { wallets, failed } = await resolver.findInText(
+    `Did treasury pay whale.eth? See tx ${hash}; also ${WALLET}, alias.whale.eth and nobody.eth`,
+    { workspaceId: 1 }
+  );
+
+  assert.deepEqual(wallets.map(w => [w.input, w.address]), [["treasury", OTHER_WALLET], ["whale.eth", WALLET]]);
+  assert.deepEqual(failed.map(f => f.input), ["nobody.eth"]);
+});
+
+test("shows a primary name only when it resolves back to the address", async () => {
+  const { names } = setup();
+
+  assert.equal(await lookupPrimaryName(names, WALLET), "whale.eth");
+  assert.equal(await lookupPrimaryName(undefined, WALLET), null);
+  assert.equal(await lookupPrimaryName({ ...names, resolveName: async () => OTHER_WALLET }, WALLET), null);
+});
+
+test("the address book keeps one entry per name and workspace", async () => {
+  const { addressBook } = setup();
+
+  await addressBook.save({ workspaceId: 1, name: "Cold", address: WALLET });
+  await addressBook.save({ workspaceId: 1, name: "cold", address: OTHER_WALLET });
+  await addressBook.save({ workspaceId: 2, name: "Cold", address: WALLET });
+
+  assert.deepEqual((await addressBook.list({ workspaceId: 1 })).map(e => [e.name, e.address]), [["cold", OTHER_WALLET]]);
+  await assert.rejects(addressBook.save({ workspaceId: 1, name: "vitalik.eth", address: WALLET }), /looks like an address or ENS name/);
+  await assert.rejects(addressBook.remove(1, "missing"), /No address book entry named "missing"/);
+});
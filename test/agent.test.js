@@ -0,0 +1,305 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createAgent } from '../src/agent.js';
+import { createFixtureProviders } from '../src/providers/index.js';
+import { createMemoryStore } from '../src/store.js';
+import { createWatchlist, createMemoryWatchlistStore } from '../src/watchlist.js';
+import { createAddressBook, createMemoryAddressBookStore } from '../src/addressBook.js';
+import { createMetricsRegistry } from '../src/telemetry.js';
+import { WALLET, OTHER_WALLET, loadWalletFixture } from './fixtures/index.js';
+
+function setup() {
+  const providers = createFixtureProviders(loadWalletFixture());
+  const watchlist = createWatchlist({ store: createMemoryWatchlistStore() });
+  const addressBook = createAddressBook({ store: createMemoryAddressBookStore() });
+  const metrics = createMetricsRegistry();
+  const agent = createAgent({ providers, store: createMemoryStore(), watchlist, addressBook, metrics, apiKey: "test-key" });
+  const calls = [];
+  for (const method of ["updateTaskStatus", "completeTask", "requestHumanAssistance", "markTaskAsErrored", "sendChatMessage"]) {
+    agent[method] = async params => {
+      calls.push({ method, params });
+    };
+  }
+  agent.uploadFile = async params => {
+    calls.push({ method: "uploadFile", params });
+    return { fileId: calls.length, fullUrl: `https://files.example/${params.path}` };
+  };
+  return { agent, providers, calls, metrics };
+}
+
+function analyzeWallet(agent, args) {
+  return agent.handleToolRoute({ params: { toolName: "analyzeWallet" }, body: { args } });
+}
+
+test("analyzeWallet returns the narrated summary", async () => {
+  const { agent } = setup();
+  const { result } = await analyzeWallet(agent, { address: WALLET, window: "all" });
+
+  assert.match(result, /^Analysis complete!/);
+  assert.match(result, /Ethereum: ChainLink Token/);
+  assert.match(result, /USD valuation \(holdings \$45,607\.40, realized PnL \$500\.00, unrealized PnL -\$395\.10\)/);
+  assert.match(result, /- Ethereum LINK: value \$12,552\.00, realized PnL \$500\.00, unrealized PnL \$1,046\.00/);
+  assert.match(result, /spotonchain/);
+});
+
+test("analyzeWallet returns the raw report for format json", async () => {
+  const { agent, providers } = setup();
+  const { result } = await analyzeWallet(agent, { address: WALLET, chain: "arbitrum", format: "json", window: "all" });
+
+  const report = JSON.parse(result);
+  assert.deepEqual(report.chains, ["arbitrum"]);
+  assert.equal(report.networks[0].tokens[0].total.inflow, 2500);
+  assert.equal(providers.summarizer.calls.length, 0);
+});
+
+test("analyzeWallet explains invalid addresses", async () => {
+  const { agent } = setup();
+  const { result } = await analyzeWallet(agent, { address: "0xnot-an-address" });
+
+  assert.match(result, /is not a valid Ethereum address/);
+});
+
+test("doTask completes the task with the analysis", async () => {
+  const { agent, calls } = setup();
+  await agent.doTask({
+    workspace: { id: 1 },
+    task: { id: 2, input: `Give me an overview of ${WALLET} as json` },
+  });
+
+  const completed = calls.find(c => c.method === "completeTask");
+  assert.ok(completed, "task was not completed");
+  assert.match(completed.params.output, /Wallet Report \(JSON\)/);
+  assert.match(completed.params.output, /"walletAddress": "0xf214798a8af12ad98e173171ee2d8d7ea11ce75c"/);
+});
+
+test("doTask uploads the Markdown, CSV and JSON reports and links them in the output", async () => {
+  const { agent, calls } = setup();
+  await agent.doTask({
+    workspace: { id: 1 },
+    task: { id: 6, input: `Analyze ${WALLET} over all time` },
+  });
+
+  const uploads = calls.filter(c => c.method === "uploadFile").map(c => c.params);
+  const [, name] = uploads[0].path.match(/^wallet-reports\/(0x[0-9a-f]{40}-\d{8}-\d{4})\.md$/);
+  assert.ok(name.startsWith(WALLET));
+  assert.deepEqual(uploads.map(u => [u.path, u.workspaceId, u.taskIds]), [
+    [`wallet-reports/${name}.md`, 1, [6]],
+    [`wallet-reports/${name}-transfers.csv`, 1, [6]],
+    [`wallet-reports/${name}.json`, 1, [6]],
+  ]);
+  assert.match(uploads[0].file, /^# Wallet report: whale\.eth/);
+  assert.match(uploads[0].file, /## Summary\n\n/);
+  assert.match(uploads[1].file, /^chain,timestamp,hash,block,token_contract,token_symbol,direction,amount,usd_value,counterparty,counterparty_label\n/);
+  assert.equal(JSON.parse(uploads[2].file).walletAddress, WALLET);
+
+  const { output } = calls.find(c => c.method === "completeTask").params;
+  assert.match(output, /^Analysis Results:/);
+  assert.ok(output.endsWith([
+    "📎 Report files:",
+    `- [${name}.md](https://files.example/wallet-reports/${name}.md)`,
+    `- [${name}-transfers.csv](https://files.example/wallet-reports/${name}-transfers.csv)`,
+    `- [${name}.json](https://files.example/wallet-reports/${name}.json)`,
+  ].join("\n")));
+});
+
+test("doTask still completes the task when the upload fails", async () => {
+  const { agent, calls } = setup();
+  agent.uploadFile = async () => {
+    throw new Error("Request failed with status code 500");
+  };
+  await agent.doTask({ workspace: { id: 1 }, task: { id: 7, input: `Analyze ${WALLET}` } });
+
+  const completed = calls.find(c => c.method === "completeTask");
+  assert.match(completed.params.output, /^Analysis Results:/);
+  assert.doesNotMatch(completed.params.output, /Report files/);
+});
+
+test("each task and chat message is one run with a correlation ID from the workspace and task", async () => {
+  const { agent, metrics } = setup();
+  await agent.doTask({ workspace: { id: 1 }, task: { id: 8, input: `Analyze ${WALLET}` } });
+  await agent.respondToChat({ workspace: { id: 1 }, me: { id: 5 }, messages: [{ message: `How is ${WALLET} doing?` }] });
+
+  const [chat, task] = metrics.summary().recent;
+  assert.match(task.correlationId, /^task-1-8-[0-9a-f]{8}$/);
+  assert.deepEqual([task.name, task.workspaceId, task.taskId, task.status], ["task", 1, 8, "ok"]);
+  assert.match(chat.correlationId, /^chat-1-[0-9a-f]{8}$/);
+  // The tool call answering the message is part of the chat run
+  assert.equal(metrics.summary().totals.runs, 2);
+});
+
+test("doTask asks for help when the task has no address", async () => {
+  const { agent, calls } = setup();
+  await agent.doTask({ workspace: { id: 1 }, task: { id: 3, input: "Analyze a wallet" }, messages: [] });
+
+  assert.ok(calls.some(c => c.method === "requestHumanAssistance"));
+  assert.ok(!calls.some(c => c.method === "completeTask"));
+});
+
+test("compareWallets compares several wallets", async () => {
+  const { agent } = setup();
+  const { result } = await agent.handleToolRoute({
+    params: { toolName: "compareWallets" },
+    body: { args: { addresses: [WALLET, OTHER_WALLET], window: "all" } },
+  });
+
+  assert.match(result, /^Compared 2 wallet\(s\)/);
+  assert.match(result, /Transfers between the wallets:\n- 2025-01-08 0x8ba1…ba72 → 0xf214…e75c: 20 LINK \(ethereum\)/);
+});
+
+test("doTask analyzes every address of the task as a batch", async () => {
+  const { agent, calls } = setup();
+  await agent.doTask({
+    workspace: { id: 1 },
+    task: { id: 4, input: `Compare ${WALLET} and ${OTHER_WALLET} over all time as json` },
+  });
+
+  const completed = calls.find(c => c.method === "completeTask");
+  assert.match(completed.params.output, /^Wallet Comparison \(JSON\)/);
+  const comparison = JSON.parse(completed.params.output.match(/```json\n([\s\S]*)\n```/)[1]);
+  assert.deepEqual(comparison.wallets, [WALLET, OTHER_WALLET]);
+  assert.equal(calls.filter(c => c.method === "uploadFile").length, 6);
+  assert.match(completed.params.output, /📎 Report files:\n- \[0xf214\w+-\d{8}-\d{4}\.md\]/);
+});
+
+test("respondToChat sends the comparison of the addresses in the message", async () => {
+  const { agent, calls } = setup();
+  await agent.respondToChat({
+    workspace: { id: 1 },
+    me: { id: 5 },
+    messages: [{ message: `How do ${WALLET} and ${OTHER_WALLET} relate?` }],
+  });
+
+  const sent = calls.find(c => c.method === "sendChatMessage");
+  assert.equal(sent.params.workspaceId, 1);
+  assert.equal(sent.params.agentId, 5);
+  assert.match(sent.params.message, /^Compared 2 wallet\(s\)/);
+});
+
+test("auditApprovals lists the open approvals and chat questions about allowances reach it", async () => {
+  const { agent, calls } = setup();
+  const { result } = await agent.handleToolRoute({ params: { toolName: "auditApprovals" }, body: { args: { address: "whale.eth" } } });
+
+  assert.match(result, /^Open approvals of 0xf214\w+:\n\nEthereum: 5 open approval\(s\), 3 unlimited, 2 flagged:/);
+  assert.match(result, /- 200 ENS to 0x9b3f\w+, since 2024-12-23, \$5,600\.00 at risk ⚠️ spender is not a verified contract/);
+
+  await agent.respondToChat({
+    workspace: { id: 1 },
+    me: { id: 5 },
+    messages: [{ message: `Which allowances does ${WALLET} still have open?` }],
+  });
+  assert.match(calls.find(c => c.method === "sendChatMessage").params.message, /^Open approvals of/);
+});
+
+test("traceWallet describes the funding trace or exports the graph, and chat questions about funders reach it", async () => {
+  const { agent, calls } = setup();
+  const { result } = await agent.handleToolRoute({ params: { toolName: "traceWallet" }, body: { args: { address: WALLET, depth: 1 } } });
+  assert.match(result, /^Trace of 0xf214\w+ on ethereum, full history, depth 1, fan-out 3:/);
+  assert.match(result, /first funded by Binance 14 \(0x28c6…1d60\)/);
+
+  const dot = await agent.handleToolRoute({ params: { toolName: "traceWallet" }, body: { args: { address: WALLET, depth: 1, format: "dot" } } });
+  assert.match(dot.result, /^digraph "0xf214\w+" \{/);
+
+  await agent.respondToChat({
+    workspace: { id: 1 },
+    me: { id: 5 },
+    messages: [{ message: `Who funded ${OTHER_WALLET}?` }],
+  });
+  assert.match(calls.find(c => c.method === "sendChatMessage").params.message, /^Trace of 0x8ba1\w+ on ethereum/);
+});
+
+test("postWhaleMove drafts the post unless asked to publish it", async () => {
+  const { agent, providers } = setup();
+  const args = { address: "whale.eth", window: "all", minUsd: 20000 };
+
+  const draft = await agent.handleToolRoute({ params: { toolName: "postWhaleMove" }, body: { args } });
+  assert.match(draft.result, /^Draft \(not published\):\n\n🐋 Whale move: whale\.eth/);
+  assert.equal(providers.publisher.calls.length, 0);
+
+  const published = await agent.handleToolRoute({ params: { toolName: "postWhaleMove" }, body: { args: { ...args, thread: true, dryRun: false } } });
+  assert.match(published.result, /^Published on X:\n\n\(1\/4\) 🐋 Whale move/);
+  assert.match(published.result, /https:\/\/x\.example\/status\/103$/);
+  assert.equal(providers.publisher.calls.length, 1);
+
+  const quiet = await agent.handleToolRoute({ params: { toolName: "postWhaleMove" }, body: { args: { address: WALLET, window: "all" } } });
+  assert.match(quiet.result, /nothing to post/);
+});
+
+test("manages the watchlist of the workspace", async () => {
+  const { agent } = setup();
+  const action = { workspace: { id: 1 }, me: { id: 5 } };
+  const call = (toolName, args = {}) => agent.handleToolRoute({ params: { toolName }, body: { args, action } });
+
+  const added = await call("watchWallet", { address: WALLET, outflowAboveUsd: 100000, newTokenBought: true });
+  assert.match(added.result, /^Now watching 0xf214798a8af12ad98e173171ee2d8d7ea11ce75c/);
+  assert.match(added.result, /outflow ≥ \$100,000\.00, new token bought; alerts via chat; active/);
+  const id = added.result.match(/- ([0-9a-f-]{36}):/)[1];
+
+  // Another workspace can neither see nor change the watch
+  const other = (toolName, args) => agent.handleToolRoute({ params: { toolName }, body: { args, action: { workspace: { id: 2 }, me: { id: 6 } } } });
+  assert.equal((await other("pauseWatch", { id })).result, `Error: No watch with id "${id}"`);
+  assert.equal((await other("removeWatch", { id })).result, `Error: No watch with id "${id}"`);
+  assert.match((await call("listWatches")).result, new RegExp(`${id}: .*; active`));
+
+  assert.match((await call("pauseWatch", { id })).result, /^Paused watch/);
+  assert.match((await call("listWatches")).result, new RegExp(`${id}: .*; paused, not checked yet`));
+  assert.match((await call("removeWatch", { id })).result, /^Removed watch/);
+  assert.equal((await call("listWatches")).result, "The watchlist is empty.");
+  assert.match((await call("watchWallet", { address: WALLET })).result, /at least one threshold/);
+});
+
+test("answers follow-up questions about the last wallet from stored data", async () => {
+  const { agent, providers, calls } = setup();
+  const action = { workspace: { id: 7 }, me: { id: 5 } };
+  await agent.handleToolRoute({ params: { toolName: "analyzeWallet" }, body: { args: { address: WALLET, window: "all" }, action } });
+  const syncs = providers.summarizer.calls.length;
+
+  const ask = async message => {
+    await agent.respondToChat({ ...action, messages: [{ message }] });
+    return calls.filter(c => c.method === "sendChatMessage").pop().params.message;
+  };
+
+  const holdings = await ask("How much ENS do they still hold?");
+  assert.match(holdings, /^Holdings of 0xf214798a8af12ad98e173171ee2d8d7ea11ce75c:\nEthereum, as of .*:\n- 755\.55 ENS \(\$21,155\.40\)$/);
+
+  const sold = await ask("What LINK did they send to Binance?");
+  assert.match(sold, /^Stored transfers of 0xf214798a8af12ad98e173171ee2d8d7ea11ce75c \(LINK, outflow, binance\), synced on Ethereum up to block \d+:/);
+  assert.match(sold, /1 matching transfer\(s\): out 500 LINK \(\$12,500\.00\) in 1 transfer\(s\)\./);
+  assert.match(sold, /- 2025-01-08 00:00 UTC sent 500 LINK \(\$12,500\.00\) to Binance 14 \(cex\)/);
+  assert.equal(providers.summarizer.calls.length, syncs, "the follow-ups ran a new analysis");
+});
+
+test("queries need a wallet in context or an address", async () => {
+  const { agent } = setup();
+  const { result } = await agent.handleToolRoute({ params: { toolName: "queryTransfers" }, body: { args: {}, action: { workspace: { id: 8 } } } });
+
+  assert.match(result, /No wallet has been analyzed in this workspace yet/);
+});
+
+test("accepts ENS names and address book names wherever an address is accepted", async () => {
+  const { agent, calls } = setup();
+  const action = { workspace: { id: 3 }, me: { id: 5 } };
+  const call = (toolName, args = {}) => agent.handleToolRoute({ params: { toolName }, body: { args, action } });
+
+  assert.match((await call("saveAddress", { name: "Fund A hot wallet", address: "friend.eth" })).result,
+    /^Saved "Fund A hot wallet" as 0x8ba1f109551bd432803012645ac136ddd64dba72 \(friend\.eth\)\./);
+  assert.match((await call("listAddresses")).result, /- Fund A hot wallet: 0x8ba1f109551bd432803012645ac136ddd64dba72/);
+  assert.match((await call("analyzeWallet", { address: "whale.eth", window: "all" })).result, /^Analysis complete!/);
+  assert.match((await call("watchWallet", { address: "fund a hot wallet", inflowAboveUsd: 1000 })).result, /^Now watching 0x8ba1f109551bd432803012645ac136ddd64dba72/);
+
+  await agent.respondToChat({ ...action, messages: [{ message: "Compare whale.eth with Fund A hot wallet" }] });
+  assert.match(calls.find(c => c.method === "sendChatMessage").params.message, /^Compared 2 wallet\(s\)/);
+
+  assert.match((await call("removeAddress", { name: "Fund A hot wallet" })).result, /^Removed "Fund A hot wallet"/);
+  assert.equal((await call("listAddresses")).result, "The address book is empty.");
+});
+
+test("explains names that do not resolve and bad checksums", async () => {
+  const { agent, calls } = setup();
+
+  assert.match((await analyzeWallet(agent, { address: "nobody.eth" })).result, /The ENS name "nobody\.eth" does not resolve to an address/);
+  assert.match((await analyzeWallet(agent, { address: "0xF214798A8aF12Ad98e173171ee2D8d7ea11CE75c" })).result, /Invalid EIP-55 checksum/);
+
+  await agent.doTask({ workspace: { id: 1 }, task: { id: 2, input: "Analyze nobody.eth" } });
+  const help = calls.find(c => c.method === "requestHumanAssistance");
+  assert.match(help.params.question, /^- The ENS name "nobody\.eth" does not resolve to an address/);
+});
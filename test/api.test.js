@@ -0,0 +1,241 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createApiApp } from '../src/api.js';
+import { createFixtureProviders } from '../src/providers/index.js';
+import { createMemoryStore } from '../src/store.js';
+import { ProviderError } from '../src/errors.js';
+import { createMetricsRegistry } from '../src/telemetry.js';
+import { WALLET, NOW, loadWalletFixture } from './fixtures/index.js';
+
+// Starts the app on a free port for one test and closes it afterwards.
+async function withApi(run, providers = createFixtureProviders(loadWalletFixture())) {
+  const app = createApiApp({ providers, store: createMemoryStore(), now: () => NOW, metrics: createMetricsRegistry() });
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, () => resolve(listening));
+  });
+  const base = `http://127.0.0.1:${server.address().port}`;
+  try {
+    await run(async (path, init) => {
+      const response = await fetch(`${base}${path}`, init);
+      return { status: response.status, headers: response.headers, body: await response.json() };
+    }, providers);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+}
+
+test("summary returns the narrated summary with the report", async () => {
+  await withApi(async (request, providers) => {
+    const { status, body } = await request(`/wallets/${WALLET}/summary?window=all`);
+
+    assert.equal(status, 200);
+    assert.equal(body.walletAddress, WALLET);
+    assert.match(body.summary, /ChainLink Token/);
+    assert.match(body.valuation, /USD valuation/);
+    assert.deepEqual(body.report.chains, ["ethereum"]);
+    assert.equal(providers.summarizer.calls.length, 1);
+  });
+});
+
+test("holdings and transfers run the scan without narration", async () => {
+  await withApi(async (request, providers) => {
+    const holdings = await request(`/wallets/${WALLET}/holdings?token=LINK`);
+    assert.equal(holdings.status, 200);
+    assert.deepEqual(holdings.body.holdings.map(h => [h.symbol, h.balance]), [["LINK", 523]]);
+
+    const transfers = await request(`/wallets/${WALLET}/transfers?window=all&direction=inflow&limit=1`);
+    assert.equal(transfers.status, 200);
+    assert.ok(transfers.body.total > 1);
+    assert.equal(transfers.body.transfers.length, 1);
+    assert.equal(transfers.body.transfers[0].flow, "inflow");
+    assert.equal(providers.summarizer.calls.length, 0);
+
+    // Tokens the wallet no longer holds are listed too
+    const sold = await request(`/wallets/${WALLET}/transfers?window=all&token=ZRX`);
+    assert.equal(sold.status, 200);
+    assert.deepEqual(sold.body.transfers.map(tx => [tx.tokenSymbol, tx.flow, tx.amount]), [["ZRX", "outflow", 1000]]);
+  });
+});
+
+test("timeline returns the daily balances of the holdings", async () => {
+  await withApi(async request => {
+    const { status, body } = await request(`/wallets/${WALLET}/timeline?window=7d&token=ENS`);
+
+    assert.equal(status, 200);
+    const [ens] = body.networks[0].tokens;
+    assert.equal(body.networks[0].tokens.length, 1);
+    assert.equal(ens.daily[0].date, "2025-01-03");
+    assert.equal(ens.daily.at(-1).balance, 755.55);
+    assert.equal(ens.phases[0].kind, "accumulation");
+  });
+});
+
+test("approvals returns the approval audit and the summary can include it", async () => {
+  await withApi(async request => {
+    const { status, body } = await request(`/wallets/${WALLET}/approvals`);
+    assert.equal(status, 200);
+    assert.equal(body.networks[0].approvals.open, 5);
+    assert.equal(body.networks[0].approvals.approvals[0].tokenSymbol, "USDC");
+
+    const summary = await request(`/wallets/${WALLET}/summary?approvals=true`);
+    assert.equal(summary.status, 200);
+    assert.equal(summary.body.report.networks[0].approvals.unlimited, 3);
+  });
+});
+
+test("graph exports the funding trace in the requested format", async () => {
+  await withApi(async request => {
+    const { status, body } = await request(`/wallets/${WALLET}/graph?depth=1&fanOut=2`);
+    assert.equal(status, 200);
+    assert.deepEqual([body.trace.depth, body.trace.fanOut, body.trace.window.label], [1, 2, "full history"]);
+    assert.equal(body.nodes[0].address, WALLET);
+    assert.equal(body.edges[0].funding, true);
+
+    const invalid = await request(`/wallets/${WALLET}/graph?depth=7&format=svg`);
+    assert.equal(invalid.status, 400);
+    assert.deepEqual(invalid.body.error.details.map(d => d.path), ["depth", "format"]);
+  });
+});
+
+test("reports lists the stored reports", async () => {
+  await withApi(async request => {
+    assert.deepEqual((await request(`/wallets/${WALLET}/reports`)).body.reports, []);
+
+    await request(`/wallets/${WALLET}/holdings`);
+    await request(`/wallets/${WALLET}/holdings?window=all`);
+    const all = await request(`/wallets/${WALLET}/reports`);
+    const { status, body } = await request(`/wallets/${WALLET}/reports?limit=1`);
+
+    assert.equal(status, 200);
+    assert.equal(all.body.reports.length, 2);
+    assert.equal(body.reports.length, 1);
+    assert.equal(body.reports[0].chain, "ethereum");
+    assert.ok(body.reports[0].network.holdings.length > 0);
+  });
+});
+
+test("the tool route takes the capability arguments", async () => {
+  await withApi(async request => {
+    const { status, body } = await request("/tools/summarizeTokenTransactions", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ args: { address: WALLET, chain: "arbitrum", window: "all" } }),
+    });
+
+    assert.equal(status, 200);
+    assert.deepEqual(body.chains, ["arbitrum"]);
+  });
+});
+
+test("errors share one JSON shape", async () => {
+  await withApi(async request => {
+    const invalidAddress = await request("/wallets/0x1234/summary");
+    assert.equal(invalidAddress.status, 400);
+    assert.equal(invalidAddress.body.error.code, "invalid_address");
+
+    const invalidParams = await request(`/wallets/${WALLET}/transfers?direction=sideways&limit=500`);
+    assert.equal(invalidParams.status, 400);
+    assert.equal(invalidParams.body.error.code, "invalid_request");
+    assert.deepEqual(invalidParams.body.error.details.map(d => d.path), ["direction", "limit"]);
+
+    const invalidWindow = await request(`/wallets/${WALLET}/summary?window=someday`);
+    assert.equal(invalidWindow.status, 400);
+    assert.equal(invalidWindow.body.error.code, "invalid_request");
+
+    // Checked against the app's clock, not the machine's
+    const futureFrom = await request(`/wallets/${WALLET}/transfers?from=2025-06-01`);
+    assert.equal(futureFrom.status, 400);
+    assert.match(futureFrom.body.error.message, /The from date 2025-06-01 is after the to date/);
+
+    const notFound = await request("/nowhere");
+    assert.equal(notFound.status, 404);
+    assert.equal(notFound.body.error.code, "not_found");
+  });
+});
+
+test("provider failures answer 503 when retrying can help", async () => {
+  const providers = createFixtureProviders(loadWalletFixture());
+  providers.transfers.getTokenTransfers = async () => {
+    throw new ProviderError("Max rate limit reached", { provider: "etherscan", code: "RATE_LIMITED", retryable: true });
+  };
+  await withApi(async request => {
+    const { status, body } = await request(`/wallets/${WALLET}/holdings`);
+
+    assert.equal(status, 503);
+    assert.deepEqual(body.error, {
+      code: "provider_error",
+      message: "Max rate limit reached",
+      details: { provider: "etherscan", code: "RATE_LIMITED", retryable: true },
+    });
+  }, providers);
+});
+
+test("unexpected errors answer 500 without their message", async () => {
+  const providers = createFixtureProviders(loadWalletFixture());
+  providers.transfers.getTokenTransfers = async () => {
+    throw new ReferenceError("maxRows is not defined");
+  };
+  await withApi(async request => {
+    const { status, body } = await request(`/wallets/${WALLET}/holdings`, { headers: { "X-Correlation-Id": "dashboard-7" } });
+
+    assert.equal(status, 500);
+    assert.deepEqual(body.error, { code: "internal_error", message: "Internal error", details: { correlationId: "dashboard-7" } });
+  }, providers);
+});
+
+test("openapi.json describes every endpoint from the shared schemas", async () => {
+  await withApi(async request => {
+    const { status, body } = await request("/openapi.json");
+
+    assert.equal(status, 200);
+    assert.equal(body.openapi, "3.0.3");
+    assert.deepEqual(Object.keys(body.paths), [
+      "/wallets/{address}/summary",
+      "/wallets/{address}/holdings",
+      "/wallets/{address}/transfers",
+      "/wallets/{address}/timeline",
+      "/wallets/{address}/approvals",
+      "/wallets/{address}/graph",
+      "/wallets/{address}/reports",
+      "/metrics",
+      "/tools/summarizeTokenTransactions",
+    ]);
+    const parameters = body.paths["/wallets/{address}/transfers"].get.parameters;
+    const direction = parameters.find(p => p.name === "direction");
+    assert.deepEqual(direction.schema.enum, ["inflow", "outflow"]);
+    assert.equal(parameters.find(p => p.name === "limit").schema.maximum, 200);
+    assert.ok(parameters.find(p => p.name === "chain").schema.enum.includes("all"));
+    assert.deepEqual(Object.keys(body.paths["/wallets/{address}/summary"].get.responses), ["200", "400", "404", "500", "502", "503"]);
+    assert.deepEqual(Object.keys(body.paths["/metrics"].get.responses), ["200", "500"]);
+  });
+});
+
+test("each request is a run with a correlation ID, and /metrics lists the runs", async () => {
+  await withApi(async request => {
+    const given = await request(`/wallets/${WALLET}/holdings`, { headers: { "X-Correlation-Id": "dashboard-42" } });
+    assert.equal(given.headers.get("x-correlation-id"), "dashboard-42");
+    const failed = await request("/wallets/0x1234/holdings");
+    assert.match(failed.headers.get("x-correlation-id"), /^api-[0-9a-f]{8}$/);
+
+    const { status, body } = await request("/metrics");
+    assert.equal(status, 200);
+    assert.equal(body.totals.runs, 2);
+    assert.deepEqual(body.recent.map(r => [r.name, r.httpStatus, r.status]), [
+      ["api GET /wallets/0x1234/holdings", 400, "ok"],
+      ["api GET /wallets/0xf214798a8af12ad98e173171ee2d8d7ea11ce75c/holdings", 200, "ok"],
+    ]);
+    assert.equal(body.recent[1].correlationId, "dashboard-42");
+  });
+});
+
+test("wallets can be given by ENS name", async () => {
+  await withApi(async request => {
+    const { status, body } = await request("/wallets/whale.eth/holdings?token=LINK");
+    assert.equal(status, 200);
+    assert.equal(body.walletAddress, WALLET);
+
+    const unknown = await request("/wallets/nobody.eth/holdings");
+    assert.equal(unknown.status, 400);
+    assert.equal(unknown.body.error.code, "invalid_address");
+  });
+});
@@ -0,0 +1,147 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { APPROVAL_TOPIC, APPROVAL_FOR_ALL_TOPIC, findOpenApprovals, describeApprovals } from '../src/approvals.js';
+import { auditApprovals, summarizeTokenTransactions } from '../src/ETHWalletScanFunction.js';
+import { createFixtureProviders } from '../src/providers/index.js';
+import { createEtherscanProvider } from '../src/providers/etherscan.js';
+import { createMemoryStore } from '../src/store.js';
+import { createLabelRegistry } from '../src/labels.js';
+import { WALLET, NOW, loadWalletFixture } from './fixtures/index.js';
+
+const TOKEN = "0x514910771af9ca656af840dff83e8264ecf986ca";
+const SPENDER = "0x1111111254eeb25477b68fb85ed929f73a960582";
+const DRAINER = "0x0000db5c8b030ae20308ac975898e09741e70000";
+
+function topic(address) {
+  return `0x${address.slice(2).padStart(64, "0")}`;
+}
+
+function log(blockNumber, topics, value, contractAddress = TOKEN) {
+  return {
+    hash: `0x${blockNumber.toString(16).padStart(64, "0")}`,
+    logIndex: "0",
+    blockNumber: String(blockNumber),
+    timeStamp: String(1730000000 + blockNumber),
+    contractAddress,
+    topics,
+    data: `0x${value.toString(16).padStart(64, "0")}`,
+  };
+}
+
+function labels() {
+  return createLabelRegistry({ entries: [{ address: DRAINER, name: "Inferno Drainer", category: "malicious" }] });
+}
+
+test("the latest log per token and spender decides, revoked ones are closed", () => {
+  const logs = [
+    log(3, [APPROVAL_TOPIC, topic(WALLET), topic(SPENDER)], 10n),
+    log(1, [APPROVAL_TOPIC, topic(WALLET), topic(SPENDER)], 500n),
+    log(2, [APPROVAL_TOPIC, topic(WALLET), topic(DRAINER)], 7n),
+    log(4, [APPROVAL_TOPIC, topic(WALLET), topic(DRAINER)], 0n),
+    log(5, [APPROVAL_FOR_ALL_TOPIC, topic(WALLET), topic(DRAINER)], 1n),
+    // An ERC-721 approval of one token id and an approval given by another owner
+    log(6, [APPROVAL_TOPIC, topic(WALLET), topic(SPENDER), topic("0x07")], 0n),
+    log(7, [APPROVAL_TOPIC, topic(DRAINER), topic(SPENDER)], 99n),
+  ];
+
+  const open = findOpenApprovals(logs, WALLET);
+
+  assert.deepEqual(open.map(a => [a.standard, a.spender, a.value]), [
+    ["ERC-20", SPENDER, 10n],
+    ["NFT", DRAINER, 1n],
+  ]);
+});
+
+test("audits the open approvals with amounts, labels and flags", async () => {
+  const audit = await auditApprovals(WALLET, "ethereum", {
+    providers: createFixtureProviders(loadWalletFixture()),
+    store: createMemoryStore(),
+    labels: labels(),
+    now: NOW,
+  });
+
+  const { approvals } = audit.networks[0];
+  assert.deepEqual({ open: approvals.open, unlimited: approvals.unlimited, flagged: approvals.flagged }, { open: 5, unlimited: 3, flagged: 2 });
+  assert.deepEqual(approvals.approvals.map(a => [a.tokenSymbol, a.spenderLabel?.name ?? a.spenderContract?.name ?? a.spender]), [
+    ["USDC", "Inferno Drainer"],
+    ["ENS", "0x9b3f6a1e5c2d4b8a7f0e1d2c3b4a59687f6e5d4c"],
+    ["TPUNK", "Conduit"],
+    ["LINK", "Uniswap V2 Router"],
+    ["LINK", "1inch Router v5"],
+  ]);
+
+  const [drainer, unverified, , router, reduced] = approvals.approvals;
+  assert.deepEqual(drainer.risks.map(r => r.code), ["malicious_spender", "unverified_spender"]);
+  assert.deepEqual(unverified.risks.map(r => r.code), ["unverified_spender"]);
+  assert.equal(unverified.amount, 200);
+  assert.equal(unverified.usdValue, 5600);
+  assert.equal(router.unlimited, true);
+  assert.equal(router.amount, null);
+  assert.equal(router.usdValue, 12552);
+  assert.equal(reduced.amount, 100);
+  assert.equal(reduced.usdValue, 2400);
+
+  assert.match(describeApprovals(audit), /^Ethereum: 5 open approval\(s\), 3 unlimited, 2 flagged:\n- unlimited USDC to Inferno Drainer/);
+
+  // Failed networks only count when approvals were asked for
+  const failed = { network: "Base", error: "explorer unavailable" };
+  assert.equal(describeApprovals({ networks: [failed] }), "");
+  assert.equal(describeApprovals({ networks: [failed] }, { requested: true }), "Base: could not be audited: explorer unavailable");
+  assert.match(describeApprovals({ networks: [{ network: "Ethereum", approvals: audit.networks[0].approvals }, failed] }), /\n\nBase: could not be audited/);
+});
+
+test("approval logs are synced once from the first block and then incrementally", async () => {
+  const providers = createFixtureProviders(loadWalletFixture());
+  const ranges = [];
+  const getApprovalLogs = providers.transfers.getApprovalLogs;
+  providers.transfers.getApprovalLogs = async (address, chain, range) => {
+    ranges.push(range);
+    return getApprovalLogs(address, chain, range);
+  };
+  const store = createMemoryStore();
+
+  await auditApprovals(WALLET, "ethereum", { providers, store, labels: labels(), now: NOW });
+  await auditApprovals(WALLET, "ethereum", { providers, store, labels: labels(), now: NOW });
+
+  assert.equal(ranges[0].startBlock, 0);
+  assert.equal(ranges[1].startBlock, 21450000);
+  assert.equal((await store.load("ethereum", WALLET)).history.approvals.rows.length, 9);
+});
+
+test("the wallet report includes the approvals only when asked", async () => {
+  const options = { window: "7d", narrate: false, providers: createFixtureProviders(loadWalletFixture()), store: createMemoryStore(), labels: labels(), now: NOW };
+
+  const plain = await summarizeTokenTransactions(WALLET, "ethereum", options);
+  const audited = await summarizeTokenTransactions(WALLET, "ethereum", { ...options, approvals: true });
+
+  assert.equal(plain.report.networks[0].approvals, undefined);
+  assert.equal(audited.report.networks[0].approvals.flagged, 2);
+});
+
+test("pages through more than one full page of approval logs", async () => {
+  const hex = n => `0x${n.toString(16)}`;
+  const logs = [1, 2, 3, 3, 4].map((block, i) => ({
+    transactionHash: `0x${i}`,
+    logIndex: hex(i),
+    blockNumber: hex(block),
+    timeStamp: hex(1730000000 + block),
+    address: TOKEN,
+    topics: [APPROVAL_TOPIC, topic(WALLET), topic(SPENDER)],
+    data: `0x${"1".padStart(64, "0")}`,
+  }));
+  const requests = [];
+  const http = {
+    get: async (url, config) => {
+      requests.push(config.params);
+      const { fromBlock, topic0, offset } = config.params;
+      const page = topic0 === APPROVAL_TOPIC ? logs.filter(l => parseInt(l.blockNumber) >= fromBlock).slice(0, offset) : [];
+      return { data: { status: page.length > 0 ? "1" : "0", message: page.length > 0 ? "OK" : "No records found", result: page } };
+    },
+  };
+  const provider = createEtherscanProvider({ env: { ETHERSCAN_API_KEY1: "k1" }, http, pageSize: 2 });
+
+  const rows = await provider.getApprovalLogs(WALLET, "ethereum", { startBlock: 0 });
+
+  assert.deepEqual(rows.map(r => r.hash), ["0x4", "0x3", "0x2", "0x1", "0x0"]);
+  assert.deepEqual(requests.filter(r => r.topic0 === APPROVAL_TOPIC).map(r => r.fromBlock), [0, 2, 3, 4]);
+});
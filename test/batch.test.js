@@ -0,0 +1,98 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzeWallets, describeComparison, mapWithConcurrency, normalizeAddresses } from '../src/batch.js';
+import { createFixtureProviders } from '../src/providers/index.js';
+import { createMemoryStore } from '../src/store.js';
+import { WALLET, OTHER_WALLET, NOW, loadWalletFixture } from './fixtures/index.js';
+
+const LINK = "0x514910771af9ca656af840dff83e8264ecf986ca";
+
+test("combines the wallets into one portfolio and compares them", async () => {
+  const providers = createFixtureProviders(loadWalletFixture());
+  const { comparison, reports } = await analyzeWallets([WALLET, OTHER_WALLET, WALLET], "ethereum", {
+    providers,
+    store: createMemoryStore(),
+    now: NOW,
+    window: "all",
+  });
+
+  assert.equal(reports.length, 2);
+  assert.deepEqual(comparison.wallets, [WALLET, OTHER_WALLET]);
+  assert.deepEqual(comparison.failed, []);
+
+  const link = comparison.portfolio.find(entry => entry.contractAddress === LINK);
+  assert.equal(link.balance, 703);
+  assert.deepEqual(link.wallets, [WALLET, OTHER_WALLET]);
+  assert.deepEqual(comparison.sharedTokens.map(t => t.symbol).sort(), ["ETH", "LINK"]);
+
+  assert.equal(comparison.internalTransfers.length, 1);
+  const { chain, from, to, tokenSymbol, amount } = comparison.internalTransfers[0];
+  assert.deepEqual({ chain, from, to, tokenSymbol, amount }, { chain: "ethereum", from: OTHER_WALLET, to: WALLET, tokenSymbol: "LINK", amount: 20 });
+
+  const binance = comparison.sharedCounterparties.find(c => c.label?.name === "Binance 14");
+  assert.ok(binance, "Binance 14 is not a shared counterparty");
+  assert.deepEqual(binance.wallets, [WALLET, OTHER_WALLET]);
+
+  const text = describeComparison(comparison);
+  assert.match(text, /^Compared 2 wallet\(s\): 0xf214…e75c, 0x8ba1…ba72/);
+  assert.match(text, /- ethereum LINK: 703 \(\$[\d,.]+\) across 2 wallet\(s\)/);
+  assert.match(text, /0x8ba1…ba72 → 0xf214…e75c: 20 LINK \(ethereum\)/);
+  assert.match(text, /- Binance 14 \(cex\): 2 wallets/);
+});
+
+test("compares every transfer in the window, also of tokens no longer held", async () => {
+  const fixture = loadWalletFixture();
+  // The other wallet also sold its ZRX to Binance
+  fixture.wallets[OTHER_WALLET].ethereum.tokenTransfers.push({
+    blockNumber: "21550100", timeStamp: "1735950000", hash: `0x${"51".padStart(64, "0")}`, from: OTHER_WALLET, to: "0x28c6c06298d514db089934071355e5743bf21d60",
+    value: "50000000000000000000", contractAddress: "0xe41d2489571d322189246dafa5ebde1f4699f498",
+    tokenName: "0x Protocol Token", tokenSymbol: "ZRX", tokenDecimal: "18", logIndex: "3",
+  });
+  const { comparison } = await analyzeWallets([WALLET, OTHER_WALLET], "ethereum", {
+    providers: createFixtureProviders(fixture),
+    store: createMemoryStore(),
+    now: NOW,
+    window: "all",
+  });
+
+  assert.deepEqual(comparison.sharedTokens.map(t => t.symbol).sort(), ["ETH", "LINK", "ZRX"]);
+  assert.equal(comparison.portfolio.some(entry => entry.symbol === "ZRX"), false);
+});
+
+test("lists wallets that fail without failing the batch", async () => {
+  const providers = createFixtureProviders(loadWalletFixture());
+  const getTokenTransfers = providers.transfers.getTokenTransfers;
+  providers.transfers.getTokenTransfers = async (address, ...rest) => {
+    if (address === OTHER_WALLET) {
+      throw new Error("provider down");
+    }
+    return getTokenTransfers(address, ...rest);
+  };
+  const { comparison } = await analyzeWallets([WALLET, OTHER_WALLET], "ethereum", { providers, store: createMemoryStore(), now: NOW });
+
+  assert.deepEqual(comparison.wallets, [WALLET]);
+  assert.equal(comparison.failed.length, 1);
+  assert.equal(comparison.failed[0].address, OTHER_WALLET);
+});
+
+test("runs at most the given number of wallets at once, in order", async () => {
+  let running = 0;
+  let peak = 0;
+  const results = await mapWithConcurrency([30, 10, 20, 5], 2, async (delay, index) => {
+    running += 1;
+    peak = Math.max(peak, running);
+    await new Promise(resolve => setTimeout(resolve, delay));
+    running -= 1;
+    return index;
+  });
+
+  assert.deepEqual(results, [0, 1, 2, 3]);
+  assert.equal(peak, 2);
+});
+
+test("validates and deduplicates the addresses of a batch", () => {
+  assert.deepEqual(normalizeAddresses([WALLET, WALLET.toUpperCase().replace("0X", "0x")]), [WALLET]);
+  assert.throws(() => normalizeAddresses([WALLET, "0x123"]), /Invalid Ethereum address format: 0x123/);
+  assert.throws(() => normalizeAddresses([]), /No wallet addresses given/);
+  assert.throws(() => normalizeAddresses(Array.from({ length: 51 }, (_, i) => `0x${i.toString(16).padStart(40, "0")}`)), /Too many wallets/);
+});
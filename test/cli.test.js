@@ -0,0 +1,170 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { runCli, EXIT_CODES } from '../src/cli.js';
+import { createFixtureProviders } from '../src/providers/index.js';
+import { createMemoryStore } from '../src/store.js';
+import { ProviderError } from '../src/errors.js';
+import { TRANSFER_CSV_COLUMNS } from '../src/render.js';
+import { WALLET, NOW, loadWalletFixture } from './fixtures/index.js';
+
+function output() {
+  const chunks = [];
+  return { write: chunk => chunks.push(chunk), text: () => chunks.join("") };
+}
+
+async function run(argv, providers = createFixtureProviders(loadWalletFixture())) {
+  const stdout = output();
+  const stderr = output();
+  const code = await runCli(argv, { providers, store: createMemoryStore(), now: NOW, stdout, stderr });
+  return { code, stdout: stdout.text(), stderr: stderr.text(), providers };
+}
+
+test("analyze --format json prints the raw report and nothing else", async () => {
+  const { code, stdout, providers } = await run(["analyze", WALLET, "--window", "all", "--format", "json"]);
+
+  assert.equal(code, EXIT_CODES.ok);
+  const report = JSON.parse(stdout);
+  assert.equal(report.walletAddress, WALLET);
+  assert.equal(report.networks[0].tokens.find(t => t.tokenSymbol === "LINK").total.inflow, 1023);
+  assert.equal(providers.summarizer.calls.length, 0);
+});
+
+test("analyze --no-llm writes the Markdown report with the template summary", async () => {
+  const { code, stdout, providers } = await run(["analyze", WALLET, "--window", "all", "--no-llm", "--style", "brief"]);
+
+  assert.equal(code, EXIT_CODES.ok);
+  assert.equal(providers.summarizer.calls.length, 0);
+  assert.match(stdout, /^# Wallet report: whale\.eth \(0xF214798A8aF12Ad98e173171ee2D8d7ea11CE75C\)/);
+  assert.match(stdout, /## Summary\n\nWallet 0xf214\w+ \(whale\.eth\), .*: \d+ transfer\(s\)/);
+  assert.match(stdout, /### Holdings\n\n\| Network \| Token \| Balance \| Price \| Value \|/);
+  assert.match(stdout, /\| LINK \| 1023 \| 500 \| 523 \| 3 \|/);
+  assert.match(stdout, /### Balance timeline\n\n\| Token \| Start \| End \| End value \| Phases \|/);
+  assert.match(stdout, /\| ENS \| 0 \| 755\.55 \| \$21,155\.40 \| accumulation 2025-01-05 \(\+755\.55\) \|/);
+});
+
+test("analyze --format csv lists the transfers", async () => {
+  const { code, stdout } = await run(["analyze", WALLET, "--window", "all", "--format", "csv"]);
+
+  assert.equal(code, EXIT_CODES.ok);
+  const [header, ...rows] = stdout.trim().split("\n");
+  assert.equal(header, TRANSFER_CSV_COLUMNS.join(","));
+  assert.ok(rows.length > 0);
+  assert.ok(rows.every(row => /^ethereum,\d{4}-/.test(row)));
+  // Tokens the wallet no longer holds are exported too
+  assert.equal(rows.length, 11);
+  assert.ok(rows.some(row => row.includes(",ZRX,outflow,")));
+});
+
+test("transfers filters by token and direction", async () => {
+  const { code, stdout } = await run(["transfers", WALLET, "--window", "all", "--token", "LINK", "--direction", "outflow", "--format", "json"]);
+
+  assert.equal(code, EXIT_CODES.ok);
+  const transfers = JSON.parse(stdout);
+  assert.equal(transfers.length, 1);
+  assert.equal(transfers[0].amount, 500);
+  assert.equal(transfers[0].flow, "outflow");
+});
+
+test("holdings prints the held tokens as CSV", async () => {
+  const { code, stdout } = await run(["holdings", WALLET, "--format", "csv"]);
+
+  assert.equal(code, EXIT_CODES.ok);
+  assert.match(stdout, /^chain,token_contract,token_symbol/);
+  assert.match(stdout, /\nethereum,0x514910771af9ca656af840dff83e8264ecf986ca,LINK,ChainLink Token,523,/);
+});
+
+test("trace prints the funding trace or the graph in an export format", async () => {
+  const summary = await run(["trace", WALLET, "--depth", "1"]);
+  assert.equal(summary.code, EXIT_CODES.ok);
+  assert.match(summary.stdout, /^Trace of 0xf214\w+ on ethereum, full history, depth 1, fan-out 3:/);
+
+  const graphml = await run(["trace", WALLET, "--depth", "1", "--fan-out", "1", "--format", "graphml"]);
+  assert.equal(graphml.code, EXIT_CODES.ok);
+  assert.match(graphml.stdout, /^<\?xml version="1\.0"/);
+  assert.equal(graphml.stdout.match(/<node /g).length, 2);
+
+  assert.equal((await run(["trace", WALLET, "--depth", "5"])).code, EXIT_CODES.usage);
+  assert.equal((await run(["trace", WALLET, "--chain", "all"])).code, EXIT_CODES.usage);
+});
+
+test("post prints the whale-move draft and publishes it only with --publish", async () => {
+  const draft = await run(["post", WALLET, "--window", "all", "--min-usd", "20000", "--thread"]);
+  assert.equal(draft.code, EXIT_CODES.ok);
+  assert.match(draft.stdout, /^🐋 Whale move: whale\.eth \(0xF214…E75C\), full history\n📥 in: 755\.55 \$ENS \(\$22\.7k\) on Ethereum\n/);
+  assert.equal(draft.stdout.split("\n---\n").length, 4);
+  assert.equal(draft.providers.publisher.calls.length, 0);
+
+  const published = await run(["post", WALLET, "--window", "all", "--min-usd", "20000", "--publish", "--format", "json"]);
+  assert.equal(published.code, EXIT_CODES.ok);
+  assert.deepEqual(JSON.parse(published.stdout).urls, ["https://x.example/status/100"]);
+  assert.equal(published.providers.publisher.calls.length, 1);
+
+  const { publisher, ...withoutPublisher } = createFixtureProviders(loadWalletFixture());
+  const unconfigured = await run(["post", WALLET, "--publish"], withoutPublisher);
+  assert.equal(unconfigured.code, EXIT_CODES.error);
+  assert.match(unconfigured.stderr, /Publishing needs X_ACCESS_TOKEN/);
+  assert.equal((await run(["post", WALLET, "--min-usd", "lots"])).code, EXIT_CODES.usage);
+});
+
+test("--metrics writes the run's metrics to stderr as JSON", async () => {
+  const { code, stdout, stderr } = await run(["holdings", WALLET, "--format", "json", "--metrics"]);
+
+  assert.equal(code, EXIT_CODES.ok);
+  assert.ok(JSON.parse(stdout).length > 0);
+  const metrics = JSON.parse(stderr);
+  assert.match(metrics.correlationId, /^cli-[0-9a-f]{8}$/);
+  assert.deepEqual([metrics.name, metrics.status], ["cli holdings", "ok"]);
+  assert.equal(typeof metrics.durationMs, "number");
+  assert.deepEqual(metrics.llm, { calls: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0 });
+});
+
+test("takes ENS names for the wallet", async () => {
+  const { code, stdout } = await run(["holdings", "whale.eth", "--format", "json"]);
+
+  assert.equal(code, EXIT_CODES.ok);
+  assert.ok(JSON.parse(stdout).some(h => h.symbol === "LINK"));
+  assert.equal((await run(["holdings", "nobody.eth"])).code, EXIT_CODES.invalidAddress);
+});
+
+test("exits with distinct codes for bad arguments, invalid addresses and provider errors", async () => {
+  const usage = await run(["analyze", WALLET, "--format", "xml"]);
+  assert.equal(usage.code, EXIT_CODES.usage);
+  assert.match(usage.stderr, /Invalid format "xml"/);
+  assert.equal(usage.stdout, "");
+
+  assert.equal((await run(["scan", WALLET])).code, EXIT_CODES.usage);
+
+  const invalid = await run(["holdings", "0x1234"]);
+  assert.equal(invalid.code, EXIT_CODES.invalidAddress);
+  assert.match(invalid.stderr, /"0x1234" is not a valid Ethereum address/);
+
+  const checksum = await run(["holdings", "0xF214798A8aF12Ad98e173171ee2D8d7ea11CE75c"]);
+  assert.equal(checksum.code, EXIT_CODES.invalidAddress);
+  assert.match(checksum.stderr, /Invalid EIP-55 checksum/);
+
+  const providers = createFixtureProviders(loadWalletFixture());
+  providers.transfers.getTokenTransfers = async () => {
+    throw new ProviderError("Max rate limit reached", { provider: "etherscan", code: "RATE_LIMITED", retryable: true });
+  };
+  const failed = await run(["analyze", WALLET], providers);
+  assert.equal(failed.code, EXIT_CODES.provider);
+  assert.match(failed.stderr, /etherscan error \(RATE_LIMITED\): Max rate limit reached/);
+});
+
+test("holdings exits with the provider error code when balances cannot be fetched", async () => {
+  const providers = createFixtureProviders(loadWalletFixture());
+  providers.balances.getWalletTokenBalances = async () => {
+    throw new ProviderError("Moralis getWalletTokenBalances failed: Service Unavailable", { provider: "moralis", retryable: true });
+  };
+  const { code, stdout, stderr } = await run(["holdings", WALLET], providers);
+
+  assert.equal(code, EXIT_CODES.provider);
+  assert.equal(stdout, "");
+  assert.match(stderr, /moralis error \(API_ERROR\): Moralis getWalletTokenBalances failed: Service Unavailable/);
+
+  // Errors the balance provider does not classify are still provider errors
+  providers.balances.getWalletTokenBalances = async () => { throw new Error("socket hang up"); };
+  const unclassified = await run(["holdings", WALLET], providers);
+  assert.equal(unclassified.code, EXIT_CODES.provider);
+  assert.match(unclassified.stderr, /balances error \(API_ERROR\): Could not fetch token balances on Ethereum: socket hang up/);
+});
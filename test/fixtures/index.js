@@ -0,0 +1,13 @@
+import fs from 'fs';
+
+export const WALLET = "0xf214798a8af12ad98e173171ee2d8d7ea11ce75c";
+
+// A second wallet that shares LINK and Binance as a counterparty with WALLET and sent it LINK.
+export const OTHER_WALLET = "0x8ba1f109551bd432803012645ac136ddd64dba72";
+
+// Reference time for the fixture: the newest transfer is 12 hours older than this.
+export const NOW = new Date("2025-01-10T00:00:00Z");
+
+export function loadWalletFixture() {
+  return JSON.parse(fs.readFileSync(new URL("./wallet.json", import.meta.url), "utf8"));
+}
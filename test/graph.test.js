@@ -0,0 +1,111 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { findFundingTransfers, rankCounterparties, renderGraph, describeTrace } from '../src/graph.js';
+import { traceWallet } from '../src/ETHWalletScanFunction.js';
+import { createFixtureProviders } from '../src/providers/index.js';
+import { createMemoryStore } from '../src/store.js';
+import { WALLET, OTHER_WALLET, NOW, loadWalletFixture } from './fixtures/index.js';
+
+const BINANCE = "0x28c6c06298d514db089934071355e5743bf21d60";
+
+function transfer(counterparty, flow, timestamp, amount, usdValue) {
+  return { counterparty, flow, timestamp, amount, usdValue, transactionHash: `0x${timestamp}`, contractAddress: "0xtoken", tokenSymbol: "TKN" };
+}
+
+test("funding is the first priced inflow from each sender, counterparties rank by volume", () => {
+  const transfers = [
+    transfer("0xspam", "inflow", "2025-01-01T00:00:00Z", 1000, null),
+    transfer("0xfunder", "inflow", "2025-01-02T00:00:00Z", 1, 3000),
+    transfer("0xfunder", "inflow", "2025-01-03T00:00:00Z", 2, 6000),
+    transfer("0xdex", "outflow", "2025-01-04T00:00:00Z", 3, 9000),
+    transfer("0xdex", "inflow", "2025-01-04T00:00:00Z", 9000, 9000),
+    transfer("0xlate", "inflow", "2025-01-05T00:00:00Z", 1, 10),
+  ];
+
+  assert.deepEqual(findFundingTransfers(transfers, 2).map(tx => [tx.counterparty, tx.timestamp]), [
+    ["0xfunder", "2025-01-02T00:00:00Z"],
+    ["0xdex", "2025-01-04T00:00:00Z"],
+  ]);
+  assert.deepEqual(rankCounterparties(transfers).map(c => [c.address, c.usdVolume, c.transfers]), [
+    ["0xdex", 18000, 2],
+    ["0xfunder", 9000, 2],
+    ["0xlate", 10, 1],
+    ["0xspam", 0, 1],
+  ]);
+});
+
+test("traces funders and counterparties hop by hop and stops at known entities", async () => {
+  const options = { providers: createFixtureProviders(loadWalletFixture()), store: createMemoryStore(), now: NOW };
+
+  const near = await traceWallet(OTHER_WALLET, "ethereum", { ...options, depth: 1 });
+  assert.deepEqual(near.nodes.map(n => [n.address, n.depth, n.roles, n.expanded]), [
+    [OTHER_WALLET, 0, ["root"], true],
+    [BINANCE, 1, ["funder", "counterparty"], false],
+    [WALLET, 1, ["counterparty"], false],
+  ]);
+  assert.deepEqual(near.edges.map(e => [e.from, e.to, e.usdVolume, e.funding]), [
+    [BINANCE, OTHER_WALLET, 4800, true],
+    [OTHER_WALLET, WALLET, 480, false],
+  ]);
+
+  const far = await traceWallet(OTHER_WALLET, "ethereum", { ...options, depth: 2 });
+  const wallet = far.nodes.find(n => n.address === WALLET);
+  assert.equal(wallet.expanded, true);
+  assert.deepEqual(wallet.fundedBy.map(f => f.from), [BINANCE, "0xc02aaa39b223fe8d0a0e5c4f27ead9083c756cc2", "0x00000000000000adc04c56bf30ac9d3c0aaf14dc"]);
+  assert.equal(far.nodes.find(n => n.address === BINANCE).expanded, false);
+  assert.deepEqual(far.edges[0], {
+    from: BINANCE,
+    to: WALLET,
+    transfers: 4,
+    usdVolume: 52507.4,
+    funding: true,
+    tokens: [
+      { contractAddress: "0x514910771af9ca656af840dff83e8264ecf986ca", tokenSymbol: "LINK", amount: 1023 },
+      { contractAddress: "0xeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeee", tokenSymbol: "ETH", amount: 2 },
+      { contractAddress: "0xc18360217d8f7ab5e7c516566761ea12ce7f9d72", tokenSymbol: "ENS", amount: 755.55 },
+    ],
+    firstAt: "2024-12-21T00:00:00.000Z",
+    lastAt: "2025-01-09T12:00:00.000Z",
+  });
+
+  // Verified contracts are named and not followed
+  const root = await traceWallet(WALLET, "ethereum", { ...options, depth: 2 });
+  const weth = root.nodes.find(n => n.address === "0xc02aaa39b223fe8d0a0e5c4f27ead9083c756cc2");
+  assert.equal(weth.contract, "WETH9");
+  assert.equal(weth.expanded, false);
+  assert.match(describeTrace(root), /first funded by Binance 14 \(0x28c6…1d60\) \(100 LINK on 2024-12-21\), WETH9 \(0xc02a…6cc2\)/);
+
+  // Addresses with more history than `maxRows` are neither followed nor stored
+  const store = createMemoryStore();
+  const capped = await traceWallet(OTHER_WALLET, "ethereum", { ...options, store, depth: 2, maxRows: 2 });
+  const busy = capped.nodes.find(n => n.address === WALLET);
+  assert.deepEqual([busy.truncated, busy.expanded], [true, false]);
+  assert.deepEqual((await store.load("ethereum", WALLET)).history, {});
+  assert.ok(Object.keys((await store.load("ethereum", OTHER_WALLET)).history).length > 0);
+  assert.match(describeTrace(capped), /Not followed, too many transfers:\n- 0xf214…e75c, 1 hop\(s\) away\n/);
+
+  await assert.rejects(traceWallet(WALLET, "ethereum", { ...options, depth: 9 }), /Invalid depth 9/);
+});
+
+test("exports the graph as JSON, GraphML and DOT", async () => {
+  const graph = await traceWallet(OTHER_WALLET, "ethereum", {
+    depth: 1,
+    providers: createFixtureProviders(loadWalletFixture()),
+    store: createMemoryStore(),
+    now: NOW,
+  });
+
+  assert.deepEqual(JSON.parse(renderGraph(graph, "json")), graph);
+
+  const graphml = renderGraph(graph, "graphml");
+  assert.match(graphml, /^<\?xml version="1\.0" encoding="UTF-8"\?>\n<graphml xmlns="http:\/\/graphml\.graphdrawing\.org\/xmlns">/);
+  assert.match(graphml, /<node id="0x28c6c06298d514db089934071355e5743bf21d60">\n {6}<data key="label">Binance 14<\/data>/);
+  assert.match(graphml, /<edge id="e0" source="0x28c6c06298d514db089934071355e5743bf21d60" target="0x8ba1f109551bd432803012645ac136ddd64dba72">\n {6}<data key="weight">4800<\/data>/);
+  assert.equal(graphml.match(/<edge /g).length, 2);
+
+  const dot = renderGraph(graph, "dot");
+  assert.match(dot, /^digraph "0x8ba1f109551bd432803012645ac136ddd64dba72" \{/);
+  assert.match(dot, /"0x28c6c06298d514db089934071355e5743bf21d60" -> "0x8ba1f109551bd432803012645ac136ddd64dba72" \[label="\$4,800\.00 \(1\)", weight=4800, penwidth=5, style=dashed\];/);
+
+  assert.throws(() => renderGraph(graph, "svg"), /Invalid graph format "svg"/);
+});
@@ -0,0 +1,173 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createKeyPool } from '../src/providers/keyPool.js';
+import { createEtherscanProvider } from '../src/providers/etherscan.js';
+import { ProviderError } from '../src/errors.js';
+
+// Virtual clock: sleeping advances time instantly so limits and backoff can be asserted.
+function fakeClock() {
+  const clock = { time: 1000000, sleeps: [] };
+  clock.now = () => clock.time;
+  clock.sleep = async ms => {
+    clock.sleeps.push(ms);
+    clock.time += ms;
+  };
+  return clock;
+}
+
+function rateLimited() {
+  return new ProviderError("Max rate limit reached", { code: "RATE_LIMITED", retryable: true });
+}
+
+test("keeps each key under its calls-per-second limit", async () => {
+  const clock = fakeClock();
+  const pool = createKeyPool(["a", "b"], { callsPerSecond: 2, sleep: clock.sleep, now: clock.now });
+  const calls = [];
+
+  for (let i = 0; i < 6; i++) {
+    await pool.schedule(async key => calls.push({ key, at: clock.time }));
+  }
+
+  for (const key of ["a", "b"]) {
+    const times = calls.filter(c => c.key === key).map(c => c.at);
+    assert.equal(times.length, 3);
+    for (let i = 1; i < times.length; i++) {
+      assert.ok(times[i] - times[i - 1] >= 500, `key ${key} called too fast`);
+    }
+  }
+});
+
+test("retries rate-limited calls with backoff on the next key", async () => {
+  const clock = fakeClock();
+  const pool = createKeyPool(["a", "b"], { backoffMs: 100, sleep: clock.sleep, now: clock.now });
+  const keysUsed = [];
+
+  const result = await pool.schedule(async key => {
+    keysUsed.push(key);
+    if (keysUsed.length < 3) {
+      throw rateLimited();
+    }
+    return "ok";
+  });
+
+  assert.equal(result, "ok");
+  assert.deepEqual(keysUsed, ["a", "b", "a"]);
+  assert.ok(clock.sleeps.includes(100) && clock.sleeps.includes(200));
+});
+
+test("retries HTTP 429 responses", async () => {
+  const clock = fakeClock();
+  const pool = createKeyPool(["a"], { sleep: clock.sleep, now: clock.now });
+  let attempts = 0;
+
+  const result = await pool.schedule(async () => {
+    attempts += 1;
+    if (attempts === 1) {
+      throw Object.assign(new Error("Too Many Requests"), { response: { status: 429 } });
+    }
+    return "ok";
+  });
+
+  assert.equal(result, "ok");
+});
+
+test("reports a rate-limit failure once retries run out", async () => {
+  const clock = fakeClock();
+  const pool = createKeyPool(["a", "b", "c"], { maxRetries: 2, sleep: clock.sleep, now: clock.now });
+
+  await assert.rejects(pool.schedule(async () => { throw rateLimited(); }), error => {
+    assert.ok(error instanceof ProviderError);
+    assert.equal(error.code, "RATE_LIMITED");
+    return true;
+  });
+});
+
+test("benches keys that keep failing and skips them", async () => {
+  const clock = fakeClock();
+  const pool = createKeyPool(["bad", "good"], { benchAfter: 1, benchMs: 60000, sleep: clock.sleep, now: clock.now });
+  const keysUsed = [];
+
+  await pool.schedule(async key => {
+    keysUsed.push(key);
+    if (key === "bad") {
+      throw rateLimited();
+    }
+  });
+  for (let i = 0; i < 3; i++) {
+    await pool.schedule(async key => keysUsed.push(key));
+  }
+
+  assert.deepEqual(keysUsed, ["bad", "good", "good", "good", "good"]);
+  assert.deepEqual(pool.stats().map(s => s.benched), [true, false]);
+});
+
+test("fails when every key is benched", async () => {
+  const clock = fakeClock();
+  const pool = createKeyPool(["a"], { benchAfter: 1, sleep: clock.sleep, now: clock.now });
+
+  await assert.rejects(pool.schedule(async () => { throw rateLimited(); }), /benched/);
+});
+
+test("passes non-retryable errors straight through", async () => {
+  const clock = fakeClock();
+  const pool = createKeyPool(["a", "b"], { sleep: clock.sleep, now: clock.now });
+  let attempts = 0;
+
+  await assert.rejects(pool.schedule(async () => {
+    attempts += 1;
+    throw new Error("boom");
+  }), /boom/);
+  assert.equal(attempts, 1);
+});
+
+test("explorer balance errors surface instead of turning into zero", async () => {
+  const clock = fakeClock();
+  const responses = [
+    { status: "0", message: "NOTOK", result: "Max rate limit reached" },
+    { status: "1", message: "OK", result: "523000000000000000000" },
+    { status: "0", message: "NOTOK", result: "Error! Invalid contract address format" },
+  ];
+  const requests = [];
+  const http = {
+    get: async (url, config) => {
+      requests.push({ url, params: config.params });
+      return { data: responses.shift() };
+    },
+  };
+  const provider = createEtherscanProvider({
+    env: { ETHERSCAN_API_KEY1: "k1", ETHERSCAN_API_KEY2: "k2" },
+    http,
+    poolOptions: { sleep: clock.sleep, now: clock.now },
+  });
+
+  assert.equal(await provider.getTokenBalance("0xabc", "0xdef", "ethereum"), "523000000000000000000");
+  assert.deepEqual(requests.map(r => r.params.apikey), ["k1", "k2"]);
+  assert.equal(requests[0].url, "https://api.etherscan.io/api");
+
+  await assert.rejects(provider.getTokenBalance("0xabc", "0xbad", "ethereum"), /Invalid contract address format/);
+});
+
+test("pages through the whole transfer history by block", async () => {
+  const clock = fakeClock();
+  const rows = [1, 2, 3, 3, 4].map((block, i) => ({ blockNumber: String(block), hash: `0x${i}`, logIndex: "0" }));
+  const requests = [];
+  const http = {
+    get: async (url, config) => {
+      requests.push(config.params);
+      const { startblock, endblock, offset } = config.params;
+      const page = rows.filter(r => r.blockNumber >= startblock && r.blockNumber <= endblock).slice(0, offset);
+      return { data: { status: "1", message: "OK", result: page } };
+    },
+  };
+  const provider = createEtherscanProvider({
+    env: { ETHERSCAN_API_KEY1: "k1" },
+    http,
+    pageSize: 2,
+    poolOptions: { sleep: clock.sleep, now: clock.now },
+  });
+
+  const transfers = await provider.getTokenTransfers("0xabc", "ethereum", { startBlock: 1, endBlock: 9 });
+
+  assert.deepEqual(transfers.map(t => t.hash), ["0x4", "0x3", "0x2", "0x1", "0x0"]);
+  assert.deepEqual(requests.map(r => r.startblock), [1, 2, 3, 4]);
+});
@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createLabelRegistry, parseLabelsCsv } from '../src/labels.js';
+
+const BINANCE_14 = "0x28c6c06298d514db089934071355e5743bf21d60";
+const UNISWAP_V2_ROUTER = "0x7a250d5630b4cf539739df2c5dacb4c659f2488d";
+
+function tempFile(name, content) {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "wallet-labels-")), name);
+  fs.writeFileSync(file, content);
+  return file;
+}
+
+test("labels exchange wallets on every chain and contracts on their own", () => {
+  const labels = createLabelRegistry();
+
+  assert.deepEqual(labels.lookup("0x28C6c06298d514Db089934071355E5743bf21d60", "ethereum"), { name: "Binance 14", category: "cex" });
+  assert.deepEqual(labels.lookup(BINANCE_14, "arbitrum"), { name: "Binance 14", category: "cex" });
+  assert.deepEqual(labels.lookup(UNISWAP_V2_ROUTER, "ethereum"), { name: "Uniswap V2 Router", category: "dex" });
+  assert.equal(labels.lookup(UNISWAP_V2_ROUTER, "base"), null);
+  assert.equal(labels.lookup("0x0000000000000000000000000000000000000001", "ethereum"), null);
+});
+
+test("reads user labels from JSON and CSV files on top of the bundled ones", () => {
+  const json = tempFile("labels.json", JSON.stringify([{ address: BINANCE_14, name: "My Binance deposit", category: "cex" }]));
+  const csv = tempFile("labels.csv", [
+    "address,name,category,chain",
+    `0x1111111111111111111111111111111111111111,"Fund, Inc.",fund,`,
+    `0x2222222222222222222222222222222222222222,Base bridge,bridge,base`,
+  ].join("\n"));
+  const labels = createLabelRegistry({ files: [json, csv] });
+
+  assert.equal(labels.lookup(BINANCE_14, "ethereum").name, "My Binance deposit");
+  assert.deepEqual(labels.lookup("0x1111111111111111111111111111111111111111", "bsc"), { name: "Fund, Inc.", category: "fund" });
+  assert.equal(labels.lookup("0x2222222222222222222222222222222222222222", "ethereum"), null);
+  assert.equal(labels.lookup("0x2222222222222222222222222222222222222222", "base").category, "bridge");
+});
+
+test("parses quoted CSV fields", () => {
+  assert.deepEqual(parseLabelsCsv('Address,Name,Category\n0xabc,"The ""Big"" Fund",fund\n'), [
+    { address: "0xabc", name: 'The "Big" Fund', category: "fund" },
+  ]);
+});
+
+test("rejects labels it cannot use", () => {
+  assert.throws(() => createLabelRegistry({ entries: [{ address: "0x123", name: "x", category: "cex" }] }), /Invalid label address/);
+  assert.throws(
+    () => createLabelRegistry({ entries: [{ address: BINANCE_14, name: "x", category: "whale" }] }),
+    /Invalid label category "whale"/
+  );
+});
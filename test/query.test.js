@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { filterTransfers, filterHoldings, describeTransferQuery, parseFollowUp } from '../src/query.js';
+import { findTimeWindowInText } from '../src/timeWindow.js';
+import { NOW } from './fixtures/index.js';
+
+const BINANCE = { name: "Binance 14", category: "cex" };
+
+function transfer(overrides) {
+  return {
+    chain: "ethereum",
+    source: "token",
+    flow: "outflow",
+    counterparty: "0x28c6c06298d514db089934071355e5743bf21d60",
+    counterpartyLabel: BINANCE,
+    tokenName: "ChainLink Token",
+    tokenSymbol: "LINK",
+    amount: 500,
+    timestamp: "2025-01-08T00:00:00.000Z",
+    blockNumber: 21580000,
+    transactionHash: "0x02",
+    contractAddress: "0x514910771af9ca656af840dff83e8264ecf986ca",
+    ...overrides,
+  };
+}
+
+const TRANSFERS = [
+  transfer({ flow: "inflow", amount: 923, timestamp: "2025-01-09T12:00:00.000Z", transactionHash: "0x01" }),
+  transfer({}),
+  transfer({ flow: "inflow", tokenSymbol: "ENS", tokenName: "Ethereum Name Service", contractAddress: "0xc18360217d8f7ab5e7c516566761ea12ce7f9d72", amount: 755.55, counterpartyLabel: null, counterparty: "0x1111111111111111111111111111111111111111", timestamp: "2025-01-05T00:00:00.000Z", transactionHash: "0x03" }),
+];
+
+test("filters stored transfers by token, direction, date and counterparty", () => {
+  assert.deepEqual(filterTransfers(TRANSFERS, { token: "link" }).map(tx => tx.transactionHash), ["0x01", "0x02"]);
+  assert.deepEqual(filterTransfers(TRANSFERS, { token: "Ethereum Name Service" }).map(tx => tx.transactionHash), ["0x03"]);
+  assert.deepEqual(filterTransfers(TRANSFERS, { direction: "outflow" }).map(tx => tx.transactionHash), ["0x02"]);
+  assert.deepEqual(filterTransfers(TRANSFERS, { from: new Date("2025-01-07"), to: new Date("2025-01-09") }).map(tx => tx.transactionHash), ["0x02"]);
+  assert.deepEqual(filterTransfers(TRANSFERS, { counterparty: "binance" }).map(tx => tx.transactionHash), ["0x01", "0x02"]);
+  assert.deepEqual(filterTransfers(TRANSFERS, { counterparty: "0x1111111111111111111111111111111111111111" }).map(tx => tx.transactionHash), ["0x03"]);
+  assert.throws(() => filterTransfers(TRANSFERS, { direction: "sideways" }), /Invalid direction "sideways"/);
+
+  assert.deepEqual(filterHoldings([{ symbol: "ENS", name: "Ethereum Name Service", contractAddress: "0xc1" }, { symbol: "LINK" }], "ens").map(h => h.symbol), ["ENS"]);
+});
+
+test("answers with totals and the newest transfers", () => {
+  const text = describeTransferQuery(filterTransfers(TRANSFERS, { token: "LINK" }), 1);
+
+  assert.match(text, /^2 matching transfer\(s\): in 923 LINK in 1 transfer\(s\), out 500 LINK in 1 transfer\(s\)\./);
+  assert.match(text, /\n- 2025-01-09 12:00 UTC received 923 LINK from Binance 14 \(cex\) \[ethereum, 0x01\]\n… and 1 more\.$/);
+  assert.equal(describeTransferQuery([]), "No stored transfers match.");
+});
+
+test("reads follow-up questions against what the wallet dealt with", () => {
+  const known = { symbols: ["LINK", "ENS", "ETH"], counterparties: ["Binance 14", "Uniswap V2 Router"], now: NOW, findWindow: findTimeWindowInText };
+
+  assert.deepEqual(parseFollowUp("how much ENS do they still hold?", known), { kind: "holdings", token: "ENS" });
+  assert.deepEqual(parseFollowUp("what did they sell yesterday?", known), {
+    kind: "transfers",
+    direction: "outflow",
+    from: new Date("2025-01-09T00:00:00.000Z"),
+    to: new Date("2025-01-09T23:59:59.999Z"),
+  });
+  assert.deepEqual(parseFollowUp("Any LINK sent to Binance in the last 3 days?", known), {
+    kind: "transfers",
+    token: "LINK",
+    direction: "outflow",
+    window: "last 3 days",
+    counterparty: "binance",
+  });
+  assert.equal(parseFollowUp("thanks, that's all", known), null);
+});
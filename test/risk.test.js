@@ -0,0 +1,79 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { assessTokenRisk, applySpamMode, findSpamModeInText } from '../src/risk.js';
+
+function holding(overrides) {
+  return { contractAddress: "0x1111111111111111111111111111111111111111", name: "Some Token", symbol: "SOME", balance: 10, usdPrice: 1, ...overrides };
+}
+
+function transfer(overrides) {
+  return { flow: "inflow", amount: 10, transactionHash: "0xaa", contractAddress: "0x1111111111111111111111111111111111111111", ...overrides };
+}
+
+function codes(risk) {
+  return risk.reasons.map(r => r.code);
+}
+
+test("a bought and priced token is low risk", () => {
+  const risk = assessTokenRisk("ethereum", holding(), {
+    transfers: [transfer({ transactionHash: "0xmine" })],
+    sentHashes: new Set(["0xmine"]),
+    holderCount: 5000,
+  });
+
+  assert.deepEqual(risk, { score: 0, level: "low", flagged: false, reasons: [] });
+});
+
+test("flags zero-value transfers and advertising names", () => {
+  const risk = assessTokenRisk("ethereum", holding({ name: "Visit usdc-rewards.com to claim" }), {
+    transfers: [transfer({ amount: 0, flow: "outflow", transactionHash: "0xpoison" })],
+    sentHashes: new Set(),
+  });
+
+  assert.deepEqual(codes(risk), ["suspicious_name", "zero_value_transfers"]);
+  assert.equal(risk.score, 80);
+  assert.equal(risk.flagged, true);
+});
+
+test("flags copies of known and native symbols but not the real contracts", () => {
+  const evidence = { transfers: [], sentHashes: new Set() };
+
+  assert.deepEqual(codes(assessTokenRisk("ethereum", holding({ symbol: "USDC" }), evidence)), ["impersonation"]);
+  assert.deepEqual(codes(assessTokenRisk("base", holding({ symbol: "ETH" }), evidence)), ["impersonation"]);
+  assert.deepEqual(codes(assessTokenRisk("bsc", holding({ symbol: "ETH" }), evidence)), []);
+  assert.deepEqual(codes(assessTokenRisk("arbitrum", holding({ symbol: "USDC", contractAddress: "0xff970a61a04b1ca14834a43f5de4533ebddb5cc8" }), evidence)), []);
+});
+
+test("flags unpriced tokens with few holders that were only airdropped", () => {
+  const risk = assessTokenRisk("ethereum", holding({ usdPrice: null }), {
+    transfers: [transfer({ transactionHash: "0xdrop" })],
+    sentHashes: new Set(["0xmine"]),
+    holderCount: 3,
+  });
+
+  assert.deepEqual(codes(risk), ["unsolicited", "no_price", "few_holders"]);
+  assert.equal(risk.level, "high");
+});
+
+test("applies the spam modes", () => {
+  const scam = holding({ contractAddress: "0xscam", risk: { flagged: true } });
+  const fine = holding({ contractAddress: "0xfine", risk: { flagged: false } });
+  const transfers = [transfer({ contractAddress: "0xscam" }), transfer({ contractAddress: "0xfine" })];
+
+  const separate = applySpamMode([scam, fine], transfers, "separate");
+  assert.deepEqual(separate.holdings, [fine]);
+  assert.deepEqual(separate.transfers.map(tx => tx.contractAddress), ["0xfine"]);
+  assert.deepEqual(separate.flaggedTokens, [scam]);
+
+  const hide = applySpamMode([scam, fine], transfers, "hide");
+  assert.deepEqual(hide.flaggedTokens, []);
+  assert.equal(hide.hiddenTokens, 1);
+
+  assert.equal(applySpamMode([scam, fine], transfers, "include").holdings.length, 2);
+});
+
+test("finds spam modes in free text", () => {
+  assert.equal(findSpamModeInText("analyze 0xabc but hide spam tokens"), "hide");
+  assert.equal(findSpamModeInText("analyze 0xabc including scam tokens"), "include");
+  assert.equal(findSpamModeInText("analyze 0xabc"), undefined);
+});
@@ -0,0 +1,340 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { summarizeTokenTransactions } from '../src/ETHWalletScanFunction.js';
+import { createFixtureProviders } from '../src/providers/index.js';
+import { createMemoryStore } from '../src/store.js';
+import { LATEST_BLOCK } from '../src/timeWindow.js';
+import { NATIVE_ADDRESS } from '../src/history.js';
+import { createLabelRegistry } from '../src/labels.js';
+import { WALLET, NOW, loadWalletFixture } from './fixtures/index.js';
+
+test("computes per-token totals and 1/3/7 day windows", async () => {
+  const providers = createFixtureProviders(loadWalletFixture());
+  const store = createMemoryStore();
+  const { report } = await summarizeTokenTransactions(WALLET, "ethereum", { providers, store, now: NOW, window: "all" });
+
+  const link = report.networks[0].tokens.find(t => t.tokenName === "ChainLink Token");
+  assert.deepEqual(link.total, { inflow: 1023, outflow: 500, net: 523, transfers: 3 });
+  assert.deepEqual(link.transferCount, { inflow: 2, outflow: 1 });
+  assert.deepEqual(link.windows["1d"], { inflow: 923, outflow: 0, net: 923, transfers: 1 });
+  assert.deepEqual(link.windows["3d"], { inflow: 923, outflow: 500, net: 423, transfers: 2 });
+  assert.equal(link.currentBalance, 523);
+
+  const ens = report.networks[0].tokens.find(t => t.tokenName === "Ethereum Name Service");
+  assert.equal(ens.windows["3d"].transfers, 0);
+  assert.equal(ens.windows["7d"].inflow, 755.55);
+});
+
+test("drops transfers of tokens the wallet no longer holds", async () => {
+  const providers = createFixtureProviders(loadWalletFixture());
+  const store = createMemoryStore();
+  const { report } = await summarizeTokenTransactions(WALLET, "ethereum", { providers, store, now: NOW });
+
+  assert.equal(report.networks[0].tokens.some(t => t.tokenName === "0x Protocol Token"), false);
+});
+
+test("narrates the structured report through the summarizer", async () => {
+  const providers = createFixtureProviders(loadWalletFixture());
+  const store = createMemoryStore();
+  const result = await summarizeTokenTransactions(WALLET, "ethereum", { providers, store, now: NOW });
+
+  assert.equal(providers.summarizer.calls.length, 1);
+  assert.equal(providers.summarizer.calls[0], result.report);
+  assert.match(result.chatGPTResponse, /ChainLink Token in 1023, out 500, net 523/);
+  assert.match(result.overviewURL, new RegExp(WALLET));
+});
+
+test("skips the summarizer when narration is off", async () => {
+  const providers = createFixtureProviders(loadWalletFixture());
+  const store = createMemoryStore();
+  const result = await summarizeTokenTransactions(WALLET, "ethereum", { providers, store, now: NOW, narrate: false });
+
+  assert.equal(result.chatGPTResponse, null);
+  assert.equal(providers.summarizer.calls.length, 0);
+});
+
+test("groups every network in all-chains mode", async () => {
+  const providers = createFixtureProviders(loadWalletFixture());
+  const store = createMemoryStore();
+  const { report } = await summarizeTokenTransactions(WALLET, "all", { providers, store, now: NOW });
+
+  assert.deepEqual(report.chains, ["ethereum", "arbitrum", "base", "polygon", "bsc", "optimism"]);
+  const arbitrum = report.networks.find(n => n.chain === "arbitrum");
+  assert.equal(arbitrum.tokens[0].tokenName, "USD Coin");
+  assert.equal(arbitrum.tokens[0].total.inflow, 2500);
+  assert.equal(report.networks.find(n => n.chain === "base").tokens.length, 0);
+});
+
+test("a failed balance lookup fails the network instead of reporting an empty wallet", async () => {
+  const providers = createFixtureProviders(loadWalletFixture());
+  providers.balances.getWalletTokenBalances = async () => { throw new Error("Moralis is down"); };
+
+  await assert.rejects(
+    summarizeTokenTransactions(WALLET, "ethereum", { providers, store: createMemoryStore(), now: NOW }),
+    { name: "ProviderError", message: "Could not fetch token balances on Ethereum: Moralis is down" }
+  );
+
+  const { report } = await summarizeTokenTransactions(WALLET, "all", { providers, store: createMemoryStore(), now: NOW });
+  assert.ok(report.networks.every(n => n.error === `Could not fetch token balances on ${n.network}: Moralis is down`));
+  assert.equal(report.totals.transfers, 0);
+});
+
+test("covers exactly the requested time window", async () => {
+  const providers = createFixtureProviders(loadWalletFixture());
+  const store = createMemoryStore();
+  const { report } = await summarizeTokenTransactions(WALLET, "ethereum", {
+    providers,
+    store,
+    now: NOW,
+    from: "2025-01-04T00:00:00Z",
+    to: "2025-01-09T00:00:00Z",
+  });
+
+  assert.deepEqual(report.window, { from: "2025-01-04T00:00:00.000Z", to: "2025-01-09T00:00:00.000Z", label: "2025-01-04T00:00:00.000Z to 2025-01-09T00:00:00.000Z" });
+  assert.deepEqual(report.networks[0].blockRange, { startBlock: 21550000, endBlock: 21585000 });
+  assert.deepEqual(report.networks[0].transfers.map(tx => `${tx.source} ${tx.tokenSymbol}`), [
+    "native ETH",
+    "token LINK",
+    "internal ETH",
+    "native ETH",
+    "token ENS",
+  ]);
+});
+
+test("reads the full history when asked", async () => {
+  const providers = createFixtureProviders(loadWalletFixture());
+  const store = createMemoryStore();
+  const { report } = await summarizeTokenTransactions(WALLET, "ethereum", { providers, store, now: NOW, window: "all" });
+
+  const link = report.networks[0].tokens.find(t => t.tokenName === "ChainLink Token");
+  assert.equal(link.total.transfers, 3);
+  assert.equal(report.window.label, "full history");
+});
+
+test("merges native and internal transfers and tracks gas separately", async () => {
+  const providers = createFixtureProviders(loadWalletFixture());
+  const store = createMemoryStore();
+  const { report } = await summarizeTokenTransactions(WALLET, "ethereum", { providers, store, now: NOW, window: "all" });
+  const network = report.networks[0];
+
+  const ether = network.tokens.find(t => t.contractAddress === NATIVE_ADDRESS);
+  assert.deepEqual(ether.total, { inflow: 3.8, outflow: 0.5, net: 3.3, transfers: 4 });
+  assert.equal(ether.currentBalance, 3.5);
+  assert.deepEqual(network.holdings[0], {
+    chain: "ethereum",
+    name: "Ether",
+    symbol: "ETH",
+    contractAddress: NATIVE_ADDRESS,
+    balance: 3.5,
+    native: true,
+    usdPrice: 3400,
+    usdValue: 11900,
+  });
+  assert.deepEqual(network.gas, { symbol: "ETH", amount: 0.004, transactions: 2 });
+});
+
+test("classifies NFT mints, purchases and sales by the payment in the same transaction", async () => {
+  const providers = createFixtureProviders(loadWalletFixture());
+  const store = createMemoryStore();
+  const { report } = await summarizeTokenTransactions(WALLET, "ethereum", { providers, store, now: NOW, window: "all" });
+  const { nfts } = report.networks[0];
+
+  assert.deepEqual(nfts.holdings.map(h => [h.collection, h.standard, h.items, h.quantity]), [
+    ["Test Punks", "ERC-721", 1, 1],
+    ["Art Blocks", "ERC-721", 1, 1],
+    ["Game Items", "ERC-1155", 1, 5],
+  ]);
+  assert.deepEqual(nfts.activity.map(a => [a.kind, a.items.map(i => `${i.collection} #${i.tokenId}`).join(), a.payment.map(p => `${p.amount} ${p.tokenSymbol}`).join()]), [
+    ["sale", "Test Punks #12", "0.8 ETH"],
+    ["mint", "Test Punks #7", ""],
+    ["purchase", "Art Blocks #44", "1.5 WETH"],
+    ["transfer_in", "Game Items #3", ""],
+  ]);
+  assert.deepEqual(nfts.totals, { mints: 1, purchases: 1, sales: 1, transfersIn: 1, transfersOut: 0 });
+  assert.equal(nfts.activity[3].items[0].quantity, 5);
+});
+
+test("values transfers at their own time and computes FIFO PnL per token", async () => {
+  const providers = createFixtureProviders(loadWalletFixture());
+  const store = createMemoryStore();
+  const { report } = await summarizeTokenTransactions(WALLET, "ethereum", { providers, store, now: NOW, window: "all" });
+
+  const link = report.networks[0].tokens.find(t => t.tokenSymbol === "LINK");
+  assert.deepEqual(report.networks[0].transfers.filter(tx => tx.tokenSymbol === "LINK").map(tx => tx.usdValue), [20306, 12500, 2000]);
+  assert.deepEqual(link.usd, { price: 24, currentValue: 12552, inflow: 22306, outflow: 12500 });
+  // 100 bought at $20 and sold at $25; the other 400 sold predate the window. Of the 923
+  // bought at $22 only the 523 still held stay open.
+  assert.deepEqual(link.pnl, { costBasis: 11506, openAmount: 523, realizedPnl: 500, unrealizedPnl: 1046, unmatchedOutflow: 400 });
+
+  const ens = report.networks[0].tokens.find(t => t.tokenSymbol === "ENS");
+  assert.equal(ens.pnl.unrealizedPnl, -1511.1);
+  assert.deepEqual(report.totals.usd, { holdingsValue: 45607.4, realizedPnl: 500, unrealizedPnl: -395.1 });
+});
+
+test("leaves tokens without a price unvalued", async () => {
+  const fixture = loadWalletFixture();
+  delete fixture.prices.ethereum["0x514910771af9ca656af840dff83e8264ecf986ca"];
+  const providers = createFixtureProviders(fixture);
+  const { report } = await summarizeTokenTransactions(WALLET, "ethereum", { providers, store: createMemoryStore(), now: NOW, window: "all" });
+
+  const link = report.networks[0].tokens.find(t => t.tokenSymbol === "LINK");
+  assert.equal(link.pnl, null);
+  assert.deepEqual(link.usd, { price: null, currentValue: null, inflow: null, outflow: null });
+});
+
+test("pairs the legs of a swap into one trade with its execution price", async () => {
+  const providers = createFixtureProviders(loadWalletFixture());
+  const store = createMemoryStore();
+  const result = await summarizeTokenTransactions(WALLET, "ethereum", { providers, store, now: NOW, window: "all" });
+  const { trades } = result.report.networks[0];
+
+  assert.deepEqual(trades, [{
+    chain: "ethereum",
+    transactionHash: "0x0000000000000000000000000000000000000000000000000000000000000008",
+    timestamp: "2025-01-07T00:00:00.000Z",
+    router: "0x7a250d5630b4cf539739df2c5dacb4c659f2488d",
+    routerLabel: { name: "Uniswap V2 Router", category: "dex" },
+    sold: [{ tokenName: "Ether", tokenSymbol: "ETH", contractAddress: NATIVE_ADDRESS, amount: 0.5, usdValue: 1650 }],
+    bought: [{ tokenName: "USD Coin", tokenSymbol: "USDC", contractAddress: "0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48", amount: 1650, usdValue: null }],
+    executionPrice: { price: 3300, unit: "USDC per ETH" },
+    usdValue: 1650,
+    description: "sold 0.5 ETH for 1650 USDC via router Uniswap V2 Router",
+  }]);
+  assert.match(result.chatGPTResponse, /Ethereum: sold 0\.5 ETH for 1650 USDC via router Uniswap V2 Router at 3300 USDC per ETH/);
+});
+
+test("tags counterparties and totals the flows to and from known entities", async () => {
+  const providers = createFixtureProviders(loadWalletFixture());
+  const store = createMemoryStore();
+  const result = await summarizeTokenTransactions(WALLET, "ethereum", { providers, store, now: NOW, window: "all" });
+  const network = result.report.networks[0];
+
+  const linkOut = network.transfers.find(tx => tx.tokenSymbol === "LINK" && tx.flow === "outflow");
+  assert.equal(linkOut.counterparty, "0x28c6c06298d514db089934071355e5743bf21d60");
+  assert.deepEqual(linkOut.counterpartyLabel, { name: "Binance 14", category: "cex" });
+  assert.equal(network.transfers.find(tx => tx.source === "internal").counterpartyLabel, null);
+
+  assert.deepEqual(network.counterpartyFlows, [
+    {
+      category: "cex",
+      flow: "inflow",
+      label: "received from exchange",
+      transfers: 4,
+      usdValue: 51772.5,
+      tokens: [{ tokenSymbol: "LINK", amount: 1023 }, { tokenSymbol: "ETH", amount: 2 }, { tokenSymbol: "ENS", amount: 755.55 }],
+      counterparties: ["Binance 14"],
+    },
+    { category: "cex", flow: "outflow", label: "CEX deposits", transfers: 1, usdValue: 12500, tokens: [{ tokenSymbol: "LINK", amount: 500 }], counterparties: ["Binance 14"] },
+    { category: "dex", flow: "outflow", label: "sent to DEX", transfers: 1, usdValue: 1650, tokens: [{ tokenSymbol: "ETH", amount: 0.5 }], counterparties: ["Uniswap V2 Router"] },
+  ]);
+  assert.match(result.chatGPTResponse, /Ethereum: CEX deposits 500 LINK \(Binance 14\)/);
+});
+
+test("uses a custom label registry", async () => {
+  const providers = createFixtureProviders(loadWalletFixture());
+  const labels = createLabelRegistry({
+    bundled: false,
+    entries: [{ address: "0x28c6c06298d514db089934071355e5743bf21d60", name: "Hop Bridge", category: "bridge" }],
+  });
+  const { report } = await summarizeTokenTransactions(WALLET, "arbitrum", { providers, store: createMemoryStore(), labels, now: NOW, window: "all" });
+
+  assert.deepEqual(report.networks[0].counterpartyFlows.map(f => f.label), ["bridged in"]);
+});
+
+const FAKE_USDT = "0x4a7c8b5e2f0d1c3b9e6a5f8d7c2b1a0e9f3d6c4b";
+
+test("lists likely spam tokens separately with their risk reasons", async () => {
+  const providers = createFixtureProviders(loadWalletFixture());
+  const result = await summarizeTokenTransactions(WALLET, "ethereum", { providers, store: createMemoryStore(), now: NOW, window: "all" });
+  const network = result.report.networks[0];
+
+  assert.equal(network.holdings.some(h => h.contractAddress === FAKE_USDT), false);
+  assert.equal(network.transfers.some(tx => tx.contractAddress === FAKE_USDT), false);
+  assert.equal(network.flaggedTokens.length, 1);
+  const { risk } = network.flaggedTokens[0];
+  assert.deepEqual({ score: risk.score, level: risk.level, flagged: risk.flagged }, { score: 100, level: "high", flagged: true });
+  assert.deepEqual(risk.reasons.map(r => r.code), ["possible_spam", "impersonation", "unsolicited", "no_price", "few_holders"]);
+  assert.match(result.chatGPTResponse, /flagged USDT \(possible_spam, impersonation/);
+
+  const link = network.tokens.find(t => t.tokenSymbol === "LINK");
+  assert.deepEqual(link.risk, { score: 0, level: "low", flagged: false, reasons: [] });
+});
+
+test("hides or includes flagged tokens on request", async () => {
+  const providers = createFixtureProviders(loadWalletFixture());
+  const hidden = await summarizeTokenTransactions(WALLET, "ethereum", { providers, store: createMemoryStore(), now: NOW, window: "all", spam: "hide" });
+  assert.equal(hidden.report.networks[0].hiddenTokens, 1);
+  assert.deepEqual(hidden.report.networks[0].flaggedTokens, []);
+  assert.equal(hidden.report.networks[0].tokens.some(t => t.contractAddress === FAKE_USDT), false);
+
+  const included = await summarizeTokenTransactions(WALLET, "ethereum", { providers, store: createMemoryStore(), now: NOW, window: "all", spam: "include" });
+  const fake = included.report.networks[0].tokens.find(t => t.contractAddress === FAKE_USDT);
+  assert.equal(fake.risk.flagged, true);
+  assert.equal(fake.total.inflow, 1000);
+
+  await assert.rejects(
+    summarizeTokenTransactions(WALLET, "ethereum", { providers, store: createMemoryStore(), now: NOW, spam: "maybe" }),
+    /Invalid spam mode "maybe"/
+  );
+});
+
+test("syncs incrementally from the last stored block", async () => {
+  const fixture = loadWalletFixture();
+  const providers = createFixtureProviders(fixture);
+  const store = createMemoryStore();
+  const ranges = [];
+  const getTokenTransfers = providers.transfers.getTokenTransfers;
+  providers.transfers.getTokenTransfers = (wallet, chain, range) => {
+    ranges.push(range);
+    return getTokenTransfers(wallet, chain, range);
+  };
+
+  await summarizeTokenTransactions(WALLET, "ethereum", { providers, store, now: NOW, window: "7d" });
+  assert.deepEqual(ranges, [{ startBlock: 21550000, endBlock: LATEST_BLOCK }]);
+
+  ranges.length = 0;
+  await summarizeTokenTransactions(WALLET, "ethereum", { providers, store, now: NOW, window: "all" });
+  assert.deepEqual(ranges, [{ startBlock: 0, endBlock: 21549999 }, { startBlock: 21590000, endBlock: LATEST_BLOCK }]);
+
+  const record = await store.load("ethereum", WALLET);
+  assert.equal(record.history.tokentx.rows.length, 8);
+  assert.equal(record.history.tokentx.syncedFromBlock, 0);
+  assert.equal(record.history.tokentx.lastSyncedBlock, 21590000);
+  assert.equal(record.history.txlist.rows.length, 3);
+  assert.equal(record.history.txlistinternal.rows.length, 2);
+  assert.equal(record.history.tokennfttx.rows.length, 3);
+  assert.equal(record.history.token1155tx.rows.length, 1);
+  assert.equal(record.reports.length, 2);
+  assert.equal(record.balanceSnapshots.length, 2);
+});
+
+test("reports what changed since the previous report", async () => {
+  const fixture = loadWalletFixture();
+  const providers = createFixtureProviders(fixture);
+  const store = createMemoryStore();
+
+  const first = await summarizeTokenTransactions(WALLET, "ethereum", { providers, store, now: new Date("2025-01-08T00:00:00Z"), window: "all" });
+  assert.equal(first.report.networks[0].sinceLastReport, undefined);
+
+  fixture.wallets[WALLET].ethereum.walletTokenBalances[0].balance = "1446000000000000000000";
+  const { report } = await summarizeTokenTransactions(WALLET, "ethereum", { providers, store, now: NOW, window: "all" });
+
+  assert.deepEqual(report.networks[0].sinceLastReport, {
+    previousReportAt: "2025-01-08T00:00:00.000Z",
+    newTransfers: { inflow: 3, outflow: 0 },
+    holdingChanges: [{
+      contractAddress: "0x514910771af9ca656af840dff83e8264ecf986ca",
+      name: "ChainLink Token",
+      previousBalance: 523,
+      currentBalance: 1446,
+      change: 923,
+      status: "changed",
+    }],
+  });
+});
+
+test("rejects malformed addresses", async () => {
+  const providers = createFixtureProviders(loadWalletFixture());
+  const store = createMemoryStore();
+  await assert.rejects(summarizeTokenTransactions("0x1234", "ethereum", { providers, store }), /Invalid Ethereum address format/);
+});
@@ -0,0 +1,2 @@
+// Preloaded by `npm test`: the tests log at warn and above unless LOG_LEVEL asks for more.
+process.env.LOG_LEVEL ??= "warn";
@@ -0,0 +1,157 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { cashtag, buildWhalePosts, describeSocialContext, findWhaleMoves, publishWhaleMove, POST_MAX_LENGTH } from '../src/social.js';
+import { summarizeTokenTransactions } from '../src/ETHWalletScanFunction.js';
+import { createFixtureProviders } from '../src/providers/index.js';
+import { createXSocialProvider, createXPublisher } from '../src/providers/x.js';
+import { renderMarkdownReport } from '../src/render.js';
+import { createMemoryStore } from '../src/store.js';
+import { ProviderError } from '../src/errors.js';
+import { WALLET, NOW, loadWalletFixture } from './fixtures/index.js';
+
+function analyze(providers, options = {}) {
+  return summarizeTokenTransactions(WALLET, "ethereum", { window: "all", narrate: false, providers, store: createMemoryStore(), now: NOW, ...options });
+}
+
+test("big inflows get the recent posts about their cashtag, failed searches are noted", async () => {
+  const providers = createFixtureProviders(loadWalletFixture());
+
+  const quiet = await analyze(providers);
+  assert.equal(quiet.report.networks[0].social, undefined);
+
+  const { report, overviewURL } = await analyze(providers, { socialMinUsd: 20000 });
+  assert.deepEqual(report.networks[0].social.map(c => [c.query, c.usdInflow, c.posts, c.likes, c.reposts, c.top[0].author]), [
+    ["$ENS", 22666.5, 1, 18, 4, "namespace_news"],
+    ["$LINK", 22306, 2, 165, 37, "chainwatcher"],
+  ]);
+  // Line breaks are flattened so a post reads as one line
+  assert.equal(report.networks[0].social[1].top[1].text, "CCIP volumes keep climbing. $LINK looks ready.");
+  assert.match(describeSocialContext(report), /^Social chatter on Ethereum:\n- \$ENS: 1 recent post\(s\), 18 like\(s\), 4 repost\(s\); top: @namespace_news: "ENS DAO vote/);
+  assert.match(renderMarkdownReport({ report, overviewURL }), /### Social chatter\n\n\| Search \| Received \| Posts \|.*\n.*\n\| \$ENS \| \$22,666\.50 \| 1 \| 18 \| 4 \| @namespace_news: ENS DAO vote/);
+
+  const failing = { ...providers, social: { searchPosts: async () => { throw new Error("search unavailable"); } } };
+  const failed = await analyze(failing, { socialMinUsd: 20000 });
+  assert.deepEqual(failed.report.networks[0].social.map(c => [c.query, c.posts, c.error]), [
+    ["$ENS", 0, "search unavailable"],
+    ["$LINK", 0, "search unavailable"],
+  ]);
+
+  assert.equal(cashtag("LINK"), "$LINK");
+  assert.equal(cashtag("Visit claim-rewards.xyz"), null);
+});
+
+test("drafts a whale-move post or thread within the length limit and publishes it only when asked", async () => {
+  const providers = createFixtureProviders(loadWalletFixture());
+  const result = await analyze(providers, { socialMinUsd: 20000 });
+
+  const [post] = buildWhalePosts(result, { minUsd: 20000 });
+  assert.equal(post, [
+    "🐋 Whale move: whale.eth (0xF214…E75C), full history",
+    "📥 in: 755.55 $ENS ($22.7k) on Ethereum",
+    "📥 in: 1,023 $LINK ($22.3k) on Ethereum",
+    result.overviewURL,
+  ].join("\n"));
+
+  // More moves than fit in one post are counted instead
+  const [crowded] = buildWhalePosts(result, { minUsd: 10000 });
+  assert.ok(crowded.length <= POST_MAX_LENGTH);
+  assert.match(crowded, /📥 in: 3\.8 \$ETH \(\$12\.8k\) on Ethereum\n\+1 more\nhttps:/);
+
+  const thread = buildWhalePosts(result, { minUsd: 20000, thread: true });
+  assert.equal(thread.length, 4);
+  assert.match(thread[1], /^💬 \$ENS on X: 1 recent post\(s\), 18 like\(s\)\. Top: @namespace_news:/);
+  assert.equal(thread[3], `🔎 Full wallet activity: ${result.overviewURL}`);
+  assert.ok(thread.every(p => p.length <= POST_MAX_LENGTH));
+
+  assert.deepEqual(buildWhalePosts(result, { minUsd: 1e6 }), []);
+
+  const draft = await publishWhaleMove(result, { publisher: providers.publisher, minUsd: 20000 });
+  assert.deepEqual(draft, { posts: [post], dryRun: true });
+  assert.equal(providers.publisher.calls.length, 0);
+
+  const published = await publishWhaleMove(result, { publisher: providers.publisher, dryRun: false, thread: true, minUsd: 20000 });
+  assert.equal(published.dryRun, false);
+  assert.deepEqual(providers.publisher.calls, [thread]);
+  assert.deepEqual(published.urls, ["https://x.example/status/100", "https://x.example/status/101", "https://x.example/status/102", "https://x.example/status/103"]);
+
+  // Without a publisher it can only draft
+  assert.equal((await publishWhaleMove(result, { dryRun: false, minUsd: 20000 })).dryRun, true);
+});
+
+test("whale posts stay within the length limit with long names and links, and skip unknown authors", async () => {
+  const providers = createFixtureProviders(loadWalletFixture());
+  const result = await analyze(providers, { socialMinUsd: 20000 });
+
+  const longName = structuredClone(result);
+  longName.report.primaryName = `${"very".repeat(60)}.eth`;
+  longName.overviewURL = `https://example.com/wallet?${"q".repeat(80)}`;
+  const [post] = buildWhalePosts(longName, { minUsd: 10000 });
+  assert.ok(post.length <= POST_MAX_LENGTH);
+  assert.match(post, /^🐋 Whale move: (very){9}ver… \(0xF214…E75C\), full history\n📥 in: 755\.55 \$ENS .*\n📥 in: 1,023 \$LINK .*\n\+2 more\nhttps:/);
+  assert.ok(post.endsWith(`\n${longName.overviewURL}`));
+
+  // A link that leaves no room for the moves is posted as a reply
+  const longLink = { ...result, overviewURL: `https://example.com/wallet?${"q".repeat(250)}` };
+  const posts = buildWhalePosts(longLink, { minUsd: 20000 });
+  assert.deepEqual(posts.map(p => p.split("\n")[0]), ["🐋 Whale move: whale.eth (0xF214…E75C), full history", longLink.overviewURL]);
+  assert.ok(posts[0].length <= POST_MAX_LENGTH);
+
+  const anonymous = structuredClone(result);
+  anonymous.report.networks[0].social[0].top[0].author = null;
+  const thread = buildWhalePosts(anonymous, { minUsd: 20000, thread: true });
+  assert.match(thread[1], /Top: "ENS DAO vote/);
+  assert.doesNotMatch(describeSocialContext(anonymous.report), /@null/);
+  assert.match(describeSocialContext(anonymous.report), /top: "ENS DAO vote/);
+
+  // Tokens without a plain ticker go by their contract address
+  const spam = structuredClone(result);
+  spam.report.networks[0].tokens[0].tokenSymbol = "Visit claim-rewards.xyz";
+  assert.ok(findWhaleMoves(spam.report, { minUsd: 20000 }).some(move => /^0x[0-9a-fA-F]{4}…[0-9a-fA-F]{4}$/.test(move.symbol)));
+  assert.ok(findWhaleMoves(spam.report, { minUsd: 20000 }).every(move => !move.symbol.includes("claim-rewards")));
+});
+
+test("the X provider logs in once, normalizes posts and posts threads as replies", async () => {
+  const logins = [];
+  const scraper = {
+    isLoggedIn: async () => logins.length > 0,
+    login: async (...args) => { logins.push(args); },
+    async *searchTweets(query, max) {
+      yield { id: "1", username: "chainwatcher", text: `${query} up`, likes: 3, retweets: 1, replies: 0, timeParsed: new Date("2025-01-09T00:00:00Z"), permanentUrl: "https://x.com/chainwatcher/status/1" };
+      yield { id: "2", text: "no counts", timeParsed: undefined };
+      assert.equal(max, 5);
+    },
+  };
+  const social = createXSocialProvider({ scraper, env: { X_USERNAME: "scanner", X_PASSWORD: "hunter2hunter2" } });
+  const posts = await social.searchPosts("$LINK", { limit: 5 });
+  await social.searchPosts("$ENS", { limit: 5 });
+  assert.deepEqual(logins, [["scanner", "hunter2hunter2", undefined]]);
+  assert.deepEqual(posts, [
+    { id: "1", author: "chainwatcher", text: "$LINK up", url: "https://x.com/chainwatcher/status/1", likes: 3, reposts: 1, replies: 0, postedAt: "2025-01-09T00:00:00.000Z" },
+    { id: "2", author: null, text: "no counts", url: "https://x.com/i/web/status/2", likes: 0, reposts: 0, replies: 0, postedAt: null },
+  ]);
+
+  const anonymous = createXSocialProvider({ scraper: { isLoggedIn: async () => false }, env: {} });
+  await assert.rejects(anonymous.searchPosts("$LINK"), { name: "ProviderError", provider: "x", code: "INVALID_KEY" });
+
+  const requests = [];
+  const http = {
+    post: async (url, body, config) => {
+      requests.push({ url, body, auth: config.headers.Authorization });
+      return { data: { data: { id: `9${requests.length}` } } };
+    },
+  };
+  const publisher = createXPublisher({ accessToken: "user-token", http });
+  assert.deepEqual(await publisher.publish(["first", "second"]), { ids: ["91", "92"], urls: ["https://x.com/i/web/status/91", "https://x.com/i/web/status/92"] });
+  assert.deepEqual(requests.map(r => [r.url, r.body, r.auth]), [
+    ["https://api.x.com/2/tweets", { text: "first" }, "Bearer user-token"],
+    ["https://api.x.com/2/tweets", { text: "second", reply: { in_reply_to_tweet_id: "91" } }, "Bearer user-token"],
+  ]);
+
+  const limited = createXPublisher({
+    accessToken: "user-token",
+    http: { post: async () => { throw Object.assign(new Error("Request failed"), { response: { status: 429, data: { detail: "Too Many Requests" } } }); } },
+  });
+  await assert.rejects(limited.publish(["first"]), error => error instanceof ProviderError && error.code === "RATE_LIMITED" && error.retryable &&
+    error.message === "Publishing on X failed after 0 of 1 post(s): Too Many Requests");
+  assert.throws(() => createXPublisher({ accessToken: "" }), /X_ACCESS_TOKEN is required/);
+});
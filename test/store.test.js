@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createFileStore, createMemoryStore } from '../src/store.js';
+
+function tempDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), "wallet-store-"));
+}
+
+test("starts from an empty record", async () => {
+  const store = createFileStore({ dir: tempDir() });
+  const record = await store.load("ethereum", "0xABC");
+
+  assert.equal(record.walletAddress, "0xabc");
+  assert.deepEqual(record.history, {});
+});
+
+test("persists records per chain and wallet", async () => {
+  const dir = tempDir();
+  await createFileStore({ dir }).update("base", "0xabc", record => {
+    record.reports.push({ generatedAt: "2025-01-10T00:00:00.000Z" });
+  });
+
+  const reopened = createFileStore({ dir });
+  assert.equal((await reopened.load("base", "0xabc")).reports.length, 1);
+  assert.equal((await reopened.load("ethereum", "0xabc")).reports.length, 0);
+  assert.ok(fs.existsSync(path.join(dir, "base", "0xabc.json")));
+});
+
+test("parallel updates of the same wallet do not clobber each other", async () => {
+  for (const store of [createFileStore({ dir: tempDir() }), createMemoryStore()]) {
+    await Promise.all(Array.from({ length: 10 }, (_, i) => store.update("ethereum", "0xabc", async record => {
+      await new Promise(resolve => setTimeout(resolve, 10 - i));
+      record.reports.push(i);
+    })));
+
+    assert.deepEqual((await store.load("ethereum", "0xabc")).reports, [0, 1, 2, 3, 4, 5, 6, 7, 8, 9]);
+  }
+});
+
+test("a failed update leaves the record untouched and the queue usable", async () => {
+  const store = createMemoryStore();
+  await assert.rejects(store.update("ethereum", "0xabc", () => { throw new Error("boom"); }), /boom/);
+  await store.update("ethereum", "0xabc", record => { record.reports.push("ok"); });
+
+  assert.deepEqual((await store.load("ethereum", "0xabc")).reports, ["ok"]);
+});
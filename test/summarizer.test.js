@@ -0,0 +1,132 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { summarizeTokenTransactions } from '../src/ETHWalletScanFunction.js';
+import { createFixtureProviders, createSummarizer, createOpenAISummarizer, createTemplateSummarizer } from '../src/providers/index.js';
+import { createMemoryStore } from '../src/store.js';
+import { chunkReport, estimateTokens } from '../src/chunking.js';
+import { getPromptTemplate, MAP_PROMPT } from '../src/prompts.js';
+import { withoutDailySeries } from '../src/timeline.js';
+import { withoutWindowTransfers } from '../src/report.js';
+import { WALLET, NOW, loadWalletFixture } from './fixtures/index.js';
+
+async function fixtureReport() {
+  const providers = createFixtureProviders(loadWalletFixture());
+  const { report } = await summarizeTokenTransactions(WALLET, "ethereum", { providers, store: createMemoryStore(), now: NOW, window: "all", narrate: false });
+  return report;
+}
+
+// Records the requests and answers each with its position.
+function fakeClient() {
+  const requests = [];
+  return {
+    requests,
+    chat: {
+      completions: {
+        create: async request => {
+          requests.push(request);
+          return { choices: [{ message: { content: `answer ${requests.length}` }, finish_reason: "stop" }] };
+        },
+      },
+    },
+  };
+}
+
+test("picks the newest prompt version unless one is pinned", () => {
+  assert.equal(getPromptTemplate().style, "detailed");
+  assert.equal(getPromptTemplate("Trader").style, "trader");
+  assert.equal(getPromptTemplate("brief@1").version, 1);
+  assert.throws(() => getPromptTemplate("poem"), /Unknown summary style "poem"/);
+  assert.throws(() => getPromptTemplate("brief@7"), /Unknown version 7 of summary style "brief"/);
+});
+
+test("sends the report in one request when it fits the budget", async () => {
+  const client = fakeClient();
+  const summarizer = createOpenAISummarizer({ client, model: "llama3.1", temperature: 0, style: "brief" });
+  const report = await fixtureReport();
+
+  assert.equal(await summarizer.summarize(report), "answer 1");
+  assert.equal(client.requests.length, 1);
+  assert.equal(client.requests[0].model, "llama3.1");
+  assert.equal(client.requests[0].max_tokens, getPromptTemplate("brief").maxTokens);
+  assert.equal(client.requests[0].messages[0].content, getPromptTemplate("brief").system);
+
+  await summarizer.summarize(report, { style: "trader" });
+  assert.equal(client.requests[1].messages[0].content, getPromptTemplate("trader").system);
+});
+
+test("LLM errors are provider errors", async () => {
+  const client = { chat: { completions: { create: async () => { throw Object.assign(new Error("Rate limit reached"), { status: 429 }); } } } };
+  const summarizer = createOpenAISummarizer({ client });
+
+  await assert.rejects(summarizer.summarize(await fixtureReport()), {
+    name: "ProviderError",
+    provider: "llm",
+    code: "RATE_LIMITED",
+    retryable: true,
+    message: "LLM request failed: Rate limit reached",
+  });
+});
+
+test("condenses reports over the budget part by part", async () => {
+  const client = fakeClient();
+  const report = await fixtureReport();
+  const budget = 1500;
+  const summarizer = createOpenAISummarizer({ client, tokenBudget: budget, maxTokens: 400 });
+
+  // The LLM reads the report without the daily balance series and the exported transfers.
+  const parts = chunkReport(withoutDailySeries(withoutWindowTransfers(report)), budget);
+  assert.ok(parts.length > 1);
+  for (const part of parts) {
+    assert.equal(part.walletAddress, WALLET);
+    assert.ok(estimateTokens(part) <= budget || part.networks.length === 1, `part ${part.part} is over the budget`);
+  }
+  const transfers = parts.flatMap(part => part.networks.flatMap(network => network.transfers || []));
+  assert.deepEqual(transfers.map(tx => tx.transactionHash), report.networks[0].transfers.map(tx => tx.transactionHash));
+
+  assert.equal(await summarizer.summarize(report), `answer ${parts.length + 1}`);
+  assert.equal(client.requests.length, parts.length + 1);
+  assert.ok(client.requests.slice(0, -1).every(r => r.messages[0].content === MAP_PROMPT));
+  const reduce = client.requests[parts.length];
+  assert.match(reduce.messages[1].content, /^Part 1\/\d+:\nanswer 1/);
+  assert.match(reduce.messages[0].content, /notes on each of its parts/);
+  assert.ok(client.requests.every(r => r.max_tokens === 400));
+});
+
+test("narrates without an LLM from fixed templates", async () => {
+  const report = await fixtureReport();
+  const summarizer = createTemplateSummarizer();
+
+  const detailed = await summarizer.summarize(report);
+  assert.equal(detailed, await summarizer.summarize(report));
+  assert.match(detailed, /^Wallet 0xf214798a8af12ad98e173171ee2d8d7ea11ce75c \(whale\.eth\), .*holdings worth \$45,607\.40, realized PnL \$500\.00/);
+  assert.match(detailed, /\nEthereum:\nHoldings:\n- 755\.55 ENS \(\$21,155\.40\)\n- 523 LINK \(\$12,552\.00\)\n- 3\.5 ETH \(\$11,900\.00\)/);
+  assert.match(detailed, /Trades:\n- 2025-01-07: sold 0\.5 ETH for 1650 USDC via router Uniswap V2 Router/);
+  assert.match(detailed, /Balance phases:\n(- .*\n)*- ENS: accumulation 2025-01-05 \(\+755\.55\)\n/);
+  assert.match(detailed, /- CEX deposits: 500 LINK \(\$12,500\.00\) via Binance 14/);
+  assert.match(detailed, /Likely spam, not counted as holdings: USDT \(/);
+
+  const brief = await summarizer.summarize(report, { style: "brief" });
+  assert.match(brief, /Largest holdings: 755\.55 ENS \(\$21,155\.40\), 523 LINK/);
+  assert.match(brief, /\nReceived from exchange \$51,772\.50, CEX deposits \$12,500\.00/);
+  assert.match(brief, /1 likely spam token\(s\) left out\./);
+  assert.ok(brief.length < detailed.length);
+
+  const trader = await summarizer.summarize(report, { style: "trader" });
+  assert.match(trader, /^Ethereum:\nTrades:/m);
+  assert.doesNotMatch(trader, /Likely spam/);
+});
+
+test("falls back to the template summarizer when no LLM is configured", async () => {
+  const saved = { ...process.env };
+  for (const key of ["SUMMARIZER_PROVIDER", "SUMMARIZER_BASE_URL", "SUMMARIZER_API_KEY", "OPENAI_API_KEY"]) {
+    delete process.env[key];
+  }
+  try {
+    const report = await fixtureReport();
+    assert.match(await createSummarizer().summarize(report), /^Wallet 0xf214/);
+    assert.throws(() => createSummarizer({ provider: "compatible" }), /SUMMARIZER_BASE_URL is required/);
+    assert.throws(() => createSummarizer({ provider: "claude" }), /Unknown summarizer provider "claude"/);
+  } finally {
+    process.env = saved;
+  }
+});
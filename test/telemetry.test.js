@@ -0,0 +1,91 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { withRun, createMetricsRegistry, createMetricsServer, currentRun } from '../src/telemetry.js';
+import { createEtherscanProvider } from '../src/providers/etherscan.js';
+import { createOpenAISummarizer } from '../src/providers/index.js';
+
+function fakeClock() {
+  const clock = { time: 1000000 };
+  clock.now = () => clock.time;
+  clock.sleep = async ms => {
+    clock.time += ms;
+  };
+  return clock;
+}
+
+test("a run counts provider calls, retries and LLM tokens and is kept in the registry", async () => {
+  const clock = fakeClock();
+  let attempts = 0;
+  const http = {
+    get: async () => {
+      attempts += 1;
+      return attempts === 1
+        ? { data: { status: "0", message: "NOTOK", result: "Max rate limit reached" } }
+        : { data: { status: "1", message: "OK", result: "523" } };
+    },
+  };
+  const explorer = createEtherscanProvider({ env: { ETHERSCAN_API_KEY1: "k1" }, http, poolOptions: { sleep: clock.sleep, now: clock.now } });
+  const client = {
+    chat: {
+      completions: {
+        create: async () => ({ choices: [{ message: { content: "summary" }, finish_reason: "stop" }], usage: { prompt_tokens: 1200, completion_tokens: 300, total_tokens: 1500 } }),
+      },
+    },
+  };
+  const summarizer = createOpenAISummarizer({ client, tokenBudget: 100000 });
+  const registry = createMetricsRegistry();
+
+  const result = await withRun({ name: "task", correlationId: "task-1-2-abc", workspaceId: 1, taskId: 2, registry }, async run => {
+    await explorer.getTokenBalance("0xabc", "0xdef", "ethereum");
+    await summarizer.summarize({ networks: [] });
+    // Work started inside the run joins it
+    await withRun({ name: "analysis", registry }, async inner => assert.equal(inner, run));
+    assert.equal(registry.summary().running.length, 1);
+    return run.correlationId;
+  });
+
+  assert.equal(result, "task-1-2-abc");
+  assert.equal(currentRun(), null);
+  const { totals, running, recent } = registry.summary();
+  assert.deepEqual(running, []);
+  assert.deepEqual(totals, { runs: 1, failed: 0, durationMs: recent[0].durationMs, providerCalls: 3, providerErrors: 1, retries: 1, llmTokens: 1500 });
+
+  const [run] = recent;
+  assert.deepEqual([run.correlationId, run.name, run.workspaceId, run.taskId, run.status], ["task-1-2-abc", "task", 1, 2, "ok"]);
+  assert.deepEqual(Object.keys(run.providers), ["etherscan.tokenbalance", "llm.chat"]);
+  assert.deepEqual([run.providers["etherscan.tokenbalance"].calls, run.providers["etherscan.tokenbalance"].errors], [2, 1]);
+  assert.equal(typeof run.providers["llm.chat"].avgMs, "number");
+  assert.deepEqual(run.retries, { etherscan: 1 });
+  assert.deepEqual(run.llm, { calls: 1, promptTokens: 1200, completionTokens: 300, totalTokens: 1500 });
+});
+
+test("failed runs are recorded with their error, and older runs drop out past the limit", async () => {
+  const registry = createMetricsRegistry({ limit: 2 });
+
+  await withRun({ name: "chat", registry }, async () => {});
+  await assert.rejects(withRun({ name: "task", registry }, async () => {
+    throw new Error("explorer down");
+  }), /explorer down/);
+  await withRun({ name: "tool analyzeWallet", registry }, async () => {});
+
+  const { totals, recent } = registry.summary();
+  assert.deepEqual([totals.runs, totals.failed], [3, 1]);
+  assert.deepEqual(recent.map(r => [r.name, r.status, r.error]), [["tool analyzeWallet", "ok", undefined], ["task", "error", "explorer down"]]);
+  assert.match(recent[0].correlationId, /^run-[0-9a-f]{8}$/);
+});
+
+test("the metrics server answers GET /metrics with the registry summary", async () => {
+  const registry = createMetricsRegistry();
+  await withRun({ name: "task", registry }, async () => {});
+  const server = createMetricsServer(registry);
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  try {
+    const base = `http://127.0.0.1:${server.address().port}`;
+    const metrics = await fetch(`${base}/metrics`);
+    assert.equal(metrics.status, 200);
+    assert.equal((await metrics.json()).totals.runs, 1);
+    assert.equal((await fetch(`${base}/other`)).status, 404);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+});
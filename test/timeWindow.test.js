@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseTimeWindow, findTimeWindowInText } from '../src/timeWindow.js';
+
+const NOW = new Date("2025-01-10T00:00:00Z");
+
+test("defaults to the last 30 days", () => {
+  const window = parseTimeWindow({}, NOW);
+
+  assert.equal(window.from.toISOString(), "2024-12-11T00:00:00.000Z");
+  assert.equal(window.to, NOW);
+  assert.equal(window.openEnded, true);
+  assert.equal(window.label, "last 30 days");
+});
+
+test("parses relative windows", () => {
+  assert.equal(parseTimeWindow({ window: "7d" }, NOW).from.toISOString(), "2025-01-03T00:00:00.000Z");
+  assert.equal(parseTimeWindow({ window: "last 2 weeks" }, NOW).from.toISOString(), "2024-12-27T00:00:00.000Z");
+  assert.equal(parseTimeWindow({ window: "24h" }, NOW).from.toISOString(), "2025-01-09T00:00:00.000Z");
+  assert.equal(parseTimeWindow({ window: "last month" }, NOW).from.toISOString(), "2024-12-11T00:00:00.000Z");
+  assert.equal(parseTimeWindow({ window: "all" }, NOW).from, null);
+});
+
+test("explicit dates take precedence over the window", () => {
+  const window = parseTimeWindow({ window: "7d", from: "2025-01-01", to: "2025-01-05" }, NOW);
+
+  assert.equal(window.from.toISOString(), "2025-01-01T00:00:00.000Z");
+  assert.equal(window.to.toISOString(), "2025-01-05T00:00:00.000Z");
+  assert.equal(window.openEnded, false);
+});
+
+test("rejects windows it cannot read", () => {
+  assert.throws(() => parseTimeWindow({ window: "since forever" }, NOW), /Invalid time window/);
+  assert.throws(() => parseTimeWindow({ from: "yesterday-ish" }, NOW), /Invalid from date/);
+  assert.throws(() => parseTimeWindow({ from: "2025-01-05", to: "2025-01-01" }, NOW), /after the to date/);
+});
+
+test("finds windows in free text", () => {
+  assert.equal(findTimeWindowInText("what did 0xabc do in the last 2 weeks?"), "last 2 weeks");
+  assert.equal(findTimeWindowInText("moves over the past day"), "last day");
+  assert.equal(findTimeWindowInText("analyze 0xabc"), undefined);
+});
@@ -0,0 +1,95 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildBalanceTimeline, withoutDailySeries } from '../src/timeline.js';
+import { NATIVE_ADDRESS } from '../src/history.js';
+import { summarizeTokenTransactions } from '../src/ETHWalletScanFunction.js';
+import { createFixtureProviders } from '../src/providers/index.js';
+import { createMemoryStore } from '../src/store.js';
+import { WALLET, NOW, loadWalletFixture } from './fixtures/index.js';
+
+const TOKEN = "0x514910771af9ca656af840dff83e8264ecf986ca";
+
+function transfer(timestamp, flow, amount, usdPrice) {
+  return { contractAddress: TOKEN.toUpperCase().replace("0X", "0x"), timestamp, flow, amount, ...(usdPrice === undefined ? {} : { usdPrice }) };
+}
+
+test("replays the transfers backward from the current balance", () => {
+  const holdings = [{ contractAddress: TOKEN, symbol: "LINK", name: "ChainLink Token", balance: 150, usdPrice: 20 }];
+  const transfers = [
+    transfer("2025-01-02T10:00:00Z", "inflow", 100, 10),
+    transfer("2025-01-03T10:00:00Z", "inflow", 100, 12),
+    transfer("2025-01-05T10:00:00Z", "outflow", 60, 15),
+    transfer("2025-01-06T10:00:00Z", "inflow", 10),
+  ];
+
+  const [timeline] = buildBalanceTimeline(holdings, transfers, {
+    from: new Date("2025-01-01T00:00:00Z"),
+    to: new Date("2025-01-06T12:00:00Z"),
+    balancesAt: new Date("2025-01-06T12:00:00Z"),
+  });
+
+  assert.equal(timeline.contractAddress, TOKEN);
+  assert.equal(timeline.startBalance, 0);
+  assert.deepEqual(timeline.daily.map(p => [p.date, p.balance, p.usdPrice, p.usdValue]), [
+    ["2025-01-01", 0, null, null],
+    ["2025-01-02", 100, 10, 1000],
+    ["2025-01-03", 200, 12, 2400],
+    ["2025-01-04", 200, 12, 2400],
+    ["2025-01-05", 140, 15, 2100],
+    ["2025-01-06", 150, 20, 3000],
+  ]);
+  assert.deepEqual(timeline.phases, [
+    { kind: "accumulation", from: "2025-01-02", to: "2025-01-03", change: 200 },
+    { kind: "distribution", from: "2025-01-05", to: "2025-01-05", change: -60 },
+    { kind: "accumulation", from: "2025-01-06", to: "2025-01-06", change: 10 },
+  ]);
+  assert.equal(timeline.incomplete, false);
+});
+
+test("counts gas in the native balance and notices missing history", () => {
+  const holdings = [
+    { contractAddress: NATIVE_ADDRESS, symbol: "ETH", name: "Ether", balance: 1 },
+    { contractAddress: TOKEN, symbol: "LINK", name: "ChainLink Token", balance: 5 },
+  ];
+  const transfers = [
+    { contractAddress: NATIVE_ADDRESS, timestamp: "2025-01-02T10:00:00Z", flow: "outflow", amount: 0.5 },
+    transfer("2025-01-02T10:00:00Z", "outflow", 10),
+  ];
+
+  const [native, token] = buildBalanceTimeline(holdings, transfers, {
+    from: null,
+    to: new Date("2025-01-03T00:00:00Z"),
+    balancesAt: new Date("2025-01-03T00:00:00Z"),
+    fees: [{ timestamp: "2025-01-02T10:00:00Z", amount: 0.01 }],
+  });
+
+  assert.equal(native.startBalance, 1.51);
+  assert.deepEqual(native.daily.map(p => p.date), ["2025-01-02", "2025-01-03"]);
+  assert.equal(native.daily[0].balance, 1);
+  assert.equal(token.startBalance, 15);
+  assert.equal(token.incomplete, false);
+
+  const [short] = buildBalanceTimeline([{ ...holdings[1], balance: 0 }], [transfer("2025-01-02T10:00:00Z", "inflow", 10)], {
+    from: null,
+    to: new Date("2025-01-03T00:00:00Z"),
+    balancesAt: new Date("2025-01-03T00:00:00Z"),
+  });
+  assert.equal(short.startBalance, -10);
+  assert.equal(short.incomplete, true);
+});
+
+test("the report carries a timeline per holding without per-token balance lookups", async () => {
+  const providers = createFixtureProviders(loadWalletFixture());
+  providers.transfers.getTokenBalance = async () => {
+    throw new Error("getTokenBalance should not be called");
+  };
+  const { report } = await summarizeTokenTransactions(WALLET, "ethereum", { providers, store: createMemoryStore(), now: NOW, window: "7d", narrate: false });
+
+  const timeline = report.networks[0].timeline;
+  assert.deepEqual(timeline.map(t => t.symbol).sort(), ["ENS", "ETH", "LINK"]);
+  const ens = timeline.find(t => t.symbol === "ENS");
+  assert.equal(ens.daily.length, 8);
+  assert.deepEqual(ens.phases, [{ kind: "accumulation", from: "2025-01-05", to: "2025-01-05", change: 755.55 }]);
+  assert.equal(ens.daily[ens.daily.length - 1].usdValue, 21155.4);
+  assert.equal(withoutDailySeries(report).networks[0].timeline[0].daily, undefined);
+});
@@ -0,0 +1,180 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createWatchlist, createFileWatchlistStore, createMemoryWatchlistStore } from '../src/watchlist.js';
+import { createWatchlistMonitor } from '../src/monitor.js';
+import { createFixtureProviders } from '../src/providers/index.js';
+import { createMemoryStore } from '../src/store.js';
+import { WALLET, NOW, loadWalletFixture } from './fixtures/index.js';
+
+const BINANCE_14 = "0x28c6c06298d514db089934071355e5743bf21d60";
+const UNISWAP_V2_ROUTER = "0x7a250d5630b4cf539739df2c5dacb4c659f2488d";
+const PEPE = "0x6982508145454ce325ddbe47a25d4ec3d2311933";
+
+function hash(n) {
+  return `0x${n.toString(16).padStart(64, "0")}`;
+}
+
+// A 5,000 LINK deposit to Binance and a swap of 1 ETH into PEPE, both after the fixture's newest block.
+function addNewActivity(fixture) {
+  const wallet = fixture.wallets[WALLET].ethereum;
+  wallet.tokenTransfers.push(
+    {
+      blockNumber: "21600000", timeStamp: "1736500000", hash: hash(0x20), from: WALLET, to: BINANCE_14,
+      value: "5000000000000000000000", contractAddress: "0x514910771af9ca656af840dff83e8264ecf986ca",
+      tokenName: "ChainLink Token", tokenSymbol: "LINK", tokenDecimal: "18", logIndex: "1",
+    },
+    {
+      blockNumber: "21600010", timeStamp: "1736500120", hash: hash(0x21), from: "0xa43fe16908251ee70ef74718545e4fe6c5ccec9f", to: WALLET,
+      value: "250000000000000000000000000", contractAddress: PEPE,
+      tokenName: "Pepe", tokenSymbol: "PEPE", tokenDecimal: "18", logIndex: "2",
+    }
+  );
+  wallet.normalTransactions.push({
+    blockNumber: "21600010", timeStamp: "1736500120", hash: hash(0x21), from: WALLET, to: UNISWAP_V2_ROUTER,
+    value: "1000000000000000000", gasUsed: "150000", gasPrice: "20000000000", isError: "0",
+  });
+}
+
+function setup() {
+  const fixture = loadWalletFixture();
+  const providers = createFixtureProviders(fixture);
+  const watchlist = createWatchlist({ store: createMemoryWatchlistStore(), now: () => NOW });
+  const posted = [];
+  const agent = {
+    sendChatMessage: async params => posted.push({ method: "sendChatMessage", params }),
+    createTask: async params => posted.push({ method: "createTask", params }),
+  };
+  let now = NOW;
+  const monitor = createWatchlistMonitor({ agent, watchlist, providers, store: createMemoryStore(), now: () => now });
+  return { fixture, watchlist, monitor, posted, advance: ms => { now = new Date(now.getTime() + ms); } };
+}
+
+test("keeps the watchlist across restarts", async () => {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "wallet-watchlist-")), "watchlist.json");
+  const watch = await createWatchlist({ store: createFileWatchlistStore({ file }) }).add({
+    walletAddress: WALLET.toUpperCase().replace("0X", "0x"),
+    chain: "all",
+    thresholds: { outflowUsd: 100000 },
+    workspaceId: 1,
+    agentId: 5,
+  });
+
+  const reopened = createWatchlist({ store: createFileWatchlistStore({ file }) });
+  const [saved] = await reopened.list();
+  assert.equal(saved.id, watch.id);
+  assert.equal(saved.walletAddress, WALLET);
+  assert.deepEqual(saved.thresholds, { outflowUsd: 100000, inflowUsd: null, newToken: false });
+  assert.ok(saved.chains.includes("base"));
+
+  await reopened.setPaused(watch.id, true);
+  assert.equal((await createWatchlist({ store: createFileWatchlistStore({ file }) }).list())[0].paused, true);
+  await reopened.remove(watch.id);
+  assert.deepEqual(await reopened.list(), []);
+});
+
+test("rejects watches it cannot act on", async () => {
+  const watchlist = createWatchlist({ store: createMemoryWatchlistStore() });
+  const valid = { walletAddress: WALLET, thresholds: { newToken: true }, workspaceId: 1 };
+
+  await assert.rejects(watchlist.add({ ...valid, walletAddress: "0x123" }), /Invalid Ethereum address format/);
+  await assert.rejects(watchlist.add({ ...valid, thresholds: {} }), /at least one threshold/);
+  await assert.rejects(watchlist.add({ ...valid, workspaceId: undefined }), /needs the workspace/);
+  await assert.rejects(watchlist.setPaused("missing", true), /No watch with id "missing"/);
+
+  const watch = await watchlist.add(valid);
+  await assert.rejects(watchlist.setPaused(watch.id, true, { workspaceId: 2 }), /No watch with id/);
+  await assert.rejects(watchlist.remove(watch.id, { workspaceId: 2 }), /No watch with id/);
+  assert.equal((await watchlist.setPaused(watch.id, true, { workspaceId: 1 })).paused, true);
+});
+
+test("alerts on new transfers over the threshold and new tokens bought, once", async () => {
+  const { fixture, watchlist, monitor, posted, advance } = setup();
+  const watch = await watchlist.add({ walletAddress: WALLET, thresholds: { outflowUsd: 100000, newToken: true }, workspaceId: 1, agentId: 5 });
+
+  // The first round only sets the starting block: past activity does not alert.
+  assert.deepEqual(await monitor.checkAll(), []);
+  assert.equal((await watchlist.list())[0].cursors.ethereum, 21590000);
+
+  addNewActivity(fixture);
+  advance(24 * 3600 * 1000);
+  const alerts = await monitor.checkAll();
+
+  assert.deepEqual(alerts.map(a => a.kind), ["outflow", "new_token"]);
+  assert.match(alerts[0].message, /^0xf214…e75c sent 5000 LINK \(\$120,000\.00\) to Binance 14 \(cex\) on Ethereum/);
+  assert.match(alerts[1].message, /bought a new token, PEPE: sold 1 ETH for 250000000 PEPE via router Uniswap V2 Router/);
+  assert.deepEqual(posted.map(p => p.method), ["sendChatMessage", "sendChatMessage"]);
+  assert.deepEqual({ ...posted[0].params, message: undefined }, { workspaceId: 1, agentId: 5, message: undefined });
+
+  assert.deepEqual(await monitor.checkAll(), []);
+  const [checked] = await watchlist.list();
+  assert.equal(checked.id, watch.id);
+  assert.equal(checked.cursors.ethereum, 21600010);
+});
+
+test("a token the wallet had before the watch started is not a new token", async () => {
+  const { fixture, watchlist, monitor, advance } = setup();
+  await watchlist.add({ walletAddress: WALLET, thresholds: { newToken: true }, workspaceId: 1, agentId: 5 });
+  await monitor.checkAll();
+
+  const wallet = fixture.wallets[WALLET].ethereum;
+  wallet.tokenTransfers.push({
+    blockNumber: "21600010", timeStamp: "1736500120", hash: hash(0x22), from: "0xa43fe16908251ee70ef74718545e4fe6c5ccec9f", to: WALLET,
+    value: "10000000000000000000", contractAddress: "0xc18360217d8f7ab5e7c516566761ea12ce7f9d72",
+    tokenName: "Ethereum Name Service", tokenSymbol: "ENS", tokenDecimal: "18", logIndex: "1",
+  });
+  wallet.normalTransactions.push({
+    blockNumber: "21600010", timeStamp: "1736500120", hash: hash(0x22), from: WALLET, to: UNISWAP_V2_ROUTER,
+    value: "100000000000000000", gasUsed: "150000", gasPrice: "20000000000", isError: "0",
+  });
+  advance(24 * 3600 * 1000);
+  assert.deepEqual(await monitor.checkAll(), []);
+});
+
+test("an alert that cannot be delivered is not sent again on the next round", async () => {
+  const fixture = loadWalletFixture();
+  const watchlist = createWatchlist({ store: createMemoryWatchlistStore(), now: () => NOW });
+  const sent = [];
+  let calls = 0;
+  const agent = {
+    sendChatMessage: async params => {
+      if (++calls === 1) {
+        throw new Error("workspace unavailable");
+      }
+      sent.push(params.message);
+    },
+  };
+  let now = NOW;
+  const monitor = createWatchlistMonitor({ agent, watchlist, providers: createFixtureProviders(fixture), store: createMemoryStore(), now: () => now });
+  await watchlist.add({ walletAddress: WALLET, thresholds: { outflowUsd: 100000, newToken: true }, workspaceId: 1, agentId: 5 });
+  await monitor.checkAll();
+
+  addNewActivity(fixture);
+  now = new Date(NOW.getTime() + 24 * 3600 * 1000);
+  assert.deepEqual((await monitor.checkAll()).map(a => a.kind), ["new_token"]);
+  assert.equal((await watchlist.list())[0].cursors.ethereum, 21600010);
+  assert.deepEqual(await monitor.checkAll(), []);
+  assert.equal(sent.length, 1);
+  assert.match(sent[0], /bought a new token, PEPE/);
+});
+
+test("opens tasks for task watches and skips paused ones", async () => {
+  const { fixture, watchlist, monitor, posted } = setup();
+  const taskWatch = await watchlist.add({ walletAddress: WALLET, thresholds: { outflowUsd: 100000 }, workspaceId: 1, agentId: 5, notify: "task" });
+  const paused = await watchlist.add({ walletAddress: WALLET, thresholds: { outflowUsd: 0 }, workspaceId: 2, agentId: 5 });
+  await watchlist.setPaused(paused.id, true);
+
+  await monitor.checkAll();
+  addNewActivity(fixture);
+  await monitor.checkAll();
+
+  assert.equal(posted.length, 1);
+  assert.equal(posted[0].method, "createTask");
+  assert.equal(posted[0].params.workspaceId, 1);
+  assert.equal(posted[0].params.assignee, 5);
+  assert.match(posted[0].params.input, new RegExp(`Analyze ${WALLET} on ethereum`));
+  assert.equal((await watchlist.list()).find(w => w.id === paused.id).lastCheckedAt, null);
+  assert.ok((await watchlist.list()).find(w => w.id === taskWatch.id).lastCheckedAt);
+});